@@ -1,478 +1,783 @@
-const http = require('http');
-const url = require('url');
-const { SecretClient } = require('@azure/keyvault-secrets');
-const { ClientSecretCredential } = require('@azure/identity');
 const HelloWorldWebapp = require('./webapp-framework');
+const { PERMISSIONS } = require('./auth');
+const { HttpError } = require('./router');
+const { createAuditStore, parseAuditQuery, AUDIT_STORE_TYPES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./audit-store');
+const { AuditChain } = require('./audit-chain');
+const { AuditSinks, SINK_TYPES } = require('./audit-sinks');
+const { AccessAnomalyDetector, FINDING_KINDS } = require('./access-anomalies');
+const { ACTIONS } = require('./secret-audit');
+const { ref } = require('./openapi');
+const { dateTime } = require('./api-schemas');
+const { html } = require('./html');
+const { card, statGrid, table, badge, barChart, list } = require('./components');
+
+const AUDIT_STYLES = `
+        .rank-badge { display: inline-block; width: 30px; height: 30px; line-height: 30px; text-align: center; border-radius: 50%; background: #007bff; color: white; font-weight: bold; }
+`;
+
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// What counts towards a secret's access statistics
+const READ_ACTIONS = [ACTIONS.READ, ACTIONS.READ_VERSION, 'REVEAL'];
+// Windows of the access frequency chart
+const FREQUENCY_WINDOWS_MS = {
+    'last-minute': 60 * 1000,
+    'last-5-minutes': 5 * 60 * 1000,
+    'last-hour': HOUR_MS,
+    'last-day': 24 * HOUR_MS
+};
+const RECENT_ENTRIES = 50;
+
+function emptyAccessTotals() {
+    return { seq: 0, total: 0, secrets: {}, recent: [] };
+}
+
+// Counts one entry into the totals; entries come oldest first
+function addToTotals(totals, entry) {
+    totals.total++;
+    if (Number.isInteger(entry.seq) && entry.seq > totals.seq) {
+        totals.seq = entry.seq;
+    }
+    totals.recent.push(entry);
+    if (totals.recent.length > RECENT_ENTRIES) {
+        totals.recent.shift();
+    }
+
+    if (READ_ACTIONS.includes(entry.action) && entry.outcome !== 'failure') {
+        if (!totals.secrets[entry.secretName]) {
+            totals.secrets[entry.secretName] = { name: entry.secretName, accessCount: 0, firstAccess: entry.timestamp };
+        }
+        totals.secrets[entry.secretName].accessCount++;
+        totals.secrets[entry.secretName].lastAccess = entry.timestamp;
+    }
+}
 
 class AuditDashboardWebapp extends HelloWorldWebapp {
     constructor(config) {
-        // Ensure KEYVAULT_URL is set from environment if not in config
-        const configWithKeyVault = {
-            ...config,
-            keyvaultUrl: config.keyvaultUrl || process.env.KEYVAULT_URL || ''
-        };
-        super(configWithKeyVault);
-        
-        // Override KEYVAULT_URL if it's still empty but environment variable exists
-        if (!this.KEYVAULT_URL && process.env.KEYVAULT_URL) {
-            this.KEYVAULT_URL = process.env.KEYVAULT_URL;
-        }
+        super(config);
         
-        this.accessLog = [];
-        this.maxLogEntries = 1000;
-        this.accessStats = {};
+        // The access log outlives restarts unless AUDIT_STORE is memory (see shared/audit-store.js)
+        this.auditStore = config.auditStore || createAuditStore({ logger: this.logger }, this.appConfig.toEnv());
+        // Entries are chained and, with AUDIT_HMAC_KEY_FILE, sealed (see shared/audit-chain.js)
+        this.auditChain = AuditChain.fromEnv({ store: this.auditStore, logger: this.logger }, this.appConfig.toEnv());
+        // Sealed entries are forwarded to the sinks in AUDIT_SINKS (see shared/audit-sinks.js)
+        this.auditSinks = config.auditSinks || AuditSinks.fromEnv({
+            logger: this.logger,
+            appVersion: this.appConfig.get('server.appVersion'),
+            source: { dashboard: this.APP_NAME, namespace: this.appConfig.get('server.namespace') }
+        }, this.appConfig.toEnv());
+        // Unusual access is flagged as entries are written (see shared/access-anomalies.js)
+        this.anomalyDetector = config.anomalyDetector || AccessAnomalyDetector.fromEnv({}, this.appConfig.toEnv());
+        this.anomalyDetector.on('finding', finding => {
+            this.logger.warn('Access anomaly detected', { kind: finding.kind, secret: finding.secret, caller: finding.caller, finding: finding.message });
+            this.events.publish('access-anomaly', finding);
+        });
+        // Live entries wait for the baselines to be learned from the log, so they are seen in order.
+        // Without the log, learning starts from the live entries
+        this.anomaliesReady = this.replayAccessLog().catch(error => {
+            this.logger.error('Unable to replay the audit log for anomaly detection', { store: this.auditStore.type, error: error.message });
+        });
+        // All-time totals and the latest entries, read from the log once and then kept up to date
+        // as entries are written, so pages don't walk the whole log
+        this.accessTotals = emptyAccessTotals();
+        this.accessTotalsReady = this.loadAccessTotals();
         this.startTime = Date.now();
-        
-        // Track secret access
-        this.originalGetSecret = this.getSecretFromKeyVault;
-        this.getSecretFromKeyVault = this.trackSecretAccess.bind(this);
-        
-        // Re-initialize Azure client if needed (in case it wasn't initialized in parent constructor)
-        if (this.secretStrategy === 'azure-api' && !this.keyVaultClient && this.KEYVAULT_URL) {
-            this.initializeAzureKeyVaultClient();
-        }
+
+        // Retention is enforced at startup and then every hour
+        this.pruneAuditStore();
+        this.lifecycle.setInterval(() => this.pruneAuditStore(), RETENTION_CHECK_INTERVAL_MS);
+        this.lifecycle.onShutdown('audit-store', () => this.auditChain.flush().then(() => this.auditStore.close()));
+        // Registered last so it runs first, while the chain can still hand over its last entries
+        this.lifecycle.onShutdown('audit-sinks', () => this.auditChain.flush().then(() => this.auditSinks.close()));
     }
 
-    initializeAzureKeyVaultClient() {
-        const tenantId = process.env.AZURE_TENANT_ID;
-        const clientId = process.env.AZURE_CLIENT_ID;
-        const clientSecret = process.env.AZURE_CLIENT_SECRET;
-        const keyVaultUrl = process.env.KEYVAULT_URL;
+    // Every audit event lands in the access log: reads and writes recorded by the secret
+    // providers (source 'provider') and framework events such as reveals (source 'webapp').
+    // The sinks get it as sealed, chain fields included. Resolves once it has been handed on;
+    // callers don't wait, so nothing here may reject.
+    recordAudit(entry) {
+        super.recordAudit(entry);
+        return this.auditChain.append({ source: 'webapp', ...entry }).then(sealed => {
+            if (sealed) {
+                this.auditSinks.send(sealed);
+                return Promise.all([
+                    this.accessTotalsReady.then(() => this.countAccess(sealed)),
+                    this.anomaliesReady.then(() => this.anomalyDetector.observe(sealed))
+                ]);
+            }
+        }).catch(error => {
+            this.logger.error('Failed to forward audit entry', { action: entry.action, secret: entry.secretName, error: error.message });
+        });
+    }
 
-        if (!tenantId || !clientId || !clientSecret || !keyVaultUrl) {
-            console.error('Missing required Azure credentials for audit dashboard');
+    // Resolves once the totals cover everything in the store; never rejects. If the log can't be
+    // read, counting carries on from the entries written after
+    async loadAccessTotals() {
+        const totals = emptyAccessTotals();
+        try {
+            await this.auditStore.scan({}, entry => addToTotals(totals, entry));
+            this.accessTotals = totals;
+        } catch (error) {
+            this.logger.error('Unable to read the audit log for access statistics', { store: this.auditStore.type, error: error.message });
+        }
+    }
+
+    // A sealed entry, once it is in the store. Entries the last read of the log already saw are skipped
+    countAccess(entry) {
+        if (Number.isInteger(entry.seq) && entry.seq <= this.accessTotals.seq) {
             return;
         }
+        addToTotals(this.accessTotals, entry);
+    }
 
-        const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
-        this.keyVaultClient = new SecretClient(keyVaultUrl, credential);
+    async replayAccessLog() {
+        const entries = await this.anomalyDetector.replay(this.auditStore, { to: new Date().toISOString() });
+        if (entries > 0) {
+            this.logger.info('Access baselines learned from the audit log', { entries });
+        }
     }
 
-    async trackSecretAccess(secretName) {
-        const timestamp = new Date();
-        const logEntry = {
-            timestamp: timestamp.toISOString(),
-            secretName: secretName,
-            action: 'READ',
-            source: 'webapp'
-        };
+    applyConfigChanges(changed) {
+        super.applyConfigChanges(changed);
+        if (changed.includes('anomaly.quietHours')) {
+            this.anomalyDetector.setQuietHours(this.appConfig.get('anomaly.quietHours'));
+        }
+    }
 
-        // Add to log
-        this.accessLog.unshift(logEntry);
-        if (this.accessLog.length > this.maxLogEntries) {
-            this.accessLog.pop();
+    // { findings, total, detector }; waits for entries already written to be looked at
+    async getAnomalies(filters = {}) {
+        await this.auditChain.flush();
+        await this.anomaliesReady;
+        return { ...this.anomalyDetector.query(filters), detector: this.anomalyDetector.describe() };
+    }
+
+    async pruneAuditStore() {
+        try {
+            const removed = await this.auditStore.prune();
+            if (removed > 0) {
+                this.logger.info('Audit entries past retention removed', { store: this.auditStore.type, removed });
+                // The totals still count what was removed
+                this.accessTotalsReady = this.loadAccessTotals();
+            }
+        } catch (error) {
+            this.logger.error('Audit retention failed', { store: this.auditStore.type, error });
         }
+    }
 
-        // Update stats
-        if (!this.accessStats[secretName]) {
-            this.accessStats[secretName] = {
-                name: secretName,
-                accessCount: 0,
-                firstAccess: timestamp,
-                lastAccess: timestamp
+    registerHealthChecks(health) {
+        super.registerHealthChecks(health);
+        // Deep only: reads keep working while the log can't be written, but nobody should rely on it
+        health.register('audit-store', () => {
+            const store = this.auditStore.describe();
+            return { status: store.lastError ? 'warn' : 'pass', message: store.lastError || undefined, ...store };
+        });
+        // Deep only as well: the SIEM missing events is for the SOC to chase, not a reason to restart
+        health.register('audit-sinks', () => {
+            const sinks = this.auditSinks.describe();
+            const failing = sinks.filter(sink => sink.status === 'failing');
+            return {
+                status: failing.length > 0 ? 'warn' : 'pass',
+                message: failing.length > 0 ? failing.map(sink => `${sink.name}: ${sink.lastError}`).join('; ') : undefined,
+                sinks: sinks.length
             };
-        }
-        this.accessStats[secretName].accessCount++;
-        this.accessStats[secretName].lastAccess = timestamp;
+        });
+    }
 
-        // Call original method
-        return this.originalGetSecret.call(this, secretName);
+    // Everything the summary and the page show: the all-time totals and latest entries kept in
+    // memory, and the frequency windows and last two hours from a read of the last day of the log
+    async readAccessLog() {
+        await this.auditChain.flush();
+        await this.accessTotalsReady;
+        const now = Date.now();
+        const log = {
+            total: this.accessTotals.total,
+            recent: [...this.accessTotals.recent].reverse(),
+            accessStats: this.accessTotals.secrets,
+            frequency: Object.fromEntries(Object.entries(FREQUENCY_WINDOWS_MS).map(([period, ms]) => [period, { start: now - ms, count: 0 }])),
+            lastHour: 0,
+            previousHour: 0
+        };
+        const intervals = Object.values(log.frequency);
+        // Store now for use in HTML generation
+        log.frequency._now = now;
+
+        const from = new Date(now - Math.max(...Object.values(FREQUENCY_WINDOWS_MS))).toISOString();
+        await this.auditStore.scan({ from }, entry => {
+            const time = Date.parse(entry.timestamp);
+            intervals.forEach(interval => {
+                if (time >= interval.start) {
+                    interval.count++;
+                }
+            });
+            if (time >= now - HOUR_MS) {
+                log.lastHour++;
+            } else if (time >= now - 2 * HOUR_MS) {
+                log.previousHour++;
+            }
+        });
+        return log;
     }
 
-    getAccessSummary() {
+    async getAccessSummary(log) {
+        log = log || await this.readAccessLog();
         const summary = {
-            totalAccesses: this.accessLog.length,
-            uniqueSecrets: Object.keys(this.accessStats).length,
+            totalAccesses: log.total,
+            uniqueSecrets: Object.keys(log.accessStats).length,
             uptime: Math.floor((Date.now() - this.startTime) / 1000),
-            recentAccesses: this.accessLog.slice(0, 50),
-            topSecrets: Object.values(this.accessStats)
+            recentAccesses: log.recent,
+            topSecrets: Object.values(log.accessStats)
                 .sort((a, b) => b.accessCount - a.accessCount)
                 .slice(0, 10),
-            accessFrequency: this.calculateAccessFrequency()
+            accessFrequency: log.frequency,
+            store: this.auditStore.describe(),
+            chain: this.auditChain.describe(),
+            sinks: this.auditSinks.describe(),
+            anomalies: await this.getAnomalies({ limit: 20 })
         };
         return summary;
     }
 
-    calculateAccessFrequency() {
-        const now = Date.now();
-        const intervals = {
-            'last-minute': { start: now - 60000, count: 0 },
-            'last-5-minutes': { start: now - 300000, count: 0 },
-            'last-hour': { start: now - 3600000, count: 0 },
-            'last-day': { start: now - 86400000, count: 0 }
-        };
-
-        this.accessLog.forEach(entry => {
-            const entryTime = new Date(entry.timestamp).getTime();
-            Object.keys(intervals).forEach(key => {
-                if (entryTime >= intervals[key].start) {
-                    intervals[key].count++;
-                }
-            });
+    // Entries past retention may have been pruned, the newest one included
+    async verifyAuditLog() {
+        const { retentionMs } = this.auditStore;
+        const result = await this.auditChain.verify({
+            retainedSince: retentionMs ? new Date(Date.now() - retentionMs).toISOString() : null
         });
-
-        // Store now for use in HTML generation
-        intervals._now = now;
-        return intervals;
+        if (!result.valid) {
+            this.logger.warn('Audit log verification failed', { problems: result.problemCount, first: result.problems[0] });
+        }
+        return { ...result, store: this.auditStore.type, verifiedAt: new Date().toISOString() };
     }
 
-    calculateAccessTrends() {
-        if (this.accessLog.length < 2) return null;
-        
-        const now = Date.now();
-        const hourAgo = now - 3600000;
-        const recentAccesses = this.accessLog.filter(e => new Date(e.timestamp).getTime() >= hourAgo);
-        const olderAccesses = this.accessLog.filter(e => new Date(e.timestamp).getTime() < hourAgo);
-        
-        const recentRate = recentAccesses.length / 60; // accesses per minute
-        const olderRate = olderAccesses.length > 0 ? olderAccesses.length / (Math.max((now - new Date(olderAccesses[0].timestamp).getTime()) / 60000, 1)) : 0;
-        
+    // The last hour against the hour before it
+    calculateAccessTrends(log) {
+        const recentCount = log.lastHour;
+        const previousCount = log.previousHour;
+        if (recentCount + previousCount < 2) return null;
+
+        const recentRate = recentCount / 60; // accesses per minute
+        const olderRate = previousCount / 60;
+
         return {
             currentRate: recentRate.toFixed(2),
             previousRate: olderRate.toFixed(2),
             trend: recentRate > olderRate ? 'increasing' : recentRate < olderRate ? 'decreasing' : 'stable',
-            recentCount: recentAccesses.length
+            recentCount
         };
     }
 
-    getHTMLWithAuditData(summary) {
-        const trends = this.calculateAccessTrends();
+    getHTMLWithAuditData(summary, trends, accessStats) {
         const avgAccessPerSecret = summary.uniqueSecrets > 0 ? (summary.totalAccesses / summary.uniqueSecrets).toFixed(1) : 0;
         const mostActiveSecret = summary.topSecrets.length > 0 ? summary.topSecrets[0] : null;
-        const inactiveSecrets = Object.keys(this.accessStats).filter(name => {
-            const stat = this.accessStats[name];
-            const daysSinceAccess = Math.floor((Date.now() - new Date(stat.lastAccess).getTime()) / (1000 * 60 * 60 * 24));
-            return daysSinceAccess > 90;
-        });
+        const daysSince = time => Math.floor((Date.now() - new Date(time).getTime()) / (1000 * 60 * 60 * 24));
+        const inactiveSecrets = Object.keys(accessStats).filter(name => daysSince(accessStats[name].lastAccess) > 90);
+
+        const now = summary.accessFrequency._now || Date.now();
+        const frequencyBars = Object.entries(summary.accessFrequency)
+            .filter(([period, data]) => period !== '_now' && typeof data === 'object')
+            .map(([period, data]) => ({
+                label: period.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+                value: data.count,
+                text: `${data.count} accesses`,
+                note: period !== 'last-day' && data.count > 0 ? `~${(data.count / ((now - data.start) / 60000)).toFixed(1)}/min` : ''
+            }));
+
+        const activityOf = stat => {
+            const hoursSinceLast = Math.floor((Date.now() - new Date(stat.lastAccess).getTime()) / (1000 * 60 * 60));
+            if (hoursSinceLast > 168) { // 7 days
+                return badge('inactive', 'danger');
+            }
+            return hoursSinceLast > 24 ? badge('recent', 'warning') : badge('active', 'success');
+        };
+        const { anomalies } = summary;
+        const kindVariant = { spike: 'warning', 'new-caller': 'info', 'quiet-hours': 'warning', burst: 'danger' };
 
-        return `
-        <div class="container">
+        return html`
             <h2>Secret Access Audit & Analytics Dashboard</h2>
-            
-            <div class="stats-grid">
-                <div class="stat-card primary">
-                    <div class="stat-value">${summary.totalAccesses}</div>
-                    <div class="stat-label">Total Accesses</div>
-                    ${trends ? `<div class="stat-trend ${trends.trend}">${trends.trend === 'increasing' ? '[UP]' : trends.trend === 'decreasing' ? '[DOWN]' : '[STABLE]'} ${trends.currentRate}/min</div>` : ''}
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${summary.uniqueSecrets}</div>
-                    <div class="stat-label">Unique Secrets</div>
-                    <div class="stat-subtext">${avgAccessPerSecret} avg per secret</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${this.formatUptime(summary.uptime)}</div>
-                    <div class="stat-label">Uptime</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${mostActiveSecret ? mostActiveSecret.accessCount : 0}</div>
-                    <div class="stat-label">Most Active Secret</div>
-                    ${mostActiveSecret ? `<div class="stat-subtext">${mostActiveSecret.name}</div>` : ''}
-                </div>
-            </div>
-
-            ${inactiveSecrets.length > 0 ? `
-            <div class="alert-box warning">
-                <h3>[!] Inactive Secrets Detected</h3>
+
+            ${statGrid([
+                {
+                    value: summary.totalAccesses,
+                    label: 'Total Accesses',
+                    variant: 'primary',
+                    subtext: trends && `${trends.trend === 'increasing' ? '[UP]' : trends.trend === 'decreasing' ? '[DOWN]' : '[STABLE]'} ${trends.currentRate}/min`
+                },
+                { value: summary.uniqueSecrets, label: 'Unique Secrets', subtext: `${avgAccessPerSecret} avg per secret` },
+                { value: this.formatUptime(summary.uptime), label: 'Uptime' },
+                { value: mostActiveSecret ? mostActiveSecret.accessCount : 0, label: 'Most Active Secret', subtext: mostActiveSecret && mostActiveSecret.name }
+            ])}
+
+            ${inactiveSecrets.length > 0 && card({ title: '[!] Inactive Secrets Detected', variant: 'warning' }, html`
                 <p>The following secrets haven't been accessed in 90+ days and may be candidates for cleanup or review:</p>
-                <ul class="secret-list">
-                    ${inactiveSecrets.slice(0, 10).map(name => {
-                        const stat = this.accessStats[name];
-                        const daysSince = Math.floor((Date.now() - new Date(stat.lastAccess).getTime()) / (1000 * 60 * 60 * 24));
-                        return `<li><strong>${name}</strong> - Last accessed ${daysSince} days ago (${stat.accessCount} total accesses)</li>`;
-                    }).join('')}
-                    ${inactiveSecrets.length > 10 ? `<li><em>... and ${inactiveSecrets.length - 10} more</em></li>` : ''}
-                </ul>
-            </div>
-            ` : ''}
+                ${list([
+                    ...inactiveSecrets.slice(0, 10).map(name => {
+                        const stat = accessStats[name];
+                        return html`<strong>${name}</strong> - Last accessed ${daysSince(stat.lastAccess)} days ago (${stat.accessCount} total accesses)`;
+                    }),
+                    ...(inactiveSecrets.length > 10 ? [html`<em>... and ${inactiveSecrets.length - 10} more</em>`] : [])
+                ])}`)}
+
+            ${(anomalies.total > 0 || anomalies.detector.learning) && card({ title: '[!] Access Anomalies', variant: anomalies.total > 0 ? 'danger' : 'info' }, html`
+                ${anomalies.detector.learning && html`<p>Still learning what usual access looks like (${anomalies.detector.learningDays} days from the first access); spikes and new callers are reported after that.</p>`}
+                ${anomalies.total > 0 && table({
+                    columns: ['Time', 'Kind', 'Secret', 'Caller', 'Finding'],
+                    rows: anomalies.findings.map(finding => [
+                        new Date(finding.time).toLocaleString(),
+                        badge(finding.kind, kindVariant[finding.kind]),
+                        finding.secret ? html`<strong>${finding.secret}</strong>` : '-',
+                        finding.caller || '-',
+                        finding.message
+                    ])
+                })}
+                ${anomalies.total > anomalies.findings.length && html`<p><em>${anomalies.total - anomalies.findings.length} older findings at /api/audit/anomalies</em></p>`}`)}
 
             <h3>Access Frequency Analysis</h3>
-            <div class="frequency-bars">
-                ${Object.entries(summary.accessFrequency).filter(([key]) => key !== '_now').map(([period, data]) => {
-                    const maxCount = Math.max(...Object.values(summary.accessFrequency).filter((_, k) => k !== '_now').map(d => typeof d === 'object' && d.count || 0), 1);
-                    const percentage = maxCount > 0 && typeof data === 'object' && data.count ? (data.count / maxCount) * 100 : 0;
-                    const now = summary.accessFrequency._now || Date.now();
-                    return `
-                <div class="frequency-item">
-                    <div class="frequency-label">${period.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</div>
-                    <div class="frequency-bar-container">
-                        <div class="frequency-bar" style="width: ${percentage}%"></div>
-                    </div>
-                    <div class="frequency-count">${typeof data === 'object' ? data.count : 0} accesses</div>
-                    ${period !== 'last-day' && typeof data === 'object' && data.count > 0 ? `<div class="frequency-rate">~${(data.count / ((now - data.start) / 60000)).toFixed(1)}/min</div>` : ''}
-                </div>
-                `;
-                }).join('')}
-            </div>
-            
-            ${trends ? `
-            <div class="insight-box">
-                <h4>[*] Access Trend Analysis</h4>
-                <p>Access rate is <strong>${trends.trend}</strong> compared to historical data.</p>
-                <ul>
-                    <li>Current rate: ${trends.currentRate} accesses/minute</li>
-                    <li>Previous rate: ${trends.previousRate} accesses/minute</li>
-                    <li>Recent activity: ${trends.recentCount} accesses in the last hour</li>
-                </ul>
-            </div>
-            ` : ''}
+            ${barChart(frequencyBars)}
+
+            ${trends && card({ title: '[*] Access Trend Analysis', variant: 'info' }, html`
+                <p>Access rate is <strong>${trends.trend}</strong> compared to the hour before.</p>
+                ${list([
+                    `Current rate: ${trends.currentRate} accesses/minute`,
+                    `Previous hour: ${trends.previousRate} accesses/minute`,
+                    `Recent activity: ${trends.recentCount} accesses in the last hour`
+                ])}`)}
 
             <h3>Most Accessed Secrets (Top 10)</h3>
-            <table class="secrets-table">
-                <thead>
-                    <tr>
-                        <th>Rank</th>
-                        <th>Secret Name</th>
-                        <th>Access Count</th>
-                        <th>Access Frequency</th>
-                        <th>First Access</th>
-                        <th>Last Access</th>
-                        <th>Activity</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${summary.topSecrets.map((stat, index) => {
-                        const daysSinceFirst = Math.floor((Date.now() - new Date(stat.firstAccess).getTime()) / (1000 * 60 * 60 * 24));
-                        const avgPerDay = daysSinceFirst > 0 ? (stat.accessCount / daysSinceFirst).toFixed(2) : stat.accessCount.toFixed(2);
-                        const hoursSinceLast = Math.floor((Date.now() - new Date(stat.lastAccess).getTime()) / (1000 * 60 * 60));
-                        let activity = 'active';
-                        let activityClass = 'success';
-                        if (hoursSinceLast > 168) { // 7 days
-                            activity = 'inactive';
-                            activityClass = 'danger';
-                        } else if (hoursSinceLast > 24) {
-                            activity = 'recent';
-                            activityClass = 'warning';
-                        }
-                        return `
-                    <tr>
-                        <td><span class="rank-badge">${index + 1}</span></td>
-                        <td><strong>${stat.name}</strong></td>
-                        <td><span class="badge badge-primary">${stat.accessCount}</span></td>
-                        <td>${avgPerDay} per day</td>
-                        <td>${new Date(stat.firstAccess).toLocaleDateString()}</td>
-                        <td>${new Date(stat.lastAccess).toLocaleString()}</td>
-                        <td><span class="badge badge-${activityClass}">${activity}</span></td>
-                    </tr>
-                    `;
-                    }).join('')}
-                </tbody>
-            </table>
+            ${table({
+                columns: ['Rank', 'Secret Name', 'Access Count', 'Access Frequency', 'First Access', 'Last Access', 'Activity'],
+                rows: summary.topSecrets.map((stat, index) => {
+                    const daysSinceFirst = daysSince(stat.firstAccess);
+                    const avgPerDay = daysSinceFirst > 0 ? (stat.accessCount / daysSinceFirst).toFixed(2) : stat.accessCount.toFixed(2);
+                    return [
+                        html`<span class="rank-badge">${index + 1}</span>`,
+                        html`<strong>${stat.name}</strong>`,
+                        badge(stat.accessCount, 'primary'),
+                        `${avgPerDay} per day`,
+                        new Date(stat.firstAccess).toLocaleDateString(),
+                        new Date(stat.lastAccess).toLocaleString(),
+                        activityOf(stat)
+                    ];
+                }),
+                empty: 'No secrets accessed yet'
+            })}
 
             <h3>Recent Access Log</h3>
-            <table class="secrets-table">
-                <thead>
-                    <tr>
-                        <th>Timestamp</th>
-                        <th>Secret Name</th>
-                        <th>Action</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${summary.recentAccesses.map(entry => `
-                    <tr>
-                        <td>${new Date(entry.timestamp).toLocaleString()}</td>
-                        <td><strong>${entry.secretName}</strong></td>
-                        <td><span class="badge badge-info">${entry.action}</span></td>
-                    </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-            
-            <style>
-                .stats-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                    gap: 20px;
-                    margin: 20px 0;
-                }
-                .stat-card {
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    text-align: center;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .stat-card.primary {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
-                }
-                .stat-value {
-                    font-size: 2.5em;
-                    font-weight: bold;
-                    color: #007bff;
-                }
-                .stat-card.primary .stat-value {
-                    color: white;
-                }
-                .stat-label {
-                    margin-top: 10px;
-                    color: #6c757d;
-                }
-                .stat-card.primary .stat-label {
-                    color: rgba(255, 255, 255, 0.9);
-                }
-                .stat-subtext {
-                    font-size: 0.85em;
-                    color: #6c757d;
-                    margin-top: 5px;
-                }
-                .stat-card.primary .stat-subtext {
-                    color: rgba(255, 255, 255, 0.8);
-                }
-                .stat-trend {
-                    font-size: 0.9em;
-                    margin-top: 8px;
-                    font-weight: 500;
-                }
-                .stat-trend.increasing { color: #28a745; }
-                .stat-trend.decreasing { color: #dc3545; }
-                .stat-trend.stable { color: #6c757d; }
-                .stat-card.primary .stat-trend { color: rgba(255, 255, 255, 0.9); }
-                .rank-badge {
-                    display: inline-block;
-                    width: 30px;
-                    height: 30px;
-                    line-height: 30px;
-                    text-align: center;
-                    border-radius: 50%;
-                    background: #007bff;
-                    color: white;
-                    font-weight: bold;
-                }
-                .badge-primary { background: #007bff; color: white; }
-                .insight-box {
-                    background: #e7f3ff;
-                    border-left: 4px solid #007bff;
-                    padding: 15px;
-                    border-radius: 4px;
-                    margin: 20px 0;
-                }
-                .insight-box h4 {
-                    margin-top: 0;
-                    color: #0056b3;
-                }
-                .insight-box ul {
-                    margin: 10px 0;
-                    padding-left: 20px;
+            ${table({
+                columns: ['Timestamp', 'Secret Name', 'Action'],
+                rows: summary.recentAccesses.map(entry => [
+                    new Date(entry.timestamp).toLocaleString(),
+                    html`<strong>${entry.secretName}</strong>`,
+                    badge(entry.action, 'info')
+                ]),
+                empty: 'No accesses recorded yet'
+            })}
+
+            ${summary.sinks.length > 0 && html`
+                <h3>Audit Forwarding</h3>
+                ${table({
+                    columns: ['Sink', 'Target', 'Status', 'Sent', 'Failed', 'Dropped', 'Last Error'],
+                    rows: summary.sinks.map(sink => [
+                        html`<strong>${sink.name}</strong> (${sink.format})`,
+                        sink.target,
+                        badge(sink.status, sink.status === 'failing' ? 'danger' : sink.status === 'ok' ? 'success' : 'info'),
+                        sink.sent,
+                        sink.failed,
+                        sink.dropped,
+                        sink.lastError || '-'
+                    ])
+                })}`}
+        `;
+    }
+
+    formatUptime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        return `${hours}h ${minutes}m ${secs}s`;
+    }
+
+    apiSchemas() {
+        const frequency = { type: 'object', required: ['start', 'count'], properties: { start: { type: 'integer' }, count: { type: 'integer' } } };
+        return {
+            ...super.apiSchemas(),
+            // Provider reads and writes and framework events such as reveals, with the caller behind them
+            AccessLogEntry: {
+                type: 'object',
+                required: ['timestamp', 'secretName', 'action'],
+                properties: {
+                    timestamp: dateTime,
+                    secretName: { type: 'string' },
+                    action: { type: 'string' },
+                    source: { type: 'string' },
+                    provider: { type: 'string', description: 'csi, environment or azure-api, for source provider' },
+                    vault: { type: 'string' },
+                    version: { type: ['string', 'null'] },
+                    outcome: { enum: ['success', 'failure'] },
+                    error: { type: 'string' },
+                    requestId: { type: 'string' },
+                    remoteAddress: { type: 'string' },
+                    userAgent: { type: 'string' },
+                    user: { type: 'string' },
+                    role: { type: 'string' },
+                    background: { const: true, description: 'Not triggered by a request, e.g. a refresh or a poll' },
+                    seq: { type: 'integer', description: 'Position in the audit chain, from 1' },
+                    prevHash: { type: 'string', description: 'hash of the entry before' },
+                    hash: { type: 'string', description: 'SHA-256 of the entry without hash, keyId and hmac' },
+                    keyId: { type: 'string' },
+                    hmac: { type: 'string', description: 'HMAC-SHA256 of hash under the AUDIT_HMAC_KEY_FILE key' }
                 }
-                .alert-box {
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 20px 0;
-                    background: #fff3cd;
-                    border-left: 4px solid #ffc107;
+            },
+            AccessLogPage: {
+                type: 'object',
+                required: ['entries', 'total', 'limit', 'offset', 'nextOffset'],
+                properties: {
+                    entries: { type: 'array', items: ref('AccessLogEntry') },
+                    total: { type: 'integer', description: 'Matching entries in the store' },
+                    limit: { type: 'integer' },
+                    offset: { type: 'integer' },
+                    nextOffset: { type: ['integer', 'null'], description: 'offset of the next page; null on the last one' }
                 }
-                .alert-box h3 {
-                    margin-top: 0;
+            },
+            AuditStore: {
+                type: 'object',
+                required: ['type', 'retentionDays'],
+                properties: {
+                    type: { enum: AUDIT_STORE_TYPES },
+                    path: { type: 'string' },
+                    entries: { type: 'integer' },
+                    files: { type: 'integer' },
+                    retentionDays: { type: 'number', description: '0 keeps everything' },
+                    lastError: { type: ['string', 'null'] }
                 }
-                .secret-list {
-                    margin: 10px 0;
-                    padding-left: 20px;
+            },
+            AuditChain: {
+                type: 'object',
+                required: ['seq', 'headHash', 'keyed', 'keyId'],
+                properties: {
+                    seq: { type: 'integer', description: 'Sequence number of the last entry written' },
+                    headHash: { type: 'string' },
+                    keyed: { type: 'boolean', description: 'false without AUDIT_HMAC_KEY_FILE: entries are hashed but not sealed' },
+                    keyId: { type: ['string', 'null'] }
                 }
-                .secret-list li {
-                    margin: 8px 0;
+            },
+            AuditSink: {
+                type: 'object',
+                required: ['name', 'type', 'target', 'status', 'sent', 'failed', 'dropped', 'queued'],
+                properties: {
+                    name: { type: 'string' },
+                    type: { enum: SINK_TYPES },
+                    target: { type: 'string', description: 'udp://host:port, tcp://host:port or the webhook URL' },
+                    format: { enum: ['rfc5424', 'cef', 'json'] },
+                    filter: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+                    status: { enum: ['idle', 'ok', 'failing'], description: 'failing until something is delivered after the last error' },
+                    sent: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    dropped: { type: 'integer', description: 'Entries given up on without a dead-letter file' },
+                    queued: { type: 'integer' },
+                    lastSentAt: { type: ['string', 'null'] },
+                    lastError: { type: ['string', 'null'] },
+                    lastErrorAt: { type: ['string', 'null'] },
+                    retries: { type: 'integer' },
+                    deadLettered: { type: 'integer' },
+                    deadLetterPath: { type: ['string', 'null'] }
                 }
-                .frequency-bars {
-                    margin: 20px 0;
+            },
+            AuditVerification: {
+                type: 'object',
+                required: ['valid', 'keyed', 'entries', 'unchained', 'firstSeq', 'lastSeq', 'truncated', 'problemCount', 'problems'],
+                properties: {
+                    valid: { type: 'boolean' },
+                    keyed: { type: 'boolean', description: 'Whether the HMACs were checked' },
+                    keyId: { type: ['string', 'null'] },
+                    entries: { type: 'integer' },
+                    unchained: { type: 'integer', description: 'Entries written before the chain was started' },
+                    firstSeq: { type: ['integer', 'null'] },
+                    lastSeq: { type: ['integer', 'null'] },
+                    headHash: { type: ['string', 'null'] },
+                    truncated: { type: 'boolean', description: 'The oldest entries were removed by retention' },
+                    problemCount: { type: 'integer' },
+                    problems: {
+                        type: 'array',
+                        description: 'The first 100 problems',
+                        items: {
+                            type: 'object',
+                            required: ['kind', 'seq', 'message'],
+                            properties: {
+                                kind: { enum: ['modified', 'signature', 'unsigned', 'unknown-key', 'gap', 'link', 'order', 'unchained', 'missing-tail', 'bundle-signature'] },
+                                seq: { type: ['integer', 'null'] },
+                                message: { type: 'string' }
+                            }
+                        }
+                    },
+                    store: { enum: AUDIT_STORE_TYPES },
+                    verifiedAt: dateTime
                 }
-                .frequency-item {
-                    display: flex;
-                    align-items: center;
-                    margin: 10px 0;
-                    gap: 15px;
+            },
+            AuditBundle: {
+                type: 'object',
+                required: ['format', 'version', 'exportedAt', 'keyId', 'firstSeq', 'lastSeq', 'headHash', 'entries', 'signature'],
+                properties: {
+                    format: { const: 'audit-export' },
+                    version: { const: 1 },
+                    exportedAt: dateTime,
+                    source: { type: 'object', properties: { dashboard: { type: 'string' }, namespace: { type: 'string' } } },
+                    range: { type: 'object', properties: { from: dateTime, to: dateTime } },
+                    keyId: { type: 'string' },
+                    firstSeq: { type: ['integer', 'null'] },
+                    lastSeq: { type: ['integer', 'null'] },
+                    headHash: { type: ['string', 'null'] },
+                    entries: { type: 'array', items: ref('AccessLogEntry') },
+                    signature: { type: 'string', description: 'HMAC-SHA256 of the rest of the bundle as canonical JSON' }
                 }
-                .frequency-label {
-                    min-width: 150px;
-                    text-transform: capitalize;
+            },
+            AnomalyFinding: {
+                type: 'object',
+                required: ['id', 'kind', 'time', 'detectedAt', 'secret', 'caller', 'message', 'details'],
+                properties: {
+                    id: { type: 'integer' },
+                    kind: { enum: FINDING_KINDS },
+                    time: dateTime,
+                    detectedAt: dateTime,
+                    secret: { type: ['string', 'null'], description: 'null for a burst; details.secrets lists them' },
+                    caller: { type: ['string', 'null'], description: 'The user, else the remote address' },
+                    message: { type: 'string' },
+                    details: { type: 'object' },
+                    seq: { type: 'integer', description: 'The audit entry that caused it' },
+                    requestId: { type: 'string' }
                 }
-                .frequency-bar-container {
-                    flex: 1;
-                    height: 20px;
-                    background: #e9ecef;
-                    border-radius: 10px;
-                    overflow: hidden;
+            },
+            AnomalyReport: {
+                type: 'object',
+                required: ['findings', 'total', 'detector'],
+                properties: {
+                    findings: { type: 'array', items: ref('AnomalyFinding') },
+                    total: { type: 'integer', description: 'Matching findings kept in memory' },
+                    detector: {
+                        type: 'object',
+                        required: ['learning', 'learningSince', 'learningDays', 'timezone', 'quietHours', 'thresholds', 'secrets', 'findings'],
+                        properties: {
+                            learning: { type: 'boolean', description: 'Spikes and new callers are not reported yet' },
+                            learningSince: { type: ['string', 'null'] },
+                            learningDays: { type: 'integer' },
+                            timezone: { type: 'string' },
+                            quietHours: { type: 'array', items: { type: 'string' } },
+                            thresholds: {
+                                type: 'object',
+                                properties: {
+                                    spikeFactor: { type: 'number' },
+                                    spikeMinCount: { type: 'integer' },
+                                    burstSecrets: { type: 'integer' },
+                                    burstWindowMs: { type: 'integer' }
+                                }
+                            },
+                            secrets: { type: 'integer', description: 'Secrets with a baseline' },
+                            findings: { type: 'integer' }
+                        }
+                    }
                 }
-                .frequency-bar {
-                    height: 100%;
-                    background: linear-gradient(90deg, #007bff, #0056b3);
-                    transition: width 0.3s;
+            },
+            AccessBaseline: {
+                type: 'object',
+                required: ['secret', 'timezone', 'days', 'byHourOfWeek', 'byHourOfDay', 'samples'],
+                properties: {
+                    secret: { type: 'string' },
+                    timezone: { type: 'string' },
+                    days: { type: 'array', items: { type: 'string' } },
+                    byHourOfWeek: {
+                        type: 'array',
+                        description: 'Mean accesses per hour, a row of 24 per day; null without samples',
+                        items: { type: 'array', items: { type: ['number', 'null'] } }
+                    },
+                    byHourOfDay: { type: 'array', items: { type: ['number', 'null'] } },
+                    samples: { type: 'integer', description: 'Hours learned from' }
                 }
-                .frequency-count {
-                    min-width: 100px;
-                    text-align: right;
+            },
+            AuditSummary: {
+                type: 'object',
+                required: ['totalAccesses', 'uniqueSecrets', 'uptime', 'recentAccesses', 'topSecrets', 'accessFrequency'],
+                properties: {
+                    totalAccesses: { type: 'integer' },
+                    uniqueSecrets: { type: 'integer' },
+                    uptime: { type: 'integer', description: 'Seconds' },
+                    recentAccesses: { type: 'array', items: ref('AccessLogEntry') },
+                    topSecrets: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'accessCount', 'firstAccess', 'lastAccess'],
+                            properties: { name: { type: 'string' }, accessCount: { type: 'integer' }, firstAccess: dateTime, lastAccess: dateTime }
+                        }
+                    },
+                    accessFrequency: {
+                        type: 'object',
+                        description: 'Accesses per window; start is in epoch milliseconds',
+                        properties: {
+                            'last-minute': frequency,
+                            'last-5-minutes': frequency,
+                            'last-hour': frequency,
+                            'last-day': frequency,
+                            _now: { type: 'integer' }
+                        }
+                    },
+                    store: ref('AuditStore'),
+                    chain: ref('AuditChain'),
+                    sinks: { type: 'array', items: ref('AuditSink') },
+                    anomalies: ref('AnomalyReport')
                 }
-            </style>
-        </div>
-        `;
+            },
+            AccessResult: {
+                type: 'object',
+                required: ['success', 'message', 'timestamp'],
+                properties: { success: { const: true }, message: { type: 'string' }, timestamp: dateTime }
+            }
+        };
     }
 
-    formatUptime(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
-        return `${hours}h ${minutes}m ${secs}s`;
-    }
+    registerRoutes(router) {
+        super.registerRoutes(router);
 
-    async handleRequest(req, res) {
-        const parsedUrl = url.parse(req.url, true);
-        const pathname = parsedUrl.pathname;
+        router.get('/api/audit', { summary: 'Access statistics and the latest accesses', response: ref('AuditSummary') }, () => this.getAccessSummary());
 
-        if (pathname === '/api/audit') {
-            const summary = this.getAccessSummary();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(summary));
-            return;
-        }
+        // e.g. /api/logs?secret=database-password&from=2026-10-12&to=2026-10-19
+        router.get('/api/logs', {
+            summary: 'The access log, most recent first, a page at a time',
+            query: {
+                from: 'Entries at or after this ISO 8601 date or time',
+                to: 'Entries before this ISO 8601 date or time',
+                secret: 'Only this secret',
+                action: 'Only this action, e.g. READ or REVEAL',
+                source: 'Only entries from this source, e.g. webapp',
+                limit: `Entries per page, 1 to ${MAX_PAGE_SIZE} (default ${DEFAULT_PAGE_SIZE})`,
+                offset: 'Matching entries to skip'
+            },
+            response: ref('AccessLogPage')
+        }, async (req) => {
+            let filters;
+            try {
+                filters = parseAuditQuery(req.query);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+            await this.auditChain.flush();
+            const { entries, total } = await this.auditStore.query(filters);
+            const next = filters.offset + entries.length;
+            return { entries, total, limit: filters.limit, offset: filters.offset, nextOffset: next < total ? next : null };
+        });
 
-        if (pathname === '/api/logs') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(this.accessLog));
-            return;
-        }
+        // Both walk the whole log, and an export is a copy of it to take away, so viewers can't
+        router.get('/api/audit/verify', {
+            permission: PERMISSIONS.OPERATE,
+            summary: 'Walk the audit chain and report gaps and modified entries',
+            response: ref('AuditVerification')
+        }, () => this.verifyAuditLog());
 
-        // Trigger a secret access to demonstrate audit logging
-        if (pathname.startsWith('/api/access/')) {
-            const secretName = decodeURIComponent(pathname.replace('/api/access/', ''));
+        // e.g. curl -o audit-export.json '.../api/audit/export?from=2026-10-01&to=2026-11-01'
+        router.get('/api/audit/export', {
+            permission: PERMISSIONS.OPERATE,
+            summary: 'A signed bundle of the audit log, to verify offline with shared/audit-verify.js',
+            query: {
+                from: 'From the first entry at or after this ISO 8601 date or time',
+                to: 'To the last entry before this ISO 8601 date or time'
+            },
+            response: ref('AuditBundle')
+        }, async (req, res) => {
+            let range;
             try {
-                await this.trackSecretAccess(secretName);
-                const secret = await this.getSecretFromKeyVault(secretName);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: true, 
-                    message: `Accessed secret: ${secretName}`,
-                    timestamp: new Date().toISOString()
-                }));
-                return;
+                const { from, to } = parseAuditQuery({ from: req.query.from, to: req.query.to });
+                range = { from, to };
             } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, error: error.message }));
-                return;
+                throw new HttpError(400, error.message);
             }
-        }
+            if (!this.auditChain.key) {
+                throw new HttpError(503, 'Export bundles are signed with the key in AUDIT_HMAC_KEY_FILE, which is not set');
+            }
+            const bundle = await this.auditChain.exportBundle(range, {
+                source: { dashboard: this.APP_NAME, namespace: this.appConfig.get('server.namespace') }
+            });
+            this.logger.info('Audit log exported', { entries: bundle.entries.length, firstSeq: bundle.firstSeq, lastSeq: bundle.lastSeq, user: req.user && req.user.name });
+            res.setHeader('Content-Disposition', `attachment; filename="audit-export-${bundle.exportedAt.replace(/[-:.]/g, '')}.json"`);
+            return bundle;
+        });
 
-        // Default HTML response
-        const secrets = await this.getSecrets();
-        const summary = this.getAccessSummary();
-        const baseHTML = this.getBaseHTML();
-        const auditHTML = this.getHTMLWithAuditData(summary);
-        
-        // Insert the audit dashboard content before the error container
-        const fullHTML = baseHTML.replace(
-            '<div id="error-container" style="display: none;"></div>',
-            auditHTML + '\n        <div id="error-container" style="display: none;"></div>'
-        );
-
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(fullHTML);
+        // e.g. /api/audit/anomalies?kind=burst&since=2026-10-19
+        router.get('/api/audit/anomalies', {
+            summary: 'Unusual access found in the audit log, most recent first',
+            query: {
+                kind: `Only this kind: ${FINDING_KINDS.join(', ')}`,
+                secret: 'Only findings about this secret',
+                since: 'Findings for accesses at or after this ISO 8601 date or time',
+                limit: 'At most this many findings'
+            },
+            response: ref('AnomalyReport')
+        }, (req) => {
+            const { kind, secret, since, limit } = req.query;
+            if (kind && !FINDING_KINDS.includes(kind)) {
+                throw new HttpError(400, `kind must be one of ${FINDING_KINDS.join(', ')}`);
+            }
+            if (since && Number.isNaN(Date.parse(since))) {
+                throw new HttpError(400, `since '${since}' is not an ISO 8601 date or time`);
+            }
+            if (limit && !/^[1-9]\d*$/.test(limit)) {
+                throw new HttpError(400, 'limit must be a positive integer');
+            }
+            return this.getAnomalies({
+                kind,
+                secret,
+                since: since && new Date(since).toISOString(),
+                limit: limit && parseInt(limit, 10)
+            });
+        });
+
+        router.get('/api/audit/anomalies/baseline/:name', {
+            summary: "A secret's learned accesses per hour, by hour of the week and of the day",
+            response: ref('AccessBaseline')
+        }, async (req) => {
+            await this.auditChain.flush();
+            await this.anomaliesReady;
+            const baseline = this.anomalyDetector.baselineOf(req.params.name);
+            if (!baseline) {
+                throw new HttpError(404, `No accesses to ${req.params.name} in the audit log`);
+            }
+            return baseline;
+        });
+
+        // Trigger a secret access to demonstrate audit logging
+        router.get('/api/access/:name', {
+            permission: PERMISSIONS.READ_SECRETS,
+            summary: 'Read a secret, to see the access in the audit log',
+            response: ref('AccessResult')
+        }, async (req) => {
+            const secretName = req.params.name;
+            // Recorded by the provider, with the caller
+            await this.secretProvider.get(secretName);
+            return {
+                success: true,
+                message: `Accessed secret: ${secretName}`,
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        router.get('/', this.htmlRoute(async () => {
+            const secrets = await this.getSecrets();
+            const log = await this.readAccessLog();
+            const summary = await this.getAccessSummary(log);
+            return this.renderPage({
+                wide: true,
+                main: this.getHTMLWithAuditData(summary, this.calculateAccessTrends(log), log.accessStats),
+                styles: AUDIT_STYLES
+            });
+        }));
     }
 }
 
-const app = new AuditDashboardWebapp({
-    appName: 'Hello World - Secret Audit Dashboard',
-    method: 'Secret Audit Dashboard',
-    secretStrategy: 'azure-api'
-});
+module.exports = AuditDashboardWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new AuditDashboardWebapp({
+        appName: 'Hello World - Secret Audit Dashboard',
+        method: 'Secret Audit Dashboard',
+        secretStrategy: 'azure-api'
+    });
 
+    app.start();
+}
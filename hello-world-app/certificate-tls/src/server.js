@@ -2,13 +2,26 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const HelloWorldWebapp = require('./webapp-framework');
+const { ACTIONS } = require('./secret-audit');
+const { ref } = require('./openapi');
+const { stringMap } = require('./api-schemas');
+const { html } = require('./html');
+const { card, grid, statTile, statGrid, badge, fields, list } = require('./components');
+
+const CERTIFICATE_STYLES = `
+        .certificate-section { background: #fff; padding: 30px; margin: 20px 0; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .date-value { font-weight: 500; }
+        .date-value.text-danger, .date-value.text-warning { font-weight: bold; }
+`;
 
 class CertificateTLSWebapp extends HelloWorldWebapp {
     constructor(config) {
         super(config);
-        this.certPath = config.certPath || '/etc/secrets/ssl-cert';
-        this.keyPath = config.keyPath || '/etc/secrets/ssl-key';
+        // CERT_PATH and KEY_PATH
+        this.certPath = config.certPath || this.appConfig.get('tls.certPath');
+        this.keyPath = config.keyPath || this.appConfig.get('tls.keyPath');
         this.certificate = null;
         this.privateKey = null;
         this.server = null;
@@ -19,14 +32,16 @@ class CertificateTLSWebapp extends HelloWorldWebapp {
             // Try to load certificate and key from CSI mount
             if (fs.existsSync(this.certPath)) {
                 this.certificate = fs.readFileSync(this.certPath, 'utf8');
-                console.log(`Certificate loaded from: ${this.certPath}`);
+                this.logger.info('Certificate loaded', { path: this.certPath });
             } else {
                 throw new Error(`Certificate not found at: ${this.certPath}`);
             }
 
             if (fs.existsSync(this.keyPath)) {
                 this.privateKey = fs.readFileSync(this.keyPath, 'utf8');
-                console.log(`Private key loaded from: ${this.keyPath}`);
+                this.logger.addSecretValue('tls-private-key', this.privateKey);
+                this.recordSecretAccess({ action: ACTIONS.READ, secretName: 'tls-private-key', provider: 'csi', path: this.keyPath, outcome: 'success' });
+                this.logger.info('Private key loaded', { path: this.keyPath });
             } else {
                 throw new Error(`Private key not found at: ${this.keyPath}`);
             }
@@ -37,7 +52,7 @@ class CertificateTLSWebapp extends HelloWorldWebapp {
             
             return true;
         } catch (error) {
-            console.error('Failed to load certificates:', error.message);
+            this.logger.error('Failed to load certificates', { error: error.message });
             return false;
         }
     }
@@ -114,390 +129,246 @@ class CertificateTLSWebapp extends HelloWorldWebapp {
         };
     }
 
-    async getSecretsWithCertInfo() {
+    async getSecretsWithCertInfo(user) {
         const secrets = await this.getSecrets();
         const certInfo = this.getCertificateInfo();
         
         return {
-            secrets,
+            secrets: this.redactSecrets(secrets, user),
             certificate: certInfo,
             tlsEnabled: !!(this.certificate && this.privateKey)
         };
     }
 
-    async handleRequest(req, res) {
-        if (req.url === '/api/health' || req.url === '/health') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'healthy', tls: true }));
-            return;
+    registerHealthChecks(health) {
+        super.registerHealthChecks(health);
+        health.register('tls-certificate', () => this.checkCertificate(), { readiness: true });
+    }
+
+    // Reads the mounted files rather than the loaded copies, so a rotated certificate is
+    // checked as well as the one the server is still presenting
+    checkCertificate() {
+        if (!fs.existsSync(this.certPath)) {
+            return { status: 'fail', message: `Certificate not found at: ${this.certPath}` };
         }
+        if (!fs.existsSync(this.keyPath)) {
+            return { status: 'fail', message: `Private key not found at: ${this.keyPath}` };
+        }
+
+        const certPem = fs.readFileSync(this.certPath, 'utf8');
+        const x509 = new crypto.X509Certificate(certPem);
+        const now = Date.now();
+        const validTo = new Date(x509.validTo);
+        const daysUntilExpiration = Math.floor((validTo.getTime() - now) / (1000 * 60 * 60 * 24));
+        const result = {
+            status: 'pass',
+            subject: x509.subject,
+            validFrom: new Date(x509.validFrom).toISOString(),
+            validTo: validTo.toISOString(),
+            daysUntilExpiration,
+            reloadPending: !!this.certificate && this.certificate !== certPem
+        };
 
-        if (req.url === '/api/certificate' || req.url === '/api/cert') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(this.getCertificateInfo()));
-            return;
+        if (!x509.checkPrivateKey(crypto.createPrivateKey(fs.readFileSync(this.keyPath, 'utf8')))) {
+            return { ...result, status: 'fail', message: 'Private key does not match the certificate' };
+        }
+        if (now < new Date(x509.validFrom).getTime()) {
+            return { ...result, status: 'fail', message: 'Certificate is not valid yet' };
+        }
+        if (daysUntilExpiration < 0) {
+            return { ...result, status: 'fail', message: 'Certificate has expired' };
+        }
+        if (daysUntilExpiration <= 30) {
+            return { ...result, status: 'warn', message: `Certificate expires in ${daysUntilExpiration} days` };
+        }
+        if (result.reloadPending) {
+            return { ...result, status: 'warn', message: 'The mounted certificate changed; restart to serve it' };
         }
+        return result;
+    }
+
+    registerRoutes(router) {
+        super.registerRoutes(router);
+
+        router.get('/api/health', { public: true, ...HelloWorldWebapp.HEALTH_DOCS }, this.healthRoute({ tls: true }));
+        router.alias('/health', '/api/health');
 
-        if (req.url === '/api/secrets') {
-            // Use the parent class's getSecrets response format
+        router.get('/api/certificate', {
+            summary: 'The mounted TLS certificate and key',
+            response: ref('CertificateInfo')
+        }, () => this.getCertificateInfo());
+        router.alias('/api/cert', '/api/certificate');
+
+        // Use the parent class's getSecrets response format
+        router.get('/api/secrets', {
+            summary: 'Every secret, redacted for the caller, with the certificate details',
+            response: ref('CertificateSecrets')
+        }, async (req) => {
             const secrets = await this.getSecrets();
             const certInfo = this.getCertificateInfo();
-            const response = {
+            return {
                 success: true,
                 method: this.METHOD,
                 operator: this.OPERATOR || '',
-                secrets: secrets,
+                secrets: this.redactSecrets(secrets, req.user),
+                redaction: this.describeRedaction(secrets, req.user),
                 certificate: certInfo,
                 tlsEnabled: !!(this.certificate && this.privateKey),
                 timestamp: new Date().toISOString(),
                 note: "Secrets are mounted as files via Secrets Store CSI Driver. Certificates available for TLS."
             };
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(response));
-            return;
-        }
-
-        if (req.url.startsWith('/api/')) {
-            const data = await this.getSecretsWithCertInfo();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(data));
-            return;
-        }
+        });
 
         // Generate HTML with certificate info
-        const secrets = await this.getSecrets();
-        const certInfo = this.getCertificateInfo();
-        const html = this.getHTMLWithCertificateInfo(secrets, certInfo);
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(html);
+        router.get('/', this.htmlRoute(async () => {
+            const secrets = await this.getSecrets();
+            const certInfo = this.getCertificateInfo();
+            return this.renderPage({
+                before: this.getHTMLWithCertificateInfo(secrets, certInfo),
+                styles: CERTIFICATE_STYLES
+            });
+        }));
+
+        // Any other API path returns the secrets together with the certificate details
+        router.get('/api/*', req => this.getSecretsWithCertInfo(req.user));
+    }
+
+    apiSchemas() {
+        const dateText = { type: 'string', description: 'As printed by OpenSSL, e.g. "Jan  1 00:00:00 2026 GMT"' };
+        return {
+            ...super.apiSchemas(),
+            // Parsed fields are only present when the certificate could be read
+            CertificateInfo: {
+                type: 'object',
+                required: ['loaded', 'keyLoaded', 'certPath', 'keyPath', 'tlsEnabled'],
+                properties: {
+                    loaded: { type: 'boolean' },
+                    keyLoaded: { type: 'boolean' },
+                    certPath: { type: 'string' },
+                    keyPath: { type: 'string' },
+                    certExists: { type: 'boolean' },
+                    keyExists: { type: 'boolean' },
+                    certSize: { type: 'integer' },
+                    keySize: { type: 'integer' },
+                    tlsEnabled: { type: 'boolean' },
+                    subject: { type: 'string' },
+                    issuer: { type: 'string' },
+                    validFrom: dateText,
+                    validTo: dateText,
+                    serialNumber: { type: 'string' },
+                    fingerprint: { type: 'string' },
+                    daysUntilExpiration: { type: 'integer' },
+                    isExpired: { type: 'boolean' },
+                    isExpiringSoon: { type: 'boolean' },
+                    warningStatus: { enum: ['valid', 'warning', 'critical', 'expired'] },
+                    ageDays: { type: 'integer' },
+                    parseError: { type: 'string' }
+                }
+            },
+            CertificateSecrets: {
+                type: 'object',
+                required: ['success', 'secrets', 'redaction', 'certificate', 'tlsEnabled'],
+                properties: {
+                    success: { const: true },
+                    method: { type: 'string' },
+                    operator: { type: 'string' },
+                    secrets: stringMap,
+                    redaction: ref('RedactionMap'),
+                    certificate: ref('CertificateInfo'),
+                    tlsEnabled: { type: 'boolean' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    note: { type: 'string' }
+                }
+            }
+        };
     }
 
     getHTMLWithCertificateInfo(secrets, certInfo) {
-        const baseHTML = this.getHTML({});
         const summary = this.getCertificateSummary(certInfo);
-        
-        // Inject certificate information into the HTML
-        const certSection = `
+        const statusVariant = { valid: 'success', expired: 'danger', expiring: 'warning' }[summary.status] || 'neutral';
+        const statusIcon = { valid: '✓', expired: '✗', expiring: '⚠' }[summary.status] || '?';
+        const tlsEnabled = certInfo.loaded && certInfo.keyLoaded;
+        const expiryVariant = certInfo.isExpired ? 'danger' : certInfo.isExpiringSoon ? 'warning' : 'success';
+        const expiryText = certInfo.isExpired ? 'EXPIRED' : certInfo.isExpiringSoon ? `${certInfo.daysUntilExpiration} days left` : 'Valid';
+        const codeBlock = value => html`<code class="block">${value}</code>`;
+
+        return html`
             <div class="certificate-section">
                 <h2>🔐 TLS Certificate Management Dashboard</h2>
-                
-                <div class="stats-grid">
-                    <div class="stat-card ${summary.status === 'valid' ? 'success' : summary.status === 'expired' ? 'danger' : summary.status === 'expiring' ? 'warning' : 'neutral'}">
-                        <div class="stat-value">${summary.status === 'valid' ? '✓' : summary.status === 'expired' ? '✗' : summary.status === 'expiring' ? '⚠' : '?'}</div>
-                        <div class="stat-label">Certificate Status</div>
-                        <div class="stat-subtext">${summary.status.toUpperCase()}</div>
-                    </div>
-                    <div class="stat-card ${certInfo.loaded && certInfo.keyLoaded ? 'success' : 'danger'}">
-                        <div class="stat-value">${certInfo.loaded && certInfo.keyLoaded ? '✓' : '✗'}</div>
-                        <div class="stat-label">TLS Enabled</div>
-                        <div class="stat-subtext">${certInfo.loaded && certInfo.keyLoaded ? 'HTTPS Active' : 'HTTP Only'}</div>
-                    </div>
-                    ${certInfo.daysUntilExpiration !== undefined ? `
-                    <div class="stat-card ${certInfo.isExpired ? 'danger' : certInfo.isExpiringSoon ? 'warning' : 'success'}">
-                        <div class="stat-value">${certInfo.isExpired ? '0' : certInfo.daysUntilExpiration}</div>
-                        <div class="stat-label">Days Until Expiration</div>
-                        ${certInfo.isExpired ? '<div class="stat-subtext">EXPIRED</div>' : certInfo.isExpiringSoon ? '<div class="stat-subtext">⚠ Expiring Soon</div>' : '<div class="stat-subtext">Valid</div>'}
-                    </div>
-                    ` : ''}
-                    ${certInfo.ageDays !== undefined ? `
-                    <div class="stat-card neutral">
-                        <div class="stat-value">${certInfo.ageDays}</div>
-                        <div class="stat-label">Certificate Age (Days)</div>
-                        <div class="stat-subtext">Issued ${new Date(certInfo.validFrom).toLocaleDateString()}</div>
-                    </div>
-                    ` : ''}
-                </div>
-
-                ${certInfo.isExpired ? `
-                <div class="alert-box danger">
-                    <h3>❌ Certificate Expired</h3>
-                    <p>This certificate expired on ${new Date(certInfo.validTo).toLocaleString()}. 
+
+                ${statGrid([
+                    statTile({ value: statusIcon, label: 'Certificate Status', subtext: summary.status.toUpperCase(), variant: statusVariant }),
+                    statTile({
+                        value: tlsEnabled ? '✓' : '✗',
+                        label: 'TLS Enabled',
+                        subtext: tlsEnabled ? 'HTTPS Active' : 'HTTP Only',
+                        variant: tlsEnabled ? 'success' : 'danger'
+                    }),
+                    certInfo.daysUntilExpiration !== undefined && statTile({
+                        value: certInfo.isExpired ? 0 : certInfo.daysUntilExpiration,
+                        label: 'Days Until Expiration',
+                        subtext: certInfo.isExpired ? 'EXPIRED' : certInfo.isExpiringSoon ? '⚠ Expiring Soon' : 'Valid',
+                        variant: expiryVariant
+                    }),
+                    certInfo.ageDays !== undefined && statTile({
+                        value: certInfo.ageDays,
+                        label: 'Certificate Age (Days)',
+                        subtext: `Issued ${new Date(certInfo.validFrom).toLocaleDateString()}`,
+                        variant: 'neutral'
+                    })
+                ])}
+
+                ${certInfo.isExpired && card({ title: '❌ Certificate Expired', variant: 'danger' }, html`
+                    <p>This certificate expired on ${new Date(certInfo.validTo).toLocaleString()}.
                     It needs to be renewed immediately. The TLS connection may not work properly.</p>
-                </div>
-                ` : ''}
-                
-                ${certInfo.isExpiringSoon && !certInfo.isExpired ? `
-                <div class="alert-box warning">
-                    <h3>⚠️ Certificate Expiring Soon</h3>
-                    <p>This certificate will expire in <strong>${certInfo.daysUntilExpiration} days</strong> 
-                    (on ${new Date(certInfo.validTo).toLocaleString()}). 
+                `)}
+
+                ${certInfo.isExpiringSoon && !certInfo.isExpired && card({ title: '⚠️ Certificate Expiring Soon', variant: 'warning' }, html`
+                    <p>This certificate will expire in <strong>${certInfo.daysUntilExpiration} days</strong>
+                    (on ${new Date(certInfo.validTo).toLocaleString()}).
                     Please renew it before expiration to avoid service disruption.</p>
-                </div>
-                ` : ''}
-                
-                ${!certInfo.loaded || !certInfo.keyLoaded ? `
-                <div class="alert-box danger">
-                    <h3>❌ Certificate or Key Not Loaded</h3>
-                    <p>${!certInfo.loaded ? `Certificate not found at: <code>${certInfo.certPath}</code><br/>` : ''}
-                    ${!certInfo.keyLoaded ? `Private key not found at: <code>${certInfo.keyPath}</code>` : ''}</p>
+                `)}
+
+                ${!tlsEnabled && card({ title: '❌ Certificate or Key Not Loaded', variant: 'danger' }, html`
+                    <p>${!certInfo.loaded && html`Certificate not found at: <code>${certInfo.certPath}</code><br/>`}
+                    ${!certInfo.keyLoaded && html`Private key not found at: <code>${certInfo.keyPath}</code>`}</p>
                     <p>Check your SecretProviderClass configuration to ensure certificates are properly mounted.</p>
-                </div>
-                ` : ''}
+                `)}
 
                 <h3>Certificate Details</h3>
-                <div class="details-grid">
-                    <div class="detail-card">
-                        <h4>Subject Information</h4>
-                        <div class="detail-content">
-                            ${certInfo.subject ? `
-                            <div class="detail-item">
-                                <strong>Subject:</strong> 
-                                <code class="subject-dn">${certInfo.subject}</code>
-                            </div>
-                            ` : '<div class="detail-item"><em>Subject information not available</em></div>'}
-                        </div>
-                    </div>
-                    
-                    <div class="detail-card">
-                        <h4>Issuer Information</h4>
-                        <div class="detail-content">
-                            ${certInfo.issuer ? `
-                            <div class="detail-item">
-                                <strong>Issuer:</strong> 
-                                <code class="issuer-dn">${certInfo.issuer}</code>
-                            </div>
-                            ` : '<div class="detail-item"><em>Issuer information not available</em></div>'}
-                        </div>
-                    </div>
-                    
-                    <div class="detail-card">
-                        <h4>Validity Period</h4>
-                        <div class="detail-content">
-                            ${certInfo.validFrom ? `
-                            <div class="detail-item">
-                                <strong>Valid From:</strong> 
-                                <span class="date-value">${new Date(certInfo.validFrom).toLocaleString()}</span>
-                            </div>
-                            ` : ''}
-                            ${certInfo.validTo ? `
-                            <div class="detail-item">
-                                <strong>Valid To:</strong> 
-                                <span class="date-value ${certInfo.isExpired ? 'expired' : certInfo.isExpiringSoon ? 'warning' : ''}">${new Date(certInfo.validTo).toLocaleString()}</span>
-                                ${certInfo.daysUntilExpiration !== undefined ? `
-                                <span class="expiration-badge ${certInfo.isExpired ? 'badge-danger' : certInfo.isExpiringSoon ? 'badge-warning' : 'badge-success'}">
-                                    ${certInfo.isExpired ? 'EXPIRED' : certInfo.isExpiringSoon ? `${certInfo.daysUntilExpiration} days left` : 'Valid'}
-                                </span>
-                                ` : ''}
-                            </div>
-                            ` : ''}
-                            ${certInfo.ageDays !== undefined ? `
-                            <div class="detail-item">
-                                <strong>Certificate Age:</strong> 
-                                <span>${certInfo.ageDays} days</span>
-                            </div>
-                            ` : ''}
-                        </div>
-                    </div>
-                    
-                    <div class="detail-card">
-                        <h4>Technical Information</h4>
-                        <div class="detail-content">
-                            ${certInfo.serialNumber ? `
-                            <div class="detail-item">
-                                <strong>Serial Number:</strong> 
-                                <code class="serial-number">${certInfo.serialNumber}</code>
-                            </div>
-                            ` : ''}
-                            ${certInfo.fingerprint ? `
-                            <div class="detail-item">
-                                <strong>Fingerprint:</strong> 
-                                <code class="fingerprint">${certInfo.fingerprint}</code>
-                            </div>
-                            ` : ''}
-                            <div class="detail-item">
-                                <strong>Certificate Path:</strong> 
-                                <code>${certInfo.certPath}</code>
-                            </div>
-                            <div class="detail-item">
-                                <strong>Key Path:</strong> 
-                                <code>${certInfo.keyPath}</code>
-                            </div>
-                            <div class="detail-item">
-                                <strong>Certificate Size:</strong> 
-                                <span>${(certInfo.certSize / 1024).toFixed(2)} KB</span>
-                            </div>
-                            <div class="detail-item">
-                                <strong>Private Key Size:</strong> 
-                                <span>${(certInfo.keySize / 1024).toFixed(2)} KB</span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-
-                <div class="info-box">
-                    <h4>📋 How Certificate TLS Works</h4>
-                    <ul>
-                        <li><strong>Certificate Source:</strong> TLS certificates and private keys are stored in Azure Key Vault</li>
-                        <li><strong>Mount Method:</strong> Secrets Store CSI Driver mounts certificates as files in the pod</li>
-                        <li><strong>TLS Configuration:</strong> Node.js HTTPS server uses the mounted certificate and key</li>
-                        <li><strong>Automatic Rotation:</strong> When certificates are updated in Key Vault, they can be automatically reloaded</li>
-                        <li><strong>Security:</strong> Private keys never leave the Key Vault and are securely mounted into the pod</li>
-                    </ul>
-                </div>
+                ${grid([
+                    card({ title: 'Subject Information' }, certInfo.subject
+                        ? fields([['Subject', codeBlock(certInfo.subject)]])
+                        : html`<p><em>Subject information not available</em></p>`),
+                    card({ title: 'Issuer Information' }, certInfo.issuer
+                        ? fields([['Issuer', codeBlock(certInfo.issuer)]])
+                        : html`<p><em>Issuer information not available</em></p>`),
+                    card({ title: 'Validity Period' }, fields([
+                        ['Valid From', certInfo.validFrom && new Date(certInfo.validFrom).toLocaleString()],
+                        ['Valid To', certInfo.validTo && html`
+                            <span class="date-value text-${expiryVariant}">${new Date(certInfo.validTo).toLocaleString()}</span>
+                            ${certInfo.daysUntilExpiration !== undefined && badge(expiryText, expiryVariant)}`],
+                        ['Certificate Age', certInfo.ageDays !== undefined && `${certInfo.ageDays} days`]
+                    ])),
+                    card({ title: 'Technical Information' }, fields([
+                        ['Serial Number', certInfo.serialNumber && codeBlock(certInfo.serialNumber)],
+                        ['Fingerprint', certInfo.fingerprint && codeBlock(certInfo.fingerprint)],
+                        ['Certificate Path', html`<code>${certInfo.certPath}</code>`],
+                        ['Key Path', html`<code>${certInfo.keyPath}</code>`],
+                        ['Certificate Size', `${(certInfo.certSize / 1024).toFixed(2)} KB`],
+                        ['Private Key Size', `${(certInfo.keySize / 1024).toFixed(2)} KB`]
+                    ]))
+                ], { wide: true })}
+
+                ${card({ title: '📋 How Certificate TLS Works', variant: 'info' }, list([
+                    html`<strong>Certificate Source:</strong> TLS certificates and private keys are stored in Azure Key Vault`,
+                    html`<strong>Mount Method:</strong> Secrets Store CSI Driver mounts certificates as files in the pod`,
+                    html`<strong>TLS Configuration:</strong> Node.js HTTPS server uses the mounted certificate and key`,
+                    html`<strong>Automatic Rotation:</strong> When certificates are updated in Key Vault, they can be automatically reloaded`,
+                    html`<strong>Security:</strong> Private keys never leave the Key Vault and are securely mounted into the pod`
+                ]))}
             </div>
-            
-            <style>
-                .certificate-section {
-                    background: #fff;
-                    padding: 30px;
-                    margin: 20px 0;
-                    border-radius: 8px;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .stats-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                    gap: 20px;
-                    margin: 20px 0;
-                }
-                .stat-card {
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    text-align: center;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .stat-card.success { background: #d4edda; color: #155724; }
-                .stat-card.danger { background: #f8d7da; color: #721c24; }
-                .stat-card.warning { background: #fff3cd; color: #856404; }
-                .stat-card.neutral { background: #e9ecef; color: #495057; }
-                .stat-value {
-                    font-size: 2.5em;
-                    font-weight: bold;
-                }
-                .stat-label {
-                    margin-top: 10px;
-                    font-weight: 500;
-                }
-                .stat-subtext {
-                    font-size: 0.85em;
-                    margin-top: 5px;
-                    opacity: 0.9;
-                }
-                .alert-box {
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 20px 0;
-                }
-                .alert-box.danger {
-                    background: #f8d7da;
-                    border-left: 4px solid #dc3545;
-                }
-                .alert-box.warning {
-                    background: #fff3cd;
-                    border-left: 4px solid #ffc107;
-                }
-                .alert-box h3 {
-                    margin-top: 0;
-                }
-                .details-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-                    gap: 20px;
-                    margin: 20px 0;
-                }
-                .detail-card {
-                    background: #f8f9fa;
-                    padding: 20px;
-                    border-radius: 8px;
-                    border-left: 4px solid #2196f3;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .detail-card h4 {
-                    margin-top: 0;
-                    color: #2196f3;
-                }
-                .detail-content {
-                    font-size: 0.9em;
-                }
-                .detail-item {
-                    margin: 12px 0;
-                    line-height: 1.6;
-                }
-                .subject-dn, .issuer-dn {
-                    display: block;
-                    margin-top: 5px;
-                    padding: 8px;
-                    background: #263238;
-                    color: #4caf50;
-                    border-radius: 4px;
-                    font-size: 0.85em;
-                    word-break: break-all;
-                }
-                .serial-number, .fingerprint {
-                    display: block;
-                    margin-top: 5px;
-                    padding: 8px;
-                    background: #263238;
-                    color: #4caf50;
-                    border-radius: 4px;
-                    font-size: 0.9em;
-                    font-family: monospace;
-                    word-break: break-all;
-                }
-                .date-value {
-                    font-weight: 500;
-                }
-                .date-value.expired {
-                    color: #dc3545;
-                    font-weight: bold;
-                }
-                .date-value.warning {
-                    color: #856404;
-                    font-weight: bold;
-                }
-                .expiration-badge {
-                    display: inline-block;
-                    padding: 4px 10px;
-                    border-radius: 12px;
-                    font-size: 0.75em;
-                    font-weight: bold;
-                    margin-left: 10px;
-                }
-                .badge-success { background: #28a745; color: white; }
-                .badge-warning { background: #ffc107; color: #856404; }
-                .badge-danger { background: #dc3545; color: white; }
-                .info-box {
-                    background: #e7f3ff;
-                    border-left: 4px solid #007bff;
-                    padding: 15px;
-                    border-radius: 4px;
-                    margin: 20px 0;
-                }
-                .info-box h4 {
-                    margin-top: 0;
-                    color: #0056b3;
-                }
-                .info-box ul {
-                    margin: 10px 0;
-                    padding-left: 20px;
-                }
-                .info-box li {
-                    margin: 8px 0;
-                }
-            </style>
         `;
-
-        // Inject custom HTML after the method details section
-        let fullHTML = baseHTML.replace('</div>\n        <div id="secrets-container">', 
-            '</div>\n        ' + certSection + '\n        <div id="secrets-container">');
-        
-        if (fullHTML === baseHTML) {
-            fullHTML = baseHTML.replace('</div>\n<div id="secrets-container">', 
-                '</div>\n' + certSection + '\n<div id="secrets-container">');
-        }
-        
-        if (fullHTML === baseHTML) {
-            fullHTML = baseHTML.replace(/<\/div>\s*<div id="secrets-container">/, 
-                '</div>\n        ' + certSection + '\n        <div id="secrets-container">');
-        }
-        
-        if (fullHTML === baseHTML) {
-            fullHTML = baseHTML.replace(/(<div class="method">[\s\S]*?<\/div>)/, 
-                '$1\n        ' + certSection);
-        }
-
-        return fullHTML;
     }
 
     start() {
@@ -505,16 +376,16 @@ class CertificateTLSWebapp extends HelloWorldWebapp {
         this.loadCertificates();
         
         // Check if we should use HTTP mode (for reverse proxy scenarios)
-        const useHttp = process.env.USE_HTTP === 'true';
+        const useHttp = this.appConfig.get('tls.useHttp');
         
         if (useHttp) {
-            console.log('Using HTTP mode (TLS handled by reverse proxy)');
+            this.logger.info('Using HTTP mode (TLS handled by reverse proxy)');
             return super.start(); // Use parent class HTTP server
         }
 
         // If certificates failed to load, fallback to HTTP
         if (!this.certificate || !this.privateKey) {
-            console.error('Failed to load certificates. Starting HTTP server without TLS.');
+            this.logger.error('Certificates not loaded, starting HTTP server without TLS');
             return super.start(); // Fallback to HTTP
         }
 
@@ -523,39 +394,38 @@ class CertificateTLSWebapp extends HelloWorldWebapp {
             cert: this.certificate
         };
 
-        this.server = https.createServer(options, (req, res) => {
-            this.handleRequest(req, res);
-        });
+        this.server = https.createServer(options, this.requestListener());
 
-        this.server.listen(this.PORT, () => {
-            console.log(`================================`);
-            console.log(`${this.APP_NAME} running on port ${this.PORT}`);
-            console.log(`Method: ${this.METHOD}`);
-            console.log(`TLS: Enabled (HTTPS)`);
-            console.log(`Certificate: Loaded from ${this.certPath}`);
-            console.log(`Private Key: Loaded from ${this.keyPath}`);
-            console.log(`================================`);
+        this.listen(this.server, () => {
+            this.logger.info(`${this.APP_NAME} running on port ${this.PORT}`, {
+                port: this.PORT,
+                method: this.METHOD,
+                tls: true,
+                certPath: this.certPath,
+                keyPath: this.keyPath
+            });
         });
 
         // Error handling
         this.server.on('error', (error) => {
-            console.error('HTTPS Server error:', error);
+            this.logger.error('HTTPS server error', { error });
             if (error.code === 'EADDRINUSE') {
-                console.error(`Port ${this.PORT} is already in use`);
+                this.logger.error(`Port ${this.PORT} is already in use`, { port: this.PORT });
             }
         });
+        return this.server;
     }
 }
 
-const app = new CertificateTLSWebapp({
-    appName: 'Hello World - Certificate TLS',
-    method: 'Certificate-Based TLS (CSI Driver)',
-    operator: '',
-    secretsMountPath: process.env.SECRETS_MOUNT_PATH || '/etc/secrets',
-    secretStrategy: 'csi',
-    certPath: process.env.CERT_PATH || '/etc/secrets/ssl-cert',
-    keyPath: process.env.KEY_PATH || '/etc/secrets/ssl-key'
-});
+module.exports = CertificateTLSWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new CertificateTLSWebapp({
+        appName: 'Hello World - Certificate TLS',
+        method: 'Certificate-Based TLS (CSI Driver)',
+        operator: '',
+        secretStrategy: 'csi'
+    });
 
+    app.start();
+}
@@ -446,12 +446,12 @@ deploy_webapp() {
     print_status "Creating ConfigMap with server code..."
     local script_dir="$(dirname "${BASH_SOURCE[0]}")"
     local server_file="${script_dir}/${app_type}/src/server.js"
-    local webapp_framework_file="${script_dir}/shared/webapp-framework.js"
     
     # Create a temporary directory for the code
+    # Shared modules are flattened next to server.js so require('./webapp-framework') resolves
     local temp_dir=$(mktemp -d)
     cp "${server_file}" "${temp_dir}/server.js"
-    cp "${webapp_framework_file}" "${temp_dir}/webapp-framework.js"
+    cp "${script_dir}"/shared/*.js "${script_dir}"/shared/*.json "${temp_dir}/"
     
     # Create ConfigMap from the directory
     oc create configmap "hello-world-${app_type}-code" \
@@ -981,12 +981,12 @@ deploy_custom_webapp_with_template() {
     print_status "Creating ConfigMap with custom server code..."
     local script_dir="$(dirname "${BASH_SOURCE[0]}")"
     local custom_server_file="${script_dir}/${custom_server_path}"
-    local webapp_framework_file="${script_dir}/shared/webapp-framework.js"
     
     # Create a temporary directory for the code
+    # Shared modules are flattened next to server.js so require('./webapp-framework') resolves
     local temp_dir=$(mktemp -d)
     cp "${custom_server_file}" "${temp_dir}/server.js"
-    cp "${webapp_framework_file}" "${temp_dir}/webapp-framework.js"
+    cp "${script_dir}"/shared/*.js "${script_dir}"/shared/*.json "${temp_dir}/"
     
     # Create ConfigMap from the directory
     oc create configmap "hello-world-${app_type}-code" \
@@ -1013,9 +1013,15 @@ deploy_custom_webapp_with_template() {
     export ENV_FROM_SECRETS="$env_from_secrets"
     export OPERATOR_LABEL="$operator_label"
     export ROUTE_NAME="$(get_short_route_name "$app_type")"
+    # certificate-tls terminates TLS itself, so the kubelet probes it over HTTPS
+    if [ "$app_type" = "certificate-tls" ]; then
+        export PROBE_SCHEME="HTTPS"
+    else
+        export PROBE_SCHEME="HTTP"
+    fi
     
     # Use template with envsubst
-    envsubst '${APP_TYPE} ${APP_NAME} ${NAMESPACE} ${IMAGE_NAME} ${SERVICE_ACCOUNT_NAME} ${VOLUME_MOUNTS} ${VOLUMES} ${ENVIRONMENT_VARIABLES} ${ENV_FROM_SECRETS} ${OPERATOR_LABEL} ${ROUTE_NAME}' < "${script_dir}/templates/custom-webapp-template.yaml" | oc apply -f -
+    envsubst '${APP_TYPE} ${APP_NAME} ${NAMESPACE} ${IMAGE_NAME} ${SERVICE_ACCOUNT_NAME} ${VOLUME_MOUNTS} ${VOLUMES} ${ENVIRONMENT_VARIABLES} ${ENV_FROM_SECRETS} ${OPERATOR_LABEL} ${ROUTE_NAME} ${PROBE_SCHEME}' < "${script_dir}/templates/custom-webapp-template.yaml" | oc apply -f -
     
     wait_for_deployment "$app_type" "$app_name" "$namespace"
 }
@@ -1482,6 +1488,7 @@ cleanup_webapps() {
                 oc delete configmap --all -n "${namespace}" --ignore-not-found=true
                 oc delete secret --all -n "${namespace}" --ignore-not-found=true
                 oc delete secretproviderclass --all -n "${namespace}" --ignore-not-found=true
+                oc delete servicemonitor --all -n "${namespace}" --ignore-not-found=true
                 oc delete namespace "${namespace}" --ignore-not-found=true --timeout=30s
             } &
             delete_jobs+=($!)
@@ -1520,6 +1527,7 @@ cleanup_webapps() {
                     oc delete configmap --all -n "${namespace}" --ignore-not-found=true
                     oc delete secret --all -n "${namespace}" --ignore-not-found=true
                     oc delete secretproviderclass --all -n "${namespace}" --ignore-not-found=true
+                    oc delete servicemonitor --all -n "${namespace}" --ignore-not-found=true
                     print_status "Deleting namespace ${namespace}..."
                     oc delete namespace "${namespace}" --ignore-not-found=true --timeout=30s
                     print_success "Webapp ${app_name} cleaned up!"
@@ -1,114 +1,68 @@
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
 const HelloWorldWebapp = require('./webapp-framework');
+const { PERMISSIONS } = require('./auth');
+const { ref } = require('./openapi');
+const { dateTime } = require('./api-schemas');
+const { html } = require('./html');
+const { card, fields, button, actionBar } = require('./components');
+
+const RELOAD_STYLES = `
+        .reload-card { background: #f3e5f5; border-left-color: #9c27b0; }
+        .reload-card .action-btn { background: #9c27b0; }
+`;
+
+const RELOAD_SCRIPT = `
+        async function forceReload() {
+            const response = await fetch('/api/reload-now');
+            const data = await response.json();
+            alert(response.ok ? 'Reloaded! Count: ' + data.reloadInfo.reloadCount : 'Error: ' + data.error);
+        }
+`;
 
 class HotReloadWebapp extends HelloWorldWebapp {
     constructor(config) {
         super(config);
-        this.secretsMountPath = config.secretsMountPath || '/etc/secrets';
-        this.reloadInterval = config.reloadInterval || 5000; // Check every 5 seconds
+        this.secretsMountPath = this.SECRETS_MOUNT_PATH;
+        // RELOAD_INTERVAL, 5 seconds by default
+        this.reloadInterval = config.reloadInterval || this.appConfig.get('hotReload.intervalMs');
         this.lastReloadTime = null;
         this.reloadCount = 0;
+        // Stop functions of the provider watches
         this.watchers = [];
+        this.metrics.counter('secret_reloads_total', 'Secret reloads triggered by file changes or the reload API', {
+            collect: counter => counter.set({}, this.reloadCount)
+        });
         this.setupWatchers();
     }
 
+    // The provider reports changes its own way: fs.watch and modification times for the CSI
+    // mount, version polling for Key Vault. RELOAD_INTERVAL is how often the polling runs
     setupWatchers() {
         try {
-            // Watch CSI mount directory
-            if (fs.existsSync(this.secretsMountPath)) {
-                console.log(`Setting up file watcher for: ${this.secretsMountPath}`);
-                
-                const watcher = fs.watch(this.secretsMountPath, { recursive: false }, (eventType, filename) => {
-                    if (filename && (eventType === 'rename' || eventType === 'change')) {
-                        console.log(`File system event detected: ${eventType} on ${filename}`);
-                        this.reloadSecrets();
-                    }
-                });
-                
-                this.watchers.push(watcher);
-
-                // Also watch the ..data symlink which changes when secrets are updated
-                const dataLink = path.join(this.secretsMountPath, '..data');
-                if (fs.existsSync(dataLink)) {
-                    const dataWatcher = fs.watch(dataLink, (eventType) => {
-                        console.log(`Secret data link changed: ${eventType}`);
-                        this.reloadSecrets();
-                    });
-                    this.watchers.push(dataWatcher);
-                }
-            }
-
-            // Watch individual secret files
-            const secretsToWatch = ['database-password', 'api-key', 'hello-world-secret'];
-            secretsToWatch.forEach(secretName => {
-                const secretPath = path.join(this.secretsMountPath, secretName);
-                if (fs.existsSync(secretPath)) {
-                    const watcher = fs.watch(secretPath, (eventType) => {
-                        console.log(`Secret file changed: ${secretName} (${eventType})`);
-                        this.reloadSecrets();
-                    });
-                    this.watchers.push(watcher);
-                }
-            });
-
-            // Periodic check as fallback
-            setInterval(() => {
-                this.checkForChanges();
-            }, this.reloadInterval);
-
-            console.log('Hot reload watchers initialized');
+            const secretNames = this.getSecretNames();
+            const stop = this.secretProvider.watch(secretNames, secretName => {
+                this.logger.info('Secret change detected', { secret: secretName || 'all', provider: this.secretProvider.name });
+                this.reloadSecrets();
+            }, { pollInterval: this.reloadInterval });
+            this.watchers.push(this.lifecycle.addCleanup(stop));
+
+            this.logger.info('Hot reload watchers initialized', { provider: this.secretProvider.name, secrets: secretNames.length });
         } catch (error) {
-            console.error('Failed to setup watchers:', error.message);
-        }
-    }
-
-    checkForChanges() {
-        // Check if secret files have changed by comparing modification times
-        const secretsToCheck = ['database-password', 'api-key', 'hello-world-secret'];
-        let changed = false;
-
-        secretsToCheck.forEach(secretName => {
-            const secretPath = path.join(this.secretsMountPath, secretName);
-            if (fs.existsSync(secretPath)) {
-                try {
-                    const stats = fs.statSync(secretPath);
-                    // Store mtime in cached secrets to compare
-                    const cacheKey = `_${secretName}_mtime`;
-                    const lastMtime = this.cachedSecrets[cacheKey];
-                    
-                    if (lastMtime && lastMtime !== stats.mtime.getTime()) {
-                        console.log(`Detected change in ${secretName} (mtime changed)`);
-                        changed = true;
-                    }
-                    
-                    this.cachedSecrets[cacheKey] = stats.mtime.getTime();
-                } catch (error) {
-                    // Ignore errors
-                }
-            }
-        });
-
-        if (changed) {
-            this.reloadSecrets();
+            this.logger.error('Failed to setup watchers', { error: error.message });
         }
     }
 
     reloadSecrets() {
-        console.log('🔄 Reloading secrets...');
+        this.logger.info('Reloading secrets');
         this.lastReloadTime = new Date();
         this.reloadCount++;
         
-        // Clear cache to force reload
-        this.cachedSecrets = {};
-        this.lastCacheTime = 0;
-
-        // Reload secrets
-        this.getSecrets().then(() => {
-            console.log(`✅ Secrets reloaded successfully (reload #${this.reloadCount})`);
+        // Reload secrets, bypassing the cache
+        this.getSecrets({ refresh: true }).then(() => {
+            this.logger.info('Secrets reloaded', { reloadCount: this.reloadCount });
+            this.events.publish('reload-completed', { reloadCount: this.reloadCount, success: true });
         }).catch(error => {
-            console.error('❌ Failed to reload secrets:', error.message);
+            this.logger.error('Failed to reload secrets', { error: error.message });
+            this.events.publish('reload-completed', { reloadCount: this.reloadCount, success: false, error: error.message });
         });
     }
 
@@ -123,107 +77,125 @@ class HotReloadWebapp extends HelloWorldWebapp {
         };
     }
 
-    async handleRequest(req, res) {
-        if (req.url === '/api/health' || req.url === '/health') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'healthy', hotReload: true }));
-            return;
-        }
+    registerRoutes(router) {
+        super.registerRoutes(router);
+
+        router.get('/api/health', { public: true, ...HelloWorldWebapp.HEALTH_DOCS }, this.healthRoute({ hotReload: true }));
+        router.alias('/health', '/api/health');
 
-        if (req.url === '/api/reload-info' || req.url === '/api/reload') {
+        const reloadInfoRoute = async () => {
             const reloadInfo = this.getReloadInfo();
             const secrets = await this.getSecrets();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
+            return {
                 reloadInfo,
                 secrets: Object.keys(secrets)
-            }));
-            return;
-        }
+            };
+        };
+        router.get('/api/reload-info', {
+            summary: 'Reload state and the names of the loaded secrets',
+            response: {
+                type: 'object',
+                required: ['reloadInfo', 'secrets'],
+                properties: { reloadInfo: ref('ReloadInfo'), secrets: { type: 'array', items: { type: 'string' } } }
+            }
+        }, reloadInfoRoute);
+        router.alias('/api/reload', '/api/reload-info');
 
-        if (req.url === '/api/reload-now' || req.url === '/api/force-reload') {
+        const reloadNowRoute = () => {
             this.reloadSecrets();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ message: 'Reload triggered', reloadInfo: this.getReloadInfo() }));
-            return;
-        }
+            return { message: 'Reload triggered', reloadInfo: this.getReloadInfo() };
+        };
+        router.get('/api/reload-now', {
+            permission: PERMISSIONS.OPERATE,
+            summary: 'Reload the secrets from the mount now',
+            response: {
+                type: 'object',
+                required: ['message', 'reloadInfo'],
+                properties: { message: { type: 'string' }, reloadInfo: ref('ReloadInfo') }
+            }
+        }, reloadNowRoute);
+        router.alias('/api/force-reload', '/api/reload-now');
 
-        if (req.url.startsWith('/api/')) {
+        // Generate HTML with reload info
+        router.get('/', this.htmlRoute(async () => {
             const secrets = await this.getSecrets();
             const reloadInfo = this.getReloadInfo();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ secrets, reloadInfo }));
-            return;
-        }
+            return this.getHTMLWithReloadInfo(secrets, reloadInfo);
+        }));
 
-        // Generate HTML with reload info
-        const secrets = await this.getSecrets();
-        const reloadInfo = this.getReloadInfo();
-        const html = this.getHTMLWithReloadInfo(secrets, reloadInfo);
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(html);
+        // Any other API path returns the secrets together with the reload state
+        router.get('/api/*', async (req) => {
+            const secrets = await this.getSecrets();
+            const reloadInfo = this.getReloadInfo();
+            return { secrets: this.redactSecrets(secrets, req.user), reloadInfo };
+        });
+    }
+
+    apiSchemas() {
+        return {
+            ...super.apiSchemas(),
+            ReloadInfo: {
+                type: 'object',
+                required: ['enabled', 'lastReloadTime', 'reloadCount', 'watchersActive'],
+                properties: {
+                    enabled: { type: 'boolean' },
+                    lastReloadTime: { anyOf: [dateTime, { type: 'null' }] },
+                    reloadCount: { type: 'integer' },
+                    watchersActive: { type: 'integer' },
+                    secretsMountPath: { type: 'string' },
+                    reloadInterval: { type: 'integer', description: 'Milliseconds between polls' }
+                }
+            }
+        };
     }
 
     getHTMLWithReloadInfo(secrets, reloadInfo) {
-        const baseHTML = this.getHTML();
-        
-        const reloadSection = `
-            <div class="reload-section" style="background: #f3e5f5; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #9c27b0;">
-                <h3>🔄 Hot Reload Status</h3>
-                <div class="reload-info">
-                    <p><strong>Hot Reload:</strong> ${reloadInfo.enabled ? '✅ Enabled' : '❌ Disabled'}</p>
-                    <p><strong>Watchers Active:</strong> ${reloadInfo.watchersActive}</p>
-                    <p><strong>Reload Count:</strong> ${reloadInfo.reloadCount}</p>
-                    <p><strong>Last Reload:</strong> ${reloadInfo.lastReloadTime || 'Never'}</p>
-                    <p><strong>Check Interval:</strong> ${reloadInfo.reloadInterval / 1000} seconds</p>
-                    <p><strong>Mount Path:</strong> <code>${reloadInfo.secretsMountPath}</code></p>
-                </div>
-                <div style="margin-top: 15px;">
-                    <button onclick="fetch('/api/reload-now').then(r=>r.json()).then(d=>alert('Reloaded! Count: ' + d.reloadInfo.reloadCount))" 
-                            style="padding: 10px 20px; background: #9c27b0; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                        🔄 Force Reload Now
-                    </button>
-                </div>
-                <p style="margin-top: 15px; font-size: 0.9em; color: #666;">
-                    This webapp automatically reloads secrets when they change in Azure Key Vault. 
-                    No pod restart required! The app watches the CSI mount directory for file changes 
-                    and automatically refreshes the cached secrets.
-                </p>
-            </div>
-        `;
-
-        return baseHTML.replace('</body>', reloadSection + '</body>');
+        const reloadSection = card({ title: '🔄 Hot Reload Status', className: 'reload-card' }, html`
+            ${fields([
+                ['Hot Reload', reloadInfo.enabled ? '✅ Enabled' : '❌ Disabled'],
+                ['Watchers Active', reloadInfo.watchersActive],
+                ['Reload Count', reloadInfo.reloadCount],
+                ['Last Reload', reloadInfo.lastReloadTime || 'Never'],
+                ['Check Interval', `${reloadInfo.reloadInterval / 1000} seconds`],
+                ['Mount Path', html`<code>${reloadInfo.secretsMountPath}</code>`]
+            ])}
+            ${actionBar(button({ label: '🔄 Force Reload Now', action: 'forceReload' }))}
+            <p class="text-muted">
+                This webapp automatically reloads secrets when they change in Azure Key Vault.
+                No pod restart required! The app watches the CSI mount directory for file changes
+                and automatically refreshes the cached secrets.
+            </p>`);
+
+        return this.renderPage({
+            after: reloadSection,
+            styles: RELOAD_STYLES,
+            scripts: [RELOAD_SCRIPT]
+        });
     }
 
-    // Override start to use custom request handler
+    // Override start to log the hot reload settings
     start() {
-        const server = http.createServer((req, res) => {
-            this.handleRequest(req, res).catch(error => {
-                console.error('Request error:', error);
-                res.writeHead(500, { 'Content-Type': 'text/plain' });
-                res.end('Internal Server Error');
+        return this.listen(this.createServer(), () => {
+            this.logger.info(`${this.APP_NAME} running on port ${this.PORT}`, {
+                port: this.PORT,
+                method: this.METHOD,
+                secretsMountPath: this.secretsMountPath,
+                hotReload: true,
+                reloadInterval: this.reloadInterval
             });
         });
-
-        server.listen(this.PORT, () => {
-            console.log(`================================`);
-            console.log(`${this.APP_NAME} running on port ${this.PORT}`);
-            console.log(`Method: ${this.METHOD}`);
-            console.log(`Secrets mount path: ${this.secretsMountPath}`);
-            console.log(`Hot Reload: Enabled`);
-            console.log(`================================`);
-        });
     }
 }
 
-const app = new HotReloadWebapp({
-    appName: 'Hello World - Hot Reload',
-    method: 'Hot Reload (CSI Driver)',
-    operator: '',
-    secretsMountPath: process.env.SECRETS_MOUNT_PATH || '/etc/secrets',
-    secretStrategy: 'csi',
-    reloadInterval: parseInt(process.env.RELOAD_INTERVAL || '5000')
-});
+module.exports = HotReloadWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new HotReloadWebapp({
+        appName: 'Hello World - Hot Reload',
+        method: 'Hot Reload (CSI Driver)',
+        operator: '',
+        secretStrategy: 'csi'
+    });
 
+    app.start();
+}
@@ -0,0 +1,517 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local stand-in for the Azure Key Vault secrets REST API, so the azure-api
+// dashboards can run on a laptop or in CI. Point KEYVAULT_URL at it and set
+// KEYVAULT_EMULATOR=true (see shared/keyvault-client.js).
+
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', 'seed.json');
+const SECRET_NAME_PATTERN = /^[0-9a-zA-Z-]{1,127}$/;
+const RECOVERABLE_DAYS = 90;
+const BACKUP_FORMAT = 'keyvault-emulator-backup';
+
+class KeyVaultError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function newVersionId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Key Vault names are case-insensitive, so the store is keyed by lower-cased name
+class SecretStore {
+    constructor(options = {}) {
+        this.stateFile = options.stateFile || null;
+        this.secrets = {};
+        this.deleted = {};
+
+        if (this.stateFile && fs.existsSync(this.stateFile)) {
+            const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            this.secrets = state.secrets || {};
+            this.deleted = state.deleted || {};
+        }
+    }
+
+    isEmpty() {
+        return Object.keys(this.secrets).length === 0 && Object.keys(this.deleted).length === 0;
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a state file behind
+    save() {
+        if (!this.stateFile) {
+            return;
+        }
+        const tempFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ secrets: this.secrets, deleted: this.deleted }, null, 2));
+        fs.renameSync(tempFile, this.stateFile);
+    }
+
+    // Seed entries look like { name, value, contentType, tags, enabled, expires, notBefore }
+    seed(entries) {
+        entries.forEach(entry => this.setSecret(entry.name, {
+            value: entry.value,
+            contentType: entry.contentType,
+            tags: entry.tags,
+            attributes: {
+                enabled: entry.enabled,
+                exp: entry.expires ? Math.floor(new Date(entry.expires).getTime() / 1000) : undefined,
+                nbf: entry.notBefore ? Math.floor(new Date(entry.notBefore).getTime() / 1000) : undefined
+            }
+        }));
+    }
+
+    validateName(name) {
+        if (!SECRET_NAME_PATTERN.test(name)) {
+            throw new KeyVaultError(400, 'BadParameter', `The request URI contains an invalid name: ${name}`);
+        }
+    }
+
+    requireSecret(name) {
+        const secret = this.secrets[name.toLowerCase()];
+        if (!secret) {
+            throw new KeyVaultError(404, 'SecretNotFound', `A secret with (name/id) ${name} was not found in this key vault.`);
+        }
+        return secret;
+    }
+
+    requireDeleted(name) {
+        const secret = this.deleted[name.toLowerCase()];
+        if (!secret) {
+            throw new KeyVaultError(404, 'SecretNotFound', `Deleted Secret not found: ${name}`);
+        }
+        return secret;
+    }
+
+    requireVersion(name, version) {
+        const secret = this.requireSecret(name);
+        if (!version) {
+            return { secret, entry: secret.versions[secret.versions.length - 1] };
+        }
+
+        const entry = secret.versions.find(v => v.version === version);
+        if (!entry) {
+            throw new KeyVaultError(404, 'SecretNotFound', `A secret with (name/id) ${name}/${version} was not found in this key vault.`);
+        }
+        return { secret, entry };
+    }
+
+    ensureNotDeleted(name) {
+        if (this.deleted[name.toLowerCase()]) {
+            throw new KeyVaultError(409, 'Conflict', `Secret ${name} is currently in a deleted but recoverable state, and its name cannot be reused; in this state, the secret can only be recovered or purged.`);
+        }
+    }
+
+    setSecret(name, body = {}) {
+        this.validateName(name);
+        this.ensureNotDeleted(name);
+
+        if (typeof body.value !== 'string') {
+            throw new KeyVaultError(400, 'BadParameter', 'Property value is required and must be a string.');
+        }
+
+        const key = name.toLowerCase();
+        const secret = this.secrets[key] || (this.secrets[key] = { name, versions: [] });
+        const attributes = body.attributes || {};
+        const timestamp = nowSeconds();
+
+        const entry = {
+            version: newVersionId(),
+            value: body.value,
+            contentType: body.contentType || null,
+            tags: body.tags || {},
+            attributes: {
+                enabled: attributes.enabled !== false,
+                created: timestamp,
+                updated: timestamp,
+                exp: attributes.exp || null,
+                nbf: attributes.nbf || null
+            }
+        };
+        secret.versions.push(entry);
+        this.save();
+        return { secret, entry };
+    }
+
+    updateSecret(name, version, body = {}) {
+        const { secret, entry } = this.requireVersion(name, version);
+        const attributes = body.attributes || {};
+
+        if (body.contentType !== undefined) {
+            entry.contentType = body.contentType;
+        }
+        if (body.tags !== undefined) {
+            entry.tags = body.tags || {};
+        }
+        ['enabled', 'exp', 'nbf'].forEach(field => {
+            if (attributes[field] !== undefined) {
+                entry.attributes[field] = attributes[field];
+            }
+        });
+        entry.attributes.updated = nowSeconds();
+
+        this.save();
+        return { secret, entry };
+    }
+
+    listSecrets() {
+        return Object.values(this.secrets).map(secret => ({ secret, entry: secret.versions[secret.versions.length - 1] }));
+    }
+
+    listVersions(name) {
+        const secret = this.requireSecret(name);
+        return secret.versions.map(entry => ({ secret, entry }));
+    }
+
+    deleteSecret(name) {
+        const secret = this.requireSecret(name);
+        const key = name.toLowerCase();
+        const deletedDate = nowSeconds();
+
+        secret.deletedDate = deletedDate;
+        secret.scheduledPurgeDate = deletedDate + RECOVERABLE_DAYS * 24 * 60 * 60;
+        this.deleted[key] = secret;
+        delete this.secrets[key];
+
+        this.save();
+        return secret;
+    }
+
+    listDeleted() {
+        return Object.values(this.deleted);
+    }
+
+    getDeleted(name) {
+        return this.requireDeleted(name);
+    }
+
+    recoverSecret(name) {
+        const secret = this.requireDeleted(name);
+        const key = name.toLowerCase();
+
+        delete secret.deletedDate;
+        delete secret.scheduledPurgeDate;
+        this.secrets[key] = secret;
+        delete this.deleted[key];
+
+        this.save();
+        return { secret, entry: secret.versions[secret.versions.length - 1] };
+    }
+
+    purgeSecret(name) {
+        this.requireDeleted(name);
+        delete this.deleted[name.toLowerCase()];
+        this.save();
+    }
+
+    // Backups are opaque base64url blobs to callers; here they hold the secret's full history
+    backupSecret(name) {
+        const secret = this.requireSecret(name);
+        return Buffer.from(JSON.stringify({ format: BACKUP_FORMAT, secret })).toString('base64url');
+    }
+
+    restoreSecret(blob) {
+        let secret = null;
+        try {
+            const backup = JSON.parse(Buffer.from(String(blob || ''), 'base64url').toString('utf8'));
+            secret = backup.format === BACKUP_FORMAT ? backup.secret : null;
+        } catch (error) {
+            // Not one of our backups; reported below
+        }
+        if (!secret || !secret.name || !Array.isArray(secret.versions) || secret.versions.length === 0) {
+            throw new KeyVaultError(400, 'BadParameter', 'Backup blob contains invalid or corrupt version.');
+        }
+
+        const key = secret.name.toLowerCase();
+        this.ensureNotDeleted(secret.name);
+        if (this.secrets[key]) {
+            throw new KeyVaultError(409, 'Conflict', `Secret ${secret.name} already exists. Restore is only allowed when the secret does not exist.`);
+        }
+
+        this.secrets[key] = secret;
+        this.save();
+        return { secret, entry: secret.versions[secret.versions.length - 1] };
+    }
+}
+
+class KeyVaultEmulator {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : (process.env.PORT || 8200);
+        this.host = options.host || process.env.HOST || '127.0.0.1';
+        this.pageSize = options.pageSize || 25;
+        this.store = options.store || new SecretStore({ stateFile: options.stateFile || process.env.EMULATOR_STATE_FILE });
+
+        const seedFile = options.seedFile !== undefined ? options.seedFile : (process.env.EMULATOR_SEED_FILE || DEFAULT_SEED_FILE);
+        if (seedFile && this.store.isEmpty()) {
+            this.seedFromFile(seedFile);
+        }
+    }
+
+    seedFromFile(seedFile) {
+        const fixture = JSON.parse(fs.readFileSync(seedFile, 'utf8'));
+        const entries = Array.isArray(fixture) ? fixture : fixture.secrets;
+        if (!Array.isArray(entries)) {
+            throw new Error(`Seed file ${seedFile} must be an array or an object with a 'secrets' array`);
+        }
+        this.store.seed(entries);
+        console.log(`Seeded ${entries.length} secrets from ${seedFile}`);
+    }
+
+    // Response shapes follow the Key Vault REST API (SecretBundle / SecretItem / DeletedSecretBundle)
+    secretAttributes(entry) {
+        const attributes = {
+            enabled: entry.attributes.enabled,
+            created: entry.attributes.created,
+            updated: entry.attributes.updated,
+            recoveryLevel: 'Recoverable+Purgeable',
+            recoverableDays: RECOVERABLE_DAYS
+        };
+        if (entry.attributes.exp) {
+            attributes.exp = entry.attributes.exp;
+        }
+        if (entry.attributes.nbf) {
+            attributes.nbf = entry.attributes.nbf;
+        }
+        return attributes;
+    }
+
+    secretBundle(baseUrl, secret, entry, includeValue = true) {
+        const bundle = {
+            id: `${baseUrl}/secrets/${secret.name}/${entry.version}`,
+            attributes: this.secretAttributes(entry),
+            tags: entry.tags
+        };
+        if (includeValue) {
+            bundle.value = entry.value;
+        }
+        if (entry.contentType) {
+            bundle.contentType = entry.contentType;
+        }
+        return bundle;
+    }
+
+    secretItem(baseUrl, secret, entry, withVersion) {
+        const item = {
+            id: withVersion ? `${baseUrl}/secrets/${secret.name}/${entry.version}` : `${baseUrl}/secrets/${secret.name}`,
+            attributes: this.secretAttributes(entry),
+            tags: entry.tags
+        };
+        if (entry.contentType) {
+            item.contentType = entry.contentType;
+        }
+        return item;
+    }
+
+    deletedFields(baseUrl, secret) {
+        return {
+            recoveryId: `${baseUrl}/deletedsecrets/${secret.name}`,
+            deletedDate: secret.deletedDate,
+            scheduledPurgeDate: secret.scheduledPurgeDate
+        };
+    }
+
+    // Slice a listing into pages linked by nextLink, like the real service
+    paginate(baseUrl, url, items) {
+        const maxResults = Math.min(parseInt(url.searchParams.get('maxresults'), 10) || this.pageSize, this.pageSize);
+        const skip = parseInt(url.searchParams.get('$skiptoken'), 10) || 0;
+        const page = { value: items.slice(skip, skip + maxResults), nextLink: null };
+
+        if (skip + maxResults < items.length) {
+            const next = new URL(url.pathname, baseUrl);
+            url.searchParams.forEach((value, key) => next.searchParams.set(key, value));
+            next.searchParams.set('$skiptoken', String(skip + maxResults));
+            page.nextLink = next.toString();
+        }
+        return page;
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                if (!body) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(body));
+                } catch (error) {
+                    reject(new KeyVaultError(400, 'BadParameter', 'The request body is not valid JSON.'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    // Unauthenticated requests get the same bearer challenge as Azure; any token is accepted after that
+    sendChallenge(res) {
+        res.writeHead(401, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'WWW-Authenticate': 'Bearer authorization="https://login.microsoftonline.com/00000000-0000-0000-0000-000000000000", resource="https://vault.azure.net"'
+        });
+        res.end(JSON.stringify({ error: { code: 'Unauthorized', message: 'AKV10000: Request is missing a Bearer or PoP token.' } }));
+    }
+
+    async handleRequest(req, res) {
+        const baseUrl = `http://${req.headers.host}`;
+        const url = new URL(req.url, baseUrl);
+        const segments = url.pathname.split('/').slice(1).map(decodeURIComponent);
+        const method = req.method;
+
+        if (url.pathname === '/health') {
+            this.sendJSON(res, 200, { status: 'healthy', secrets: this.store.listSecrets().length, deleted: this.store.listDeleted().length });
+            return;
+        }
+
+        if (!/^Bearer\s+\S+/i.test(req.headers.authorization || '')) {
+            // Drain the body so the client can retry on the same connection
+            req.resume();
+            this.sendChallenge(res);
+            return;
+        }
+
+        const body = ['PUT', 'PATCH', 'POST'].includes(method) ? await this.readBody(req) : {};
+        const [collection, name, action] = segments;
+        const store = this.store;
+
+        if (collection === 'secrets') {
+            // /secrets
+            if (!name && method === 'GET') {
+                const items = store.listSecrets().map(({ secret, entry }) => this.secretItem(baseUrl, secret, entry, false));
+                this.sendJSON(res, 200, this.paginate(baseUrl, url, items));
+                return;
+            }
+            // /secrets/restore
+            if (name === 'restore' && segments.length === 2 && method === 'POST') {
+                const { secret, entry } = store.restoreSecret(body.value);
+                this.sendJSON(res, 200, this.secretBundle(baseUrl, secret, entry, false));
+                return;
+            }
+            if (name) {
+                // /secrets/{name}
+                if (segments.length === 2 && method === 'PUT') {
+                    const { secret, entry } = store.setSecret(name, body);
+                    this.sendJSON(res, 200, this.secretBundle(baseUrl, secret, entry));
+                    return;
+                }
+                if (segments.length === 2 && method === 'DELETE') {
+                    const secret = store.deleteSecret(name);
+                    const entry = secret.versions[secret.versions.length - 1];
+                    this.sendJSON(res, 200, { ...this.secretBundle(baseUrl, secret, entry, false), ...this.deletedFields(baseUrl, secret) });
+                    return;
+                }
+                // /secrets/{name}/versions
+                if (action === 'versions' && segments.length === 3 && method === 'GET') {
+                    const items = store.listVersions(name).map(({ secret, entry }) => this.secretItem(baseUrl, secret, entry, true));
+                    this.sendJSON(res, 200, this.paginate(baseUrl, url, items));
+                    return;
+                }
+                // /secrets/{name}/backup
+                if (action === 'backup' && segments.length === 3 && method === 'POST') {
+                    this.sendJSON(res, 200, { value: store.backupSecret(name) });
+                    return;
+                }
+                // /secrets/{name}[/{version}] - the SDK sends an empty version for "latest"
+                if (segments.length <= 3 && method === 'GET') {
+                    const { secret, entry } = store.requireVersion(name, action);
+                    this.sendJSON(res, 200, this.secretBundle(baseUrl, secret, entry));
+                    return;
+                }
+                if (segments.length <= 3 && method === 'PATCH') {
+                    const { secret, entry } = store.updateSecret(name, action, body);
+                    this.sendJSON(res, 200, this.secretBundle(baseUrl, secret, entry, false));
+                    return;
+                }
+            }
+        }
+
+        if (collection === 'deletedsecrets') {
+            // /deletedsecrets
+            if (!name && method === 'GET') {
+                const items = store.listDeleted().map(secret => ({
+                    ...this.secretItem(baseUrl, secret, secret.versions[secret.versions.length - 1], false),
+                    ...this.deletedFields(baseUrl, secret)
+                }));
+                this.sendJSON(res, 200, this.paginate(baseUrl, url, items));
+                return;
+            }
+            if (name && segments.length === 2 && method === 'GET') {
+                const secret = store.getDeleted(name);
+                const entry = secret.versions[secret.versions.length - 1];
+                this.sendJSON(res, 200, { ...this.secretBundle(baseUrl, secret, entry, false), ...this.deletedFields(baseUrl, secret) });
+                return;
+            }
+            if (name && segments.length === 2 && method === 'DELETE') {
+                store.purgeSecret(name);
+                this.sendJSON(res, 204);
+                return;
+            }
+            if (name && action === 'recover' && segments.length === 3 && method === 'POST') {
+                const { secret, entry } = store.recoverSecret(name);
+                this.sendJSON(res, 200, this.secretBundle(baseUrl, secret, entry, false));
+                return;
+            }
+        }
+
+        throw new KeyVaultError(404, 'NotFound', `The requested operation ${method} ${url.pathname} is not supported by the Key Vault emulator.`);
+    }
+
+    createServer() {
+        return http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                if (error instanceof KeyVaultError) {
+                    this.sendJSON(res, error.status, { error: { code: error.code, message: error.message } });
+                } else {
+                    console.error('Key Vault emulator error:', error);
+                    this.sendJSON(res, 500, { error: { code: 'InternalServerError', message: error.message } });
+                }
+            });
+        });
+    }
+
+    start() {
+        this.server = this.createServer();
+        return new Promise(resolve => {
+            this.server.listen(this.port, this.host, () => {
+                const { port } = this.server.address();
+                this.url = `http://${this.host}:${port}`;
+                console.log(`Key Vault emulator running at ${this.url}`);
+                console.log(`State: ${this.store.stateFile || 'in memory'}`);
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = { KeyVaultEmulator, SecretStore, KeyVaultError };
+
+if (require.main === module) {
+    new KeyVaultEmulator().start();
+}
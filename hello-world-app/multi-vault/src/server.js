@@ -1,7 +1,23 @@
-const http = require('http');
-const { SecretClient } = require('@azure/keyvault-secrets');
-const { ClientSecretCredential } = require('@azure/identity');
+const { checkCredential, checkKeyVaultReachable } = require('./secret-providers');
+const { isKeyVaultUnavailable } = require('./resilience');
 const HelloWorldWebapp = require('./webapp-framework');
+const { ref } = require('./openapi');
+const { html } = require('./html');
+const { card, table, badge, fields, button, actionBar } = require('./components');
+
+const MULTI_VAULT_STYLES = `
+        .multivault-card { background: #ede7f6; border-left-color: #673ab7; }
+        .multivault-card .table { background: white; }
+        .multivault-card .action-btn { background: #673ab7; }
+`;
+
+const MULTI_VAULT_SCRIPT = `
+        async function refreshVaultInfo() {
+            const response = await fetch('/api/vaults');
+            const data = await response.json();
+            alert('Vaults: ' + data.vaultCount);
+        }
+`;
 
 class MultiVaultWebapp extends HelloWorldWebapp {
     constructor(config) {
@@ -13,125 +29,33 @@ class MultiVaultWebapp extends HelloWorldWebapp {
     }
 
     initializeMultiVault() {
-        const tenantId = process.env.AZURE_TENANT_ID;
-        const clientId = process.env.AZURE_CLIENT_ID;
-        const clientSecret = process.env.AZURE_CLIENT_SECRET;
-
-        if (!tenantId || !clientId || !clientSecret) {
-            console.error('Missing required Azure credentials for multi-vault access');
+        // One credential chain for every vault
+        const credential = this.getCredential();
+        if (!credential) {
+            this.logger.error('Missing required Azure credentials for multi-vault access');
             return;
         }
 
-        const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
-
-        // Parse vault configuration from environment
-        // Format: VAULT_CONFIG=name1:url1,name2:url2
-        // Note: URLs may contain colons (https://), so we split on the first colon only
-        const vaultConfig = process.env.VAULT_CONFIG || process.env.KEYVAULT_URL;
-        
-        if (vaultConfig) {
-            if (vaultConfig.includes(',')) {
-                // Multiple vaults - split by comma first
-                vaultConfig.split(',').forEach(vaultEntry => {
-                    const trimmed = vaultEntry.trim();
-                    // Find the first colon that's not part of https:// or http://
-                    // Look for pattern: name:http... or name:https...
-                    let colonIndex = -1;
-                    for (let i = 0; i < trimmed.length; i++) {
-                        if (trimmed[i] === ':' && i > 0) {
-                            // Check if what comes after is http:// or https://
-                            const afterColon = trimmed.substring(i + 1);
-                            if (afterColon.startsWith('http://') || afterColon.startsWith('https://')) {
-                                colonIndex = i;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    if (colonIndex > 0) {
-                        const name = trimmed.substring(0, colonIndex).trim();
-                        const url = trimmed.substring(colonIndex + 1).trim();
-                        if (name && url && !this.vaultClients[name]) {
-                            this.vaults.push({ name: name, url: url });
-                            this.vaultClients[name] = new SecretClient(url, credential);
-                            this.vaultMetadata[name] = {
-                                url: url,
-                                name: name,
-                                initialized: true
-                            };
-                        }
-                    } else {
-                        // No colon or malformed - treat entire entry as URL with auto-generated name
-                        const name = `vault-${this.vaults.length + 1}`;
-                        if (trimmed && !this.vaults.find(v => v.url === trimmed)) {
-                            this.vaults.push({ name: name, url: trimmed });
-                            this.vaultClients[name] = new SecretClient(trimmed, credential);
-                            this.vaultMetadata[name] = {
-                                url: trimmed,
-                                name: name,
-                                initialized: true
-                            };
-                        }
-                    }
-                });
-            } else {
-                // Single vault entry - check if it has a name prefix
-                const colonIndex = vaultConfig.indexOf(':');
-                if (colonIndex > 0 && vaultConfig.substring(0, colonIndex).includes('http')) {
-                    // It's just a URL without name prefix
-                    const vaultName = 'primary';
-                    const vaultUrl = vaultConfig.trim();
-                    this.vaults.push({ name: vaultName, url: vaultUrl });
-                    this.vaultClients[vaultName] = new SecretClient(vaultUrl, credential);
-                    this.vaultMetadata[vaultName] = {
-                        url: vaultUrl,
-                        name: vaultName,
-                        initialized: true
-                    };
-                } else if (colonIndex > 0) {
-                    // Has name:url format
-                    const name = vaultConfig.substring(0, colonIndex).trim();
-                    const url = vaultConfig.substring(colonIndex + 1).trim();
-                    this.vaults.push({ name: name, url: url });
-                    this.vaultClients[name] = new SecretClient(url, credential);
-                    this.vaultMetadata[name] = {
-                        url: url,
-                        name: name,
-                        initialized: true
-                    };
-                } else {
-                    // Just a URL
-                    const vaultName = 'primary';
-                    const vaultUrl = vaultConfig.trim();
-                    this.vaults.push({ name: vaultName, url: vaultUrl });
-                    this.vaultClients[vaultName] = new SecretClient(vaultUrl, credential);
-                    this.vaultMetadata[vaultName] = {
-                        url: vaultUrl,
-                        name: vaultName,
-                        initialized: true
-                    };
-                }
-            }
+        // VAULT_CONFIG (name1:url1,name2:url2, or a list in the config file), parsed and checked
+        // by ./config. Without it KEYVAULT_URL is the only vault
+        const configured = this.appConfig.get('keyVault.vaults');
+        const vaults = configured.length > 0 ? [...configured]
+            : this.KEYVAULT_URL ? [{ name: 'primary', url: this.KEYVAULT_URL }] : [];
 
-            // Also add KEYVAULT_URL as 'default' if specified and not already added
-            const defaultUrl = process.env.KEYVAULT_URL;
-            if (defaultUrl) {
-                const defaultTrimmed = defaultUrl.trim();
-                const alreadyExists = this.vaults.find(v => v.url === defaultTrimmed);
-                if (!alreadyExists) {
-                    this.vaults.push({ name: 'default', url: defaultTrimmed });
-                    this.vaultClients['default'] = new SecretClient(defaultTrimmed, credential);
-                    this.vaultMetadata['default'] = {
-                        url: defaultTrimmed,
-                        name: 'default',
-                        initialized: true
-                    };
-                }
-            }
+        // Also add KEYVAULT_URL as 'default' if specified and not already added
+        if (this.KEYVAULT_URL && !vaults.find(vault => vault.url === this.KEYVAULT_URL || vault.name === 'default')) {
+            vaults.push({ name: 'default', url: this.KEYVAULT_URL });
         }
 
-        console.log(`Initialized ${this.vaults.length} vault connection(s):`, 
-            this.vaults.map(v => v.name).join(', '));
+        vaults.forEach(({ name, url }) => {
+            this.vaults.push({ name, url });
+            this.vaultClients[name] = this.createKeyVaultClient(url, name);
+            this.vaultMetadata[name] = { url, name, initialized: true };
+        });
+
+        this.logger.info(`Initialized ${this.vaults.length} vault connection(s)`, {
+            vaults: this.vaults.map(v => v.name)
+        });
     }
 
     async getSecretFromVault(vaultName, secretName) {
@@ -141,7 +65,7 @@ class MultiVaultWebapp extends HelloWorldWebapp {
         }
 
         try {
-            const secret = await client.getSecret(secretName);
+            const secret = await this.fetchSecret(secretName, `azure-api:${vaultName}`, () => client.getSecret(secretName));
             return {
                 vault: vaultName,
                 secretName,
@@ -154,6 +78,8 @@ class MultiVaultWebapp extends HelloWorldWebapp {
                 vault: vaultName,
                 secretName,
                 error: error.message,
+                // Throttled or circuit open: the secret may well exist, the vault just can't say right now
+                unavailable: isKeyVaultUnavailable(error) || undefined,
                 found: false
             };
         }
@@ -171,14 +97,21 @@ class MultiVaultWebapp extends HelloWorldWebapp {
     }
 
     async getSecretFromPrimaryVault(secretName) {
-        // Try vaults in order until one succeeds
+        // Try vaults in order until one succeeds; an unavailable vault falls through to the next as well
+        const unavailable = [];
         for (const vault of this.vaults) {
             const result = await this.getSecretFromVault(vault.name, secretName);
             if (result.found) {
                 return result;
             }
+            if (result.unavailable) {
+                unavailable.push(result);
+            }
         }
 
+        if (unavailable.length > 0) {
+            return { error: unavailable.map(result => result.error).join('; '), unavailable: true };
+        }
         return { error: `Secret '${secretName}' not found in any vault` };
     }
 
@@ -188,7 +121,8 @@ class MultiVaultWebapp extends HelloWorldWebapp {
             vaults: this.vaults.map(v => ({
                 name: v.name,
                 url: v.url,
-                initialized: !!this.vaultClients[v.name]
+                initialized: !!this.vaultClients[v.name],
+                circuit: this.resilience.breakerFor(v.name).describe()
             })),
             metadata: this.vaultMetadata
         };
@@ -197,16 +131,18 @@ class MultiVaultWebapp extends HelloWorldWebapp {
     async getSecrets() {
         // Override to use multi-vault strategy
         const secrets = {};
-        const secretNames = ['database-password', 'api-key', 'hello-world-secret'];
+        const secretNames = this.getSecretNames();
 
         for (const secretName of secretNames) {
             try {
-                const result = await this.getSecretFromPrimaryVault(secretName);
+                const result = await this.getSecretFromPrimaryVault(this.secretCatalog.keyVaultName(secretName));
                 if (result.found) {
                     // Use the secret key format expected by the framework
                     const key = secretName.replace(/-/g, '_').toLowerCase();
                     secrets[secretName] = result.value;
                     secrets[`_${secretName}_vault`] = result.vault;
+                } else if (result.unavailable) {
+                    secrets[secretName] = `Error: ${result.error}`;
                 } else {
                     secrets[secretName] = 'Not found';
                 }
@@ -218,133 +154,201 @@ class MultiVaultWebapp extends HelloWorldWebapp {
         return secrets;
     }
 
-    async handleRequest(req, res) {
-        const url = new URL(req.url, `http://${req.headers.host}`);
+    // One reachability check per configured vault instead of the single KEYVAULT_URL client
+    registerHealthChecks(health) {
+        super.registerHealthChecks(health);
+        health.unregister('keyvault-client').unregister('keyvault');
+
+        health.register('vaults', () => this.vaults.length > 0
+            ? { status: 'pass', vaults: this.vaults.map(v => v.name) }
+            : { status: 'fail', message: 'No vaults configured. Set VAULT_CONFIG or KEYVAULT_URL and the Azure credentials' },
+        { readiness: true });
+        health.register('credential', () => checkCredential(this.credential, this.vaults.length > 0 ? this.vaults[0].url : ''));
+        this.vaults.forEach(vault => {
+            health.register(`keyvault:${vault.name}`, () => checkKeyVaultReachable(this.vaultClients[vault.name]));
+        });
+    }
 
-        if (url.pathname === '/api/health' || url.pathname === '/health') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'healthy', multiVault: true }));
-            return;
-        }
+    registerRoutes(router) {
+        super.registerRoutes(router);
 
-        if (url.pathname === '/api/vaults' || url.pathname === '/api/vault-info') {
-            const vaultInfo = this.getVaultInfo();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(vaultInfo));
-            return;
-        }
+        router.get('/api/health', { public: true, ...HelloWorldWebapp.HEALTH_DOCS }, this.healthRoute({ multiVault: true }));
+        router.alias('/health', '/api/health');
+
+        router.get('/api/vaults', { summary: 'Configured vaults and their circuit breakers', response: ref('VaultInfo') }, () => this.getVaultInfo());
+        router.alias('/api/vault-info', '/api/vaults');
+
+        // ?vault=<name> reads from one vault, otherwise every vault is searched
+        router.get('/api/secret/:name', {
+            summary: 'One Key Vault secret from every vault, or from the one named by ?vault=',
+            query: { vault: 'Only read from this vault' },
+            response: {
+                anyOf: [
+                    ref('VaultSecret'),
+                    { type: 'object', description: 'Without ?vault=: the result from each vault', additionalProperties: ref('VaultSecret') }
+                ]
+            }
+        }, async (req) => {
+            const secretName = req.params.name;
+            const vaultName = req.query.vault;
+
+            // The path names the Key Vault secret; redaction rules use the catalog name
+            const entry = this.secretCatalog.findByKeyVaultName(secretName);
+            const policyName = entry ? entry.name : secretName;
+            const redactResult = result => (result.found
+                ? { ...result, value: this.redactSecret(policyName, result.value, req.user) }
+                : result);
 
-        if (url.pathname.startsWith('/api/secret/')) {
-            const secretName = decodeURIComponent(url.pathname.replace('/api/secret/', ''));
-            const vaultName = url.searchParams.get('vault');
-            
-            let result;
             if (vaultName) {
-                result = await this.getSecretFromVault(vaultName, secretName);
-            } else {
-                result = await this.getSecretFromAllVaults(secretName);
+                return redactResult(await this.getSecretFromVault(vaultName, secretName));
             }
+            const results = await this.getSecretFromAllVaults(secretName);
+            return Object.fromEntries(Object.entries(results).map(([vault, result]) => [vault, redactResult(result)]));
+        });
 
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(result));
-            return;
-        }
+        // Generate HTML with multi-vault info
+        router.get('/', this.htmlRoute(async () => {
+            const secrets = await this.getSecrets();
+            const vaultInfo = this.getVaultInfo();
+            return this.getHTMLWithMultiVaultInfo(secrets, vaultInfo);
+        }));
 
-        if (url.pathname.startsWith('/api/')) {
+        // Any other API path returns the secrets together with the vault list
+        router.get('/api/*', async (req) => {
             const secrets = await this.getSecrets();
             const vaultInfo = this.getVaultInfo();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ secrets, vaultInfo }));
-            return;
-        }
+            return { secrets: this.redactSecrets(secrets, req.user), vaultInfo };
+        });
+    }
 
-        // Generate HTML with multi-vault info
-        const secrets = await this.getSecrets();
-        const vaultInfo = this.getVaultInfo();
-        const html = this.getHTMLWithMultiVaultInfo(secrets, vaultInfo);
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(html);
+    apiSchemas() {
+        return {
+            ...super.apiSchemas(),
+            VaultInfo: {
+                type: 'object',
+                required: ['vaultCount', 'vaults'],
+                properties: {
+                    vaultCount: { type: 'integer' },
+                    vaults: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'url', 'initialized', 'circuit'],
+                            properties: {
+                                name: { type: 'string' },
+                                url: { type: 'string' },
+                                initialized: { type: 'boolean' },
+                                circuit: {
+                                    type: 'object',
+                                    required: ['state'],
+                                    properties: {
+                                        state: { enum: ['closed', 'open', 'half-open'] },
+                                        failures: { type: 'integer' },
+                                        openUntil: { type: ['string', 'null'] },
+                                        lastFailure: {}
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    metadata: { type: 'object' }
+                }
+            },
+            // found: false with an error when the vault doesn't have it or can't be reached
+            VaultSecret: {
+                type: 'object',
+                properties: {
+                    vault: { type: 'string' },
+                    secretName: { type: 'string' },
+                    value: { type: 'string', description: 'Redacted for the caller' },
+                    version: { type: 'string' },
+                    found: { type: 'boolean' },
+                    unavailable: { type: 'boolean' },
+                    error: { type: 'string' }
+                }
+            }
+        };
+    }
+
+    // Connected, or the circuit breaker state while the vault is failing
+    renderVaultStatus(vault) {
+        if (!vault.initialized) {
+            return badge('Not initialized', 'danger');
+        }
+        switch (vault.circuit.state) {
+            case 'open':
+                return badge('Unavailable (circuit open)', 'danger');
+            case 'half-open':
+                return badge('Recovering', 'warning');
+            default:
+                return badge('Connected', 'success');
+        }
     }
 
     getHTMLWithMultiVaultInfo(secrets, vaultInfo) {
-        const baseHTML = this.getHTML();
-
-        const vaultSection = `
-            <div class="multivault-section" style="background: #ede7f6; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #673ab7;">
-                <h3>🏦 Multi-Vault Access</h3>
-                <div class="vault-info">
-                    <p><strong>Connected Vaults:</strong> ${vaultInfo.vaultCount}</p>
-                    <div style="background: white; padding: 15px; border-radius: 5px; margin: 10px 0;">
-                        ${vaultInfo.vaults.map(vault => `
-                            <div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 3px; border-left: 3px solid #673ab7;">
-                                <strong>${vault.name}</strong><br/>
-                                <code style="font-size: 0.9em;">${vault.url}</code><br/>
-                                Status: ${vault.initialized ? '✅ Connected' : '❌ Not initialized'}
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-
-                <h4 style="margin-top: 20px;">Secrets by Vault Source</h4>
-                <div style="background: white; padding: 15px; border-radius: 5px; margin: 10px 0;">
-                    ${Object.keys(secrets).filter(k => !k.startsWith('_') && secrets[k] !== 'Not found' && !secrets[k].startsWith('Error:')).map(secretName => {
-                        const vaultSource = secrets[`_${secretName}_vault`] || 'unknown';
-                        return `
-                            <div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 3px;">
-                                <strong>${secretName}:</strong> Loaded from <code>${vaultSource}</code> vault
-                            </div>
-                        `;
-                    }).join('')}
-                </div>
-
-                <div style="margin-top: 15px;">
-                    <button onclick="fetch('/api/vaults').then(r=>r.json()).then(d=>alert('Vaults: ' + d.vaultCount))" 
-                            style="padding: 10px 20px; background: #673ab7; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                        🔄 Refresh Vault Info
-                    </button>
-                </div>
-
-                <p style="margin-top: 15px; font-size: 0.9em; color: #666;">
-                    This webapp demonstrates accessing secrets from multiple Azure Key Vaults. 
-                    Secrets are retrieved from vaults in priority order, with automatic fallback 
-                    if a secret is not found in the primary vault. This pattern is useful for 
-                    multi-environment scenarios (dev/staging/prod) or disaster recovery.
-                </p>
-            </div>
-        `;
-
-        return baseHTML.replace('</body>', vaultSection + '</body>');
+        const loadedSecrets = Object.keys(secrets)
+            .filter(k => !k.startsWith('_') && secrets[k] !== 'Not found' && !secrets[k].startsWith('Error:'));
+
+        const vaultSection = card({ title: '🏦 Multi-Vault Access', className: 'multivault-card' }, html`
+            ${fields([['Connected Vaults', vaultInfo.vaultCount]])}
+            ${table({
+                columns: ['Vault', 'URL', 'Status'],
+                rows: vaultInfo.vaults.map(vault => [
+                    html`<strong>${vault.name}</strong>`,
+                    html`<code>${vault.url}</code>`,
+                    this.renderVaultStatus(vault)
+                ]),
+                empty: 'No vaults configured'
+            })}
+
+            <h4>Secrets by Vault Source</h4>
+            ${table({
+                columns: ['Secret', 'Loaded From'],
+                rows: loadedSecrets.map(secretName => [
+                    html`<strong>${secretName}</strong>`,
+                    html`<code>${secrets[`_${secretName}_vault`] || 'unknown'}</code>`
+                ]),
+                empty: 'No secrets loaded'
+            })}
+
+            ${actionBar(button({ label: '🔄 Refresh Vault Info', action: 'refreshVaultInfo' }))}
+
+            <p class="text-muted">
+                This webapp demonstrates accessing secrets from multiple Azure Key Vaults.
+                Secrets are retrieved from vaults in priority order, with automatic fallback
+                if a secret is not found in the primary vault. This pattern is useful for
+                multi-environment scenarios (dev/staging/prod) or disaster recovery.
+            </p>`);
+
+        return this.renderPage({
+            after: vaultSection,
+            styles: MULTI_VAULT_STYLES,
+            scripts: [MULTI_VAULT_SCRIPT]
+        });
     }
 
     start() {
         this.secretStrategy = 'azure-api';
 
-        const server = http.createServer((req, res) => {
-            this.handleRequest(req, res).catch(error => {
-                console.error('Request error:', error);
-                res.writeHead(500, { 'Content-Type': 'text/plain' });
-                res.end('Internal Server Error');
+        return this.listen(this.createServer(), () => {
+            this.logger.info(`${this.APP_NAME} running on port ${this.PORT}`, {
+                port: this.PORT,
+                method: this.METHOD,
+                vaults: this.vaults.map(v => ({ name: v.name, url: v.url }))
             });
         });
-
-        server.listen(this.PORT, () => {
-            console.log(`================================`);
-            console.log(`${this.APP_NAME} running on port ${this.PORT}`);
-            console.log(`Method: ${this.METHOD}`);
-            console.log(`Connected Vaults: ${this.vaults.length}`);
-            this.vaults.forEach(v => console.log(`  - ${v.name}: ${v.url}`));
-            console.log(`================================`);
-        });
     }
 }
 
-const app = new MultiVaultWebapp({
-    appName: 'Hello World - Multi-Vault',
-    method: 'Multi-Vault Access',
-    operator: '',
-    keyvaultUrl: process.env.KEYVAULT_URL || '',
-    secretStrategy: 'azure-api'
-});
+module.exports = MultiVaultWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new MultiVaultWebapp({
+        appName: 'Hello World - Multi-Vault',
+        method: 'Multi-Vault Access',
+        operator: '',
+        secretStrategy: 'azure-api'
+    });
 
+    app.start();
+}
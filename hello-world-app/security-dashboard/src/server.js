@@ -1,48 +1,29 @@
-const http = require('http');
-const url = require('url');
-const { SecretClient } = require('@azure/keyvault-secrets');
-const { ClientSecretCredential } = require('@azure/identity');
 const HelloWorldWebapp = require('./webapp-framework');
+const { ref } = require('./openapi');
+const { dateTime, nullable } = require('./api-schemas');
+const { html } = require('./html');
+const { card, grid, statTile, statGrid, table, filterBar, badge, button, barChart, meter, fields, list } = require('./components');
+
+const SECURITY_STYLES = `
+        .security-overview { display: grid; grid-template-columns: 200px 1fr; gap: 30px; margin: 20px 0; align-items: center; }
+        .security-overview > .stat-tile .stat-value { font-size: 3em; }
+        .rec-header { display: flex; justify-content: space-between; margin-bottom: 10px; }
+        .rec-category { font-size: 0.8em; color: #6c757d; }
+        .last-scan { text-align: center; }
+`;
+
+const SECURITY_SCRIPT = `
+        function refreshSecurityScan() {
+            window.location.reload();
+        }
+`;
 
 class SecurityDashboardWebapp extends HelloWorldWebapp {
     constructor(config) {
-        // Ensure KEYVAULT_URL is set from environment if not in config
-        const configWithKeyVault = {
-            ...config,
-            keyvaultUrl: config.keyvaultUrl || process.env.KEYVAULT_URL || ''
-        };
-        super(configWithKeyVault);
+        super(config);
         
-        // Override KEYVAULT_URL if it's still empty but environment variable exists
-        if (!this.KEYVAULT_URL && process.env.KEYVAULT_URL) {
-            this.KEYVAULT_URL = process.env.KEYVAULT_URL;
-        }
-        
-        this.securityRules = {
-            'database-password': {
-                minLength: 12,
-                maxLength: 128,
-                requireUppercase: true,
-                requireLowercase: true,
-                requireNumbers: true,
-                requireSpecial: true,
-                maxAge: 90, // days
-                rotationRequired: true
-            },
-            'api-key': {
-                minLength: 32,
-                maxLength: 256,
-                pattern: /^[A-Za-z0-9]+$/,
-                maxAge: 180, // days
-                rotationRequired: true
-            },
-            'hello-world-secret': {
-                minLength: 1,
-                maxLength: 1000,
-                maxAge: 365, // days
-                rotationRequired: false
-            }
-        };
+        // Rules come from the secret catalog, keyed by Key Vault object name
+        this.securityRules = this.secretCatalog.rulesByKeyVaultName();
         
         this.complianceRules = {
             'password-policy': {
@@ -78,33 +59,25 @@ class SecurityDashboardWebapp extends HelloWorldWebapp {
         this.accessLog = [];
         this.maxLogEntries = 1000;
         this.lastSecurityScan = 0;
+        this.lastScanResults = null;
         this.SECURITY_SCAN_INTERVAL = 300000; // 5 minutes
         
-        // Re-initialize Azure client if needed
-        if (this.secretStrategy === 'azure-api' && !this.keyVaultClient && this.KEYVAULT_URL) {
-            this.initializeAzureKeyVaultClient();
-        }
-    }
-
-    initializeAzureKeyVaultClient() {
-        const tenantId = process.env.AZURE_TENANT_ID;
-        const clientId = process.env.AZURE_CLIENT_ID;
-        const clientSecret = process.env.AZURE_CLIENT_SECRET;
-        const keyVaultUrl = process.env.KEYVAULT_URL;
-
-        if (!tenantId || !clientId || !clientSecret || !keyVaultUrl) {
-            console.error('Missing required Azure credentials for security dashboard');
-            return;
-        }
-
-        const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
-        this.keyVaultClient = new SecretClient(keyVaultUrl, credential);
+        // Only reported once a scan has succeeded, so a missing score never looks like 0%
+        this.metrics.gauge('secret_compliance_score', 'Overall compliance score (0-100) from the latest security scan', {
+            collect: async gauge => {
+                await this.performSecurityScan();
+                if (this.securityMetrics.lastScan) {
+                    gauge.set({}, this.securityMetrics.complianceScore || 0);
+                }
+            }
+        });
     }
 
     async performSecurityScan() {
         const now = Date.now();
+        // A recent scan is answered again in the same { metrics, results } shape
         if (now - this.lastSecurityScan < this.SECURITY_SCAN_INTERVAL && this.securityMetrics.lastScan) {
-            return this.securityMetrics;
+            return { metrics: this.securityMetrics, results: this.lastScanResults };
         }
 
         try {
@@ -166,10 +139,11 @@ class SecurityDashboardWebapp extends HelloWorldWebapp {
             };
 
             this.lastSecurityScan = now;
+            this.lastScanResults = securityResults;
             return { metrics: this.securityMetrics, results: securityResults };
 
         } catch (error) {
-            console.error('Error performing security scan:', error);
+            this.logger.error('Error performing security scan', { error });
             return { metrics: this.securityMetrics, error: error.message };
         }
     }
@@ -184,8 +158,7 @@ class SecurityDashboardWebapp extends HelloWorldWebapp {
         let rotationOverdue = false;
 
         try {
-            // Get secret value for analysis
-            const secretValue = secret.properties.value || await this.getSecretFromKeyVault(secretName);
+            const secretValue = secret.value;
             
             if (secretValue) {
                 // Length validation
@@ -238,8 +211,8 @@ class SecurityDashboardWebapp extends HelloWorldWebapp {
             }
 
             // Rotation analysis
+            const lastUpdate = updatedOn || createdOn;
             if (rule.rotationRequired && rule.maxAge) {
-                const lastUpdate = updatedOn || createdOn;
                 if (lastUpdate) {
                     const daysSinceUpdate = Math.floor((Date.now() - lastUpdate.getTime()) / (1000 * 60 * 60 * 24));
                     if (daysSinceUpdate > rule.maxAge) {
@@ -414,457 +387,202 @@ class SecurityDashboardWebapp extends HelloWorldWebapp {
         const { metrics, results } = securityData;
         const complianceScore = metrics.complianceScore || 0;
         const riskLevel = complianceScore >= 90 ? 'low' : complianceScore >= 70 ? 'medium' : 'high';
+        const riskVariant = { low: 'success', medium: 'warning', high: 'danger' };
 
-        return `
-        <div class="container">
+        return html`
             <h2>Security & Compliance Dashboard</h2>
-            
+
             <div class="security-overview">
-                <div class="compliance-score ${riskLevel}">
-                    <div class="score-value">${complianceScore}%</div>
-                    <div class="score-label">Compliance Score</div>
-                    <div class="score-description">${riskLevel.toUpperCase()} RISK</div>
-                </div>
-                
-                <div class="metrics-grid">
-                    <div class="metric-card">
-                        <div class="metric-value">${metrics.totalSecrets}</div>
-                        <div class="metric-label">Total Secrets</div>
-                    </div>
-                    <div class="metric-card success">
-                        <div class="metric-value">${metrics.compliantSecrets}</div>
-                        <div class="metric-label">Compliant</div>
-                    </div>
-                    <div class="metric-card danger">
-                        <div class="metric-value">${metrics.nonCompliantSecrets}</div>
-                        <div class="metric-label">Non-Compliant</div>
-                    </div>
-                    <div class="metric-card warning">
-                        <div class="metric-value">${metrics.expiredSecrets}</div>
-                        <div class="metric-label">Expired</div>
-                    </div>
-                    <div class="metric-card warning">
-                        <div class="metric-value">${metrics.rotationOverdue}</div>
-                        <div class="metric-label">Rotation Overdue</div>
-                    </div>
-                    <div class="metric-card danger">
-                        <div class="metric-value">${metrics.accessViolations}</div>
-                        <div class="metric-label">Access Violations</div>
-                    </div>
-                </div>
+                ${statTile({
+                    value: `${complianceScore}%`,
+                    label: 'Compliance Score',
+                    subtext: `${riskLevel.toUpperCase()} RISK`,
+                    variant: riskVariant[riskLevel]
+                })}
+                ${statGrid([
+                    { value: metrics.totalSecrets, label: 'Total Secrets' },
+                    { value: metrics.compliantSecrets, label: 'Compliant', variant: 'success' },
+                    { value: metrics.nonCompliantSecrets, label: 'Non-Compliant', variant: 'danger' },
+                    { value: metrics.expiredSecrets, label: 'Expired', variant: 'warning' },
+                    { value: metrics.rotationOverdue, label: 'Rotation Overdue', variant: 'warning' },
+                    { value: metrics.accessViolations, label: 'Access Violations', variant: 'danger' }
+                ])}
             </div>
 
-            ${results && results.recommendations && results.recommendations.length > 0 ? `
-            <div class="recommendations-section">
-                <h3>Security Recommendations</h3>
-                <div class="recommendations-grid">
-                    ${results.recommendations.map(rec => `
-                    <div class="recommendation-card ${rec.priority}">
-                        <div class="rec-header">
-                            <span class="rec-priority">${rec.priority.toUpperCase()}</span>
-                            <span class="rec-category">${rec.category.replace('-', ' ').toUpperCase()}</span>
-                        </div>
-                        <h4>${rec.title}</h4>
-                        <p>${rec.description}</p>
-                        <div class="rec-action">
-                            <strong>Action:</strong> ${rec.action}
-                        </div>
-                        ${rec.affectedSecrets && rec.affectedSecrets.length > 0 ? `
-                        <div class="rec-secrets">
-                            <strong>Affected Secrets:</strong> ${rec.affectedSecrets.join(', ')}
-                        </div>
-                        ` : ''}
-                    </div>
-                    `).join('')}
-                </div>
-            </div>
-            ` : ''}
-
-            ${results && results.compliance ? `
-            <div class="compliance-breakdown">
-                <h3>Compliance Breakdown</h3>
-                <div class="compliance-metrics">
-                    <div class="compliance-item">
-                        <div class="compliance-label">Password Policy</div>
-                        <div class="compliance-bar">
-                            <div class="compliance-fill" style="width: ${results.compliance.breakdown.passwordPolicy}%"></div>
-                        </div>
-                        <div class="compliance-value">${results.compliance.breakdown.passwordPolicy}%</div>
-                    </div>
-                    <div class="compliance-item">
-                        <div class="compliance-label">Rotation Policy</div>
-                        <div class="compliance-bar">
-                            <div class="compliance-fill" style="width: ${results.compliance.breakdown.rotationPolicy}%"></div>
-                        </div>
-                        <div class="compliance-value">${results.compliance.breakdown.rotationPolicy}%</div>
-                    </div>
-                    <div class="compliance-item">
-                        <div class="compliance-label">Access Policy</div>
-                        <div class="compliance-bar">
-                            <div class="compliance-fill" style="width: ${results.compliance.breakdown.accessPolicy}%"></div>
-                        </div>
-                        <div class="compliance-value">${results.compliance.breakdown.accessPolicy}%</div>
-                    </div>
-                </div>
-            </div>
-            ` : ''}
-
-            ${results && results.secrets ? `
-            <div class="secrets-analysis">
-                <h3>Secret Security Analysis</h3>
-                <div class="filter-controls">
-                    <button class="filter-btn active" onclick="filterSecrets('all')">All (${results.secrets.length})</button>
-                    <button class="filter-btn" onclick="filterSecrets('compliant')">Compliant (${results.secrets.filter(s => s.isCompliant).length})</button>
-                    <button class="filter-btn" onclick="filterSecrets('non-compliant')">Non-Compliant (${results.secrets.filter(s => !s.isCompliant).length})</button>
-                    <button class="filter-btn" onclick="filterSecrets('expired')">Expired (${results.secrets.filter(s => s.isExpired).length})</button>
-                    <button class="filter-btn" onclick="filterSecrets('rotation-overdue')">Rotation Overdue (${results.secrets.filter(s => s.rotationOverdue).length})</button>
+            ${results && results.recommendations && results.recommendations.length > 0 && html`
+            <h3>Security Recommendations</h3>
+            ${grid(results.recommendations.map(rec => card({ variant: riskVariant[rec.priority] }, html`
+                <div class="rec-header">
+                    ${badge(rec.priority.toUpperCase(), riskVariant[rec.priority])}
+                    <span class="rec-category">${rec.category.replace('-', ' ').toUpperCase()}</span>
                 </div>
-                <table class="secrets-table" id="security-table">
-                    <thead>
-                        <tr>
-                            <th>Secret Name</th>
-                            <th>Compliance</th>
-                            <th>Strength</th>
-                            <th>Age</th>
-                            <th>Expires</th>
-                            <th>Violations</th>
-                            <th>Warnings</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${results.secrets.map(secret => `
-                        <tr class="${secret.isCompliant ? 'success' : 'danger'} ${secret.isExpired ? 'expired' : ''} ${secret.rotationOverdue ? 'rotation-overdue' : ''}" 
-                            data-category="${secret.isCompliant ? 'compliant' : 'non-compliant'} ${secret.isExpired ? 'expired' : ''} ${secret.rotationOverdue ? 'rotation-overdue' : ''}">
-                            <td><strong>${secret.name}</strong></td>
-                            <td>
-                                ${secret.isCompliant 
-                                    ? '<span class="badge badge-success">[OK] Compliant</span>'
-                                    : '<span class="badge badge-danger">[X] Non-Compliant</span>'}
-                            </td>
-                            <td>
-                                <div class="strength-indicator">
-                                    <div class="strength-bar">
-                                        <div class="strength-fill" style="width: ${secret.strength ? secret.strength.score : 0}%"></div>
-                                    </div>
-                                    <span class="strength-score">${secret.strength ? secret.strength.score : 0}/100</span>
-                                </div>
-                            </td>
-                            <td>${secret.age ? `${secret.age} days` : 'N/A'}</td>
-                            <td>
-                                ${secret.expiresOn 
-                                    ? new Date(secret.expiresOn).toLocaleDateString()
-                                    : 'Never'}
-                            </td>
-                            <td>
-                                ${secret.violations.length > 0
-                                    ? `<ul class="violation-list">${secret.violations.map(v => `<li>${v}</li>`).join('')}</ul>`
-                                    : '<span class="text-success">[OK] None</span>'}
-                            </td>
-                            <td>
-                                ${secret.warnings.length > 0
-                                    ? `<ul class="warning-list">${secret.warnings.map(w => `<li>[!] ${w}</li>`).join('')}</ul>`
-                                    : '<span class="text-muted">None</span>'}
-                            </td>
-                        </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
-            </div>
-            ` : ''}
-
-            <div class="last-scan">
+                <h4>${rec.title}</h4>
+                <p>${rec.description}</p>
+                ${fields([
+                    ['Action', rec.action],
+                    ['Affected Secrets', rec.affectedSecrets && rec.affectedSecrets.length > 0 && rec.affectedSecrets.join(', ')]
+                ])}`)), { wide: true })}`}
+
+            ${results && results.compliance && html`
+            <h3>Compliance Breakdown</h3>
+            ${barChart([
+                { label: 'Password Policy', value: results.compliance.breakdown.passwordPolicy },
+                { label: 'Rotation Policy', value: results.compliance.breakdown.rotationPolicy },
+                { label: 'Access Policy', value: results.compliance.breakdown.accessPolicy }
+            ].map(bar => ({ ...bar, text: `${bar.value}%` })), { max: 100 })}`}
+
+            ${results && results.secrets && html`
+            <h3>Secret Security Analysis</h3>
+            ${filterBar('security-table', [
+                { category: 'all', label: `All (${results.secrets.length})` },
+                { category: 'compliant', label: `Compliant (${results.secrets.filter(s => s.isCompliant).length})` },
+                { category: 'non-compliant', label: `Non-Compliant (${results.secrets.filter(s => !s.isCompliant).length})` },
+                { category: 'expired', label: `Expired (${results.secrets.filter(s => s.isExpired).length})` },
+                { category: 'rotation-overdue', label: `Rotation Overdue (${results.secrets.filter(s => s.rotationOverdue).length})` }
+            ])}
+            ${table({
+                id: 'security-table',
+                columns: ['Secret Name', 'Compliance', 'Strength', 'Age', 'Expires', 'Violations', 'Warnings'],
+                rows: results.secrets.map(secret => ({
+                    variant: secret.isExpired || !secret.isCompliant ? 'danger' : secret.rotationOverdue && 'warning',
+                    categories: [
+                        secret.isCompliant ? 'compliant' : 'non-compliant',
+                        secret.isExpired && 'expired',
+                        secret.rotationOverdue && 'rotation-overdue'
+                    ].filter(Boolean),
+                    cells: [
+                        html`<strong>${secret.name}</strong>`,
+                        secret.isCompliant ? badge('[OK] Compliant', 'success') : badge('[X] Non-Compliant', 'danger'),
+                        meter(secret.strength ? secret.strength.score : 0),
+                        secret.age ? `${secret.age} days` : 'N/A',
+                        secret.expiresOn ? new Date(secret.expiresOn).toLocaleDateString() : 'Never',
+                        secret.violations.length > 0
+                            ? list(secret.violations, { className: 'compact text-danger' })
+                            : html`<span class="text-success">[OK] None</span>`,
+                        secret.warnings.length > 0
+                            ? list(secret.warnings.map(w => `[!] ${w}`), { className: 'compact text-warning' })
+                            : html`<span class="text-muted">None</span>`
+                    ]
+                })),
+                empty: 'No secrets scanned'
+            })}`}
+
+            ${card({ variant: 'neutral', className: 'last-scan' }, html`
                 <p><strong>Last Security Scan:</strong> ${metrics.lastScan ? new Date(metrics.lastScan).toLocaleString() : 'Never'}</p>
-                <button class="action-btn primary" onclick="refreshSecurityScan()">[REFRESH] Run Security Scan</button>
-            </div>
-            
-            <style>
-                .security-overview {
-                    display: grid;
-                    grid-template-columns: 200px 1fr;
-                    gap: 30px;
-                    margin: 20px 0;
-                    align-items: center;
-                }
-                .compliance-score {
-                    text-align: center;
-                    padding: 30px;
-                    border-radius: 12px;
-                    box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-                }
-                .compliance-score.low { background: linear-gradient(135deg, #4caf50, #66bb6a); color: white; }
-                .compliance-score.medium { background: linear-gradient(135deg, #ff9800, #ffb74d); color: white; }
-                .compliance-score.high { background: linear-gradient(135deg, #f44336, #ef5350); color: white; }
-                .score-value {
-                    font-size: 3em;
-                    font-weight: bold;
-                    margin-bottom: 10px;
-                }
-                .score-label {
-                    font-size: 1.2em;
-                    margin-bottom: 5px;
-                }
-                .score-description {
-                    font-size: 0.9em;
-                    opacity: 0.9;
-                }
-                .metrics-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
-                    gap: 15px;
-                }
-                .metric-card {
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    text-align: center;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .metric-card.success { background: #d4edda; color: #155724; }
-                .metric-card.danger { background: #f8d7da; color: #721c24; }
-                .metric-card.warning { background: #fff3cd; color: #856404; }
-                .metric-value {
-                    font-size: 2em;
-                    font-weight: bold;
-                    margin-bottom: 5px;
-                }
-                .metric-label {
-                    font-size: 0.9em;
-                    color: #6c757d;
-                }
-                .recommendations-section {
-                    margin: 30px 0;
-                }
-                .recommendations-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-                    gap: 20px;
-                    margin: 20px 0;
-                }
-                .recommendation-card {
-                    padding: 20px;
-                    border-radius: 8px;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                    border-left: 4px solid #007bff;
-                }
-                .recommendation-card.high { border-left-color: #dc3545; }
-                .recommendation-card.medium { border-left-color: #ffc107; }
-                .recommendation-card.low { border-left-color: #28a745; }
-                .rec-header {
-                    display: flex;
-                    justify-content: space-between;
-                    margin-bottom: 10px;
-                }
-                .rec-priority {
-                    padding: 4px 8px;
-                    border-radius: 4px;
-                    font-size: 0.8em;
-                    font-weight: bold;
-                }
-                .recommendation-card.high .rec-priority { background: #dc3545; color: white; }
-                .recommendation-card.medium .rec-priority { background: #ffc107; color: #000; }
-                .recommendation-card.low .rec-priority { background: #28a745; color: white; }
-                .rec-category {
-                    font-size: 0.8em;
-                    color: #6c757d;
-                }
-                .rec-action {
-                    margin: 10px 0;
-                    padding: 10px;
-                    background: #f8f9fa;
-                    border-radius: 4px;
-                }
-                .rec-secrets {
-                    margin-top: 10px;
-                    font-size: 0.9em;
-                    color: #6c757d;
-                }
-                .compliance-breakdown {
-                    margin: 30px 0;
-                }
-                .compliance-metrics {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-                    gap: 20px;
-                }
-                .compliance-item {
-                    display: flex;
-                    align-items: center;
-                    gap: 15px;
-                }
-                .compliance-label {
-                    min-width: 120px;
-                    font-weight: 500;
-                }
-                .compliance-bar {
-                    flex: 1;
-                    height: 20px;
-                    background: #e9ecef;
-                    border-radius: 10px;
-                    overflow: hidden;
-                }
-                .compliance-fill {
-                    height: 100%;
-                    background: linear-gradient(90deg, #4caf50, #66bb6a);
-                    transition: width 0.3s;
-                }
-                .compliance-value {
-                    min-width: 50px;
-                    text-align: right;
-                    font-weight: bold;
-                }
-                .secrets-analysis {
-                    margin: 30px 0;
-                }
-                .filter-controls {
-                    display: flex;
-                    gap: 10px;
-                    margin: 20px 0;
-                    flex-wrap: wrap;
-                }
-                .filter-btn {
-                    padding: 8px 16px;
-                    border: 2px solid #007bff;
-                    background: white;
-                    color: #007bff;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    font-weight: 500;
-                }
-                .filter-btn:hover { background: #e7f3ff; }
-                .filter-btn.active { background: #007bff; color: white; }
-                .strength-indicator {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
-                }
-                .strength-bar {
-                    width: 100px;
-                    height: 8px;
-                    background: #e9ecef;
-                    border-radius: 4px;
-                    overflow: hidden;
-                }
-                .strength-fill {
-                    height: 100%;
-                    background: linear-gradient(90deg, #dc3545, #ffc107, #28a745);
-                    transition: width 0.3s;
-                }
-                .strength-score {
-                    font-size: 0.9em;
-                    font-weight: bold;
-                }
-                .violation-list, .warning-list {
-                    margin: 0;
-                    padding-left: 15px;
-                    font-size: 0.9em;
-                }
-                .violation-list li { color: #dc3545; }
-                .warning-list li { color: #856404; }
-                .text-success { color: #28a745; }
-                .text-muted { color: #6c757d; }
-                .badge {
-                    padding: 4px 8px;
-                    border-radius: 4px;
-                    font-size: 0.8em;
-                    font-weight: bold;
-                }
-                .badge-success { background: #28a745; color: white; }
-                .badge-danger { background: #dc3545; color: white; }
-                .last-scan {
-                    margin: 30px 0;
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    text-align: center;
-                }
-                .action-btn {
-                    padding: 10px 20px;
-                    border: none;
-                    border-radius: 5px;
-                    cursor: pointer;
-                    font-weight: 500;
-                    margin: 10px;
+                ${button({ label: '[REFRESH] Run Security Scan', action: 'refreshSecurityScan' })}`)}
+        `;
+    }
+
+    apiSchemas() {
+        const count = { type: 'integer' };
+        return {
+            ...super.apiSchemas(),
+            SecurityMetrics: {
+                type: 'object',
+                required: ['totalSecrets', 'compliantSecrets', 'nonCompliantSecrets', 'lastScan'],
+                properties: {
+                    totalSecrets: count,
+                    compliantSecrets: count,
+                    nonCompliantSecrets: count,
+                    expiredSecrets: count,
+                    rotationOverdue: count,
+                    accessViolations: count,
+                    lastScan: nullable(dateTime),
+                    complianceScore: { type: 'integer', description: '0-100' }
                 }
-                .action-btn.primary {
-                    background: #007bff;
-                    color: white;
+            },
+            SecretCompliance: {
+                type: 'object',
+                required: ['name', 'isCompliant', 'isExpired', 'rotationOverdue', 'violations', 'warnings'],
+                properties: {
+                    name: { type: 'string' },
+                    isCompliant: { type: 'boolean' },
+                    isExpired: { type: 'boolean' },
+                    rotationOverdue: { type: 'boolean' },
+                    violations: { type: 'array', items: { type: 'string' } },
+                    warnings: { type: 'array', items: { type: 'string' } },
+                    strength: { type: 'object', properties: { score: { type: 'integer' }, feedback: { type: 'string' } } },
+                    lastUpdated: nullable(dateTime),
+                    expiresOn: nullable(dateTime),
+                    age: { type: ['integer', 'null'], description: 'Days since the last update' }
                 }
-                .action-btn:hover { opacity: 0.9; }
-                tr.expired { background: #fff5f5; }
-                tr.rotation-overdue { background: #fffbf0; }
-            </style>
-            <script>
-                function filterSecrets(category) {
-                    const rows = document.querySelectorAll('#security-table tbody tr');
-                    const buttons = document.querySelectorAll('.filter-btn');
-                    
-                    buttons.forEach(btn => btn.classList.remove('active'));
-                    event.target.classList.add('active');
-                    
-                    rows.forEach(row => {
-                        if (category === 'all' || row.dataset.category.includes(category)) {
-                            row.style.display = '';
-                        } else {
-                            row.style.display = 'none';
+            },
+            // results is null until a scan succeeded; error is set when the latest one failed
+            SecurityScan: {
+                type: 'object',
+                required: ['metrics'],
+                properties: {
+                    metrics: ref('SecurityMetrics'),
+                    results: nullable({
+                        type: 'object',
+                        required: ['secrets', 'compliance', 'violations', 'recommendations'],
+                        properties: {
+                            secrets: { type: 'array', items: ref('SecretCompliance') },
+                            compliance: {
+                                type: 'object',
+                                required: ['overallScore', 'breakdown'],
+                                properties: {
+                                    overallScore: { type: 'integer' },
+                                    breakdown: { type: 'object', additionalProperties: { type: 'integer' } }
+                                }
+                            },
+                            violations: { type: 'array', items: { type: 'string' } },
+                            recommendations: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['priority', 'category', 'title'],
+                                    properties: {
+                                        priority: { enum: ['high', 'medium', 'low'] },
+                                        category: { type: 'string' },
+                                        title: { type: 'string' },
+                                        description: { type: 'string' },
+                                        action: { type: 'string' },
+                                        affectedSecrets: { type: 'array', items: { type: 'string' } }
+                                    }
+                                }
+                            }
                         }
-                    });
-                }
-                
-                function refreshSecurityScan() {
-                    window.location.reload();
+                    }),
+                    error: { type: 'string' }
                 }
-            </script>
-        </div>
-        `;
+            }
+        };
     }
 
-    async handleRequest(req, res) {
-        const parsedUrl = url.parse(req.url, true);
-        const pathname = parsedUrl.pathname;
+    registerRoutes(router) {
+        super.registerRoutes(router);
 
-        if (pathname === '/api/security-scan') {
-            const securityData = await this.performSecurityScan();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(securityData));
-            return;
-        }
+        router.get('/api/security-scan', {
+            summary: 'Compliance of every secret with its rules; rescanned at most every 5 minutes',
+            response: ref('SecurityScan')
+        }, () => this.performSecurityScan());
 
-        if (pathname === '/api/security-metrics') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(this.securityMetrics));
-            return;
-        }
+        router.get('/api/security-metrics', {
+            summary: 'Totals from the latest scan, without scanning',
+            response: ref('SecurityMetrics')
+        }, () => this.securityMetrics);
 
-        // Default HTML response
-        const securityData = await this.performSecurityScan();
-        const baseHTML = this.getHTML({});
-        const securityHTML = this.getHTMLWithSecurityDashboard(securityData);
-        
-        // Replace the entire secrets container with our custom security dashboard
-        // Use a more flexible regex that handles various whitespace patterns
-        let fullHTML = baseHTML.replace(/<div id="secrets-container">[\s\S]*?<\/div>\s*<div id="error-container">/, 
-            securityHTML + '\n        <div id="error-container">');
-        
-        if (fullHTML === baseHTML) {
-            // Try with more flexible whitespace matching
-            fullHTML = baseHTML.replace(/<div id="secrets-container">[\s\S]*?<\/div>[\s]*<div id="error-container">/, 
-                securityHTML + '\n        <div id="error-container">');
-        }
-        
-        if (fullHTML === baseHTML) {
-            // Final fallback - just replace the secrets container
-            fullHTML = baseHTML.replace(/<div id="secrets-container">[\s\S]*?<\/div>/, securityHTML);
-        }
-
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(fullHTML);
+        router.get('/', this.htmlRoute(async () => {
+            const securityData = await this.performSecurityScan();
+            return this.renderPage({
+                wide: true,
+                main: this.getHTMLWithSecurityDashboard(securityData),
+                styles: SECURITY_STYLES,
+                scripts: [SECURITY_SCRIPT]
+            });
+        }));
     }
 }
 
-const app = new SecurityDashboardWebapp({
-    appName: 'Hello World - Security & Compliance Dashboard',
-    method: 'Security & Compliance Dashboard',
-    secretStrategy: 'azure-api'
-});
+module.exports = SecurityDashboardWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new SecurityDashboardWebapp({
+        appName: 'Hello World - Security & Compliance Dashboard',
+        method: 'Security & Compliance Dashboard',
+        secretStrategy: 'azure-api'
+    });
+
+    app.start();
+}
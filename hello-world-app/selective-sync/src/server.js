@@ -1,21 +1,38 @@
 const http = require('http');
 const fs = require('fs');
-const url = require('url');
 const HelloWorldWebapp = require('./webapp-framework');
+const { ACTIONS } = require('./secret-audit');
+const { ref } = require('./openapi');
+const { html } = require('./html');
+const { card, statGrid, table, badge, fields } = require('./components');
 
 class SelectiveSyncWebapp extends HelloWorldWebapp {
     constructor(config) {
         super(config);
-        this.mountPath = process.env.SECRETS_MOUNT_PATH || '/etc/secrets';
+        this.mountPath = this.SECRETS_MOUNT_PATH;
         this.syncedSecrets = {};
-        this.secretFilters = {
-            include: process.env.SECRET_FILTER_INCLUDE ? process.env.SECRET_FILTER_INCLUDE.split(',') : [],
-            exclude: process.env.SECRET_FILTER_EXCLUDE ? process.env.SECRET_FILTER_EXCLUDE.split(',') : [],
-            prefix: process.env.SECRET_FILTER_PREFIX || '',
-            suffix: process.env.SECRET_FILTER_SUFFIX || ''
+        this.secretFilters = this.configuredFilters();
+    }
+
+    // SECRET_FILTER_INCLUDE, _EXCLUDE, _PREFIX and _SUFFIX
+    configuredFilters() {
+        return {
+            include: this.appConfig.get('selectiveSync.include'),
+            exclude: this.appConfig.get('selectiveSync.exclude'),
+            prefix: this.appConfig.get('selectiveSync.prefix'),
+            suffix: this.appConfig.get('selectiveSync.suffix')
         };
     }
 
+    // Filters follow the config file without a restart
+    applyConfigChanges(changed) {
+        super.applyConfigChanges(changed);
+        if (changed.some(key => key.startsWith('selectiveSync.'))) {
+            this.secretFilters = this.configuredFilters();
+            this.logger.info('Secret filters updated', { filters: this.secretFilters });
+        }
+    }
+
     matchesFilter(secretName) {
         // Include list takes precedence
         if (this.secretFilters.include.length > 0) {
@@ -68,17 +85,22 @@ class SelectiveSyncWebapp extends HelloWorldWebapp {
                         
                         if (this.matchesFilter(secretName)) {
                             filteredSecrets.push(secretName);
+                            // Read straight from the mount rather than through the provider, so audited here
+                            const access = { action: ACTIONS.READ, secretName, provider: 'csi', path: filePath };
                             try {
                                 this.syncedSecrets[secretName] = fs.readFileSync(filePath, 'utf8');
+                                this.logger.addSecretValue(secretName, this.syncedSecrets[secretName]);
+                                this.recordSecretAccess({ ...access, outcome: 'success' });
                             } catch (error) {
-                                console.error(`Error reading ${secretName}:`, error.message);
+                                this.logger.error('Error reading secret', { secret: secretName, error: error.message });
+                                this.recordSecretAccess({ ...access, outcome: 'failure', error: error.message });
                             }
                         }
                     }
                 });
             }
         } catch (error) {
-            console.error('Error reading secrets directory:', error.message);
+            this.logger.error('Error reading secrets directory', { error: error.message });
         }
 
         return {
@@ -88,217 +110,95 @@ class SelectiveSyncWebapp extends HelloWorldWebapp {
         };
     }
 
-    getHTMLWithSelectiveSyncInfo(secretInfo) {
-        return `
-        <div class="container">
+    getHTMLWithSelectiveSyncInfo(secretInfo, user) {
+        const none = label => html`<em>${label}</em>`;
+        const filters = this.secretFilters;
+
+        return html`
             <h2>Selective Secret Sync</h2>
-            
-            <div class="filter-info">
-                <h3>Active Filters</h3>
-                <div class="filter-list">
-                    <div class="filter-item">
-                        <strong>Include:</strong> 
-                        ${this.secretFilters.include.length > 0 
-                            ? this.secretFilters.include.join(', ') 
-                            : '<em>None (all included)</em>'}
-                    </div>
-                    <div class="filter-item">
-                        <strong>Exclude:</strong> 
-                        ${this.secretFilters.exclude.length > 0 
-                            ? this.secretFilters.exclude.join(', ') 
-                            : '<em>None</em>'}
-                    </div>
-                    <div class="filter-item">
-                        <strong>Prefix:</strong> 
-                        ${this.secretFilters.prefix || '<em>None</em>'}
-                    </div>
-                    <div class="filter-item">
-                        <strong>Suffix:</strong> 
-                        ${this.secretFilters.suffix || '<em>None</em>'}
-                    </div>
-                </div>
-            </div>
 
-            <div class="stats-grid">
-                <div class="stat-card">
-                    <div class="stat-value">${secretInfo.all.length}</div>
-                    <div class="stat-label">Total Secrets Available</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${secretInfo.filtered.length}</div>
-                    <div class="stat-label">Secrets Matching Filter</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${secretInfo.synced.length}</div>
-                    <div class="stat-label">Successfully Synced</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-value">${secretInfo.all.length - secretInfo.filtered.length}</div>
-                    <div class="stat-label">Filtered Out</div>
-                </div>
-            </div>
+            ${card({ title: 'Active Filters' }, fields([
+                ['Include', filters.include.length > 0 ? filters.include.join(', ') : none('None (all included)')],
+                ['Exclude', filters.exclude.length > 0 ? filters.exclude.join(', ') : none('None')],
+                ['Prefix', filters.prefix || none('None')],
+                ['Suffix', filters.suffix || none('None')]
+            ]))}
+
+            ${statGrid([
+                { value: secretInfo.all.length, label: 'Total Secrets Available' },
+                { value: secretInfo.filtered.length, label: 'Secrets Matching Filter' },
+                { value: secretInfo.synced.length, label: 'Successfully Synced' },
+                { value: secretInfo.all.length - secretInfo.filtered.length, label: 'Filtered Out' }
+            ])}
 
             <h3>All Available Secrets</h3>
-            <table class="secrets-table">
-                <thead>
-                    <tr>
-                        <th>Secret Name</th>
-                        <th>Status</th>
-                        <th>Filter Match</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${secretInfo.all.map(secretName => {
-                        const isFiltered = this.matchesFilter(secretName);
-                        const isSynced = secretInfo.synced.includes(secretName);
-                        return `
-                    <tr class="${isSynced ? 'success' : isFiltered ? 'warning' : 'filtered'}">
-                        <td><strong>${secretName}</strong></td>
-                        <td>
-                            ${isSynced 
-                                ? '<span class="badge badge-success">Synced</span>'
-                                : '<span class="badge badge-secondary">Not Synced</span>'}
-                        </td>
-                        <td>
-                            ${isFiltered 
-                                ? '<span class="badge badge-info">Matches Filter</span>'
-                                : '<span class="badge badge-warning">Filtered Out</span>'}
-                        </td>
-                    </tr>
-                    `;
-                    }).join('')}
-                </tbody>
-            </table>
+            ${table({
+                columns: ['Secret Name', 'Status', 'Filter Match'],
+                rows: secretInfo.all.map(secretName => {
+                    const isFiltered = this.matchesFilter(secretName);
+                    const isSynced = secretInfo.synced.includes(secretName);
+                    return {
+                        variant: isSynced ? 'success' : isFiltered ? 'warning' : 'muted',
+                        cells: [
+                            html`<strong>${secretName}</strong>`,
+                            isSynced ? badge('Synced', 'success') : badge('Not Synced', 'secondary'),
+                            isFiltered ? badge('Matches Filter', 'info') : badge('Filtered Out', 'warning')
+                        ]
+                    };
+                }),
+                empty: 'No secrets found in the mount'
+            })}
 
             <h3>Synced Secrets</h3>
-            <div class="secrets-list">
-                ${secretInfo.synced.map(secretName => `
-                <div class="secret-item">
-                    <div class="secret-header">
-                        <strong>${secretName}</strong>
-                        <span class="badge badge-success">Synced</span>
-                    </div>
-                    <div class="secret-content">
-                        ${this.syncedSecrets[secretName] 
-                            ? `Value: ${this.maskSecret(this.syncedSecrets[secretName])}`
-                            : '<em>Unable to read value</em>'}
-                    </div>
+            ${secretInfo.synced.map(secretName => html`
+            <div class="secret-item">
+                <div class="secret-name">${secretName} ${badge('Synced', 'success')}</div>
+                <div class="secret-value">
+                    ${this.syncedSecrets[secretName]
+                        ? `Value: ${this.redactSecret(secretName, this.syncedSecrets[secretName], user)}`
+                        : none('Unable to read value')}
                 </div>
-                `).join('')}
-            </div>
-            
-            <style>
-                .filter-info {
-                    background: #f8f9fa;
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 20px 0;
-                }
-                .filter-list {
-                    display: grid;
-                    gap: 10px;
-                }
-                .filter-item {
-                    padding: 10px;
-                    background: white;
-                    border-radius: 4px;
-                }
-                .stats-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                    gap: 20px;
-                    margin: 20px 0;
-                }
-                .stat-card {
-                    padding: 20px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    text-align: center;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                }
-                .stat-value {
-                    font-size: 2.5em;
-                    font-weight: bold;
-                    color: #007bff;
-                }
-                .stat-label {
-                    margin-top: 10px;
-                    color: #6c757d;
-                }
-                tr.filtered { background: #f8f9fa; opacity: 0.6; }
-                tr.warning { background: #fff3cd; }
-                tr.success { background: #d4edda; }
-                .secrets-list {
-                    display: grid;
-                    gap: 15px;
-                    margin: 20px 0;
-                }
-                .secret-item {
-                    padding: 15px;
-                    background: #f8f9fa;
-                    border-radius: 8px;
-                    border-left: 4px solid #007bff;
-                }
-                .secret-header {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    margin-bottom: 10px;
-                }
-                .secret-content {
-                    font-family: monospace;
-                    color: #6c757d;
-                }
-            </style>
-        </div>
+            </div>`)}
         `;
     }
 
-    maskSecret(value) {
-        if (!value) return 'N/A';
-        if (value.length <= 4) return '****';
-        return value.substring(0, 2) + '****' + value.substring(value.length - 2);
+    apiSchemas() {
+        return {
+            ...super.apiSchemas(),
+            // A name matching an include pattern is synced whatever the other filters say; '*' is a wildcard
+            SecretFilters: {
+                type: 'object',
+                required: ['include', 'exclude', 'prefix', 'suffix'],
+                properties: {
+                    include: { type: 'array', items: { type: 'string' } },
+                    exclude: { type: 'array', items: { type: 'string' } },
+                    prefix: { type: 'string' },
+                    suffix: { type: 'string' }
+                }
+            }
+        };
     }
 
-    async handleRequest(req, res) {
-        const parsedUrl = url.parse(req.url, true);
-        const pathname = parsedUrl.pathname;
+    registerRoutes(router) {
+        super.registerRoutes(router);
 
-        if (pathname === '/api/filters') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(this.secretFilters));
-            return;
-        }
+        router.get('/api/filters', { summary: 'The filters that pick which secrets are synced', response: ref('SecretFilters') }, () => this.secretFilters);
 
-        if (pathname === '/api/secrets') {
+        router.get('/', this.htmlRoute(req => {
             const secretInfo = this.getAllAvailableSecrets();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(secretInfo));
-            return;
-        }
-
-        // Default HTML response
-        const secretInfo = this.getAllAvailableSecrets();
-        const secrets = Object.fromEntries(
-            secretInfo.synced.map(name => [name, this.syncedSecrets[name]])
-        );
-        const baseHTML = this.getHTML(secrets);
-        const selectiveHTML = this.getHTMLWithSelectiveSyncInfo(secretInfo);
-        // Inject custom HTML after the method details section
-        const fullHTML = baseHTML.replace(/<\/div>\s*<div id="secrets-container">/, 
-            '</div>\n        ' + selectiveHTML + '\n        <div id="secrets-container">');
-
-        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(fullHTML);
+            return this.renderPage({ before: this.getHTMLWithSelectiveSyncInfo(secretInfo, req.user) });
+        }));
     }
 }
 
-const app = new SelectiveSyncWebapp({
-    appName: 'Hello World - Selective Secret Sync',
-    method: 'Selective Secret Sync',
-    secretStrategy: 'csi',
-    secretsMountPath: process.env.SECRETS_MOUNT_PATH || '/etc/secrets'
-});
+module.exports = SelectiveSyncWebapp;
 
-app.start();
+if (require.main === module) {
+    const app = new SelectiveSyncWebapp({
+        appName: 'Hello World - Selective Secret Sync',
+        method: 'Selective Secret Sync',
+        secretStrategy: 'csi'
+    });
 
+    app.start();
+}
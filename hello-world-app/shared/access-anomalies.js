@@ -0,0 +1,452 @@
+// Flags unusual secret access in the audit log as it is written. Each secret gets a baseline of
+// accesses per hour, learned per hour of the week and per hour of the day in the configured
+// time zone. Four kinds of finding:
+//   spike        a secret is read far more this hour than its baseline says
+//   new-caller   a caller reads a secret for the first time after the learning period
+//   quiet-hours  a caller reads a secret during ANOMALY_QUIET_HOURS
+//   burst        a caller reads many distinct secrets within a few minutes
+// Reads made without a caller (background refreshes, polling) count towards the baselines only.
+
+const { EventEmitter } = require('events');
+
+const FINDING_KINDS = ['spike', 'new-caller', 'quiet-hours', 'burst'];
+// What counts as an access; failures included, since probing for secrets fails
+const ACCESS_ACTIONS = ['READ', 'READ_VERSION', 'REVEAL', 'WRITE'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_OPTIONS = {
+    timezone: 'UTC',
+    quietHours: [],
+    learningDays: 7,
+    spikeFactor: 3,
+    spikeMinCount: 10,
+    burstSecrets: 10,
+    burstWindowMs: 5 * 60 * 1000,
+    maxFindings: 200
+};
+// Samples a slot needs before it is trusted: two weeks for an hour of the week, three days for
+// an hour of the day
+const MIN_WEEK_SAMPLES = 2;
+const MIN_DAY_SAMPLES = 3;
+// Hours without any access are folded into the baselines as zeros, up to a week of them
+const MAX_FOLDED_HOURS = 7 * 24;
+// Four weeks of the log are replayed at startup
+const REPLAY_DAYS = 28;
+
+// "22:00-06:00" every day, "Sat 00:00-24:00" or "Mon-Fri 19:00-07:00". A range past midnight
+// belongs to the day it starts on.
+const QUIET_HOURS = /^(?:([a-z]{3})(?:-([a-z]{3}))?\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/i;
+
+function dayIndex(name, text) {
+    const index = DAYS.findIndex(day => day.toLowerCase() === name.toLowerCase());
+    if (index < 0) {
+        throw new Error(`unknown day '${name}' in '${text}'; use ${DAYS.join(', ')}`);
+    }
+    return index;
+}
+
+function parseQuietHours(list) {
+    return list.map(text => {
+        const match = text.trim().match(QUIET_HOURS);
+        if (!match) {
+            throw new Error(`'${text}' is not a quiet-hours range such as 22:00-06:00 or Mon-Fri 19:00-07:00`);
+        }
+        const [, firstDay, lastDay, startHour, startMinute, endHour, endMinute] = match;
+        const start = Number(startHour) * 60 + Number(startMinute);
+        const end = Number(endHour) * 60 + Number(endMinute);
+        if (start >= 24 * 60 || end > 24 * 60 || Number(startMinute) > 59 || Number(endMinute) > 59 || start === end) {
+            throw new Error(`'${text}' is not a valid time range`);
+        }
+        let days = [0, 1, 2, 3, 4, 5, 6];
+        if (firstDay) {
+            const first = dayIndex(firstDay, text);
+            const last = lastDay ? dayIndex(lastDay, text) : first;
+            days = [];
+            for (let day = first; ; day = (day + 1) % 7) {
+                days.push(day);
+                if (day === last) {
+                    break;
+                }
+            }
+        }
+        return { text: text.trim(), days, start, end };
+    });
+}
+
+// For the config's check(): the problem, or null
+function checkQuietHours(list) {
+    try {
+        parseQuietHours(list);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function checkTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return null;
+    } catch (error) {
+        return `unknown time zone '${timezone}'`;
+    }
+}
+
+function inQuietHours(ranges, { day, minute }) {
+    return ranges.some(range => {
+        if (range.start < range.end) {
+            return range.days.includes(day) && minute >= range.start && minute < range.end;
+        }
+        return (range.days.includes(day) && minute >= range.start)
+            || (range.days.includes((day + 6) % 7) && minute < range.end);
+    });
+}
+
+// Running mean and variance (Welford)
+class Stat {
+    constructor() {
+        this.n = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    add(value) {
+        this.n++;
+        const delta = value - this.mean;
+        this.mean += delta / this.n;
+        this.m2 += delta * (value - this.mean);
+    }
+
+    stddev() {
+        return this.n > 1 ? Math.sqrt(this.m2 / (this.n - 1)) : 0;
+    }
+}
+
+// Accesses per hour for one secret, by hour of the week (0 is Sunday 00:00) and hour of the day
+class Baseline {
+    constructor() {
+        this.byHourOfWeek = Array.from({ length: 7 * 24 }, () => new Stat());
+        this.byHourOfDay = Array.from({ length: 24 }, () => new Stat());
+    }
+
+    add(slot, count) {
+        this.byHourOfWeek[slot.day * 24 + slot.hour].add(count);
+        this.byHourOfDay[slot.hour].add(count);
+    }
+
+    // The most specific slot with enough samples, or null while still learning
+    expected(slot) {
+        const week = this.byHourOfWeek[slot.day * 24 + slot.hour];
+        if (week.n >= MIN_WEEK_SAMPLES) {
+            return week;
+        }
+        const day = this.byHourOfDay[slot.hour];
+        return day.n >= MIN_DAY_SAMPLES ? day : null;
+    }
+}
+
+function callerOf(entry) {
+    if (entry.user) {
+        return entry.user;
+    }
+    return entry.remoteAddress ? entry.remoteAddress.replace(/^::ffff:/, '') : null;
+}
+
+// Emits 'finding' with each finding as it is made
+class AccessAnomalyDetector extends EventEmitter {
+    // options: DEFAULT_OPTIONS (quietHours as strings) plus now
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        const problem = checkTimezone(this.options.timezone);
+        if (problem) {
+            throw new Error(problem);
+        }
+        this.quietHours = parseQuietHours(this.options.quietHours);
+        this.now = options.now || Date.now;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.options.timezone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+        });
+
+        this.learningSince = null;
+        this.baselines = new Map();
+        // The hour being counted, as hours since the epoch, and the accesses per secret in it
+        this.currentHour = null;
+        this.hourCounts = new Map();
+        // secret -> callers seen reading it
+        this.callers = new Map();
+        // caller -> [{ secret, time }] within the burst window
+        this.recent = new Map();
+        // key -> time until which the same finding isn't made again: once per secret (spike) or
+        // caller and secret (quiet-hours) per hour, once per caller (burst) per window
+        this.reported = new Map();
+        // Most recent last
+        this.findings = [];
+        this.nextId = 1;
+    }
+
+    // ANOMALY_TIMEZONE, ANOMALY_QUIET_HOURS, ANOMALY_LEARNING_DAYS, ANOMALY_SPIKE_FACTOR,
+    // ANOMALY_SPIKE_MIN_COUNT, ANOMALY_BURST_SECRETS and ANOMALY_BURST_WINDOW_MS; explicit options win
+    static fromEnv(options = {}, env = process.env) {
+        const number = name => (env[name] ? parseInt(env[name], 10) : undefined);
+        const decimal = name => (env[name] ? parseFloat(env[name]) : undefined);
+        return new AccessAnomalyDetector({
+            timezone: env.ANOMALY_TIMEZONE || undefined,
+            quietHours: env.ANOMALY_QUIET_HOURS ? env.ANOMALY_QUIET_HOURS.split(',').map(item => item.trim()).filter(Boolean) : undefined,
+            learningDays: number('ANOMALY_LEARNING_DAYS'),
+            spikeFactor: decimal('ANOMALY_SPIKE_FACTOR'),
+            spikeMinCount: number('ANOMALY_SPIKE_MIN_COUNT'),
+            burstSecrets: number('ANOMALY_BURST_SECRETS'),
+            burstWindowMs: number('ANOMALY_BURST_WINDOW_MS'),
+            ...options
+        });
+    }
+
+    setQuietHours(list) {
+        this.quietHours = parseQuietHours(list);
+        this.options.quietHours = list;
+    }
+
+    // Day of the week (0 is Sunday), hour and minute of the day in the configured time zone
+    slotOf(time) {
+        const parts = Object.fromEntries(this.formatter.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+        const hour = Number(parts.hour);
+        return { day: DAYS.indexOf(parts.weekday), hour, minute: hour * 60 + Number(parts.minute) };
+    }
+
+    learning(time) {
+        return this.learningSince === null || time - this.learningSince < this.options.learningDays * DAY_MS;
+    }
+
+    // Feeds one audit entry, oldest first. replay: learn from it without reporting anything.
+    // Returns the findings it caused.
+    observe(entry, { replay = false } = {}) {
+        if (!ACCESS_ACTIONS.includes(entry.action) || !entry.secretName) {
+            return [];
+        }
+        const time = Date.parse(entry.timestamp);
+        if (Number.isNaN(time)) {
+            return [];
+        }
+        if (this.learningSince === null) {
+            this.learningSince = time;
+        }
+        this.advanceTo(Math.floor(time / HOUR_MS));
+
+        const secret = entry.secretName;
+        if (!this.baselines.has(secret)) {
+            this.baselines.set(secret, new Baseline());
+        }
+        const count = (this.hourCounts.get(secret) || 0) + 1;
+        this.hourCounts.set(secret, count);
+
+        const caller = entry.background ? null : callerOf(entry);
+        const candidates = [];
+        const learning = this.learning(time);
+        const slot = this.slotOf(time);
+
+        const endOfHour = (this.currentHour + 1) * HOUR_MS;
+        const expected = learning ? null : this.baselines.get(secret).expected(slot);
+        if (expected) {
+            const threshold = Math.max(this.options.spikeMinCount, Math.ceil(expected.mean * this.options.spikeFactor),
+                Math.ceil(expected.mean + 3 * expected.stddev()));
+            if (count >= threshold) {
+                candidates.push({
+                    kind: 'spike',
+                    key: `spike:${secret}`,
+                    until: endOfHour,
+                    message: `${secret} was accessed ${count} times this hour; about ${expected.mean.toFixed(1)} is usual`,
+                    details: { count, expected: Number(expected.mean.toFixed(2)), threshold }
+                });
+            }
+        }
+
+        if (caller) {
+            if (!this.callers.has(secret)) {
+                this.callers.set(secret, new Set());
+            }
+            const known = this.callers.get(secret);
+            if (!known.has(caller)) {
+                known.add(caller);
+                if (!learning) {
+                    candidates.push({
+                        kind: 'new-caller',
+                        message: `${caller} accessed ${secret} for the first time`,
+                        details: { knownCallers: known.size - 1 }
+                    });
+                }
+            }
+
+            if (inQuietHours(this.quietHours, slot)) {
+                candidates.push({
+                    kind: 'quiet-hours',
+                    key: `quiet-hours:${secret}:${caller}`,
+                    until: endOfHour,
+                    message: `${caller} accessed ${secret} during quiet hours`,
+                    details: { quietHours: this.quietHours.map(range => range.text), timezone: this.options.timezone }
+                });
+            }
+
+            const window = (this.recent.get(caller) || []).filter(access => time - access.time < this.options.burstWindowMs);
+            window.push({ secret, time });
+            this.recent.set(caller, window);
+            const distinct = [...new Set(window.map(access => access.secret))];
+            if (distinct.length >= this.options.burstSecrets) {
+                candidates.push({
+                    kind: 'burst',
+                    key: `burst:${caller}`,
+                    message: `${caller} accessed ${distinct.length} different secrets within ${Math.round(this.options.burstWindowMs / 1000)} seconds`,
+                    details: { secrets: distinct, windowMs: this.options.burstWindowMs },
+                    until: time + this.options.burstWindowMs
+                });
+            }
+        }
+
+        if (replay) {
+            return [];
+        }
+        return candidates
+            .filter(candidate => this.firstReport(candidate, time))
+            .map(candidate => this.report(candidate, entry, secret, caller));
+    }
+
+    // A new caller is only new once, so it needs no key
+    firstReport(candidate, time) {
+        if (!candidate.key) {
+            return true;
+        }
+        if (time < (this.reported.get(candidate.key) || 0)) {
+            return false;
+        }
+        this.reported.set(candidate.key, candidate.until);
+        return true;
+    }
+
+    report(candidate, entry, secret, caller) {
+        const finding = {
+            id: this.nextId++,
+            kind: candidate.kind,
+            time: new Date(Date.parse(entry.timestamp)).toISOString(),
+            detectedAt: new Date(this.now()).toISOString(),
+            secret: candidate.kind === 'burst' ? null : secret,
+            caller,
+            message: candidate.message,
+            details: candidate.details,
+            seq: entry.seq,
+            requestId: entry.requestId
+        };
+        this.findings.push(finding);
+        if (this.findings.length > this.options.maxFindings) {
+            this.findings.shift();
+        }
+        this.emit('finding', finding);
+        return finding;
+    }
+
+    // Folds the hours before `hour` into the baselines, zeros included, and starts counting `hour`
+    advanceTo(hour) {
+        if (this.currentHour === null) {
+            this.currentHour = hour;
+            return;
+        }
+        if (hour <= this.currentHour) {
+            return;
+        }
+        const last = Math.min(hour, this.currentHour + MAX_FOLDED_HOURS);
+        for (let folded = this.currentHour; folded < last; folded++) {
+            const slot = this.slotOf(folded * HOUR_MS);
+            this.baselines.forEach((baseline, secret) => {
+                baseline.add(slot, folded === this.currentHour ? this.hourCounts.get(secret) || 0 : 0);
+            });
+        }
+        this.hourCounts.clear();
+        this.currentHour = hour;
+
+        // Hourly housekeeping
+        const now = hour * HOUR_MS;
+        this.reported.forEach((until, key) => {
+            if (until <= now) {
+                this.reported.delete(key);
+            }
+        });
+        this.recent.forEach((accesses, caller) => {
+            if (accesses[accesses.length - 1].time < now - this.options.burstWindowMs) {
+                this.recent.delete(caller);
+            }
+        });
+    }
+
+    // Learns from the last REPLAY_DAYS of the store, oldest first, so a restart doesn't start over.
+    // range.to: leave out entries from then on, which are fed live
+    async replay(store, range = {}) {
+        const from = new Date(this.now() - REPLAY_DAYS * DAY_MS).toISOString();
+        let entries = 0;
+        await store.scan({ from, to: range.to }, entry => {
+            entries++;
+            this.observe(entry, { replay: true });
+        });
+        return entries;
+    }
+
+    // Findings, most recent first. filters: { kind, secret, since (ISO time), limit }
+    query(filters = {}) {
+        const matching = this.findings
+            .filter(finding => (!filters.kind || finding.kind === filters.kind)
+                && (!filters.secret || finding.secret === filters.secret)
+                && (!filters.since || finding.time >= filters.since))
+            .reverse();
+        return { findings: matching.slice(0, filters.limit || matching.length), total: matching.length };
+    }
+
+    // Mean accesses per hour for each hour of the week (7 rows of 24, Sunday first), null where
+    // there are no samples yet; null for a secret never seen
+    baselineOf(secret) {
+        const baseline = this.baselines.get(secret);
+        if (!baseline) {
+            return null;
+        }
+        const round = stat => (stat.n > 0 ? Number(stat.mean.toFixed(2)) : null);
+        return {
+            secret,
+            timezone: this.options.timezone,
+            days: DAYS,
+            byHourOfWeek: DAYS.map((day, index) => baseline.byHourOfWeek.slice(index * 24, index * 24 + 24).map(round)),
+            byHourOfDay: baseline.byHourOfDay.map(round),
+            samples: baseline.byHourOfDay.reduce((total, stat) => total + stat.n, 0)
+        };
+    }
+
+    describe() {
+        const time = this.now();
+        return {
+            learning: this.learning(time),
+            learningSince: this.learningSince === null ? null : new Date(this.learningSince).toISOString(),
+            learningDays: this.options.learningDays,
+            timezone: this.options.timezone,
+            quietHours: this.quietHours.map(range => range.text),
+            thresholds: {
+                spikeFactor: this.options.spikeFactor,
+                spikeMinCount: this.options.spikeMinCount,
+                burstSecrets: this.options.burstSecrets,
+                burstWindowMs: this.options.burstWindowMs
+            },
+            secrets: this.baselines.size,
+            findings: this.findings.length
+        };
+    }
+}
+
+module.exports = {
+    AccessAnomalyDetector,
+    parseQuietHours,
+    checkQuietHours,
+    checkTimezone,
+    FINDING_KINDS
+};
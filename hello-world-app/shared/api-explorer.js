@@ -0,0 +1,172 @@
+// API explorer page: lists the operations of /api/openapi.json and sends requests to them from
+// the browser, with the caller's own session. Served with the dashboard's pages, so it needs no
+// assets from elsewhere and runs under the same Content-Security-Policy.
+
+const { html } = require('./html');
+
+const EXPLORER_STYLES = `
+        .operation { background: #f8f9fa; border-radius: 5px; margin: 8px 0; padding: 8px 12px; border-left: 4px solid #2196f3; }
+        .operation.deprecated { opacity: 0.7; border-left-color: #6c757d; }
+        .operation.deprecated > summary code { text-decoration: line-through; }
+        .operation > summary { cursor: pointer; }
+        .http-method { display: inline-block; min-width: 60px; font-weight: bold; font-family: monospace; }
+        .method-get { color: #2196f3; }
+        .method-post { color: #4caf50; }
+        .method-put, .method-patch { color: #ff9800; }
+        .method-delete { color: #f44336; }
+        .operation-summary { color: #555; margin-left: 10px; }
+        .permission { margin-left: 10px; }
+        .param-row { display: flex; gap: 10px; align-items: center; margin: 6px 0; }
+        .param-row label { min-width: 160px; font-family: monospace; }
+        .param-row input { flex: 1; padding: 4px; }
+        .request-body { width: 100%; min-height: 80px; font-family: monospace; }
+        .api-response { background: #263238; color: #e0e0e0; padding: 10px; border-radius: 4px; max-height: 400px; overflow: auto; white-space: pre-wrap; word-break: break-all; }
+        .api-response.failed { border-left: 4px solid #f44336; }
+        .schema { background: white; padding: 10px; border-radius: 4px; font-size: 0.85em; max-height: 300px; overflow: auto; }
+`;
+
+const EXPLORER_SCRIPT = `
+        let apiDocument = null;
+
+        async function loadApiDocument() {
+            const container = document.getElementById('api-explorer');
+            try {
+                const response = await fetch('/api/openapi.json');
+                apiDocument = await response.json();
+                if (!response.ok) {
+                    throw new Error(apiDocument.error || response.statusText);
+                }
+                renderOperations(container);
+            } catch (error) {
+                container.innerHTML = '<div class="error"><strong>Error:</strong> ' + escapeHtml(error.message) + '</div>';
+            }
+        }
+
+        function renderOperations(container) {
+            const groups = {};
+            Object.entries(apiDocument.paths).forEach(([path, item]) => {
+                Object.entries(item).forEach(([method, operation]) => {
+                    const tag = (operation.tags || ['other'])[0];
+                    (groups[tag] = groups[tag] || []).push({ path, method, operation });
+                });
+            });
+
+            let html = '<p>' + escapeHtml(apiDocument.info.title) + ' ' + escapeHtml(apiDocument.info.version) +
+                ', OpenAPI ' + escapeHtml(apiDocument.openapi) + '. <a href="/api/openapi.json">Download the document</a></p>';
+            Object.keys(groups).sort().forEach(tag => {
+                html += '<h3>' + escapeHtml(tag) + '</h3>';
+                groups[tag].forEach(({ path, method, operation }) => {
+                    html += renderOperation(path, method, operation);
+                });
+            });
+            container.innerHTML = html;
+        }
+
+        function renderOperation(path, method, operation) {
+            const streams = Object.values(operation.responses).some(response => response.content && response.content['text/event-stream']);
+            let html = '<details class="operation' + (operation.deprecated ? ' deprecated' : '') + '">' +
+                '<summary><span class="http-method method-' + escapeHtml(method) + '">' + escapeHtml(method.toUpperCase()) + '</span> ' +
+                '<code>' + escapeHtml(path) + '</code>' +
+                '<span class="operation-summary">' + escapeHtml(operation.summary || '') + '</span>' +
+                (operation['x-permission'] ? '<span class="permission badge badge-secondary">' + escapeHtml(operation['x-permission']) + '</span>' : '') +
+                '</summary>';
+            if (operation.description) {
+                html += '<p>' + escapeHtml(operation.description) + '</p>';
+            }
+            (operation.parameters || []).forEach(parameter => {
+                html += '<div class="param-row"><label>' + escapeHtml(parameter.name) + (parameter.required ? ' *' : '') + '</label>' +
+                    '<input data-param="' + escapeHtml(parameter.name) + '" data-in="' + escapeHtml(parameter.in) + '"' +
+                    ' placeholder="' + escapeHtml(parameter.description || parameter.in + ' parameter') + '"></div>';
+            });
+            if (operation.requestBody) {
+                html += '<textarea class="request-body" placeholder="JSON request body"></textarea>';
+            }
+            html += streams
+                ? '<p class="text-muted">Streams Server-Sent Events; open it with EventSource instead.</p>'
+                : '<button class="action-btn" data-action="sendRequest" data-args="' + escapeHtml(JSON.stringify([path, method])) + '">Send</button>';
+            html += '<pre class="api-response" hidden></pre>';
+            const success = operation.responses['200'];
+            const schema = success && success.content && Object.values(success.content)[0].schema;
+            if (schema && Object.keys(schema).length > 0) {
+                html += '<details><summary>Response schema</summary><pre class="schema">' +
+                    escapeHtml(JSON.stringify(expandRefs(schema, 0), null, 2)) + '</pre></details>';
+            }
+            return html + '</details>';
+        }
+
+        // Inlines $refs a few levels deep so the schema reads on its own
+        function expandRefs(schema, depth) {
+            if (Array.isArray(schema)) {
+                return schema.map(item => expandRefs(item, depth));
+            }
+            if (!schema || typeof schema !== 'object') {
+                return schema;
+            }
+            if (schema.$ref && depth < 4) {
+                const name = schema.$ref.split('/').pop();
+                return expandRefs(apiDocument.components.schemas[name], depth + 1);
+            }
+            return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, expandRefs(value, depth)]));
+        }
+
+        async function sendRequest(path, method) {
+            const operation = this.closest('.operation');
+            const output = operation.querySelector('.api-response');
+            const query = new URLSearchParams();
+            let url = path;
+            operation.querySelectorAll('[data-param]').forEach(input => {
+                if (input.dataset.in === 'path') {
+                    url = url.replace('{' + input.dataset.param + '}', encodeURIComponent(input.value));
+                } else if (input.value) {
+                    query.append(input.dataset.param, input.value);
+                }
+            });
+            if (query.toString()) {
+                url += '?' + query.toString();
+            }
+
+            const options = { method: method.toUpperCase(), headers: {} };
+            const body = operation.querySelector('.request-body');
+            if (body && body.value.trim()) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = body.value;
+            }
+
+            output.hidden = false;
+            output.textContent = options.method + ' ' + url + ' ...';
+            try {
+                const response = await fetch(url, options);
+                const text = await response.text();
+                let shown = text;
+                try {
+                    shown = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // Not JSON (pages, metrics); shown as it is
+                }
+                output.classList.toggle('failed', !response.ok);
+                output.textContent = options.method + ' ' + url + ' → ' + response.status + ' ' + response.statusText + '\\n\\n' + shown;
+            } catch (error) {
+                output.classList.add('failed');
+                output.textContent = options.method + ' ' + url + ' failed: ' + error.message;
+            }
+        }
+
+        loadApiDocument();
+`;
+
+// Slots for renderPage(): the operations replace the live secrets panel
+function explorerPage() {
+    return {
+        wide: true,
+        main: html`
+        <h2>API Explorer</h2>
+        <p>Every JSON endpoint of this dashboard, from its OpenAPI document. Requests are sent with your session and permissions.</p>
+        <div id="api-explorer">Loading the API document...</div>`,
+        styles: EXPLORER_STYLES,
+        scripts: [EXPLORER_SCRIPT]
+    };
+}
+
+module.exports = {
+    explorerPage
+};
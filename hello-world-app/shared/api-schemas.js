@@ -0,0 +1,281 @@
+// Schemas of the framework's JSON responses, for the API document (./openapi). Dashboards add
+// their own in apiSchemas() and refer to these with ref('Name').
+
+const { ref } = require('./openapi');
+
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+const SCHEMAS = {
+    // Thrown errors, 404s and 405s (see sendError in ./router); details depend on the error
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            status: { type: 'integer' },
+            path: { type: 'string' },
+            timestamp: dateTime,
+            details: {}
+        }
+    },
+    // Older endpoints answer failures with 200 and only an error message
+    ErrorMessage: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+    },
+    RedactionMap: {
+        type: 'object',
+        description: 'How each secret is redacted for the caller and whether they may reveal it',
+        additionalProperties: {
+            type: 'object',
+            required: ['mode', 'revealable'],
+            properties: {
+                mode: { enum: ['full', 'partial', 'hash', 'reveal', 'none'] },
+                revealable: { type: 'boolean' }
+            }
+        }
+    },
+    Degraded: {
+        type: 'object',
+        description: 'Present while stale values are served because the provider is failing',
+        required: ['since'],
+        properties: {
+            since: dateTime,
+            reason: { type: 'string' },
+            source: { enum: ['disk', 'memory'] },
+            secrets: { type: 'array', items: { type: 'string' } },
+            valuesFrom: dateTime
+        }
+    },
+    Secrets: {
+        type: 'object',
+        required: ['success', 'method', 'secrets', 'redaction', 'timestamp'],
+        properties: {
+            success: { const: true },
+            method: { type: 'string' },
+            operator: { type: ['string', 'null'] },
+            secrets: { ...stringMap, description: 'Redacted values by secret name' },
+            redaction: ref('RedactionMap'),
+            timestamp: dateTime,
+            cacheAge: { type: 'integer', description: 'Age in milliseconds of the oldest cached value' },
+            stale: { type: 'boolean' },
+            degraded: ref('Degraded'),
+            errors: { ...stringMap, description: 'Secrets that could not be read, with the reason' },
+            note: { type: 'string' }
+        }
+    },
+    SecretsUnavailable: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            method: { type: 'string' },
+            timestamp: dateTime
+        }
+    },
+    RevealedSecret: {
+        type: 'object',
+        required: ['secretName', 'value', 'revealedAt'],
+        properties: {
+            secretName: { type: 'string' },
+            value: { type: 'string' },
+            revealedAt: dateTime
+        }
+    },
+    // Dashboards add their own flags, e.g. { tls: true }
+    Health: {
+        type: 'object',
+        required: ['status', 'app', 'timestamp'],
+        properties: {
+            status: { enum: ['healthy', 'degraded', 'unhealthy', 'shutting-down'] },
+            degraded: {
+                type: 'object',
+                properties: { since: dateTime, source: { enum: ['disk', 'memory'] }, valuesFrom: dateTime }
+            },
+            app: { type: 'string' },
+            namespace: { type: 'string' },
+            version: { type: 'string' },
+            timestamp: dateTime,
+            method: { type: 'string' },
+            operator: { type: ['string', 'null'] }
+        }
+    },
+    Liveness: {
+        type: 'object',
+        required: ['status', 'uptimeSeconds'],
+        properties: {
+            status: { const: 'ok' },
+            uptimeSeconds: { type: 'integer' }
+        }
+    },
+    Readiness: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { enum: ['pass', 'warn', 'fail'] },
+            shuttingDown: { type: 'boolean' },
+            checkedAt: dateTime,
+            checks: { type: 'object', additionalProperties: { enum: ['pass', 'warn', 'fail'] } }
+        }
+    },
+    // Each check adds its own details
+    HealthCheck: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { enum: ['pass', 'warn', 'fail'] },
+            message: { type: 'string' },
+            readiness: { type: 'boolean' },
+            durationMs: { type: 'integer' }
+        }
+    },
+    HealthReport: {
+        type: 'object',
+        required: ['app', 'status', 'checkedAt', 'checks'],
+        properties: {
+            app: { type: 'string' },
+            status: { enum: ['pass', 'warn', 'fail'] },
+            checkedAt: dateTime,
+            cached: { type: 'boolean' },
+            checks: { type: 'object', additionalProperties: ref('HealthCheck') }
+        }
+    },
+    CacheStats: {
+        type: 'object',
+        required: ['name', 'ttlMs', 'size', 'entries'],
+        properties: {
+            name: { type: 'string' },
+            ttlMs: { type: 'integer' },
+            size: { type: 'integer' },
+            inFlight: { type: 'integer' },
+            hits: { type: 'integer' },
+            misses: { type: 'integer' },
+            coalesced: { type: 'integer' },
+            loads: { type: 'integer' },
+            backgroundRefreshes: { type: 'integer' },
+            errors: { type: 'integer' },
+            staleServed: { type: 'integer' },
+            hitRatio: { type: ['number', 'null'] },
+            entries: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['key', 'stale', 'ageMs'],
+                    properties: {
+                        key: { type: 'string' },
+                        stale: { type: 'boolean' },
+                        restored: { type: 'boolean' },
+                        ageMs: { type: 'integer' },
+                        ttlMs: { type: 'integer' },
+                        expiresInMs: { type: 'integer' },
+                        lastError: { type: ['string', 'null'] }
+                    }
+                }
+            }
+        }
+    },
+    DiskCacheState: {
+        type: 'object',
+        required: ['path', 'maxStaleMs'],
+        properties: {
+            path: { type: 'string' },
+            maxStaleMs: { type: 'integer' },
+            restored: nullable({ type: 'object', properties: { at: dateTime, secrets: { type: 'array', items: { type: 'string' } } } }),
+            lastWrite: nullable({ type: 'object', properties: { at: dateTime, secrets: { type: 'integer' } } }),
+            lastError: { type: ['string', 'null'] }
+        }
+    },
+    Caches: {
+        type: 'object',
+        required: ['caches'],
+        properties: {
+            caches: { type: 'array', items: ref('CacheStats') },
+            disk: ref('DiskCacheState')
+        }
+    },
+    CacheInvalidated: {
+        type: 'object',
+        required: ['success', 'cache', 'key'],
+        properties: {
+            success: { const: true },
+            cache: { type: 'string' },
+            key: { type: ['string', 'null'] }
+        }
+    },
+    LogLevel: {
+        type: 'object',
+        required: ['level'],
+        properties: { level: { enum: ['debug', 'info', 'warn', 'error'] } }
+    },
+    Configuration: {
+        type: 'object',
+        required: ['file', 'pendingRestart', 'settings'],
+        properties: {
+            file: { type: ['string', 'null'] },
+            loadedAt: dateTime,
+            lastReload: nullable({
+                type: 'object',
+                properties: {
+                    at: dateTime,
+                    changed: { type: 'array', items: { type: 'string' } },
+                    error: { type: ['string', 'null'] },
+                    errors: { type: 'array', items: { type: 'object' } }
+                }
+            }),
+            pendingRestart: { type: 'array', items: { type: 'string' } },
+            settings: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['source', 'reloadable'],
+                    properties: {
+                        value: { description: 'Secrets are redacted' },
+                        source: { enum: ['env', 'file', 'default'] },
+                        env: { type: ['string', 'null'] },
+                        reloadable: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    },
+    ConfigReloaded: {
+        type: 'object',
+        required: ['success', 'changed', 'pendingRestart'],
+        properties: {
+            success: { const: true },
+            changed: { type: 'array', items: { type: 'string' } },
+            pendingRestart: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    WhoAmI: {
+        type: 'object',
+        required: ['authEnabled'],
+        properties: {
+            authEnabled: { type: 'boolean' },
+            user: nullable({
+                type: 'object',
+                required: ['name', 'role', 'permissions'],
+                properties: {
+                    name: { type: 'string' },
+                    email: { type: ['string', 'null'] },
+                    groups: { type: 'array', items: { type: 'string' } },
+                    role: { enum: ['viewer', 'operator', 'admin'] },
+                    permissions: { type: 'array', items: { type: 'string' } },
+                    source: { type: 'string' }
+                }
+            })
+        }
+    }
+};
+
+module.exports = {
+    SCHEMAS,
+    dateTime,
+    nullable,
+    stringMap
+};
@@ -0,0 +1,327 @@
+// Tamper evidence for the audit log. Every entry carries a sequence number, the hash of the
+// entry before it and its own hash. With AUDIT_HMAC_KEY_FILE set, each hash is also sealed
+// with an HMAC under that key, so an entry can't be edited and re-hashed without the key.
+// ChainVerifier walks entries oldest first and reports gaps and modifications. Export bundles
+// are a run of entries plus an HMAC over the whole bundle; audit-verify.js checks them offline.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseKey } = require('./disk-cache');
+const { logger: defaultLogger } = require('./logger');
+
+// What the first entry of a chain points back to
+const GENESIS_HASH = '0'.repeat(64);
+const BUNDLE_FORMAT = 'audit-export';
+const BUNDLE_VERSION = 1;
+// Enough to see what went wrong; problemCount says how many there were in all
+const MAX_REPORTED_PROBLEMS = 100;
+
+// JSON with the keys of every object sorted, so the same entry always hashes the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Everything but the hash and its seal is hashed, seq and prevHash included
+function entryHash(entry) {
+    const { hash, keyId, hmac, ...hashed } = entry;
+    return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+}
+
+function keyIdOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function sign(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest('hex');
+}
+
+function sameHex(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.length === b.length
+        && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function readKeyFile(keyFile) {
+    return parseKey(fs.readFileSync(keyFile), keyFile);
+}
+
+// Feed it entries oldest first with add(), then read result(). Entries written before the
+// chain existed (no seq) are counted, not reported, as long as they come before the chain.
+class ChainVerifier {
+    // options: { key (null checks hashes and links only), expectedHead: { seq, hash, timestamp },
+    // retainedSince (ISO time entries older than which may have been pruned) }
+    constructor(options = {}) {
+        this.key = options.key || null;
+        this.keyId = this.key ? keyIdOf(this.key) : null;
+        this.expectedHead = options.expectedHead || null;
+        this.retainedSince = options.retainedSince || null;
+        this.entries = 0;
+        this.unchained = 0;
+        this.first = null;
+        this.last = null;
+        this.problems = [];
+        this.problemCount = 0;
+    }
+
+    report(kind, seq, message) {
+        this.problemCount++;
+        if (this.problems.length < MAX_REPORTED_PROBLEMS) {
+            this.problems.push({ kind, seq, message });
+        }
+    }
+
+    add(entry) {
+        this.entries++;
+        if (!Number.isInteger(entry.seq)) {
+            if (this.last) {
+                this.report('unchained', null, `An entry without a sequence number follows #${this.last.seq}`);
+            } else {
+                this.unchained++;
+            }
+            return;
+        }
+
+        const { seq } = entry;
+        if (entryHash(entry) !== entry.hash) {
+            this.report('modified', seq, `#${seq} does not match its hash: it was changed after it was written`);
+        } else if (this.key) {
+            if (!entry.hmac) {
+                this.report('unsigned', seq, `#${seq} has no HMAC`);
+            } else if (entry.keyId !== this.keyId) {
+                this.report('unknown-key', seq, `#${seq} was sealed with another key (${entry.keyId})`);
+            } else if (!sameHex(entry.hmac, sign(this.key, entry.hash))) {
+                this.report('signature', seq, `#${seq} has an invalid HMAC: it was re-hashed without the key`);
+            }
+        }
+
+        if (!this.last) {
+            this.first = entry;
+            if (seq === 1 && entry.prevHash !== GENESIS_HASH) {
+                this.report('link', seq, '#1 does not start a chain');
+            }
+        } else if (seq <= this.last.seq) {
+            // The rest of the chain is checked against the newest entry seen
+            this.report('order', seq, `#${seq} follows #${this.last.seq}`);
+            return;
+        } else if (seq > this.last.seq + 1) {
+            const missing = seq - this.last.seq - 1;
+            this.report('gap', seq, `${missing} ${missing === 1 ? 'entry is' : 'entries are'} missing between #${this.last.seq} and #${seq}`);
+        } else if (entry.prevHash !== this.last.hash) {
+            this.report('link', seq, `#${seq} does not point back to #${this.last.seq}: one of them was replaced`);
+        }
+        this.last = entry;
+    }
+
+    checkHead() {
+        const head = this.expectedHead;
+        if (!head || head.seq === 0) {
+            return;
+        }
+        const lastSeq = this.last ? this.last.seq : 0;
+        // Entries past retention may be gone, the newest one included
+        const mayBePruned = this.retainedSince && head.timestamp < this.retainedSince;
+        if (lastSeq < head.seq && !mayBePruned) {
+            this.report('missing-tail', lastSeq + 1, `#${lastSeq + 1} to #${head.seq} were written but are not in the log`);
+        } else if (lastSeq === head.seq && this.last.hash !== head.hash) {
+            this.report('modified', head.seq, `#${head.seq} is not the entry that was written`);
+        }
+    }
+
+    result() {
+        this.checkHead();
+        return {
+            valid: this.problemCount === 0,
+            keyed: !!this.key,
+            keyId: this.keyId,
+            entries: this.entries,
+            unchained: this.unchained,
+            firstSeq: this.first ? this.first.seq : null,
+            lastSeq: this.last ? this.last.seq : null,
+            headHash: this.last ? this.last.hash : null,
+            // The oldest entries are gone, by retention or the memory store's limit
+            truncated: !!this.first && this.first.seq > 1,
+            problemCount: this.problemCount,
+            problems: this.problems
+        };
+    }
+}
+
+// The bundle without its signature, canonically, is what the signature covers
+function bundleSignature(key, bundle) {
+    const { signature, ...signed } = bundle;
+    return sign(key, canonicalJson(signed));
+}
+
+function createBundle(entries, options = {}) {
+    const chained = entries.filter(entry => Number.isInteger(entry.seq));
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date((options.now || Date.now)()).toISOString(),
+        source: options.source || {},
+        range: options.range || {},
+        keyId: keyIdOf(options.key),
+        firstSeq: chained.length > 0 ? chained[0].seq : null,
+        lastSeq: chained.length > 0 ? chained[chained.length - 1].seq : null,
+        headHash: chained.length > 0 ? chained[chained.length - 1].hash : null,
+        entries
+    };
+    return { ...bundle, signature: bundleSignature(options.key, bundle) };
+}
+
+// Throws when it isn't a bundle at all. Without a key only the hashes and links are checked.
+function verifyBundle(bundle, options = {}) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.entries)) {
+        throw new Error('Not an audit export bundle');
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+        throw new Error(`Unsupported audit export bundle version ${bundle.version}`);
+    }
+
+    const key = options.key || null;
+    const verifier = new ChainVerifier({
+        key,
+        expectedHead: bundle.lastSeq !== null ? { seq: bundle.lastSeq, hash: bundle.headHash } : null
+    });
+    bundle.entries.forEach(entry => verifier.add(entry));
+
+    let signatureValid = null;
+    if (key) {
+        signatureValid = bundle.keyId === keyIdOf(key) && sameHex(bundle.signature, bundleSignature(key, bundle));
+        if (!signatureValid) {
+            verifier.report('bundle-signature', null, bundle.keyId === keyIdOf(key)
+                ? 'The bundle was changed after it was exported'
+                : `The bundle was signed with another key (${bundle.keyId})`);
+        }
+    }
+    if (verifier.first && verifier.first.seq !== bundle.firstSeq) {
+        verifier.report('gap', verifier.first.seq, `The bundle starts at #${bundle.firstSeq} but its first entry is #${verifier.first.seq}`);
+    }
+    return { ...verifier.result(), signatureValid, exportedAt: bundle.exportedAt, source: bundle.source, range: bundle.range };
+}
+
+// Seals and appends entries to an audit store, one at a time and in order
+class AuditChain {
+    // options: { store, key (a Buffer; null for hashes only), logger, now }
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('AuditChain needs a store');
+        }
+        this.store = options.store;
+        this.key = options.key || null;
+        this.keyId = this.key ? keyIdOf(this.key) : null;
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.head = { seq: 0, hash: GENESIS_HASH, timestamp: null };
+        // Appends wait for the head of the chain to be read back from the store
+        this.pending = this.loadHead();
+    }
+
+    // AUDIT_HMAC_KEY_FILE: a mounted file with a 32-byte key, as hex, base64 or raw bytes
+    static fromEnv(options = {}, env = process.env) {
+        const key = env.AUDIT_HMAC_KEY_FILE ? readKeyFile(env.AUDIT_HMAC_KEY_FILE) : null;
+        return new AuditChain({ key, ...options });
+    }
+
+    async loadHead() {
+        try {
+            const last = await this.store.last();
+            if (last && Number.isInteger(last.seq)) {
+                this.head = { seq: last.seq, hash: last.hash, timestamp: last.timestamp };
+            }
+        } catch (error) {
+            // Starting over shows up in verification instead of silently continuing
+            this.logger.error('Unable to read the head of the audit chain', { store: this.store.type, error: error.message });
+        }
+    }
+
+    // What the store gets: the entry as it will read back, plus the chain fields
+    seal(entry) {
+        const { seq, prevHash, hash, keyId, hmac, ...fields } = entry;
+        const chained = JSON.parse(JSON.stringify({
+            ...fields,
+            timestamp: new Date(entry.timestamp || this.now()).toISOString(),
+            seq: this.head.seq + 1,
+            prevHash: this.head.hash
+        }));
+        chained.hash = entryHash(chained);
+        if (this.key) {
+            chained.keyId = this.keyId;
+            chained.hmac = sign(this.key, chained.hash);
+        }
+        return chained;
+    }
+
+    // A write that fails still uses up its sequence number, so verification shows the gap.
+    // Resolves with the sealed entry, written or not
+    append(entry) {
+        let sealed = null;
+        const run = this.pending.then(() => {
+            sealed = this.seal(entry);
+            this.head = { seq: sealed.seq, hash: sealed.hash, timestamp: sealed.timestamp };
+            return this.store.append(sealed);
+        });
+        this.pending = run.catch(error => {
+            this.logger.error('Unable to append to the audit chain', { store: this.store.type, error: error.message });
+        });
+        return this.pending.then(() => sealed);
+    }
+
+    flush() {
+        return this.pending.then(() => this.store.flush());
+    }
+
+    verifier(options = {}) {
+        return new ChainVerifier({ key: this.key, expectedHead: this.head, ...options });
+    }
+
+    // Walks the whole store, oldest first
+    async verify(options = {}) {
+        await this.flush();
+        const verifier = this.verifier(options);
+        await this.store.scan({}, entry => verifier.add(entry));
+        return verifier.result();
+    }
+
+    // Every entry from the first at or after from to the last before to, gaps included, so the
+    // bundle is one unbroken run of the chain
+    async exportBundle(range = {}, options = {}) {
+        if (!this.key) {
+            throw new Error('Export bundles are signed with the key in AUDIT_HMAC_KEY_FILE, which is not set');
+        }
+        await this.flush();
+        const entries = [];
+        await this.store.scan({}, entry => {
+            if (entries.length > 0 || !range.from || entry.timestamp >= range.from) {
+                entries.push(entry);
+            }
+        });
+        const end = range.to ? entries.findLastIndex(entry => entry.timestamp < range.to) : entries.length - 1;
+        return createBundle(entries.slice(0, end + 1), { key: this.key, range, now: this.now, ...options });
+    }
+
+    describe() {
+        return { seq: this.head.seq, headHash: this.head.hash, keyed: !!this.key, keyId: this.keyId };
+    }
+}
+
+module.exports = {
+    AuditChain,
+    ChainVerifier,
+    createBundle,
+    verifyBundle,
+    canonicalJson,
+    entryHash,
+    keyIdOf,
+    readKeyFile,
+    GENESIS_HASH,
+    BUNDLE_FORMAT
+};
@@ -0,0 +1,649 @@
+// Forwards audit entries to the SOC's collectors as they are written: syslog (RFC 5424, or
+// ArcSight CEF in a syslog frame) over UDP or TCP, and batched HTTP webhooks. Sinks are listed
+// in AUDIT_SINKS, each with its own filter, and keep their own health for /api/audit. A sink
+// that can't deliver never holds up the audit log: syslog drops what it can't send, webhooks
+// retry with backoff and then append the batch to a dead-letter file.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const dgram = require('dgram');
+const { retryWithBackoff } = require('./resilience');
+const { logger: defaultLogger } = require('./logger');
+
+const SINK_TYPES = ['syslog', 'webhook'];
+const SYSLOG_PROTOCOLS = ['udp', 'tcp'];
+const SYSLOG_FORMATS = ['rfc5424', 'cef'];
+// filter key -> entry field
+const FILTER_FIELDS = { actions: 'action', secrets: 'secretName', sources: 'source', outcomes: 'outcome', users: 'user' };
+
+const SYSLOG_DEFAULTS = {
+    port: 514,
+    protocol: 'udp',
+    format: 'rfc5424',
+    // 13 is "log audit"
+    facility: 13,
+    appName: 'hello-world-audit',
+    // TCP: messages held while (re)connecting; the oldest are dropped past this
+    maxQueue: 1000
+};
+const WEBHOOK_DEFAULTS = {
+    batchSize: 100,
+    flushIntervalMs: 5000,
+    maxRetries: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000,
+    timeoutMs: 10000,
+    // Entries waiting for delivery; the oldest go to the dead-letter file past this
+    maxQueue: 10000
+};
+const TCP_RECONNECT_DELAY_MS = 5000;
+const CLOSE_TIMEOUT_MS = 5000;
+
+// Private enterprise number 32473 is reserved for examples (RFC 5612)
+const SD_ID = 'audit@32473';
+const SD_FIELDS = ['seq', 'action', 'secretName', 'outcome', 'error', 'source', 'provider', 'vault', 'version',
+    'user', 'role', 'requestId', 'remoteAddress', 'userAgent', 'background', 'hash'];
+const CEF_NAMES = {
+    READ: 'Secret read',
+    READ_VERSION: 'Secret version read',
+    WRITE: 'Secret written',
+    REVEAL: 'Secret revealed'
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkInteger(sink, field, min, max = Infinity) {
+    const value = sink[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+        throw new Error(`sink '${sink.name}': ${field} must be a whole number${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}`);
+    }
+}
+
+function checkOneOf(sink, field, values) {
+    if (sink[field] !== undefined && !values.includes(sink[field])) {
+        throw new Error(`sink '${sink.name}': ${field} must be one of ${values.join(', ')}, got ${JSON.stringify(sink[field])}`);
+    }
+}
+
+function parseFilter(filter, name) {
+    if (filter === undefined) {
+        return {};
+    }
+    if (!isPlainObject(filter)) {
+        throw new Error(`sink '${name}': filter must be an object of lists, e.g. { "actions": ["WRITE"] }`);
+    }
+    Object.entries(filter).forEach(([key, values]) => {
+        if (!FILTER_FIELDS[key]) {
+            throw new Error(`sink '${name}': unknown filter '${key}'; valid: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+        }
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+            throw new Error(`sink '${name}': filter ${key} must be a list of strings`);
+        }
+    });
+    return filter;
+}
+
+// A list of sink objects (AUDIT_SINKS as JSON, or audit.sinks in the config file) -> sinks with
+// their defaults filled in. Throws with the first problem.
+function parseAuditSinks(raw) {
+    if (!Array.isArray(raw)) {
+        throw new Error('must be a list of sinks, e.g. [{ "type": "syslog", "host": "siem.example.com" }]');
+    }
+    const sinks = raw.map((entry, index) => {
+        if (!isPlainObject(entry)) {
+            throw new Error(`sink ${index + 1} must be an object`);
+        }
+        if (!SINK_TYPES.includes(entry.type)) {
+            throw new Error(`sink ${index + 1}: type must be one of ${SINK_TYPES.join(', ')}, got ${JSON.stringify(entry.type)}`);
+        }
+        const sink = { name: `${entry.type}-${index + 1}`, ...entry };
+        sink.filter = parseFilter(entry.filter, sink.name);
+        if (sink.type === 'syslog') {
+            if (typeof sink.host !== 'string' || !sink.host) {
+                throw new Error(`sink '${sink.name}' needs a host`);
+            }
+            checkInteger(sink, 'port', 1, 65535);
+            checkInteger(sink, 'facility', 0, 23);
+            checkInteger(sink, 'maxQueue', 1);
+            checkOneOf(sink, 'protocol', SYSLOG_PROTOCOLS);
+            checkOneOf(sink, 'format', SYSLOG_FORMATS);
+            return { ...SYSLOG_DEFAULTS, ...sink };
+        }
+        let url;
+        try {
+            url = new URL(sink.url);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new Error(`sink '${sink.name}' needs an http(s) url`);
+        }
+        if (sink.headers !== undefined && (!isPlainObject(sink.headers) || Object.values(sink.headers).some(value => typeof value !== 'string'))) {
+            throw new Error(`sink '${sink.name}': headers must be an object of strings`);
+        }
+        ['batchSize', 'flushIntervalMs', 'timeoutMs', 'maxQueue'].forEach(field => checkInteger(sink, field, 1));
+        ['maxRetries', 'baseDelayMs', 'maxDelayMs'].forEach(field => checkInteger(sink, field, 0));
+        return { ...WEBHOOK_DEFAULTS, ...sink };
+    });
+    const names = sinks.map(sink => sink.name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        throw new Error(`duplicate sink names: ${[...new Set(duplicates)].join(', ')}`);
+    }
+    return sinks;
+}
+
+// For the config's json setting type: the problem, or null
+function checkAuditSinks(value) {
+    try {
+        parseAuditSinks(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Every listed field must match one of its values; * matches any run of characters.
+// Events without an outcome (reveals) count as successes.
+function matchesFilter(filter, entry) {
+    return Object.entries(filter).every(([key, patterns]) => {
+        const value = key === 'outcomes' ? entry.outcome || 'success' : entry[FILTER_FIELDS[key]];
+        return value !== undefined && value !== null && patterns.some(pattern => globMatch(pattern, String(value)));
+    });
+}
+
+function globMatch(pattern, value) {
+    if (!pattern.includes('*')) {
+        return pattern === value;
+    }
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(value);
+}
+
+// Failures stand out, writes more than reads
+function syslogSeverity(entry) {
+    // 4 warning, 5 notice, 6 informational
+    return entry.outcome === 'failure' ? 4 : entry.action === 'WRITE' ? 5 : 6;
+}
+
+function cefSeverity(entry) {
+    return entry.outcome === 'failure' ? 7 : entry.action === 'WRITE' ? 5 : 3;
+}
+
+// "ada READ database-password: success"
+function describeEntry(entry) {
+    const caller = entry.user || (entry.background ? 'background' : 'anonymous');
+    const outcome = entry.outcome || 'success';
+    return `${caller} ${entry.action} ${entry.secretName}: ${outcome}${entry.error ? ` (${entry.error})` : ''}`;
+}
+
+// Header fields are printable ASCII without spaces, '-' when empty
+function headerField(value, maxLength) {
+    const text = value === undefined || value === null ? '' : String(value).replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+    return text || '-';
+}
+
+function sdValue(value) {
+    return String(value).replace(/[\\"\]]/g, '\\$&');
+}
+
+// The syslog header and structured data around msg; sdFields: null for no structured data
+function syslogFrame(entry, options, msg, sdFields) {
+    const pri = options.facility * 8 + syslogSeverity(entry);
+    const params = (sdFields || [])
+        .filter(field => entry[field] !== undefined && entry[field] !== null)
+        .map(field => `${field}="${sdValue(entry[field])}"`);
+    const structuredData = params.length > 0 ? `[${SD_ID} ${params.join(' ')}]` : '-';
+    return [
+        `<${pri}>1`,
+        headerField(entry.timestamp, 64),
+        headerField(options.hostname, 255),
+        headerField(options.appName, 48),
+        headerField(options.procId, 128),
+        headerField(entry.action, 32),
+        structuredData,
+        msg
+    ].join(' ');
+}
+
+// RFC 5424: the entry's fields as structured data, a one-line description as the message
+function formatSyslog(entry, options) {
+    return syslogFrame(entry, options, describeEntry(entry), SD_FIELDS);
+}
+
+function cefHeader(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[\\|]/g, '\\$&').replace(/[\r\n]+/g, ' ');
+}
+
+function cefValue(value) {
+    return String(value).replace(/[\\=]/g, '\\$&').replace(/\r?\n|\r/g, '\\n');
+}
+
+// ArcSight CEF:0, with the secret, provider, vault, version, request ID and source in the
+// custom string fields and the chain's sequence number in cn1
+function formatCef(entry, options) {
+    const extension = [
+        ['rt', Date.parse(entry.timestamp)],
+        ['act', entry.action],
+        ['outcome', entry.outcome || 'success'],
+        ['reason', entry.error],
+        ['suser', entry.user],
+        ['spriv', entry.role],
+        ['src', entry.remoteAddress && entry.remoteAddress.replace(/^::ffff:/, '')],
+        ['requestClientApplication', entry.userAgent],
+        ['dvchost', options.hostname],
+        ['msg', describeEntry(entry)],
+        ['cs1Label', 'secret'], ['cs1', entry.secretName],
+        ['cs2Label', 'provider'], ['cs2', entry.provider],
+        ['cs3Label', 'vault'], ['cs3', entry.vault],
+        ['cs4Label', 'version'], ['cs4', entry.version],
+        ['cs5Label', 'requestId'], ['cs5', entry.requestId],
+        ['cs6Label', 'source'], ['cs6', entry.source],
+        ['cn1Label', 'seq'], ['cn1', entry.seq]
+    ]
+        // A label without its value is left out too
+        .filter(([key, value], index, fields) => value !== undefined && value !== null
+            && !(key.endsWith('Label') && (fields[index + 1][1] === undefined || fields[index + 1][1] === null)))
+        .map(([key, value]) => `${key}=${cefValue(value)}`)
+        .join(' ');
+    const header = ['CEF:0', 'HelloWorld', 'secret-dashboards', options.appVersion, entry.action, CEF_NAMES[entry.action] || entry.action, cefSeverity(entry)]
+        .map((field, index) => (index === 0 ? field : cefHeader(field)));
+    return `${header.join('|')}|${extension}`;
+}
+
+// Counters every sink keeps for describe()
+class SinkStats {
+    constructor() {
+        this.sent = 0;
+        this.failed = 0;
+        this.dropped = 0;
+        this.lastSentAt = null;
+        this.lastError = null;
+        this.lastErrorAt = null;
+    }
+
+    delivered(count, now) {
+        this.sent += count;
+        this.lastSentAt = new Date(now()).toISOString();
+    }
+
+    failure(count, error, now) {
+        this.failed += count;
+        this.lastError = error.message;
+        this.lastErrorAt = new Date(now()).toISOString();
+    }
+
+    // failing until something is delivered after the last error
+    status() {
+        if (this.lastErrorAt && (!this.lastSentAt || this.lastErrorAt >= this.lastSentAt)) {
+            return 'failing';
+        }
+        return this.lastSentAt ? 'ok' : 'idle';
+    }
+
+    describe() {
+        return {
+            status: this.status(),
+            sent: this.sent,
+            failed: this.failed,
+            dropped: this.dropped,
+            lastSentAt: this.lastSentAt,
+            lastError: this.lastError,
+            lastErrorAt: this.lastErrorAt
+        };
+    }
+}
+
+// Fire and forget: one datagram per entry over UDP; over TCP, octet-counted frames (RFC 6587)
+// on one connection, reconnected when it drops. Entries in flight when a connection breaks are lost.
+class SyslogSink {
+    // config: a syslog sink from parseAuditSinks(); options: { logger, hostname, appVersion, now }
+    constructor(config, options = {}) {
+        this.config = config;
+        this.name = config.name;
+        this.type = 'syslog';
+        this.filter = config.filter;
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.stats = new SinkStats();
+        const frame = { facility: config.facility, appName: config.appName, hostname: options.hostname || os.hostname(), procId: process.pid, appVersion: options.appVersion };
+        this.format = config.format === 'cef'
+            ? entry => syslogFrame(entry, frame, formatCef(entry, frame), null)
+            : entry => formatSyslog(entry, frame);
+        this.socket = null;
+        this.connected = false;
+        this.queue = [];
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    target() {
+        return `${this.config.protocol}://${this.config.host}:${this.config.port}`;
+    }
+
+    send(entry) {
+        const message = this.format(entry);
+        if (this.config.protocol === 'udp') {
+            this.sendDatagram(message);
+        } else {
+            this.sendFrame(`${Buffer.byteLength(message)} ${message}`);
+        }
+    }
+
+    sendDatagram(message) {
+        if (!this.socket) {
+            this.socket = dgram.createSocket(net.isIPv6(this.config.host) ? 'udp6' : 'udp4');
+            this.socket.on('error', error => this.failed(error));
+            this.socket.unref();
+        }
+        this.socket.send(message, this.config.port, this.config.host, error => {
+            if (error) {
+                this.failed(error);
+            } else {
+                this.stats.delivered(1, this.now);
+            }
+        });
+    }
+
+    sendFrame(frame) {
+        if (this.connected) {
+            this.write(frame);
+            return;
+        }
+        this.queue.push(frame);
+        if (this.queue.length > this.config.maxQueue) {
+            this.queue.shift();
+            this.stats.dropped++;
+        }
+        if (!this.socket && !this.reconnectTimer) {
+            this.connect();
+        }
+    }
+
+    write(frame) {
+        this.socket.write(frame, error => {
+            if (error) {
+                this.failed(error);
+            } else {
+                this.stats.delivered(1, this.now);
+            }
+        });
+    }
+
+    connect() {
+        const socket = net.connect({ host: this.config.host, port: this.config.port });
+        this.socket = socket;
+        socket.setKeepAlive(true);
+        socket.unref();
+        socket.on('connect', () => {
+            this.connected = true;
+            this.queue.splice(0).forEach(frame => this.write(frame));
+        });
+        socket.on('error', error => this.failed(error));
+        socket.on('close', () => {
+            this.connected = false;
+            this.socket = null;
+            // Messages are waiting; an idle sink reconnects on its next message instead
+            if (this.queue.length > 0 && !this.closed) {
+                this.reconnectTimer = setTimeout(() => {
+                    this.reconnectTimer = null;
+                    this.connect();
+                }, TCP_RECONNECT_DELAY_MS);
+                this.reconnectTimer.unref();
+            }
+        });
+    }
+
+    failed(error) {
+        const first = this.stats.status() !== 'failing';
+        this.stats.failure(1, error, this.now);
+        // Once per outage, not once per entry
+        if (first) {
+            this.logger.warn('Audit sink unable to send', { sink: this.name, target: this.target(), error: error.message });
+        }
+    }
+
+    flush() {
+        return Promise.resolve();
+    }
+
+    // Waits for written TCP frames to go out, up to CLOSE_TIMEOUT_MS; frames still waiting for a
+    // connection are dropped
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.stats.dropped += this.queue.length;
+        this.queue = [];
+        const socket = this.socket;
+        if (!socket) {
+            return Promise.resolve();
+        }
+        if (this.config.protocol === 'udp') {
+            return new Promise(resolve => socket.close(resolve));
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS);
+            socket.once('close', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            if (this.connected) {
+                socket.end();
+            } else {
+                socket.destroy();
+            }
+        });
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            type: this.type,
+            target: this.target(),
+            format: this.config.format,
+            filter: this.filter,
+            ...this.stats.describe(),
+            queued: this.queue.length
+        };
+    }
+}
+
+// Something the retry loop can classify (see resilience.classifyError)
+function webhookError(url, response, cause) {
+    if (response) {
+        const error = new Error(`${url} answered ${response.status} ${response.statusText}`.trim());
+        error.statusCode = response.status;
+        error.response = { status: response.status, headers: response.headers };
+        return error;
+    }
+    const error = new Error(`${url}: ${cause.cause ? cause.cause.message : cause.message}`);
+    error.code = cause.name === 'TimeoutError' ? 'ETIMEDOUT' : cause.cause && cause.cause.code;
+    return error;
+}
+
+// Entries are POSTed as { source, entries } in batches of batchSize, or every flushIntervalMs.
+// Throttling, 5xx and network errors are retried with backoff; a batch that still can't be
+// delivered is appended to deadLetterPath, one JSON line per entry.
+class WebhookSink {
+    // config: a webhook sink from parseAuditSinks(); options: { logger, source, fetch, sleep, now }
+    constructor(config, options = {}) {
+        this.config = config;
+        this.name = config.name;
+        this.type = 'webhook';
+        this.filter = config.filter;
+        this.logger = options.logger || defaultLogger;
+        this.source = options.source || {};
+        this.fetch = options.fetch || fetch;
+        this.sleep = options.sleep;
+        this.now = options.now || Date.now;
+        this.stats = new SinkStats();
+        this.retries = 0;
+        this.deadLettered = 0;
+        this.queue = [];
+        // Batches go out one at a time, in order
+        this.pending = Promise.resolve();
+        this.timer = setInterval(() => this.flush(), config.flushIntervalMs);
+        this.timer.unref();
+    }
+
+    send(entry) {
+        this.queue.push(entry);
+        if (this.queue.length > this.config.maxQueue) {
+            this.deadLetter(this.queue.splice(0, this.queue.length - this.config.maxQueue), 'queue full');
+        }
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        this.pending = this.pending.then(async () => {
+            while (this.queue.length > 0) {
+                await this.deliver(this.queue.splice(0, this.config.batchSize));
+            }
+        });
+        return this.pending;
+    }
+
+    async deliver(batch) {
+        try {
+            await retryWithBackoff(() => this.post(batch), {
+                maxRetries: this.config.maxRetries,
+                baseDelayMs: this.config.baseDelayMs,
+                throttledBaseDelayMs: this.config.baseDelayMs,
+                maxDelayMs: this.config.maxDelayMs,
+                maxRetryAfterMs: this.config.maxDelayMs,
+                sleep: this.sleep,
+                onRetry: () => { this.retries++; }
+            });
+            this.stats.delivered(batch.length, this.now);
+        } catch (error) {
+            this.stats.failure(batch.length, error, this.now);
+            this.logger.warn('Audit sink delivery failed', { sink: this.name, entries: batch.length, error: error.message });
+            await this.deadLetter(batch, error.message);
+        }
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json', ...this.config.headers };
+        // Read for every batch, so a rotated token is picked up
+        if (this.config.tokenFile) {
+            headers.Authorization = `Bearer ${fs.readFileSync(this.config.tokenFile, 'utf8').trim()}`;
+        }
+        return headers;
+    }
+
+    async post(batch) {
+        let response;
+        try {
+            response = await this.fetch(this.config.url, {
+                method: 'POST',
+                headers: this.headers(),
+                body: JSON.stringify({ source: this.source, entries: batch }),
+                signal: AbortSignal.timeout(this.config.timeoutMs)
+            });
+        } catch (error) {
+            throw webhookError(this.config.url, null, error);
+        }
+        if (!response.ok) {
+            throw webhookError(this.config.url, response);
+        }
+    }
+
+    // Without a dead-letter file the entries are only counted as dropped
+    async deadLetter(entries, reason) {
+        if (!this.config.deadLetterPath) {
+            this.stats.dropped += entries.length;
+            this.logger.error('Audit entries dropped: no dead-letter file', { sink: this.name, entries: entries.length, reason });
+            return;
+        }
+        const deadLetteredAt = new Date(this.now()).toISOString();
+        const lines = entries.map(entry => `${JSON.stringify({ deadLetteredAt, sink: this.name, reason, entry })}\n`).join('');
+        try {
+            await fs.promises.mkdir(path.dirname(this.config.deadLetterPath), { recursive: true, mode: 0o700 });
+            await fs.promises.appendFile(this.config.deadLetterPath, lines, { mode: 0o600 });
+            this.deadLettered += entries.length;
+        } catch (error) {
+            this.stats.dropped += entries.length;
+            this.logger.error('Unable to write the audit dead-letter file', { sink: this.name, path: this.config.deadLetterPath, entries: entries.length, error: error.message });
+        }
+    }
+
+    // Delivers what is queued; anything that can't be delivered is dead-lettered as usual
+    close() {
+        clearInterval(this.timer);
+        return this.flush();
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            type: this.type,
+            target: this.config.url,
+            format: 'json',
+            filter: this.filter,
+            ...this.stats.describe(),
+            queued: this.queue.length,
+            retries: this.retries,
+            deadLettered: this.deadLettered,
+            deadLetterPath: this.config.deadLetterPath || null
+        };
+    }
+}
+
+// Fans each entry out to the sinks whose filter it matches
+class AuditSinks {
+    // options: { sinks (from parseAuditSinks), logger, hostname, appVersion, source, fetch, sleep, now }
+    constructor(options = {}) {
+        this.logger = options.logger || defaultLogger;
+        this.sinks = (options.sinks || []).map(config => (config.type === 'syslog'
+            ? new SyslogSink(config, options)
+            : new WebhookSink(config, options)));
+    }
+
+    // AUDIT_SINKS: a JSON list of sinks; none when unset
+    static fromEnv(options = {}, env = process.env) {
+        const sinks = env.AUDIT_SINKS ? parseAuditSinks(JSON.parse(env.AUDIT_SINKS)) : [];
+        return new AuditSinks({ sinks, ...options });
+    }
+
+    send(entry) {
+        this.sinks
+            .filter(sink => matchesFilter(sink.filter, entry))
+            .forEach(sink => {
+                try {
+                    sink.send(entry);
+                } catch (error) {
+                    this.logger.error('Audit sink failed', { sink: sink.name, error: error.message });
+                }
+            });
+    }
+
+    flush() {
+        return Promise.all(this.sinks.map(sink => sink.flush()));
+    }
+
+    close() {
+        return Promise.all(this.sinks.map(sink => sink.close()));
+    }
+
+    describe() {
+        return this.sinks.map(sink => sink.describe());
+    }
+}
+
+module.exports = {
+    AuditSinks,
+    SyslogSink,
+    WebhookSink,
+    parseAuditSinks,
+    checkAuditSinks,
+    matchesFilter,
+    formatSyslog,
+    formatCef,
+    SINK_TYPES
+};
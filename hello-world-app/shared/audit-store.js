@@ -0,0 +1,607 @@
+// Where the audit dashboard keeps its access log: in memory (gone on restart), in append-only
+// JSON Lines files rotated by size and age, or in SQLite. Every store answers the same queries
+// (time range, secret, action and source; most recently recorded first, a page at a time), can
+// be walked in the order entries were recorded with scan(), hands back the newest entry with
+// last(), and drops entries older than the retention period when prune() runs.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { logger: defaultLogger } = require('./logger');
+
+const AUDIT_STORE_TYPES = ['memory', 'jsonl', 'sqlite'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MEMORY_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ROTATE_INTERVAL_MS = DAY_MS;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+// last() reads the end of a JSONL file this much at a time
+const TAIL_BLOCK_BYTES = 16 * 1024;
+
+// The JSONL store appends to audit.jsonl. Rotated files are named after the time they were
+// closed (audit-20261019T131648123Z.jsonl), so sorting them by name sorts them by age.
+const ACTIVE_FILE = 'audit.jsonl';
+const ROTATED_FILE = /^audit-(\d{8}T\d{9}Z)(?:-\d+)?\.jsonl$/;
+
+function fileStamp(time) {
+    return new Date(time).toISOString().replace(/[-:.]/g, '');
+}
+
+function stampTime(stamp) {
+    const [, date, hours, minutes, seconds, ms] = stamp.match(/^(\d{8})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/);
+    return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}T${hours}:${minutes}:${seconds}.${ms}Z`;
+}
+
+function parseCount(raw, name, fallback, min, max = Infinity) {
+    if (raw === undefined || raw === '') {
+        return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${name} must be a whole number${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}, got '${raw}'`);
+    }
+    return value;
+}
+
+// Filters from query parameters { from, to, secret, action, source, limit, offset }. from and
+// to are ISO 8601 dates or times (from inclusive, to exclusive). Throws with the reason for
+// anything malformed.
+function parseAuditQuery(params = {}) {
+    const filters = {};
+    for (const bound of ['from', 'to']) {
+        if (params[bound]) {
+            const time = Date.parse(params[bound]);
+            if (Number.isNaN(time)) {
+                throw new Error(`${bound} must be an ISO 8601 date or time, got '${params[bound]}'`);
+            }
+            filters[bound] = new Date(time).toISOString();
+        }
+    }
+    if (params.secret) {
+        filters.secretName = params.secret;
+    }
+    if (params.action) {
+        filters.action = params.action.toUpperCase();
+    }
+    if (params.source) {
+        filters.source = params.source;
+    }
+    filters.limit = parseCount(params.limit, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    filters.offset = parseCount(params.offset, 'offset', 0, 0);
+    return filters;
+}
+
+function pageOf(filters) {
+    return {
+        limit: filters.limit !== undefined ? filters.limit : DEFAULT_PAGE_SIZE,
+        offset: filters.offset || 0
+    };
+}
+
+function matches(entry, filters) {
+    return (!filters.from || entry.timestamp >= filters.from)
+        && (!filters.to || entry.timestamp < filters.to)
+        && (!filters.secretName || entry.secretName === filters.secretName)
+        && (!filters.action || entry.action === filters.action)
+        && (!filters.source || entry.source === filters.source);
+}
+
+// Timestamps are stored as toISOString() output, so comparing the strings compares the times
+function normalizeEntry(entry, now) {
+    return { ...entry, timestamp: new Date(entry.timestamp || now()).toISOString() };
+}
+
+class MemoryAuditStore {
+    // options: { maxEntries, retentionMs (0 keeps everything), now }
+    constructor(options = {}) {
+        this.type = 'memory';
+        this.maxEntries = options.maxEntries || DEFAULT_MEMORY_MAX_ENTRIES;
+        this.retentionMs = options.retentionMs || 0;
+        this.now = options.now || Date.now;
+        // Newest first
+        this.entries = [];
+    }
+
+    append(entry) {
+        this.entries.unshift(normalizeEntry(entry, this.now));
+        if (this.entries.length > this.maxEntries) {
+            this.entries.pop();
+        }
+        return Promise.resolve();
+    }
+
+    // { entries, total }: one page of the matching entries and how many match in all
+    async query(filters = {}) {
+        const { limit, offset } = pageOf(filters);
+        const matching = this.entries.filter(entry => matches(entry, filters));
+        return { entries: matching.slice(offset, offset + limit), total: matching.length };
+    }
+
+    async count(filters = {}) {
+        return this.entries.filter(entry => matches(entry, filters)).length;
+    }
+
+    // The most recently recorded entry, or null
+    async last() {
+        return this.entries[0] || null;
+    }
+
+    // Calls onMatch with each matching entry, oldest first
+    async scan(filters, onMatch) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (matches(this.entries[i], filters)) {
+                onMatch(this.entries[i]);
+            }
+        }
+    }
+
+    // Resolves with the number of entries removed
+    async prune() {
+        if (!this.retentionMs) {
+            return 0;
+        }
+        const cutoff = new Date(this.now() - this.retentionMs).toISOString();
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.timestamp >= cutoff);
+        return before - this.entries.length;
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            entries: this.entries.length,
+            maxEntries: this.maxEntries,
+            retentionDays: this.retentionMs / DAY_MS
+        };
+    }
+
+    flush() {
+        return Promise.resolve();
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+class JsonlAuditStore {
+    // options: { dir, maxFileBytes, rotateIntervalMs, retentionMs (0 keeps everything), logger, now }
+    constructor(options = {}) {
+        if (!options.dir) {
+            throw new Error('JsonlAuditStore needs a dir');
+        }
+        this.type = 'jsonl';
+        this.dir = options.dir;
+        this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+        this.rotateIntervalMs = options.rotateIntervalMs || DEFAULT_ROTATE_INTERVAL_MS;
+        this.retentionMs = options.retentionMs || 0;
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.activePath = path.join(this.dir, ACTIVE_FILE);
+        // Writes, rotations and pruning run one at a time, in order
+        this.pending = Promise.resolve();
+        this.lastError = null;
+
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        // Carried over from before a restart: size, first and last write of the file being appended to
+        this.activeBytes = 0;
+        this.activeSince = null;
+        this.lastWriteAt = null;
+        // A write cut short by a crash leaves a line without its newline; the next entry starts on a new line
+        this.tornLine = false;
+        if (fs.existsSync(this.activePath)) {
+            const stats = fs.statSync(this.activePath);
+            this.activeBytes = stats.size;
+            this.activeSince = this.firstEntryTime(this.activePath);
+            this.lastWriteAt = stats.mtimeMs;
+            this.tornLine = stats.size > 0 && !this.endsWithNewline(this.activePath, stats.size);
+        }
+    }
+
+    firstEntryTime(file) {
+        const buffer = Buffer.alloc(4096);
+        const fd = fs.openSync(file, 'r');
+        try {
+            const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            const time = Date.parse(JSON.parse(buffer.toString('utf8', 0, bytes).split('\n')[0]).timestamp);
+            return Number.isNaN(time) ? fs.statSync(file).mtimeMs : time;
+        } catch (error) {
+            return fs.statSync(file).mtimeMs;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    endsWithNewline(file, size) {
+        const buffer = Buffer.alloc(1);
+        const fd = fs.openSync(file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, 1, size - 1);
+            return buffer[0] === 0x0a;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    enqueue(task, what) {
+        const run = this.pending.then(task).catch(error => {
+            this.lastError = `Unable to ${what}: ${error.message}`;
+            this.logger.error(`Unable to ${what}`, { dir: this.dir, error: error.message });
+        });
+        this.pending = run;
+        return run;
+    }
+
+    append(entry) {
+        const now = this.now();
+        const line = `${JSON.stringify(normalizeEntry(entry, () => now))}\n`;
+        return this.enqueue(() => this.write(line, now), 'write audit entry');
+    }
+
+    async write(entryLine, now) {
+        const line = this.tornLine && this.activeBytes > 0 ? `\n${entryLine}` : entryLine;
+        const bytes = Buffer.byteLength(line);
+        if (this.activeBytes > 0 && (this.activeBytes + bytes > this.maxFileBytes || now - this.activeSince >= this.rotateIntervalMs)) {
+            await this.rotate(now);
+        }
+        await fs.promises.appendFile(this.activePath, line, { mode: 0o600 });
+        this.tornLine = false;
+        if (this.activeBytes === 0) {
+            this.activeSince = now;
+        }
+        this.activeBytes += bytes;
+        this.lastWriteAt = now;
+        this.lastError = null;
+    }
+
+    async rotate(now) {
+        const stamp = fileStamp(now);
+        let target = path.join(this.dir, `audit-${stamp}.jsonl`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(this.dir, `audit-${stamp}-${n}.jsonl`);
+        }
+        await fs.promises.rename(this.activePath, target);
+        this.activeBytes = 0;
+        this.activeSince = null;
+        this.logger.info('Audit log rotated', { file: path.basename(target) });
+    }
+
+    // Oldest first: { file, closedAt } with closedAt null for the file being appended to
+    files() {
+        // The directory may have gone from under us; writing then fails and says so
+        const rotated = (fs.existsSync(this.dir) ? fs.readdirSync(this.dir) : [])
+            .map(file => ({ file, match: file.match(ROTATED_FILE) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({ file, closedAt: stampTime(match[1]) }))
+            .sort((a, b) => a.file.localeCompare(b.file));
+        return fs.existsSync(this.activePath) ? [...rotated, { file: ACTIVE_FILE, closedAt: null }] : rotated;
+    }
+
+    // Calls onMatch with each matching entry, oldest first
+    async scan(filters, onMatch) {
+        await this.flush();
+        for (const { file, closedAt } of this.files()) {
+            // Everything in a rotated file was written before it was closed
+            if (filters.from && closedAt && closedAt < filters.from) {
+                continue;
+            }
+            await this.readFile(path.join(this.dir, file), entry => matches(entry, filters) && onMatch(entry));
+        }
+    }
+
+    async readFile(file, onEntry) {
+        const stream = fs.createReadStream(file, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line) {
+                    continue;
+                }
+                try {
+                    onEntry(JSON.parse(line));
+                } catch (error) {
+                    // A line cut short by a crash; the rest of the file is still good
+                    this.logger.warn('Skipping unreadable audit log line', { file: path.basename(file), error: error.message });
+                }
+            }
+        } catch (error) {
+            // Pruned while it was being read
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    // Only the newest offset + limit matches are kept while scanning; older ones are just counted
+    async query(filters = {}) {
+        const { limit, offset } = pageOf(filters);
+        const newest = [];
+        let total = 0;
+        await this.scan(filters, entry => {
+            total++;
+            newest.push(entry);
+            if (newest.length > offset + limit) {
+                newest.shift();
+            }
+        });
+        newest.reverse();
+        return { entries: newest.slice(offset, offset + limit), total };
+    }
+
+    async count(filters = {}) {
+        let total = 0;
+        await this.scan(filters, () => total++);
+        return total;
+    }
+
+    // The most recently recorded entry, read from the end of the newest file that has one
+    async last() {
+        await this.flush();
+        for (const { file } of this.files().reverse()) {
+            const entry = this.lastEntryOf(path.join(this.dir, file));
+            if (entry) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Reads backwards a block at a time until a whole line parses, so a torn last line is skipped
+    lastEntryOf(file) {
+        let fd;
+        try {
+            fd = fs.openSync(file, 'r');
+        } catch (error) {
+            // Pruned in the meantime
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        try {
+            let position = fs.fstatSync(fd).size;
+            let tail = Buffer.alloc(0);
+            while (position > 0) {
+                const length = Math.min(TAIL_BLOCK_BYTES, position);
+                position -= length;
+                const block = Buffer.alloc(length);
+                fs.readSync(fd, block, 0, length, position);
+                // Joined as bytes, so a character split across blocks stays whole
+                tail = Buffer.concat([block, tail]);
+
+                const lines = tail.toString('utf8').split('\n');
+                // Unless the start of the file was reached, the first line may be cut
+                const whole = position > 0 ? lines.slice(1) : lines;
+                for (const line of whole.reverse()) {
+                    if (!line) {
+                        continue;
+                    }
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        // Torn by a crash; try the line before
+                    }
+                }
+            }
+            return null;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Retention applies to whole files: a file goes once everything in it is past the retention
+    // period. Resolves with the number of files removed
+    prune() {
+        if (!this.retentionMs) {
+            return Promise.resolve(0);
+        }
+        let removed = 0;
+        return this.enqueue(async () => {
+            const cutoff = new Date(this.now() - this.retentionMs).toISOString();
+            // Everything in a rotated file is older than the time it was closed
+            for (const { file, closedAt } of this.files()) {
+                if (closedAt && closedAt < cutoff) {
+                    await fs.promises.rm(path.join(this.dir, file), { force: true });
+                    removed++;
+                }
+            }
+            if (this.activeBytes > 0 && new Date(this.lastWriteAt).toISOString() < cutoff) {
+                await fs.promises.rm(this.activePath, { force: true });
+                this.activeBytes = 0;
+                this.activeSince = null;
+                removed++;
+            }
+        }, 'prune audit log').then(() => removed);
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            path: this.dir,
+            files: this.files().length,
+            activeBytes: this.activeBytes,
+            maxFileBytes: this.maxFileBytes,
+            rotateIntervalMs: this.rotateIntervalMs,
+            retentionDays: this.retentionMs / DAY_MS,
+            lastError: this.lastError
+        };
+    }
+
+    // Resolves once everything appended so far is on disk
+    flush() {
+        return this.pending;
+    }
+
+    close() {
+        return this.flush();
+    }
+}
+
+const FILTER_COLUMNS = [
+    ['from', 'timestamp >= ?'],
+    ['to', 'timestamp < ?'],
+    ['secretName', 'secret_name = ?'],
+    ['action', 'action = ?'],
+    ['source', 'source = ?']
+];
+
+// better-sqlite3 is an optional dependency: only this store needs it
+function openDatabase(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`AUDIT_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+    return new Database(file);
+}
+
+class SqliteAuditStore {
+    // options: { path, retentionMs (0 keeps everything), logger, now, open(path) }
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('SqliteAuditStore needs a path');
+        }
+        this.type = 'sqlite';
+        this.path = options.path;
+        this.retentionMs = options.retentionMs || 0;
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.lastError = null;
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true, mode: 0o700 });
+        this.db = (options.open || openDatabase)(this.path);
+        this.db.pragma('journal_mode = WAL');
+        // The columns queries filter on, next to the whole entry as JSON
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                secret_name TEXT,
+                action TEXT,
+                source TEXT,
+                entry TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log (timestamp);
+            CREATE INDEX IF NOT EXISTS audit_log_secret ON audit_log (secret_name, timestamp);
+        `);
+        this.insert = this.db.prepare('INSERT INTO audit_log (timestamp, secret_name, action, source, entry) VALUES (?, ?, ?, ?, ?)');
+    }
+
+    where(filters) {
+        const used = FILTER_COLUMNS.filter(([key]) => filters[key]);
+        return {
+            sql: used.length > 0 ? ` WHERE ${used.map(([, clause]) => clause).join(' AND ')}` : '',
+            params: used.map(([key]) => filters[key])
+        };
+    }
+
+    append(entry) {
+        const normalized = normalizeEntry(entry, this.now);
+        try {
+            this.insert.run(normalized.timestamp, normalized.secretName || null, normalized.action || null,
+                normalized.source || null, JSON.stringify(normalized));
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = `Unable to write audit entry: ${error.message}`;
+            this.logger.error('Unable to write audit entry', { path: this.path, error: error.message });
+        }
+        return Promise.resolve();
+    }
+
+    async query(filters = {}) {
+        const { limit, offset } = pageOf(filters);
+        const { sql, params } = this.where(filters);
+        const rows = this.db.prepare(`SELECT entry FROM audit_log${sql} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+        return { entries: rows.map(row => JSON.parse(row.entry)), total: await this.count(filters) };
+    }
+
+    async count(filters = {}) {
+        const { sql, params } = this.where(filters);
+        return this.db.prepare(`SELECT COUNT(*) AS total FROM audit_log${sql}`).get(...params).total;
+    }
+
+    async last() {
+        const row = this.db.prepare('SELECT entry FROM audit_log ORDER BY id DESC LIMIT 1').get();
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    // Calls onMatch with each matching entry, oldest first
+    async scan(filters, onMatch) {
+        const { sql, params } = this.where(filters);
+        for (const row of this.db.prepare(`SELECT entry FROM audit_log${sql} ORDER BY id`).iterate(...params)) {
+            onMatch(JSON.parse(row.entry));
+        }
+    }
+
+    // Resolves with the number of entries removed
+    async prune() {
+        if (!this.retentionMs) {
+            return 0;
+        }
+        const cutoff = new Date(this.now() - this.retentionMs).toISOString();
+        return this.db.prepare('DELETE FROM audit_log WHERE timestamp < ?').run(cutoff).changes;
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            path: this.path,
+            entries: this.db.prepare('SELECT COUNT(*) AS total FROM audit_log').get().total,
+            retentionDays: this.retentionMs / DAY_MS,
+            lastError: this.lastError
+        };
+    }
+
+    // Every insert is committed before append() returns
+    flush() {
+        return Promise.resolve();
+    }
+
+    close() {
+        this.db.close();
+        return Promise.resolve();
+    }
+}
+
+// AUDIT_STORE (memory, jsonl or sqlite), AUDIT_STORE_PATH (a directory for jsonl, the database
+// file for sqlite), AUDIT_MAX_FILE_BYTES and AUDIT_ROTATE_INTERVAL_MS (jsonl),
+// AUDIT_MEMORY_MAX_ENTRIES (memory) and AUDIT_RETENTION_DAYS (0 keeps everything)
+function createAuditStore(options = {}, env = process.env) {
+    const type = env.AUDIT_STORE || 'memory';
+    const retentionDays = env.AUDIT_RETENTION_DAYS !== undefined ? parseInt(env.AUDIT_RETENTION_DAYS, 10) : DEFAULT_RETENTION_DAYS;
+    const common = { retentionMs: retentionDays * DAY_MS, ...options };
+
+    if (!AUDIT_STORE_TYPES.includes(type)) {
+        throw new Error(`Unknown AUDIT_STORE '${type}'. Use ${AUDIT_STORE_TYPES.join(', ')}`);
+    }
+    if (type !== 'memory' && !env.AUDIT_STORE_PATH) {
+        throw new Error(`AUDIT_STORE_PATH is required when AUDIT_STORE is ${type}`);
+    }
+    switch (type) {
+        case 'memory':
+            return new MemoryAuditStore({ maxEntries: parseInt(env.AUDIT_MEMORY_MAX_ENTRIES, 10) || undefined, ...common });
+        case 'jsonl':
+            return new JsonlAuditStore({
+                dir: env.AUDIT_STORE_PATH,
+                maxFileBytes: parseInt(env.AUDIT_MAX_FILE_BYTES, 10) || undefined,
+                rotateIntervalMs: parseInt(env.AUDIT_ROTATE_INTERVAL_MS, 10) || undefined,
+                ...common
+            });
+        default:
+            return new SqliteAuditStore({ path: env.AUDIT_STORE_PATH, ...common });
+    }
+}
+
+module.exports = {
+    MemoryAuditStore,
+    JsonlAuditStore,
+    SqliteAuditStore,
+    createAuditStore,
+    parseAuditQuery,
+    AUDIT_STORE_TYPES,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+};
@@ -0,0 +1,78 @@
+// Checks an audit export bundle (GET /api/audit/export on the audit dashboard) offline:
+//
+//   node shared/audit-verify.js audit-export.json --key-file audit-hmac.key
+//
+// Without --key-file only the hashes and links between entries are checked; with it the entry
+// HMACs and the bundle signature are too. --json prints the full result. Exits 0 when the
+// bundle is intact, 1 when it is not and 2 when it can't be read.
+
+const fs = require('fs');
+const { verifyBundle, readKeyFile } = require('./audit-chain');
+
+const USAGE = 'Usage: node audit-verify.js <bundle.json> [--key-file <file>] [--json]';
+
+function parseArgs(argv) {
+    const args = { bundleFile: null, keyFile: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--key-file') {
+            args.keyFile = argv[++i];
+            if (!args.keyFile) {
+                throw new Error('--key-file needs a file');
+            }
+        } else if (argv[i] === '--json') {
+            args.json = true;
+        } else if (!argv[i].startsWith('--') && !args.bundleFile) {
+            args.bundleFile = argv[i];
+        } else {
+            throw new Error(`Unexpected argument '${argv[i]}'`);
+        }
+    }
+    if (!args.bundleFile) {
+        throw new Error('No bundle file given');
+    }
+    return args;
+}
+
+function describeResult(result) {
+    const lines = [
+        `${result.valid ? 'OK' : 'FAILED'}: ${result.entries} entries, #${result.firstSeq} to #${result.lastSeq}, exported ${result.exportedAt}`
+    ];
+    if (result.source && result.source.dashboard) {
+        lines.push(`From: ${result.source.dashboard}${result.source.namespace ? ` in ${result.source.namespace}` : ''}`);
+    }
+    lines.push(result.keyed
+        ? `Entry HMACs and the bundle signature checked with key ${result.keyId}`
+        : 'No key given: hashes and links checked, HMACs and the bundle signature not checked');
+    if (result.unchained > 0) {
+        lines.push(`${result.unchained} entries from before the chain was started are not covered`);
+    }
+    for (const problem of result.problems) {
+        lines.push(`  ${problem.kind}: ${problem.message}`);
+    }
+    if (result.problemCount > result.problems.length) {
+        lines.push(`  ... and ${result.problemCount - result.problems.length} more`);
+    }
+    return lines.join('\n');
+}
+
+// Returns the exit code
+function main(argv, out = process.stdout, err = process.stderr) {
+    let result;
+    try {
+        const args = parseArgs(argv);
+        const bundle = JSON.parse(fs.readFileSync(args.bundleFile, 'utf8'));
+        const key = args.keyFile ? readKeyFile(args.keyFile) : null;
+        result = verifyBundle(bundle, { key });
+        out.write(`${args.json ? JSON.stringify(result, null, 2) : describeResult(result)}\n`);
+    } catch (error) {
+        err.write(`${error.message}\n${USAGE}\n`);
+        return 2;
+    }
+    return result.valid ? 0 : 1;
+}
+
+module.exports = { main, parseArgs, describeResult };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { HttpError } = require('./router');
+const { logger } = require('./logger');
+
+// Roles are cumulative: operator can do everything viewer can, admin everything operator can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+    VIEW: 'view',                   // dashboards, metadata, health details
+    OPERATE: 'operate',             // trigger reloads, rotation checks, scans
+    READ_SECRETS: 'read-secrets',   // plaintext secret values
+    ROTATE_SECRETS: 'rotate-secrets',
+    CONFIGURE: 'configure'          // runtime settings such as the log level
+};
+
+const ROLE_PERMISSIONS = {
+    viewer: [PERMISSIONS.VIEW],
+    operator: [PERMISSIONS.VIEW, PERMISSIONS.OPERATE],
+    admin: [PERMISSIONS.VIEW, PERMISSIONS.OPERATE, PERMISSIONS.READ_SECRETS, PERMISSIONS.ROTATE_SECRETS, PERMISSIONS.CONFIGURE]
+};
+
+// JWS algorithms we accept, mapped to node:crypto verify parameters. 'none' and HMAC are never accepted.
+const JWT_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null }
+};
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Normalise ::ffff:127.0.0.1 so IPv4 proxies can be listed plainly
+function normalizeAddress(address) {
+    return (address || '').replace(/^::ffff:/, '');
+}
+
+// Signing keys from a JWKS file, re-read whenever the mounted file changes
+class JwksKeyStore {
+    constructor(jwksFile) {
+        this.jwksFile = jwksFile;
+        this.keys = [];
+        this.loadedMtime = 0;
+    }
+
+    load() {
+        const stats = fs.statSync(this.jwksFile);
+        if (stats.mtimeMs === this.loadedMtime) {
+            return this.keys;
+        }
+
+        const jwks = JSON.parse(fs.readFileSync(this.jwksFile, 'utf8'));
+        if (!Array.isArray(jwks.keys)) {
+            throw new Error(`JWKS file ${this.jwksFile} has no 'keys' array`);
+        }
+
+        this.keys = jwks.keys.map(jwk => ({
+            kid: jwk.kid,
+            alg: jwk.alg,
+            key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }));
+        this.loadedMtime = stats.mtimeMs;
+        return this.keys;
+    }
+
+    find(kid) {
+        const keys = this.load();
+        if (kid) {
+            return keys.find(k => k.kid === kid) || null;
+        }
+        // Tokens without a kid are only accepted when there is no ambiguity
+        return keys.length === 1 ? keys[0] : null;
+    }
+}
+
+class Authenticator {
+    constructor(options = {}) {
+        this.enabled = !!options.enabled;
+        this.trustProxyHeaders = !!options.trustProxyHeaders;
+        // oauth-proxy runs as a sidecar, so only loopback may set X-Forwarded-* by default
+        this.trustedProxies = (options.trustedProxies || ['127.0.0.1', '::1']).map(normalizeAddress);
+        this.keyStore = options.jwksFile ? new JwksKeyStore(options.jwksFile) : null;
+        this.issuer = options.issuer || null;
+        this.audience = options.audience || null;
+        this.usernameClaims = options.usernameClaims || ['preferred_username', 'upn', 'email', 'sub'];
+        this.groupsClaim = options.groupsClaim || 'groups';
+        this.clockSkewSeconds = options.clockSkewSeconds !== undefined ? options.clockSkewSeconds : 60;
+
+        // { users: { alice: 'admin' }, groups: { 'secret-admins': 'admin' }, defaultRole: 'viewer' }
+        const roleMapping = options.roleMapping || {};
+        this.userRoles = roleMapping.users || {};
+        this.groupRoles = roleMapping.groups || {};
+        this.defaultRole = options.defaultRole || roleMapping.defaultRole || 'viewer';
+
+        [this.defaultRole, ...Object.values(this.userRoles), ...Object.values(this.groupRoles)].forEach(role => {
+            if (role && !ROLES.includes(role)) {
+                throw new Error(`Unknown role '${role}'. Valid roles: ${ROLES.join(', ')}`);
+            }
+        });
+    }
+
+    // AUTH_* environment variables; explicit options win
+    static fromEnv(overrides = {}, env = process.env) {
+        let roleMapping = overrides.roleMapping;
+        if (!roleMapping && env.AUTH_ROLES_FILE) {
+            try {
+                roleMapping = JSON.parse(fs.readFileSync(env.AUTH_ROLES_FILE, 'utf8'));
+            } catch (error) {
+                throw new Error(`Unable to load role mapping ${env.AUTH_ROLES_FILE}: ${error.message}`);
+            }
+        }
+
+        return new Authenticator({
+            enabled: env.AUTH_ENABLED === 'true',
+            trustProxyHeaders: env.AUTH_TRUST_PROXY_HEADERS === 'true',
+            trustedProxies: env.AUTH_TRUSTED_PROXIES ? splitList(env.AUTH_TRUSTED_PROXIES) : undefined,
+            jwksFile: env.AUTH_JWKS_FILE,
+            issuer: env.AUTH_JWT_ISSUER,
+            audience: env.AUTH_JWT_AUDIENCE,
+            groupsClaim: env.AUTH_GROUPS_CLAIM,
+            defaultRole: env.AUTH_DEFAULT_ROLE,
+            ...overrides,
+            roleMapping
+        });
+    }
+
+    // Identity from oauth-proxy's X-Forwarded-* headers (--pass-user-headers / --set-xauthrequest)
+    userFromProxyHeaders(req) {
+        if (!this.trustProxyHeaders) {
+            return null;
+        }
+        const name = req.headers['x-forwarded-preferred-username'] || req.headers['x-forwarded-user'];
+        if (!name) {
+            return null;
+        }
+        if (!this.trustedProxies.includes(normalizeAddress(req.socket.remoteAddress))) {
+            throw new HttpError(401, 'Forwarded identity headers are only accepted from a trusted proxy');
+        }
+
+        return {
+            name,
+            email: req.headers['x-forwarded-email'] || null,
+            groups: splitList(req.headers['x-forwarded-groups']),
+            source: 'proxy'
+        };
+    }
+
+    userFromBearerToken(req) {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match) {
+            return null;
+        }
+        if (!this.keyStore) {
+            throw new HttpError(401, 'Bearer tokens are not accepted: no JWKS file is configured');
+        }
+
+        const claims = this.verifyToken(match[1]);
+        const name = this.usernameClaims.map(claim => claims[claim]).find(Boolean);
+        if (!name) {
+            throw new HttpError(401, 'Token does not identify a user');
+        }
+
+        const groups = claims[this.groupsClaim];
+        return {
+            name,
+            email: claims.email || null,
+            groups: Array.isArray(groups) ? groups : splitList(groups),
+            source: 'bearer'
+        };
+    }
+
+    verifyToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            throw new HttpError(401, 'Malformed bearer token');
+        }
+
+        let header;
+        let claims;
+        try {
+            header = decodeSegment(parts[0]);
+            claims = decodeSegment(parts[1]);
+        } catch (error) {
+            throw new HttpError(401, 'Malformed bearer token');
+        }
+
+        const algorithm = JWT_ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new HttpError(401, `Unsupported token algorithm '${header.alg}'`);
+        }
+
+        let signingKey;
+        try {
+            signingKey = this.keyStore.find(header.kid);
+        } catch (error) {
+            logger.error('Failed to load JWKS', { jwksFile: this.keyStore.jwksFile, error: error.message });
+            throw new HttpError(503, 'Token signing keys are unavailable');
+        }
+        if (!signingKey || (signingKey.alg && signingKey.alg !== header.alg)) {
+            throw new HttpError(401, 'Token signing key not recognised');
+        }
+
+        const verifyOptions = { key: signingKey.key };
+        if (algorithm.padding) {
+            verifyOptions.padding = algorithm.padding;
+        }
+        if (algorithm.dsaEncoding) {
+            verifyOptions.dsaEncoding = algorithm.dsaEncoding;
+        }
+        const valid = crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            verifyOptions,
+            Buffer.from(parts[2], 'base64url')
+        );
+        if (!valid) {
+            throw new HttpError(401, 'Invalid token signature');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        // A token without an expiry would be valid forever
+        if (typeof claims.exp !== 'number') {
+            throw new HttpError(401, 'Token has no expiry');
+        }
+        if (now - this.clockSkewSeconds >= claims.exp) {
+            throw new HttpError(401, 'Token has expired');
+        }
+        if (typeof claims.nbf === 'number' && now + this.clockSkewSeconds < claims.nbf) {
+            throw new HttpError(401, 'Token is not yet valid');
+        }
+        if (this.issuer && claims.iss !== this.issuer) {
+            throw new HttpError(401, 'Token issuer is not trusted');
+        }
+        if (this.audience) {
+            const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+            if (!audiences.includes(this.audience)) {
+                throw new HttpError(401, 'Token audience does not match');
+            }
+        }
+        return claims;
+    }
+
+    // Highest role granted by the user mapping or any of the user's groups
+    resolveRole(user) {
+        const granted = [this.defaultRole, this.userRoles[user.name]];
+        user.groups.forEach(group => granted.push(this.groupRoles[group]));
+
+        return granted
+            .filter(Boolean)
+            .reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best), ROLES[0]);
+    }
+
+    authenticate(req) {
+        const user = this.userFromBearerToken(req) || this.userFromProxyHeaders(req);
+        if (!user) {
+            return null;
+        }
+        user.role = this.resolveRole(user);
+        user.permissions = ROLE_PERMISSIONS[user.role];
+        return user;
+    }
+
+    can(user, permission) {
+        return !!user && user.permissions.includes(permission);
+    }
+
+    // Sets req.user and enforces the matched route's permission (VIEW unless the route says otherwise).
+    // With auth disabled every caller is treated as an anonymous admin, as before.
+    middleware() {
+        return (req, res, next) => {
+            const route = req.route || {};
+
+            if (!this.enabled) {
+                req.user = { name: 'anonymous', groups: [], role: 'admin', permissions: ROLE_PERMISSIONS.admin, source: 'none' };
+                return next();
+            }
+
+            // Credentials aren't looked at on public routes, so a stale token or a stray
+            // X-Forwarded-User can't fail a probe or a scrape
+            if (route.public) {
+                req.user = null;
+                return next();
+            }
+            req.user = this.authenticate(req);
+            if (!req.user) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                throw new HttpError(401, 'Authentication required');
+            }
+
+            const permission = route.permission || PERMISSIONS.VIEW;
+            if (!this.can(req.user, permission)) {
+                throw new HttpError(403, `Role '${req.user.role}' does not have the '${permission}' permission`);
+            }
+            return next();
+        };
+    }
+}
+
+module.exports = {
+    Authenticator,
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS
+};
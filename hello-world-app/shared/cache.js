@@ -0,0 +1,196 @@
+// Keyed caches with per-entry TTLs, shared by the secret cache and the dashboards' own caches
+// (versions, expiration checks, validation results). A fresh entry is answered at once, and
+// once it is close to expiry the same lookup refreshes it in the background. Lookups for a
+// missing or expired key share one load, and when a load fails the last good value is served,
+// marked stale, instead of the error.
+
+const { EventEmitter } = require('events');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_TTL_MS = 30000;
+// Hits after this fraction of the TTL also start a background refresh
+const DEFAULT_REFRESH_AHEAD = 0.8;
+
+// Emits 'load' { key, background, durationMs } after a value was loaded and
+// 'stale' { key, error } when a failed load is answered with an expired value.
+class Cache extends EventEmitter {
+    // options: { name, ttlMs, ttlFor(key), refreshAhead, staleIfError, maxStaleMs, logger, now }
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'cache';
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        // Per-key TTL (e.g. from the secret catalog); null falls back to ttlMs
+        this.ttlFor = options.ttlFor || (() => null);
+        // 0 turns background refreshes off
+        this.refreshAhead = options.refreshAhead !== undefined ? options.refreshAhead : DEFAULT_REFRESH_AHEAD;
+        // true, false, or (error) => boolean to pick the failures worth hiding
+        this.staleIfError = options.staleIfError !== undefined ? options.staleIfError : true;
+        // How long past expiry a value may still be served when loads fail
+        this.maxStaleMs = options.maxStaleMs || Infinity;
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+        this.inFlight = new Map();
+        this.counters = { hits: 0, misses: 0, coalesced: 0, loads: 0, backgroundRefreshes: 0, errors: 0, staleServed: 0 };
+    }
+
+    // The cached value for key, calling loader(key) when there is none or it expired.
+    // options: { ttlMs, refresh } where refresh: true skips the cached value
+    async get(key, loader, options = {}) {
+        const entry = this.entries.get(key);
+        const now = this.now();
+        if (entry && !options.refresh && now < entry.expiresAt) {
+            this.counters.hits++;
+            if (this.refreshAhead > 0 && now >= entry.storedAt + entry.ttlMs * this.refreshAhead && !this.inFlight.has(key)) {
+                this.counters.backgroundRefreshes++;
+                // Failures are recorded on the entry; the current value stays until it expires
+                this.fetch(key, loader, { ...options, background: true }).catch(() => {});
+            }
+            return entry.value;
+        }
+        this.counters.misses++;
+        return this.fetch(key, loader, options);
+    }
+
+    // One load per key at a time; everyone asking for the key meanwhile gets its outcome
+    fetch(key, loader, options) {
+        if (this.inFlight.has(key)) {
+            this.counters.coalesced++;
+            return this.inFlight.get(key);
+        }
+        const promise = this.load(key, loader, options).finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    async load(key, loader, options) {
+        this.counters.loads++;
+        const startedAt = this.now();
+        try {
+            const value = await loader(key);
+            this.set(key, value, options.ttlMs);
+            this.emit('load', { key, background: !!options.background, durationMs: this.now() - startedAt });
+            return value;
+        } catch (error) {
+            this.counters.errors++;
+            const entry = this.entries.get(key);
+            if (!entry || !this.canServeStale(entry, error)) {
+                if (entry) {
+                    entry.lastError = error.message;
+                }
+                throw error;
+            }
+            entry.lastError = error.message;
+            if (this.now() >= entry.expiresAt) {
+                entry.stale = true;
+                this.counters.staleServed++;
+                this.logger.warn('Serving stale cache entry', { cache: this.name, key, error: error.message });
+                this.emit('stale', { key, error });
+            }
+            return entry.value;
+        }
+    }
+
+    canServeStale(entry, error) {
+        const allowed = typeof this.staleIfError === 'function' ? this.staleIfError(error) : this.staleIfError;
+        const now = this.now();
+        return !!allowed && now - entry.expiresAt <= this.maxStaleMs && !(entry.staleUntil < now);
+    }
+
+    set(key, value, ttlMs) {
+        const ttl = ttlMs || this.ttlFor(key) || this.ttlMs;
+        const now = this.now();
+        this.entries.set(key, { value, storedAt: now, expiresAt: now + ttl, ttlMs: ttl, stale: false, lastError: null });
+        return value;
+    }
+
+    // Seeds key with a value read before (e.g. by ./disk-cache before a restart). It is already
+    // expired, so the next lookup loads, and stale, so it is only served when that load fails,
+    // and never after staleUntil.
+    restore(key, value, { storedAt, staleUntil }) {
+        const ttl = this.ttlFor(key) || this.ttlMs;
+        this.entries.set(key, {
+            value,
+            storedAt,
+            expiresAt: Math.min(storedAt + ttl, this.now()),
+            ttlMs: ttl,
+            stale: true,
+            restored: true,
+            staleUntil,
+            lastError: null
+        });
+    }
+
+    // { key: { value, storedAt } } for every entry, for ./disk-cache
+    values() {
+        return Object.fromEntries([...this.entries].map(([key, entry]) => [key, { value: entry.value, storedAt: entry.storedAt }]));
+    }
+
+    // { value, stale, restored, ageMs, ttlMs, expiresInMs, lastError } without loading anything; null when absent
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        const now = this.now();
+        return {
+            value: entry.value,
+            stale: entry.stale,
+            // From before a restart and not read from the loader since
+            restored: !!entry.restored,
+            storedAt: new Date(entry.storedAt).toISOString(),
+            ageMs: now - entry.storedAt,
+            ttlMs: entry.ttlMs,
+            expiresInMs: entry.expiresAt - now,
+            lastError: entry.lastError
+        };
+    }
+
+    // Expires key (or every key) so the next lookup loads again. The values are kept as the
+    // stale fallback, so invalidating never makes a failing provider visible sooner.
+    invalidate(key) {
+        const keys = key === undefined ? [...this.entries.keys()] : [key];
+        const now = this.now();
+        keys.forEach(name => {
+            const entry = this.entries.get(name);
+            if (entry) {
+                entry.expiresAt = Math.min(entry.expiresAt, now);
+            }
+        });
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    // Counters and per-entry ages for /api/cache; never the cached values
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            name: this.name,
+            ttlMs: this.ttlMs,
+            size: this.entries.size,
+            inFlight: this.inFlight.size,
+            ...this.counters,
+            hitRatio: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : null,
+            entries: this.keys().map(key => {
+                const { value, storedAt, ...details } = this.peek(key);
+                return { key, ...details };
+            })
+        };
+    }
+}
+
+module.exports = {
+    Cache,
+    DEFAULT_TTL_MS,
+    DEFAULT_REFRESH_AHEAD
+};
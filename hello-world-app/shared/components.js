@@ -0,0 +1,320 @@
+// Page layout and the building blocks dashboards compose their pages from. Every
+// component returns html`...`, so data passed in is escaped; styles and scripts are code.
+
+const { html, raw, jsonForScript } = require('./html');
+
+// Layout chrome plus every component's styles, so dashboards only add what is unique to them
+const STYLES = `
+        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
+        .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .container.wide { max-width: 1200px; }
+        .header { text-align: center; color: #333; margin-bottom: 30px; }
+        .method { background: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        .secret-item { background: #f8f9fa; padding: 10px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #4caf50; }
+        .secret-name { font-weight: bold; color: #2e7d32; }
+        .secret-value { font-family: monospace; background: #263238; color: #4caf50; padding: 5px; border-radius: 3px; margin-top: 5px; word-break: break-all; }
+        .secret-detail { font-size: 0.8em; color: #666; margin-top: 5px; font-weight: normal; }
+        .error { background: #ffebee; color: #c62828; padding: 15px; border-radius: 5px; border-left: 4px solid #f44336; }
+        .refresh-btn { background: #4caf50; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; margin: 10px 0; }
+        .refresh-btn:hover { background: #388e3c; }
+        .live-status { color: #999; font-size: 0.85em; margin-left: 10px; }
+        .live-status.connected { color: #4caf50; }
+        .reveal-btn { background: none; border: 1px solid #4caf50; color: #2e7d32; padding: 2px 8px; border-radius: 3px; cursor: pointer; font-size: 0.8em; margin-top: 5px; }
+        .redhat-badge { background: #ee0000; color: white; padding: 5px 10px; border-radius: 3px; font-size: 12px; font-weight: bold; }
+
+        .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 20px 0; }
+        .grid.wide { grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); }
+        .grid > .card { margin: 0; }
+
+        .card { background: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #2196f3; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .card h3 { margin-top: 0; }
+        .card-info { background: #e7f3ff; border-left-color: #007bff; }
+        .card-info h3 { color: #0056b3; }
+        .card-success { background: #d4edda; border-left-color: #28a745; }
+        .card-warning { background: #fff3cd; border-left-color: #ffc107; }
+        .card-danger { background: #f8d7da; border-left-color: #dc3545; }
+        .card-neutral { background: #e9ecef; border-left-color: #6c757d; }
+
+        .stat-tile { padding: 20px; background: #f8f9fa; border-radius: 8px; text-align: center; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .stat-value { font-size: 2.5em; font-weight: bold; color: #007bff; word-break: break-word; }
+        .stat-label { margin-top: 10px; color: #6c757d; }
+        .stat-subtext { font-size: 0.85em; margin-top: 5px; opacity: 0.9; }
+        .stat-tile-success { background: #d4edda; color: #155724; }
+        .stat-tile-warning { background: #fff3cd; color: #856404; }
+        .stat-tile-danger { background: #f8d7da; color: #721c24; }
+        .stat-tile-info { background: #d1ecf1; color: #0c5460; }
+        .stat-tile-neutral { background: #e9ecef; color: #495057; }
+        .stat-tile-primary { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; }
+        .stat-tile[class*="stat-tile-"] .stat-value, .stat-tile[class*="stat-tile-"] .stat-label { color: inherit; }
+
+        .badge { display: inline-block; padding: 4px 8px; border-radius: 4px; font-size: 0.8em; font-weight: bold; color: white; }
+        .badge-success { background: #28a745; }
+        .badge-warning { background: #ffc107; color: #000; }
+        .badge-danger { background: #dc3545; }
+        .badge-info { background: #17a2b8; }
+        .badge-primary { background: #007bff; }
+        .badge-secondary { background: #6c757d; }
+
+        .table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        .table th, .table td { padding: 10px; border-bottom: 1px solid #dee2e6; text-align: left; vertical-align: top; }
+        .table th { background: #f8f9fa; }
+        .table tr.row-success { background: #f3faf5; }
+        .table tr.row-warning { background: #fffbf0; }
+        .table tr.row-danger { background: #fff5f5; }
+        .table tr.row-info { background: #f0f9ff; }
+        .table tr.row-muted { background: #f8f9fa; opacity: 0.6; }
+        .table-empty { color: #6c757d; font-style: italic; }
+
+        .filter-bar { display: flex; gap: 10px; margin: 20px 0; flex-wrap: wrap; }
+        .filter-btn { padding: 8px 16px; border: 2px solid #007bff; background: white; color: #007bff; border-radius: 4px; cursor: pointer; font-weight: 500; }
+        .filter-btn:hover { background: #e7f3ff; }
+        .filter-btn.active { background: #007bff; color: white; }
+
+        .action-bar { display: flex; flex-wrap: wrap; gap: 10px; margin: 20px 0; }
+        .action-btn { padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer; font-weight: 500; color: white; background: #007bff; }
+        .action-btn:hover { opacity: 0.9; }
+        .action-btn-success { background: #4caf50; }
+        .action-btn-warning { background: #ff9800; }
+        .action-btn-danger { background: #f44336; }
+        .action-btn-info { background: #2196f3; }
+
+        .bar-chart { margin: 20px 0; }
+        .bar-row { display: flex; align-items: center; gap: 15px; margin: 10px 0; }
+        .bar-label { min-width: 150px; font-weight: 500; }
+        .bar-track { flex: 1; height: 20px; background: #e9ecef; border-radius: 10px; overflow: hidden; }
+        .bar-fill { height: 100%; background: linear-gradient(90deg, #007bff, #0056b3); }
+        .bar-value { min-width: 100px; text-align: right; font-weight: bold; }
+        .bar-note { min-width: 70px; font-size: 0.85em; color: #6c757d; }
+        .meter { display: flex; align-items: center; gap: 10px; }
+        .meter-track { width: 100px; height: 8px; background: #e9ecef; border-radius: 4px; overflow: hidden; }
+        .meter-fill { height: 100%; background: linear-gradient(90deg, #dc3545, #ffc107, #28a745); }
+        .meter-text { font-size: 0.9em; font-weight: bold; }
+
+        .fields > div { margin: 8px 0; line-height: 1.6; }
+        .list { margin: 10px 0; padding-left: 20px; }
+        .list li { margin: 8px 0; }
+        .list.compact { margin: 0; padding-left: 15px; font-size: 0.9em; }
+        .list.compact li { margin: 2px 0; }
+        code.block { display: block; margin-top: 5px; padding: 8px; background: #263238; color: #4caf50; border-radius: 4px; font-size: 0.85em; word-break: break-all; }
+        .text-success { color: #28a745; }
+        .text-warning { color: #856404; }
+        .text-danger { color: #dc3545; }
+        .text-muted { color: #6c757d; font-style: italic; }
+        small { font-size: 0.85em; color: #6c757d; }
+`;
+
+// Helpers available to every page script
+const CLIENT_SCRIPT = `
+        // Escape server data before building markup with innerHTML
+        function escapeHtml(value) {
+            return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+        }
+
+        // Values the server passed to page scripts (the layout's data option)
+        function pageData() {
+            const element = document.getElementById('page-data');
+            return element ? JSON.parse(element.textContent) : {};
+        }
+
+        // Buttons name a global function in data-action and its arguments as a JSON array in
+        // data-args, so no data ends up inside inline event handlers
+        document.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            const fn = button && window[button.dataset.action];
+            if (typeof fn === 'function') {
+                fn.apply(button, JSON.parse(button.dataset.args || '[]'));
+            }
+        });
+
+        // Bar and meter widths; the Content-Security-Policy doesn't allow style attributes
+        document.querySelectorAll('[data-width]').forEach(element => {
+            element.style.width = element.dataset.width + '%';
+        });
+
+        // Filter bar action: show the table rows tagged with the category ('all' shows every row)
+        function filterTable(tableId, category) {
+            this.parentNode.querySelectorAll('.filter-btn').forEach(button => button.classList.toggle('active', button === this));
+            document.querySelectorAll('#' + tableId + ' tbody tr').forEach(row => {
+                const categories = (row.dataset.categories || '').split(' ');
+                row.style.display = category === 'all' || categories.includes(category) ? '' : 'none';
+            });
+        }
+`;
+
+function asArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+// The full page. Slots: header, main and footer (markup from html`...` or components).
+// styles and scripts are trusted code (strings or arrays of strings); data is any JSON-able
+// value page scripts read with pageData(). nonce is the request's Content-Security-Policy
+// nonce, set on every <style> and <script> so the policy can refuse any other inline code.
+function layout({ title, wide, styles, data, header, main, footer, scripts, nonce }) {
+    const nonceAttribute = nonce && html` nonce="${nonce}"`;
+    return html`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <style${nonceAttribute}>${raw(STYLES)}${asArray(styles).map(raw)}
+    </style>
+</head>
+<body>
+    <div class="container${wide ? ' wide' : ''}">
+        ${header}
+        ${main}
+        ${footer}
+    </div>
+    ${data !== undefined && html`<script type="application/json" id="page-data">${raw(jsonForScript(data))}</script>`}
+    <script${nonceAttribute}>${raw(CLIENT_SCRIPT)}</script>
+    ${asArray(scripts).map(script => html`<script${nonceAttribute}>${raw(script)}</script>`)}
+</body>
+</html>`;
+}
+
+// variant: info, success, warning, danger or neutral; className lets a dashboard style its own cards
+function card({ title, variant, className, id } = {}, body) {
+    const classes = ['card', variant && `card-${variant}`, className].filter(Boolean).join(' ');
+    return html`
+        <section class="${classes}"${id && html` id="${id}"`}>
+            ${title && html`<h3>${title}</h3>`}
+            ${body}
+        </section>`;
+}
+
+// Responsive grid of cards or tiles; wide fits fewer, larger items per row
+function grid(items, { wide } = {}) {
+    return html`<div class="grid${wide ? ' wide' : ''}">${items}</div>`;
+}
+
+// variant: success, warning, danger, info, neutral or primary
+function statTile({ value, label, subtext, variant }) {
+    return html`
+        <div class="stat-tile${variant ? ` stat-tile-${variant}` : ''}">
+            <div class="stat-value">${value}</div>
+            <div class="stat-label">${label}</div>
+            ${(subtext || subtext === 0) && html`<div class="stat-subtext">${subtext}</div>`}
+        </div>`;
+}
+
+function statGrid(tiles) {
+    return grid(tiles.map(statTile));
+}
+
+// variant: success, warning, danger, info, primary or secondary
+function badge(text, variant = 'secondary') {
+    return html`<span class="badge badge-${variant}">${text}</span>`;
+}
+
+// columns: header labels. rows: arrays of cells, or { cells, variant, categories } where
+// variant tints the row and categories (array) are what a filterBar() filters on
+function table({ id, columns, rows, empty = 'Nothing to show' }) {
+    const renderRow = row => {
+        const { cells, variant, categories } = Array.isArray(row) ? { cells: row } : row;
+        return html`
+                <tr${variant && html` class="row-${variant}"`}${categories && html` data-categories="${categories.join(' ')}"`}>
+                    ${cells.map(cell => html`<td>${cell}</td>`)}
+                </tr>`;
+    };
+    return html`
+        <table class="table"${id && html` id="${id}"`}>
+            <thead>
+                <tr>${columns.map(column => html`<th>${column}</th>`)}</tr>
+            </thead>
+            <tbody>
+                ${rows.length > 0
+                    ? rows.map(renderRow)
+                    : html`<tr><td class="table-empty" colspan="${columns.length}">${empty}</td></tr>`}
+            </tbody>
+        </table>`;
+}
+
+// Buttons that filter a table() by row categories; filters: [{ category, label }], the first starts active
+function filterBar(tableId, filters) {
+    return html`
+        <div class="filter-bar">
+            ${filters.map(({ category, label }, index) => button({
+                label,
+                action: 'filterTable',
+                args: [tableId, category],
+                className: `filter-btn${index === 0 ? ' active' : ''}`
+            }))}
+        </div>`;
+}
+
+// Runs the page script function named by action with args (see CLIENT_SCRIPT)
+function button({ label, action, args = [], variant, className, title }) {
+    const classes = className || ['action-btn', variant && `action-btn-${variant}`].filter(Boolean).join(' ');
+    return html`<button type="button" class="${classes}" data-action="${action}" data-args="${JSON.stringify(args)}"${title && html` title="${title}"`}>${label}</button>`;
+}
+
+function actionBar(buttons) {
+    return html`<div class="action-bar">${buttons}</div>`;
+}
+
+function percentOf(value, max) {
+    const percent = max > 0 ? (value / max) * 100 : 0;
+    return Math.max(0, Math.min(100, Math.round(percent * 10) / 10));
+}
+
+// Horizontal bar chart. bars: [{ label, value, text, note }]; bars are scaled to max
+// (default: the largest value) and text replaces the value shown at the end of the bar
+function barChart(bars, { max } = {}) {
+    const scale = max !== undefined ? max : Math.max(...bars.map(bar => bar.value), 0);
+    return html`
+        <div class="bar-chart">
+            ${bars.map(bar => html`
+            <div class="bar-row">
+                <div class="bar-label">${bar.label}</div>
+                <div class="bar-track"><div class="bar-fill" data-width="${percentOf(bar.value, scale)}"></div></div>
+                <div class="bar-value">${bar.text !== undefined ? bar.text : bar.value}</div>
+                ${bar.note !== undefined && html`<div class="bar-note">${bar.note}</div>`}
+            </div>`)}
+        </div>`;
+}
+
+// Small inline bar for one score, e.g. a password strength of 0-100
+function meter(value, { max = 100, text } = {}) {
+    return html`
+        <div class="meter">
+            <div class="meter-track"><div class="meter-fill" data-width="${percentOf(value, max)}"></div></div>
+            <span class="meter-text">${text !== undefined ? text : `${value}/${max}`}</span>
+        </div>`;
+}
+
+// Label/value lines; entries: [[label, value], ...], entries whose value is null, undefined or false are skipped
+function fields(entries) {
+    return html`
+        <div class="fields">
+            ${entries
+                .filter(([, value]) => value !== null && value !== undefined && value !== false)
+                .map(([label, value]) => html`<div><strong>${label}:</strong> ${value}</div>`)}
+        </div>`;
+}
+
+// className 'compact' suits lists inside table cells
+function list(items, { className } = {}) {
+    return html`<ul class="list${className ? ` ${className}` : ''}">${items.map(item => html`<li>${item}</li>`)}</ul>`;
+}
+
+module.exports = {
+    layout,
+    card,
+    grid,
+    statTile,
+    statGrid,
+    badge,
+    table,
+    filterBar,
+    button,
+    actionBar,
+    barChart,
+    meter,
+    fields,
+    list,
+    STYLES,
+    CLIENT_SCRIPT
+};
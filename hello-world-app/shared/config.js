@@ -0,0 +1,533 @@
+// Dashboard settings in one place: an optional YAML or JSON file (CONFIG_FILE) with environment
+// variables on top, validated against SETTINGS before anything starts. A bad value stops the
+// dashboard with every problem listed instead of quietly falling back to a default. Changes to
+// the file are picked up while running for the settings marked reloadable; the others are
+// reported as waiting for a restart.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const YAML = require('yaml');
+const { logger: defaultLogger, LEVELS } = require('./logger');
+const { CREDENTIAL_SOURCES, DEFAULT_CHAIN } = require('./credentials');
+const { AUDIT_STORE_TYPES } = require('./audit-store');
+const { checkAuditSinks } = require('./audit-sinks');
+const { checkQuietHours, checkTimezone } = require('./access-anomalies');
+
+const REDACTED = '********';
+// A ConfigMap update swaps the ..data symlink, which shows up as a burst of events
+const RELOAD_DEBOUNCE_MS = 500;
+
+// key: path in the file, env: the variable that overrides it. reloadable settings are applied
+// while running (see HelloWorldWebapp.applyConfigChanges), secret ones are redacted in /api/config.
+// check(value) returns what is wrong with a parsed value, or null.
+// Defaults are informational where the module that reads the setting owns the default.
+const SETTINGS = [
+    { key: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+    { key: 'server.namespace', env: 'NAMESPACE', type: 'string', default: 'unknown' },
+    { key: 'server.appVersion', env: 'APP_VERSION', type: 'string', default: 'unknown' },
+    { key: 'server.corsAllowedOrigins', env: 'CORS_ALLOWED_ORIGINS', type: 'list', default: [], reloadable: true },
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LEVELS), default: 'info', reloadable: true },
+
+    { key: 'secrets.mountPath', env: 'SECRETS_MOUNT_PATH', type: 'string', default: '/etc/secrets' },
+    { key: 'secrets.catalogPath', env: 'SECRET_CATALOG_PATH', type: 'string', default: null },
+    { key: 'secretCache.ttlMs', env: 'SECRET_CACHE_TTL_MS', type: 'integer', min: 1, default: 30000, reloadable: true },
+    { key: 'secretCache.maxStaleMs', env: 'SECRET_CACHE_MAX_STALE_MS', type: 'integer', min: 1, default: null, reloadable: true },
+    { key: 'diskCache.path', env: 'SECRET_DISK_CACHE_PATH', type: 'string', default: null },
+    { key: 'diskCache.keyFile', env: 'SECRET_DISK_CACHE_KEY_FILE', type: 'string', default: null },
+    { key: 'diskCache.maxStaleMs', env: 'SECRET_DISK_CACHE_MAX_STALE_MS', type: 'integer', min: 1, default: 86400000 },
+
+    { key: 'keyVault.url', env: 'KEYVAULT_URL', type: 'url', default: null },
+    { key: 'keyVault.vaults', env: 'VAULT_CONFIG', type: 'vaults', default: [] },
+    { key: 'keyVault.retry.max', env: 'KEYVAULT_RETRY_MAX', type: 'integer', min: 0, default: 3 },
+    { key: 'keyVault.retry.baseDelayMs', env: 'KEYVAULT_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 200 },
+    { key: 'keyVault.retry.maxDelayMs', env: 'KEYVAULT_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 10000 },
+    { key: 'keyVault.breaker.failureThreshold', env: 'KEYVAULT_BREAKER_FAILURE_THRESHOLD', type: 'integer', min: 1, default: 5 },
+    { key: 'keyVault.breaker.resetMs', env: 'KEYVAULT_BREAKER_RESET_MS', type: 'integer', min: 1, default: 30000 },
+
+    { key: 'azure.tenantId', env: 'AZURE_TENANT_ID', type: 'string', default: null },
+    { key: 'azure.clientId', env: 'AZURE_CLIENT_ID', type: 'string', default: null },
+    { key: 'azure.clientSecret', env: 'AZURE_CLIENT_SECRET', type: 'string', default: null, secret: true },
+    { key: 'azure.federatedTokenFile', env: 'AZURE_FEDERATED_TOKEN_FILE', type: 'string', default: null },
+    { key: 'azure.clientCertificatePath', env: 'AZURE_CLIENT_CERTIFICATE_PATH', type: 'string', default: null },
+    { key: 'azure.sendCertificateChain', env: 'AZURE_CLIENT_SEND_CERTIFICATE_CHAIN', type: 'boolean', default: false },
+    { key: 'azure.managedIdentityClientId', env: 'AZURE_MANAGED_IDENTITY_CLIENT_ID', type: 'string', default: null },
+    { key: 'azure.credentialChain', env: 'AZURE_CREDENTIAL_CHAIN', type: 'list', values: Object.keys(CREDENTIAL_SOURCES), default: DEFAULT_CHAIN },
+    { key: 'azure.authorityHost', env: 'AZURE_AUTHORITY_HOST', type: 'url', default: null },
+
+    { key: 'auth.enabled', env: 'AUTH_ENABLED', type: 'boolean', default: false },
+    { key: 'auth.trustProxyHeaders', env: 'AUTH_TRUST_PROXY_HEADERS', type: 'boolean', default: false },
+    { key: 'auth.trustedProxies', env: 'AUTH_TRUSTED_PROXIES', type: 'list', default: [] },
+    { key: 'auth.jwksFile', env: 'AUTH_JWKS_FILE', type: 'string', default: null },
+    { key: 'auth.jwtIssuer', env: 'AUTH_JWT_ISSUER', type: 'string', default: null },
+    { key: 'auth.jwtAudience', env: 'AUTH_JWT_AUDIENCE', type: 'string', default: null },
+    { key: 'auth.groupsClaim', env: 'AUTH_GROUPS_CLAIM', type: 'string', default: 'groups' },
+    { key: 'auth.defaultRole', env: 'AUTH_DEFAULT_ROLE', type: 'string', default: null },
+    { key: 'auth.rolesFile', env: 'AUTH_ROLES_FILE', type: 'string', default: null },
+    { key: 'redaction.policyFile', env: 'REDACTION_POLICY_FILE', type: 'string', default: null },
+
+    { key: 'health.checkTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 3000 },
+    { key: 'health.cacheTtlMs', env: 'HEALTH_CACHE_TTL_MS', type: 'integer', min: 0, default: 10000 },
+    { key: 'health.csiMaxAgeSeconds', env: 'HEALTH_CSI_MAX_AGE_SECONDS', type: 'integer', min: 0, default: 0 },
+    { key: 'shutdown.timeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 1, default: 20000 },
+    { key: 'shutdown.drainDelayMs', env: 'SHUTDOWN_DRAIN_DELAY_MS', type: 'integer', min: 0, default: 5000 },
+
+    // Dashboard specific
+    { key: 'tls.useHttp', env: 'USE_HTTP', type: 'boolean', default: false },
+    { key: 'tls.certPath', env: 'CERT_PATH', type: 'string', default: '/etc/secrets/ssl-cert' },
+    { key: 'tls.keyPath', env: 'KEY_PATH', type: 'string', default: '/etc/secrets/ssl-key' },
+    { key: 'hotReload.intervalMs', env: 'RELOAD_INTERVAL', type: 'integer', min: 100, default: 5000 },
+    { key: 'rotation.checkIntervalMs', env: 'ROTATION_CHECK_INTERVAL', type: 'integer', min: 1000, default: 30000 },
+    { key: 'selectiveSync.include', env: 'SECRET_FILTER_INCLUDE', type: 'list', default: [], reloadable: true },
+    { key: 'selectiveSync.exclude', env: 'SECRET_FILTER_EXCLUDE', type: 'list', default: [], reloadable: true },
+    { key: 'selectiveSync.prefix', env: 'SECRET_FILTER_PREFIX', type: 'string', default: '', reloadable: true },
+    { key: 'selectiveSync.suffix', env: 'SECRET_FILTER_SUFFIX', type: 'string', default: '', reloadable: true },
+    { key: 'audit.store', env: 'AUDIT_STORE', type: 'enum', values: AUDIT_STORE_TYPES, default: 'memory' },
+    { key: 'audit.path', env: 'AUDIT_STORE_PATH', type: 'string', default: null },
+    { key: 'audit.maxFileBytes', env: 'AUDIT_MAX_FILE_BYTES', type: 'integer', min: 1024, default: 10485760 },
+    { key: 'audit.rotateIntervalMs', env: 'AUDIT_ROTATE_INTERVAL_MS', type: 'integer', min: 1000, default: 86400000 },
+    { key: 'audit.retentionDays', env: 'AUDIT_RETENTION_DAYS', type: 'integer', min: 0, default: 90 },
+    { key: 'audit.memoryMaxEntries', env: 'AUDIT_MEMORY_MAX_ENTRIES', type: 'integer', min: 1, default: 1000 },
+    { key: 'audit.hmacKeyFile', env: 'AUDIT_HMAC_KEY_FILE', type: 'string', default: null },
+    {
+        key: 'audit.sinks',
+        env: 'AUDIT_SINKS',
+        type: 'json',
+        default: [],
+        check: checkAuditSinks,
+        // Webhook headers may carry credentials
+        redact: sinks => sinks.map(sink => (sink.headers
+            ? { ...sink, headers: Object.fromEntries(Object.keys(sink.headers).map(name => [name, REDACTED])) }
+            : sink))
+    },
+    { key: 'anomaly.timezone', env: 'ANOMALY_TIMEZONE', type: 'string', default: 'UTC', check: checkTimezone },
+    { key: 'anomaly.quietHours', env: 'ANOMALY_QUIET_HOURS', type: 'list', default: [], reloadable: true, check: checkQuietHours },
+    { key: 'anomaly.learningDays', env: 'ANOMALY_LEARNING_DAYS', type: 'integer', min: 0, default: 7 },
+    { key: 'anomaly.spikeFactor', env: 'ANOMALY_SPIKE_FACTOR', type: 'number', min: 1, default: 3 },
+    { key: 'anomaly.spikeMinCount', env: 'ANOMALY_SPIKE_MIN_COUNT', type: 'integer', min: 1, default: 10 },
+    { key: 'anomaly.burstSecrets', env: 'ANOMALY_BURST_SECRETS', type: 'integer', min: 2, default: 10 },
+    { key: 'anomaly.burstWindowMs', env: 'ANOMALY_BURST_WINDOW_MS', type: 'integer', min: 1000, default: 300000 },
+    { key: 'crossNamespace.sharedNamespaces', env: 'SHARED_NAMESPACES', type: 'list', default: [], reloadable: true },
+    {
+        key: 'crossNamespace.sharedSecrets',
+        env: 'SHARED_SECRETS_CONFIG',
+        type: 'json',
+        default: null,
+        reloadable: true,
+        check: checkSharedSecrets,
+        // Entries may carry the shared value itself
+        redact: sharedSecrets => Object.fromEntries(Object.entries(sharedSecrets).map(([name, shared]) => [
+            name,
+            shared.value !== undefined ? { ...shared, value: REDACTED } : shared
+        ]))
+    }
+];
+
+// Every problem found while loading, one per line in the message
+class ConfigError extends Error {
+    constructor(errors, file) {
+        // e.g. "  - server.port (PORT): must be a whole number, got "80a"", or "(file)" for values from the file
+        const origin = error => (error.source === 'env' ? ` (${error.env})` : error.source === 'file' ? ' (file)' : '');
+        const lines = errors.map(error => `  - ${error.key}${origin(error)}: ${error.message}`);
+        super(`Invalid configuration${file ? ` (${file})` : ''}:\n${lines.join('\n')}`);
+        this.errors = errors;
+    }
+}
+
+// { name: { namespace, secretName, key, accessible?, value? } }
+function checkSharedSecrets(value) {
+    if (!isPlainObject(value)) {
+        return 'must be an object of { namespace, secretName, key } entries';
+    }
+    const invalid = Object.entries(value)
+        .filter(([, shared]) => !isPlainObject(shared) || ['namespace', 'secretName', 'key'].some(field => typeof shared[field] !== 'string'))
+        .map(([name]) => name);
+    return invalid.length > 0 ? `entries need string namespace, secretName and key: ${invalid.join(', ')}` : null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return `must be an http(s) URL, got '${value}'`;
+    }
+    return ['http:', 'https:'].includes(url.protocol) ? null : `must be an http(s) URL, got '${value}'`;
+}
+
+// VAULT_CONFIG=name1:url1,name2:url2 or a list of { name, url } in the file. Entries without a
+// name are called 'primary' when alone, vault-<n> otherwise.
+function parseVaults(raw) {
+    const entries = typeof raw === 'string'
+        ? raw.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const match = entry.match(/^([^:]+):(https?:\/\/.*)$/i);
+            return match ? { name: match[1].trim(), url: match[2].trim() } : { url: entry };
+        })
+        : raw;
+    if (!Array.isArray(entries)) {
+        throw new Error('must be a list of { name, url } or name:url,name:url');
+    }
+    const vaults = entries.map((entry, index) => {
+        if (!isPlainObject(entry) || typeof entry.url !== 'string') {
+            throw new Error(`entry ${index + 1} needs a url`);
+        }
+        const name = entry.name || (entries.length === 1 ? 'primary' : `vault-${index + 1}`);
+        const problem = checkUrl(entry.url);
+        if (problem) {
+            throw new Error(`vault '${name}' ${problem}`);
+        }
+        return { name, url: entry.url };
+    });
+    const names = vaults.map(vault => vault.name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        throw new Error(`duplicate vault names: ${[...new Set(duplicates)].join(', ')}`);
+    }
+    return vaults;
+}
+
+// Raw value from the file (any YAML type) or an environment variable (string) -> typed value; throws with the problem
+function parseSetting(setting, raw, fromEnv) {
+    const value = parseValue(setting, raw, fromEnv);
+    const problem = setting.check ? setting.check(value) : null;
+    if (problem) {
+        throw new Error(problem);
+    }
+    return value;
+}
+
+function checkRange(setting, value) {
+    if (setting.min !== undefined && value < setting.min) {
+        throw new Error(`must be at least ${setting.min}, got ${value}`);
+    }
+    if (setting.max !== undefined && value > setting.max) {
+        throw new Error(`must be at most ${setting.max}, got ${value}`);
+    }
+    return value;
+}
+
+function parseValue(setting, raw, fromEnv) {
+    switch (setting.type) {
+        case 'string':
+            if (typeof raw !== 'string') {
+                throw new Error(`must be a string, got ${JSON.stringify(raw)}`);
+            }
+            return raw;
+        case 'integer': {
+            const value = fromEnv && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+            if (!Number.isInteger(value)) {
+                throw new Error(`must be a whole number, got ${JSON.stringify(raw)}`);
+            }
+            return checkRange(setting, value);
+        }
+        case 'number': {
+            const value = fromEnv && /^-?\d+(\.\d+)?$/.test(raw.trim()) ? parseFloat(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`must be a number, got ${JSON.stringify(raw)}`);
+            }
+            return checkRange(setting, value);
+        }
+        case 'boolean': {
+            const value = fromEnv ? { true: true, false: false }[raw.trim().toLowerCase()] : raw;
+            if (typeof value !== 'boolean') {
+                throw new Error(`must be true or false, got ${JSON.stringify(raw)}`);
+            }
+            return value;
+        }
+        case 'enum':
+            if (!setting.values.includes(raw)) {
+                throw new Error(`must be one of ${setting.values.join(', ')}, got ${JSON.stringify(raw)}`);
+            }
+            return raw;
+        case 'url': {
+            const problem = typeof raw === 'string' ? checkUrl(raw) : 'must be an http(s) URL';
+            if (problem) {
+                throw new Error(problem);
+            }
+            return raw;
+        }
+        case 'list': {
+            const value = typeof raw === 'string' ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                throw new Error('must be a list of strings (comma-separated in the environment)');
+            }
+            const unknown = setting.values ? value.filter(item => !setting.values.includes(item)) : [];
+            if (unknown.length > 0) {
+                throw new Error(`unknown ${unknown.join(', ')}; valid: ${setting.values.join(', ')}`);
+            }
+            return value;
+        }
+        case 'json':
+            if (!fromEnv) {
+                return raw;
+            }
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`is not valid JSON: ${error.message}`);
+            }
+        case 'vaults':
+            return parseVaults(raw);
+        default:
+            throw new Error(`unknown setting type '${setting.type}'`);
+    }
+}
+
+// Back to the environment variable's format, for the modules' fromEnv() factories
+function formatSetting(setting, value) {
+    switch (setting.type) {
+        case 'list':
+            return value.join(',');
+        case 'json':
+            return JSON.stringify(value);
+        case 'vaults':
+            return value.map(vault => `${vault.name}:${vault.url}`).join(',');
+        default:
+            return String(value);
+    }
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }, stopping at setting keys so object-valued settings stay whole
+function flattenFile(object, settingKeys, prefix = '') {
+    const flat = {};
+    Object.entries(object).forEach(([name, value]) => {
+        const key = prefix + name;
+        if (!settingKeys.has(key) && isPlainObject(value)) {
+            Object.assign(flat, flattenFile(value, settingKeys, `${key}.`));
+        } else {
+            flat[key] = value;
+        }
+    });
+    return flat;
+}
+
+// Emits 'change' { changed, config } after a reload changed reloadable settings
+class AppConfig extends EventEmitter {
+    // options: { file, env, settings, logger }
+    constructor(options = {}) {
+        super();
+        this.file = options.file || null;
+        this.baseEnv = options.env || process.env;
+        this.settings = options.settings || SETTINGS;
+        this.logger = options.logger || defaultLogger;
+        this.values = {};
+        this.sources = {};
+        this.fileHash = null;
+        this.loadedAt = null;
+        this.lastReload = null;
+        this.pendingRestart = [];
+    }
+
+    // CONFIG_FILE names the file; loads right away and throws a ConfigError when invalid
+    static fromEnv(options = {}, env = process.env) {
+        const config = new AppConfig({ file: env.CONFIG_FILE, env, ...options });
+        config.load();
+        return config;
+    }
+
+    readFile() {
+        if (!this.file) {
+            return { contents: null, data: {} };
+        }
+        let contents;
+        try {
+            contents = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            throw new ConfigError([{ key: 'CONFIG_FILE', message: `unable to read ${this.file}: ${error.message}` }]);
+        }
+        let data;
+        try {
+            // YAML is a superset of JSON, so .json files parse the same way
+            data = YAML.parse(contents) || {};
+        } catch (error) {
+            throw new ConfigError([{ key: 'CONFIG_FILE', message: `${this.file} is not valid YAML or JSON: ${error.message}` }]);
+        }
+        if (!isPlainObject(data)) {
+            throw new ConfigError([{ key: 'CONFIG_FILE', message: `${this.file} must hold a mapping of settings` }]);
+        }
+        return { contents, data };
+    }
+
+    // Merges defaults, the file and the environment; returns { values, sources, contents } or throws a ConfigError
+    resolve() {
+        const { contents, data } = this.readFile();
+        const fileValues = flattenFile(data, new Set(this.settings.map(setting => setting.key)));
+        const known = new Set(this.settings.map(setting => setting.key));
+        const errors = Object.keys(fileValues)
+            .filter(key => !known.has(key))
+            .map(key => ({ key, source: 'file', message: 'unknown setting' }));
+
+        const values = {};
+        const sources = {};
+        this.settings.forEach(setting => {
+            const envValue = this.baseEnv[setting.env];
+            // Empty variables count as unset, as they always have
+            const source = envValue !== undefined && envValue !== '' ? 'env'
+                : fileValues[setting.key] !== undefined && fileValues[setting.key] !== null ? 'file'
+                    : 'default';
+            try {
+                values[setting.key] = source === 'env' ? parseSetting(setting, envValue, true)
+                    : source === 'file' ? parseSetting(setting, fileValues[setting.key], false)
+                        : setting.default;
+                sources[setting.key] = source;
+            } catch (error) {
+                errors.push({ key: setting.key, env: setting.env, source, message: error.message });
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ConfigError(errors, this.file);
+        }
+        return { values, sources, contents };
+    }
+
+    load() {
+        const { values, sources, contents } = this.resolve();
+        this.values = values;
+        this.sources = sources;
+        this.fileHash = contents === null ? null : crypto.createHash('sha256').update(contents).digest('hex');
+        this.loadedAt = new Date().toISOString();
+        return this;
+    }
+
+    get(key) {
+        if (!(key in this.values)) {
+            throw new Error(`Unknown setting '${key}'`);
+        }
+        return this.values[key];
+    }
+
+    // Where a setting's value came from: 'env', 'file' or 'default'
+    sourceOf(key) {
+        return this.sources[key];
+    }
+
+    // process.env plus the values from the file under their variable names, for the modules'
+    // fromEnv(options, env) factories; defaults are left to the modules
+    toEnv() {
+        const env = { ...this.baseEnv };
+        this.settings
+            .filter(setting => this.sources[setting.key] === 'file')
+            .forEach(setting => { env[setting.env] = formatSetting(setting, this.values[setting.key]); });
+        return env;
+    }
+
+    // Re-reads the file. Reloadable settings take effect and are announced with 'change'; other
+    // changes wait for a restart (pendingRestart). An invalid file leaves everything as it was.
+    reload() {
+        const reloadedAt = new Date().toISOString();
+        let resolved;
+        try {
+            resolved = this.resolve();
+        } catch (error) {
+            this.recordReloadFailure(reloadedAt, error);
+            throw error;
+        }
+
+        const changed = this.settings.filter(setting =>
+            JSON.stringify(resolved.values[setting.key]) !== JSON.stringify(this.values[setting.key]));
+        const applied = changed.filter(setting => setting.reloadable).map(setting => setting.key);
+        applied.forEach(key => {
+            this.values[key] = resolved.values[key];
+            this.sources[key] = resolved.sources[key];
+        });
+        this.pendingRestart = changed.filter(setting => !setting.reloadable).map(setting => setting.key);
+        this.fileHash = resolved.contents === null ? null : crypto.createHash('sha256').update(resolved.contents).digest('hex');
+        this.lastReload = { at: reloadedAt, changed: applied, error: null };
+
+        if (applied.length > 0) {
+            this.emit('change', { changed: applied, config: this });
+            // After the listeners, so a new log level already applies
+            this.logger.info('Configuration reloaded', { file: this.file, changed: applied });
+        }
+        if (this.pendingRestart.length > 0) {
+            this.logger.warn('Configuration changes need a restart to take effect', { settings: this.pendingRestart });
+        }
+        return { changed: applied, pendingRestart: this.pendingRestart };
+    }
+
+    // Kept in lastReload for /api/config and the health check
+    recordReloadFailure(at, error) {
+        this.lastReload = { at, error: error.message, errors: error.errors };
+        this.logger.error('Configuration reload failed, keeping the current configuration', { file: this.file, errors: error.errors });
+    }
+
+    // The hash of the file as it is now, or null once it is gone; throws a ConfigError when it can't be read
+    hashFile() {
+        if (!fs.existsSync(this.file)) {
+            return null;
+        }
+        try {
+            return crypto.createHash('sha256').update(fs.readFileSync(this.file, 'utf8')).digest('hex');
+        } catch (error) {
+            throw new ConfigError([{ key: 'CONFIG_FILE', message: `unable to read ${this.file}: ${error.message}` }]);
+        }
+    }
+
+    // Reloads when the file changes. The directory is watched, since ConfigMap updates replace
+    // the file through the ..data symlink rather than writing to it
+    watch(lifecycle) {
+        if (!this.file) {
+            return null;
+        }
+        let timer = null;
+        const watcher = fs.watch(path.dirname(this.file), () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                // A file that can't be read (replaced by a directory, permissions...) is a failed
+                // reload, not a reason to take the process down
+                let hash;
+                try {
+                    hash = this.hashFile();
+                } catch (error) {
+                    this.recordReloadFailure(new Date().toISOString(), error);
+                    return;
+                }
+                if (hash === this.fileHash) {
+                    return;
+                }
+                try {
+                    this.reload();
+                } catch (error) {
+                    // Logged and kept in lastReload by reload()
+                }
+            }, RELOAD_DEBOUNCE_MS);
+            timer.unref();
+        });
+        lifecycle.addWatcher(watcher);
+        lifecycle.addCleanup(() => clearTimeout(timer));
+        return watcher;
+    }
+
+    // The effective configuration for /api/config, secrets redacted
+    describe() {
+        return {
+            file: this.file,
+            loadedAt: this.loadedAt,
+            lastReload: this.lastReload,
+            pendingRestart: this.pendingRestart,
+            settings: Object.fromEntries(this.settings.map(setting => {
+                const value = this.values[setting.key];
+                const set = value !== null && value !== undefined;
+                return [setting.key, {
+                    value: setting.secret && set ? REDACTED : setting.redact && set ? setting.redact(value) : value,
+                    source: this.sources[setting.key],
+                    env: setting.env,
+                    reloadable: !!setting.reloadable
+                }];
+            }))
+        };
+    }
+}
+
+module.exports = {
+    AppConfig,
+    ConfigError,
+    SETTINGS,
+    parseSetting
+};
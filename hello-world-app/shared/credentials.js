@@ -0,0 +1,180 @@
+// Azure credentials for Key Vault, shared by every dashboard. Sources are tried in the order
+// of AZURE_CREDENTIAL_CHAIN; sources whose environment isn't set are skipped, and the chain
+// remembers which one produced a token so health checks and the UI can show it.
+
+const fs = require('fs');
+const {
+    ClientSecretCredential,
+    ClientCertificateCredential,
+    WorkloadIdentityCredential,
+    ManagedIdentityCredential
+} = require('@azure/identity');
+const { logger: defaultLogger } = require('./logger');
+
+// Managed identity needs no configuration, so it is only used when listed in AZURE_CREDENTIAL_CHAIN;
+// on a cluster without an identity endpoint it would otherwise stall every token request
+const DEFAULT_CHAIN = ['workload-identity', 'client-certificate', 'client-secret'];
+
+function authorityOptions(env) {
+    return env.AZURE_AUTHORITY_HOST ? { authorityHost: env.AZURE_AUTHORITY_HOST } : {};
+}
+
+function missingVariables(env, names) {
+    return names.filter(name => !env[name]);
+}
+
+// Each source: a description for the UI, what it is missing in env (empty when usable) and a factory
+const CREDENTIAL_SOURCES = {
+    // Federated token projected into the pod by the workload identity webhook
+    'workload-identity': {
+        description: 'Workload identity (federated service account token)',
+        missing: env => {
+            const missing = missingVariables(env, ['AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_FEDERATED_TOKEN_FILE']);
+            if (missing.length === 0 && !fs.existsSync(env.AZURE_FEDERATED_TOKEN_FILE)) {
+                missing.push(`token file ${env.AZURE_FEDERATED_TOKEN_FILE}`);
+            }
+            return missing;
+        },
+        create: env => new WorkloadIdentityCredential({
+            tenantId: env.AZURE_TENANT_ID,
+            clientId: env.AZURE_CLIENT_ID,
+            tokenFilePath: env.AZURE_FEDERATED_TOKEN_FILE,
+            ...authorityOptions(env)
+        })
+    },
+    // PEM file with the certificate and its private key, e.g. mounted through the CSI driver
+    'client-certificate': {
+        description: 'Service principal certificate',
+        missing: env => {
+            const missing = missingVariables(env, ['AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_CLIENT_CERTIFICATE_PATH']);
+            if (missing.length === 0 && !fs.existsSync(env.AZURE_CLIENT_CERTIFICATE_PATH)) {
+                missing.push(`certificate file ${env.AZURE_CLIENT_CERTIFICATE_PATH}`);
+            }
+            return missing;
+        },
+        create: env => new ClientCertificateCredential(env.AZURE_TENANT_ID, env.AZURE_CLIENT_ID, env.AZURE_CLIENT_CERTIFICATE_PATH, {
+            sendCertificateChain: env.AZURE_CLIENT_SEND_CERTIFICATE_CHAIN === 'true',
+            ...authorityOptions(env)
+        })
+    },
+    'client-secret': {
+        description: 'Service principal secret',
+        missing: env => missingVariables(env, ['AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_CLIENT_SECRET']),
+        create: env => new ClientSecretCredential(env.AZURE_TENANT_ID, env.AZURE_CLIENT_ID, env.AZURE_CLIENT_SECRET, authorityOptions(env))
+    },
+    // System-assigned, or user-assigned with AZURE_MANAGED_IDENTITY_CLIENT_ID
+    'managed-identity': {
+        description: 'Managed identity',
+        missing: () => [],
+        create: env => (env.AZURE_MANAGED_IDENTITY_CLIENT_ID
+            ? new ManagedIdentityCredential({ clientId: env.AZURE_MANAGED_IDENTITY_CLIENT_ID })
+            : new ManagedIdentityCredential())
+    }
+};
+
+// A TokenCredential that tries its sources in order. The source that last produced a token
+// is tried first next time; if it starts failing the others get their turn again.
+class CredentialChain {
+    // options: { order, env, logger, sources }
+    constructor(options = {}) {
+        const env = options.env || process.env;
+        const sources = options.sources || CREDENTIAL_SOURCES;
+        this.logger = options.logger || defaultLogger;
+        this.order = options.order || DEFAULT_CHAIN;
+
+        const unknown = this.order.filter(name => !sources[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown credential '${unknown.join("', '")}'. Valid credentials: ${Object.keys(sources).join(', ')}`);
+        }
+
+        this.entries = this.order.map(name => {
+            const source = sources[name];
+            const entry = { name, description: source.description, missing: source.missing(env), credential: null, lastError: null };
+            if (entry.missing.length === 0) {
+                try {
+                    entry.credential = source.create(env);
+                } catch (error) {
+                    entry.lastError = error.message;
+                }
+            }
+            return entry;
+        });
+        this.active = null;
+        this.lastSuccess = null;
+    }
+
+    // AZURE_CREDENTIAL_CHAIN: comma-separated source names in the order to try them
+    static fromEnv(options = {}, env = process.env) {
+        const order = env.AZURE_CREDENTIAL_CHAIN
+            ? env.AZURE_CREDENTIAL_CHAIN.split(',').map(name => name.trim()).filter(Boolean)
+            : undefined;
+        return new CredentialChain({ order, env, ...options });
+    }
+
+    configured() {
+        return this.entries.filter(entry => entry.credential);
+    }
+
+    async getToken(scopes, options) {
+        const candidates = this.configured();
+        if (candidates.length === 0) {
+            throw new Error(`No Azure credential configured. ${this.describeMissing()}`);
+        }
+        // The active source first, then the rest in chain order
+        const attempts = this.active
+            ? [this.active, ...candidates.filter(entry => entry !== this.active)]
+            : candidates;
+
+        for (const entry of attempts) {
+            try {
+                const token = await entry.credential.getToken(scopes, options);
+                if (!token) {
+                    throw new Error('No token returned');
+                }
+                entry.lastError = null;
+                if (this.active !== entry) {
+                    this.logger.info('Azure credential selected', {
+                        credential: entry.name,
+                        previous: this.active ? this.active.name : null
+                    });
+                    this.active = entry;
+                }
+                this.lastSuccess = new Date();
+                return token;
+            } catch (error) {
+                entry.lastError = error.message;
+                this.logger.warn('Azure credential failed', { credential: entry.name, error: error.message });
+            }
+        }
+        this.active = null;
+        throw new Error(`No Azure credential succeeded: ${attempts.map(entry => `${entry.name}: ${entry.lastError}`).join('; ')}`);
+    }
+
+    describeMissing() {
+        return this.entries
+            .filter(entry => !entry.credential)
+            .map(entry => (entry.lastError ? `${entry.name}: ${entry.lastError}` : `${entry.name} needs ${entry.missing.join(', ')}`))
+            .join('; ');
+    }
+
+    // For the credential health check and the dashboard header
+    describe() {
+        return {
+            active: this.active ? this.active.name : null,
+            activeDescription: this.active ? this.active.description : null,
+            lastSuccess: this.lastSuccess ? this.lastSuccess.toISOString() : null,
+            chain: this.entries.map(entry => ({
+                name: entry.name,
+                configured: !!entry.credential,
+                missing: entry.missing.length > 0 ? entry.missing : undefined,
+                lastError: entry.lastError || undefined
+            }))
+        };
+    }
+}
+
+module.exports = {
+    CredentialChain,
+    CREDENTIAL_SOURCES,
+    DEFAULT_CHAIN
+};
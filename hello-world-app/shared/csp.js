@@ -0,0 +1,44 @@
+// Content-Security-Policy for dashboard pages. Every HTML response gets a fresh nonce; the
+// layout puts it on its own <style> and <script> tags, so markup that slips past escaping
+// can't run scripts, load resources from elsewhere or be framed.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The nonce of the page being rendered, so renderPage() needs no request argument
+const nonceStorage = new AsyncLocalStorage();
+
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+function contentSecurityPolicy(nonce) {
+    return [
+        "default-src 'none'",
+        `script-src 'nonce-${nonce}'`,
+        `style-src 'nonce-${nonce}'`,
+        // fetch() and EventSource go back to the dashboard itself
+        "connect-src 'self'",
+        "img-src 'self' data:",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; ');
+}
+
+// Runs render with nonce as the current nonce (also across awaits inside render)
+function withNonce(nonce, render) {
+    return nonceStorage.run(nonce, render);
+}
+
+// undefined outside withNonce(), e.g. when a page is rendered from a script
+function currentNonce() {
+    return nonceStorage.getStore();
+}
+
+module.exports = {
+    createNonce,
+    contentSecurityPolicy,
+    withNonce,
+    currentNonce
+};
@@ -0,0 +1,231 @@
+// Encrypted copy of the secret cache on disk. A dashboard that restarts while Key Vault or the
+// identity endpoint is unreachable starts from the last values it read, marked stale, instead
+// of failing. The file is sealed with AES-256-GCM under a key read from a mounted file, and
+// values older than the maximum staleness are neither restored nor written back.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger: defaultLogger } = require('./logger');
+
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const DEFAULT_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+// Secrets are loaded one at a time; loads close together end up in one write
+const DEFAULT_WRITE_DELAY_MS = 1000;
+
+// 32 bytes as hex, base64 (e.g. `openssl rand -base64 32`) or raw
+function parseKey(contents, keyFile) {
+    const text = contents.toString('utf8').trim();
+    if (/^[0-9a-fA-F]{64}$/.test(text)) {
+        return Buffer.from(text, 'hex');
+    }
+    if (/^[A-Za-z0-9+/]{43}=$/.test(text)) {
+        return Buffer.from(text, 'base64');
+    }
+    if (contents.length === KEY_BYTES) {
+        return contents;
+    }
+    throw new Error(`${keyFile} must hold a ${KEY_BYTES}-byte key (hex, base64 or raw)`);
+}
+
+class DiskCache {
+    // options: { path, keyFile, maxStaleMs, writeDelayMs, context, logger, now }
+    constructor(options = {}) {
+        if (!options.path || !options.keyFile) {
+            throw new Error('DiskCache needs a path and a keyFile');
+        }
+        this.path = options.path;
+        this.keyFile = options.keyFile;
+        this.maxStaleMs = options.maxStaleMs || DEFAULT_MAX_STALE_MS;
+        this.writeDelayMs = options.writeDelayMs !== undefined ? options.writeDelayMs : DEFAULT_WRITE_DELAY_MS;
+        // Authenticated with the data, so one dashboard's file is never taken for another's
+        this.context = options.context || 'default';
+        this.logger = options.logger || defaultLogger;
+        this.now = options.now || Date.now;
+        this.timer = null;
+        this.restored = null;
+        this.lastWrite = null;
+        this.lastError = null;
+    }
+
+    // SECRET_DISK_CACHE_PATH, SECRET_DISK_CACHE_KEY_FILE and SECRET_DISK_CACHE_MAX_STALE_MS;
+    // null when no path is set
+    static fromEnv(options = {}, env = process.env) {
+        if (!env.SECRET_DISK_CACHE_PATH) {
+            return null;
+        }
+        if (!env.SECRET_DISK_CACHE_KEY_FILE) {
+            throw new Error('SECRET_DISK_CACHE_KEY_FILE is required when SECRET_DISK_CACHE_PATH is set');
+        }
+        return new DiskCache({
+            path: env.SECRET_DISK_CACHE_PATH,
+            keyFile: env.SECRET_DISK_CACHE_KEY_FILE,
+            maxStaleMs: parseInt(env.SECRET_DISK_CACHE_MAX_STALE_MS, 10) || undefined,
+            ...options
+        });
+    }
+
+    // Read on every use, so a rotated key file applies from the next write
+    readKey() {
+        return parseKey(fs.readFileSync(this.keyFile), this.keyFile);
+    }
+
+    encrypt(payload) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.readKey(), iv);
+        cipher.setAAD(Buffer.from(`${FORMAT_VERSION}:${this.context}`));
+        const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+        return {
+            version: FORMAT_VERSION,
+            algorithm: ALGORITHM,
+            context: this.context,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    // Throws on a wrong key, another dashboard's file or any tampering
+    decrypt(file) {
+        if (file.version !== FORMAT_VERSION || file.algorithm !== ALGORITHM) {
+            throw new Error(`Unsupported format ${file.version}/${file.algorithm}`);
+        }
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.readKey(), Buffer.from(file.iv, 'base64'));
+        decipher.setAAD(Buffer.from(`${FORMAT_VERSION}:${this.context}`));
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+        const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(json);
+    }
+
+    // { name: { value, storedAt } } from the file, without values past the maximum staleness.
+    // A missing, unreadable or expired file is an empty cache; only the reason is logged.
+    read() {
+        let file;
+        try {
+            file = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.lastError = `Unable to read ${this.path}: ${error.message}`;
+                this.logger.warn('Ignoring the on-disk secret cache', { path: this.path, error: error.message });
+            }
+            return {};
+        }
+
+        let payload;
+        try {
+            payload = this.decrypt(file);
+        } catch (error) {
+            this.lastError = `Unable to decrypt ${this.path}: ${error.message}`;
+            this.logger.warn('Ignoring the on-disk secret cache, it could not be decrypted (wrong key or modified file)', {
+                path: this.path,
+                error: error.message
+            });
+            return {};
+        }
+
+        const now = this.now();
+        const entries = {};
+        const expired = [];
+        Object.entries(payload.secrets || {}).forEach(([name, entry]) => {
+            if (now - entry.storedAt <= this.maxStaleMs) {
+                entries[name] = entry;
+            } else {
+                expired.push(name);
+            }
+        });
+        if (expired.length > 0) {
+            this.logger.warn('On-disk secret cache values are past the maximum staleness, not using them', {
+                secrets: expired,
+                maxStaleMs: this.maxStaleMs
+            });
+        }
+        return entries;
+    }
+
+    // Seeds cache (./cache) with the values from the file; they stay stale until the provider
+    // answers and are never served past the maximum staleness. Returns the restored names.
+    restoreInto(cache) {
+        const entries = this.read();
+        Object.entries(entries).forEach(([name, entry]) => {
+            cache.restore(name, entry.value, { storedAt: entry.storedAt, staleUntil: entry.storedAt + this.maxStaleMs });
+        });
+        const names = Object.keys(entries);
+        this.restored = { at: new Date(this.now()).toISOString(), secrets: names };
+        if (names.length > 0) {
+            this.logger.warn('Restored secrets from the on-disk cache', {
+                path: this.path,
+                secrets: names,
+                oldest: new Date(Math.min(...names.map(name => entries[name].storedAt))).toISOString()
+            });
+        }
+        return names;
+    }
+
+    // Writes the cache's values after writeDelayMs; calls in the meantime share the write
+    scheduleWrite(cache) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.write(cache);
+        }, this.writeDelayMs);
+        this.timer.unref();
+    }
+
+    // Writes a pending update now, e.g. on shutdown
+    flush(cache) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.write(cache);
+        }
+    }
+
+    // Atomic replace (temporary file and rename), readable by the owner only. Failures are
+    // logged and reported by the health check; the in-memory cache carries on either way.
+    write(cache) {
+        const now = this.now();
+        const secrets = {};
+        Object.entries(cache.values()).forEach(([name, entry]) => {
+            if (entry.value !== undefined && now - entry.storedAt <= this.maxStaleMs) {
+                secrets[name] = { value: entry.value, storedAt: entry.storedAt };
+            }
+        });
+
+        const temporary = `${this.path}.${process.pid}.tmp`;
+        try {
+            const contents = JSON.stringify(this.encrypt({ savedAt: now, secrets }));
+            fs.mkdirSync(path.dirname(this.path), { recursive: true, mode: 0o700 });
+            fs.writeFileSync(temporary, contents, { mode: 0o600 });
+            fs.renameSync(temporary, this.path);
+            this.lastWrite = { at: new Date(now).toISOString(), secrets: Object.keys(secrets).length };
+            this.lastError = null;
+            this.logger.debug('Wrote the on-disk secret cache', { path: this.path, secrets: Object.keys(secrets).length });
+        } catch (error) {
+            fs.rmSync(temporary, { force: true });
+            this.lastError = `Unable to write ${this.path}: ${error.message}`;
+            this.logger.error('Failed to write the on-disk secret cache', { path: this.path, error: error.message });
+        }
+    }
+
+    // For the health check and /api/cache; never the values
+    describe() {
+        return {
+            path: this.path,
+            maxStaleMs: this.maxStaleMs,
+            restored: this.restored,
+            lastWrite: this.lastWrite,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    DiskCache,
+    parseKey,
+    DEFAULT_MAX_STALE_MS
+};
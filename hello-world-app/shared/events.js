@@ -0,0 +1,70 @@
+// In-process event bus behind /api/events (Server-Sent Events). Events describe what
+// changed, never secret values, so every authenticated viewer may receive them.
+
+const { logger: defaultLogger } = require('./logger');
+
+const EVENT_TYPES = [
+    'secret-changed',           // a secret's value differs from the last read { secret, provider }
+    'cache-refreshed',          // the secret cache read from the provider { secrets, provider, background }
+    'rotation-detected',        // new Key Vault version { secret, oldVersion, newVersion, trigger }
+    'reload-completed',         // hot reload finished { reloadCount, success }
+    'expiry-threshold-crossed', // expiry status got worse { secret, from, to, daysUntilExpiry }
+    'validation-failed',        // a secret stopped passing validation { secret, issues }
+    'access-anomaly'            // unusual secret access in the audit log { kind, secret, caller, message, details }
+];
+
+class EventBus {
+    // options: { historySize, logger }
+    constructor(options = {}) {
+        this.historySize = options.historySize || 100;
+        this.logger = options.logger || defaultLogger;
+        this.history = [];
+        this.subscribers = new Set();
+        this.nextId = 1;
+    }
+
+    publish(type, data = {}) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type '${type}'. Valid types: ${EVENT_TYPES.join(', ')}`);
+        }
+        const event = { id: this.nextId++, type, time: new Date().toISOString(), data };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        this.logger.debug('Event published', { event: type, eventId: event.id });
+
+        // One failing subscriber (e.g. a closed socket) must not stop delivery to the rest
+        this.subscribers.forEach(fn => {
+            try {
+                fn(event);
+            } catch (error) {
+                this.logger.warn('Event subscriber failed', { event: type, error: error.message });
+            }
+        });
+        return event;
+    }
+
+    // Returns a function that unsubscribes
+    subscribe(fn) {
+        this.subscribers.add(fn);
+        return () => this.subscribers.delete(fn);
+    }
+
+    // Events after lastEventId still in the history, for clients reconnecting with Last-Event-ID
+    since(lastEventId) {
+        return this.history.filter(event => event.id > lastEventId);
+    }
+}
+
+// One event in the text/event-stream format
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`;
+}
+
+module.exports = {
+    EventBus,
+    EVENT_TYPES,
+    formatEvent
+};
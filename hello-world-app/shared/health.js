@@ -0,0 +1,134 @@
+// Dependency health checks behind /readyz and /api/health/deep. Every check runs
+// with a timeout and results are cached briefly, so frequent kubelet probes stay cheap.
+
+// pass: working, warn: working but needs attention, fail: not usable
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_TTL_MS = 10000;
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'pass');
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class HealthChecker {
+    // options: { timeoutMs, cacheTtlMs, logger }
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : DEFAULT_CACHE_TTL_MS;
+        this.logger = options.logger || null;
+        this.checks = new Map();
+        // Last status per check, so only changes are logged rather than every probe
+        this.lastStatus = {};
+        // Per scope ('readiness' or 'deep'): the last report and any run in progress
+        this.cache = {};
+        this.inFlight = {};
+    }
+
+    // HEALTH_CHECK_TIMEOUT_MS and HEALTH_CACHE_TTL_MS; explicit options win
+    static fromEnv(options = {}, env = process.env) {
+        return new HealthChecker({
+            timeoutMs: parseInt(env.HEALTH_CHECK_TIMEOUT_MS, 10) || undefined,
+            cacheTtlMs: env.HEALTH_CACHE_TTL_MS !== undefined ? parseInt(env.HEALTH_CACHE_TTL_MS, 10) : undefined,
+            ...options
+        });
+    }
+
+    // check is async () => ({ status, message, ...details }); returning nothing means pass, throwing means fail.
+    // readiness: true also gates /readyz, otherwise the check only appears in the deep report.
+    // Registering a name again replaces the earlier check.
+    register(name, check, options = {}) {
+        this.checks.set(name, {
+            name,
+            check,
+            readiness: !!options.readiness,
+            timeoutMs: options.timeoutMs || this.timeoutMs
+        });
+        this.invalidate();
+        return this;
+    }
+
+    unregister(name) {
+        this.checks.delete(name);
+        this.invalidate();
+        return this;
+    }
+
+    invalidate() {
+        this.cache = {};
+    }
+
+    async runCheck(entry) {
+        const startedAt = Date.now();
+        let result;
+        try {
+            result = (await withTimeout(Promise.resolve().then(() => entry.check()), entry.timeoutMs)) || {};
+            if (!STATUS_ORDER.includes(result.status)) {
+                result = { ...result, status: 'pass' };
+            }
+        } catch (error) {
+            result = { status: 'fail', message: error.message };
+        }
+        const previous = this.lastStatus[entry.name];
+        this.lastStatus[entry.name] = result.status;
+        if (this.logger && previous !== result.status && (previous || result.status !== 'pass')) {
+            this.logger.log(result.status === 'pass' ? 'info' : 'warn', 'Health check status changed', {
+                check: entry.name,
+                from: previous || null,
+                to: result.status,
+                message: result.message
+            });
+        }
+        return { ...result, readiness: entry.readiness, durationMs: Date.now() - startedAt };
+    }
+
+    async evaluate(scope) {
+        const entries = [...this.checks.values()].filter(entry => scope === 'deep' || entry.readiness);
+        const results = await Promise.all(entries.map(entry => this.runCheck(entry)));
+        const checks = {};
+        entries.forEach((entry, index) => {
+            checks[entry.name] = results[index];
+        });
+        return {
+            status: worstStatus(results.map(result => result.status)),
+            checkedAt: new Date().toISOString(),
+            checks
+        };
+    }
+
+    // scope 'readiness' runs only readiness checks, 'deep' runs all of them.
+    // Concurrent callers share one run; refresh: true skips the cache.
+    async run(scope = 'deep', options = {}) {
+        const cached = this.cache[scope];
+        if (!options.refresh && cached && Date.now() - cached.time < this.cacheTtlMs) {
+            return { ...cached.report, cached: true };
+        }
+        if (!this.inFlight[scope]) {
+            this.inFlight[scope] = this.evaluate(scope)
+                .then(report => {
+                    this.cache[scope] = { time: Date.now(), report };
+                    return report;
+                })
+                .finally(() => {
+                    delete this.inFlight[scope];
+                });
+        }
+        return { ...(await this.inFlight[scope]), cached: false };
+    }
+}
+
+module.exports = {
+    HealthChecker,
+    worstStatus,
+    withTimeout,
+    STATUS_ORDER
+};
@@ -0,0 +1,141 @@
+// Context-aware HTML templates. Everything interpolated into html`...` is escaped unless it is
+// itself the result of html`...` or raw(), so secret names and values can't inject markup.
+// The template also looks at where each value lands and refuses the places escaping can't
+// make safe: unquoted attributes, event handler and style attributes, and <script>/<style>
+// bodies. URL attributes (href, src...) only accept http(s), mailto and relative URLs.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Safe in element text and in quoted attribute values
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href'];
+const SAFE_URL = /^(?:(?:https?|mailto):|[^:/?#]*(?:[/?#]|$))/i;
+
+// For URL attributes: anything with a scheme other than http(s) or mailto (javascript:, data:...) becomes '#'
+function safeUrl(value) {
+    const url = String(value).trim();
+    return SAFE_URL.test(url) ? url : '#';
+}
+
+// JSON for a <script type="application/json"> block; '<' is escaped so data can't close the tag
+function jsonForScript(data) {
+    return JSON.stringify(data === undefined ? null : data)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// null, undefined and false render nothing, so `${condition && html`...`}` works; arrays are concatenated
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    return escapeHtml(value);
+}
+
+// Where an interpolation lands, judged from the template's own text before it. Nested
+// fragments are complete elements or attributes, so they are skipped. Returns
+// { type: 'text' | 'attribute' | 'tag' | 'rawtext', name, quoted, valueStart }
+function interpolationContext(before) {
+    const lower = before.toLowerCase();
+    const rawOpen = Math.max(lower.lastIndexOf('<script'), lower.lastIndexOf('<style'));
+    const rawClose = Math.max(lower.lastIndexOf('</script'), lower.lastIndexOf('</style'));
+    if (rawOpen > rawClose && lower.indexOf('>', rawOpen) !== -1) {
+        return { type: 'rawtext' };
+    }
+
+    const tagOpen = before.lastIndexOf('<');
+    const inTag = tagOpen > before.lastIndexOf('>');
+    // Fragments like html` id="${id}"` are attribute lists without a tag of their own
+    const tagText = inTag ? before.slice(tagOpen) : (/[<>]/.test(before) ? null : before);
+    if (tagText === null) {
+        return { type: 'text' };
+    }
+
+    const attribute = /([^\s"'<>/=]+)\s*=\s*(?:"([^"]*)|'([^']*)|([^\s"'<>=`]*))$/.exec(tagText);
+    // Outside a tag only an open quote marks an attribute; 'Total = ${n}' is just text
+    if (attribute && (inTag || attribute[2] !== undefined || attribute[3] !== undefined)) {
+        const quoted = attribute[2] !== undefined || attribute[3] !== undefined;
+        const valueSoFar = attribute[2] || attribute[3] || attribute[4] || '';
+        // An attribute that was closed before this point ends with its quote and doesn't match
+        return { type: 'attribute', name: attribute[1].toLowerCase(), quoted, valueStart: valueSoFar === '' };
+    }
+    return { type: inTag ? 'tag' : 'text' };
+}
+
+function renderInContext(value, context) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderInContext(item, context)).join('');
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+
+    switch (context.type) {
+        case 'rawtext':
+            throw new Error('html: only raw() code can be interpolated inside <script> or <style>; pass data through the layout instead');
+        case 'tag':
+            throw new Error('html: attribute names and tag names cannot come from data');
+        case 'attribute':
+            if (!context.quoted) {
+                throw new Error(`html: the value of attribute '${context.name}' must be quoted`);
+            }
+            if (context.name.startsWith('on') || context.name === 'style') {
+                throw new Error(`html: data cannot be interpolated into '${context.name}' attributes; use data-action or CSS classes`);
+            }
+            if (URL_ATTRIBUTES.includes(context.name) && context.valueStart) {
+                return escapeHtml(safeUrl(value));
+            }
+            return escapeHtml(value);
+        default:
+            return escapeHtml(value);
+    }
+}
+
+function html(strings, ...values) {
+    let output = strings[0];
+    let templateText = strings[0];
+    values.forEach((value, index) => {
+        output += renderInContext(value, interpolationContext(templateText)) + strings[index + 1];
+        // A placeholder keeps attribute values non-empty without letting nested markup change the context
+        templateText += 'x' + strings[index + 1];
+    });
+    return new SafeHtml(output);
+}
+
+// Markup that is trusted as-is: fixed strings in code, never data
+function raw(value) {
+    return new SafeHtml(value);
+}
+
+module.exports = {
+    html,
+    raw,
+    escapeHtml,
+    safeUrl,
+    jsonForScript,
+    renderValue,
+    SafeHtml
+};
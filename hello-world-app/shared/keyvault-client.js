@@ -0,0 +1,32 @@
+const { SecretClient } = require('@azure/keyvault-secrets');
+
+// The local emulator (keyvault-emulator/) serves plain http and accepts any bearer token
+function isKeyVaultEmulator(vaultUrl) {
+    return process.env.KEYVAULT_EMULATOR === 'true' || /^http:\/\//i.test(vaultUrl || '');
+}
+
+// Stands in for a real credential so no Azure AD round trip is needed
+class EmulatorCredential {
+    async getToken() {
+        return { token: 'keyvault-emulator', expiresOnTimestamp: Date.now() + 60 * 60 * 1000 };
+    }
+}
+
+// Build a SecretClient, swapping in the dummy credential when talking to the emulator
+function createSecretClient(vaultUrl, credential, options = {}) {
+    if (isKeyVaultEmulator(vaultUrl)) {
+        // The emulator's challenge names vault.azure.net, which never matches localhost
+        return new SecretClient(vaultUrl, new EmulatorCredential(), {
+            ...options,
+            allowInsecureConnection: true,
+            disableChallengeResourceVerification: true
+        });
+    }
+    return new SecretClient(vaultUrl, credential, options);
+}
+
+module.exports = {
+    createSecretClient,
+    isKeyVaultEmulator,
+    EmulatorCredential
+};
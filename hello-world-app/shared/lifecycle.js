@@ -0,0 +1,173 @@
+// Process lifecycle shared by every dashboard: owns the HTTP(S) servers, timers and
+// watchers, and on SIGTERM/SIGINT drains in-flight requests before exiting.
+
+const { logger: defaultLogger } = require('./logger');
+
+class Lifecycle {
+    // options: { logger, shutdownTimeoutMs, drainDelayMs, exit(code) }
+    constructor(options = {}) {
+        this.logger = options.logger || defaultLogger;
+        // Overall deadline; connections still open then are destroyed
+        this.shutdownTimeoutMs = options.shutdownTimeoutMs || 20000;
+        // Time for the endpoints controller and router to stop sending traffic after readiness fails
+        this.drainDelayMs = options.drainDelayMs !== undefined ? options.drainDelayMs : 5000;
+        this.exit = options.exit || (code => process.exit(code));
+        this.servers = new Set();
+        this.timers = new Set();
+        this.cleanups = new Set();
+        this.hooks = [];
+        this.shuttingDown = false;
+        this.shutdownPromise = null;
+        this.signalHandlersInstalled = false;
+    }
+
+    // SHUTDOWN_TIMEOUT_MS and SHUTDOWN_DRAIN_DELAY_MS; explicit options win
+    static fromEnv(options = {}, env = process.env) {
+        return new Lifecycle({
+            shutdownTimeoutMs: parseInt(env.SHUTDOWN_TIMEOUT_MS, 10) || undefined,
+            drainDelayMs: env.SHUTDOWN_DRAIN_DELAY_MS !== undefined ? parseInt(env.SHUTDOWN_DRAIN_DELAY_MS, 10) : undefined,
+            ...options
+        });
+    }
+
+    // Like the globals, but cleared on shutdown
+    setInterval(fn, ms) {
+        const timer = setInterval(fn, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    setTimeout(fn, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimer(timer) {
+        clearTimeout(timer);
+        this.timers.delete(timer);
+    }
+
+    // fs.watch() watchers and anything else with close()
+    addWatcher(watcher) {
+        this.cleanups.add(() => watcher.close());
+        return watcher;
+    }
+
+    // A function that stops something, e.g. the return value of SecretProvider.watch()
+    addCleanup(fn) {
+        this.cleanups.add(fn);
+        return fn;
+    }
+
+    // Async work that must finish before exit (flushing audit logs...); hooks run in reverse order of registration
+    onShutdown(name, fn) {
+        this.hooks.push({ name, fn });
+    }
+
+    addServer(server) {
+        this.servers.add(server);
+        // Ask keep-alive clients to reconnect elsewhere once shutdown has started;
+        // prepended so it runs before the router answers
+        server.prependListener('request', (req, res) => {
+            if (this.shuttingDown && !res.headersSent) {
+                res.setHeader('Connection', 'close');
+            }
+        });
+        return server;
+    }
+
+    installSignalHandlers() {
+        if (this.signalHandlersInstalled) {
+            return;
+        }
+        this.signalHandlersInstalled = true;
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.once(signal, () => this.shutdown(signal));
+        });
+    }
+
+    stopBackgroundWork() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.cleanups.forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                this.logger.warn('Error stopping background work', { error: error.message });
+            }
+        });
+        this.cleanups.clear();
+    }
+
+    // Stop accepting connections and wait for in-flight requests; idle keep-alive
+    // sockets are closed as soon as their current response is done
+    closeServer(server) {
+        return new Promise(resolve => {
+            if (!server.listening) {
+                resolve();
+                return;
+            }
+            const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+            server.close(() => {
+                clearInterval(idleSweep);
+                resolve();
+            });
+            server.closeIdleConnections();
+        });
+    }
+
+    async runHooks() {
+        for (const { name, fn } of [...this.hooks].reverse()) {
+            try {
+                await fn();
+            } catch (error) {
+                this.logger.error('Shutdown hook failed', { hook: name, error });
+            }
+        }
+    }
+
+    // Idempotent; resolves with the exit code after calling exit()
+    shutdown(reason = 'shutdown') {
+        if (this.shutdownPromise) {
+            return this.shutdownPromise;
+        }
+        this.shuttingDown = true;
+        this.logger.info('Shutting down', { reason, drainDelayMs: this.drainDelayMs, timeoutMs: this.shutdownTimeoutMs });
+
+        let deadline;
+        const timedOut = new Promise(resolve => {
+            deadline = setTimeout(() => resolve(true), this.shutdownTimeoutMs);
+        });
+
+        const drain = (async () => {
+            this.stopBackgroundWork();
+            // Readiness already fails; keep serving while load balancers catch up
+            await new Promise(resolve => setTimeout(resolve, this.drainDelayMs));
+            await Promise.all([...this.servers].map(server => this.closeServer(server)));
+            await this.runHooks();
+            return false;
+        })();
+
+        this.shutdownPromise = Promise.race([drain, timedOut]).then(expired => {
+            clearTimeout(deadline);
+            if (expired) {
+                this.logger.warn('Shutdown deadline reached, closing remaining connections', { timeoutMs: this.shutdownTimeoutMs });
+                this.servers.forEach(server => server.closeAllConnections());
+            } else {
+                this.logger.info('Shutdown complete');
+            }
+            const code = expired ? 1 : 0;
+            this.exit(code);
+            return code;
+        });
+        return this.shutdownPromise;
+    }
+}
+
+module.exports = {
+    Lifecycle
+};
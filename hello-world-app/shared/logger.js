@@ -0,0 +1,142 @@
+// Structured JSON logger shared by the framework and every dashboard.
+// One JSON object per line on stdout; any secret value the process currently
+// knows about is replaced with [REDACTED] before the line is written.
+
+const LEVELS = {
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50
+};
+
+const REDACTED = '[REDACTED]';
+
+// Very short values would match ordinary words and numbers all over the logs
+const MIN_SCRUB_LENGTH = 4;
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.statusCode !== undefined) serialized.statusCode = error.statusCode;
+    if (error.status !== undefined) serialized.status = error.status;
+    if (error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+// Errors become plain objects (JSON.stringify would drop their message and stack)
+function serializeFields(fields) {
+    const serialized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        serialized[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return serialized;
+}
+
+class Logger {
+    // state is shared by a logger and all of its children: level, output and known secret values
+    constructor(state, bindings = {}) {
+        this.state = state;
+        this.bindings = bindings;
+    }
+
+    // A logger that adds bindings (e.g. { dashboard: 'rotation-handler' } or { requestId }) to every line
+    child(bindings) {
+        return new Logger(this.state, { ...this.bindings, ...bindings });
+    }
+
+    get level() {
+        return this.state.level;
+    }
+
+    // Changes the level for this logger, its parent and all children
+    setLevel(level) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level '${level}'. Valid levels: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.state.level = level;
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.state.level];
+    }
+
+    // Remember a secret value under a key (secret name, or name@version) so it is scrubbed from logs
+    addSecretValue(key, value) {
+        if (typeof value === 'string' && value.length >= MIN_SCRUB_LENGTH) {
+            this.state.secretValues.set(key, value);
+        } else {
+            this.state.secretValues.delete(key);
+        }
+    }
+
+    // { name: value } maps as returned by getSecrets(); '_' keys are metadata, not values
+    addSecretValues(secrets) {
+        Object.entries(secrets || {}).forEach(([key, value]) => {
+            if (!key.startsWith('_')) {
+                this.addSecretValue(key, value);
+            }
+        });
+    }
+
+    scrub(line) {
+        // Longest first so a value containing another value is replaced whole
+        const values = [...new Set(this.state.secretValues.values())].sort((a, b) => b.length - a.length);
+        return values.reduce((scrubbed, value) => {
+            // Values appear JSON-escaped inside the serialized line
+            const escaped = JSON.stringify(value).slice(1, -1);
+            return scrubbed.split(escaped).join(REDACTED);
+        }, line);
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        // time, level and msg lead every line and cannot be overwritten by bindings or fields
+        const entry = {
+            time: null,
+            level: null,
+            msg: null,
+            ...this.bindings,
+            ...serializeFields(fields),
+            time: new Date().toISOString(),
+            level,
+            msg: message
+        };
+        this.state.write(this.scrub(JSON.stringify(entry)) + '\n');
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+}
+
+// options: { level (LOG_LEVEL, default info), write(line), bindings }
+function createLogger(options = {}) {
+    const level = options.level || process.env.LOG_LEVEL || 'info';
+    const logger = new Logger({
+        level: 'info',
+        secretValues: new Map(),
+        write: options.write || (line => process.stdout.write(line))
+    }, options.bindings);
+
+    if (LEVELS[level]) {
+        logger.setLevel(level);
+    } else {
+        logger.warn(`Unknown log level '${level}', using 'info'`, { validLevels: Object.keys(LEVELS) });
+    }
+    return logger;
+}
+
+// Process-wide logger; shared modules log through it and dashboards use children of it,
+// so every line is scrubbed against the same set of known values
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    createLogger,
+    Logger,
+    LEVELS,
+    REDACTED
+};
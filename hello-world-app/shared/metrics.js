@@ -0,0 +1,211 @@
+// Minimal Prometheus client: counters, gauges and histograms rendered in the
+// text exposition format (version 0.0.4) that OpenShift monitoring scrapes.
+
+const { logger } = require('./logger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return '{' + entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, options = {}) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new Error(`Invalid metric name '${name}'`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = options.labelNames || [];
+        // Optional (metric) => void|Promise, run before every scrape to refresh values
+        this.collect = options.collect || null;
+        this.series = new Map();
+    }
+
+    // Series are keyed by their label values in labelNames order; unknown labels are an error
+    seriesFor(labels, create) {
+        Object.keys(labels).forEach(key => {
+            if (!this.labelNames.includes(key)) {
+                throw new Error(`Metric '${this.name}' has no label '${key}'`);
+            }
+        });
+        const normalized = {};
+        this.labelNames.forEach(key => {
+            normalized[key] = labels[key] !== undefined ? String(labels[key]) : '';
+        });
+        const key = JSON.stringify(this.labelNames.map(name => normalized[name]));
+
+        if (!this.series.has(key)) {
+            this.series.set(key, create(normalized));
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter '${this.name}' cannot decrease`);
+        }
+        this.seriesFor(labels, l => ({ labels: l, value: 0 })).value += value;
+    }
+
+    // For counters mirrored from state the dashboard already keeps (e.g. reloadCount)
+    set(labels, value) {
+        this.seriesFor(labels, l => ({ labels: l, value: 0 })).value = value;
+    }
+
+    lines() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, l => ({ labels: l, value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, l => ({ labels: l, value: 0 })).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    lines() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, options = {}) {
+        super('histogram', name, help, options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, l => ({
+            labels: l,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observe the seconds between now and a process.hrtime.bigint() start time
+    observeSince(labels, startedAt) {
+        this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+
+    lines() {
+        const lines = [];
+        this.series.forEach(s => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric '${metric.name}' is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, options) {
+        return this.register(new Counter(name, help, options));
+    }
+
+    gauge(name, help, options) {
+        return this.register(new Gauge(name, help, options));
+    }
+
+    histogram(name, help, options) {
+        return this.register(new Histogram(name, help, options));
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    // Text exposition of every metric; a failing collect callback only drops that metric's fresh values
+    async render() {
+        const output = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                try {
+                    await metric.collect(metric);
+                } catch (error) {
+                    logger.error('Error collecting metric', { metric: metric.name, error: error.message });
+                }
+            }
+            output.push(...metric.header(), ...metric.lines());
+        }
+        return output.join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    DEFAULT_BUCKETS
+};
@@ -0,0 +1,302 @@
+// OpenAPI 3.1 document for a dashboard, built from its router. Routes are documented where they
+// are registered, in the same options object as their permission:
+//
+//   router.get('/api/versions', {
+//       summary: 'Every version of one secret',
+//       query: { secret: { description: 'Secret name', required: true } },
+//       response: { type: 'array', items: ref('SecretVersion') }
+//   }, handler);
+//
+// validateResponse() checks a response against the document, so tests notice when an endpoint's
+// JSON stops matching what it promises.
+
+const http = require('http');
+
+const OPENAPI_VERSION = '3.1.0';
+const JSON_TYPE = 'application/json';
+
+// { $ref } to a schema in components.schemas
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// '/api/version/:secret/:version?' -> one OpenAPI path per optional parameter left out or given:
+// [{ path: '/api/version/{secret}', params: ['secret'] }, { path: '/api/version/{secret}/{version}', ... }].
+// Wildcard routes are catch-alls with no path of their own to document, so they give none.
+function expandPattern(pattern) {
+    if (pattern.split('/').includes('*')) {
+        return [];
+    }
+    let variants = [{ path: '', params: [], closed: false }];
+    pattern.split('/').filter(Boolean).forEach(segment => {
+        const param = segment.match(/^:(\w+)(\?)?$/);
+        const next = [];
+        variants.forEach(variant => {
+            // Everything after a left-out optional parameter is left out too
+            if (variant.closed) {
+                next.push(variant);
+            } else if (!param) {
+                next.push({ ...variant, path: `${variant.path}/${segment}` });
+            } else {
+                if (param[2]) {
+                    next.push({ ...variant, closed: true });
+                }
+                next.push({ path: `${variant.path}/{${param[1]}}`, params: [...variant.params, param[1]], closed: false });
+            }
+        });
+        variants = next;
+    });
+    return variants.map(({ path, params }) => ({ path: path || '/', params }));
+}
+
+// Probes, the page and the metrics endpoint; everything under /api/ is grouped by its first segment
+function tagFor(pattern) {
+    if (pattern === '/') {
+        return 'pages';
+    }
+    const segments = pattern.split('/').filter(Boolean);
+    return segments[0] === 'api' && segments.length > 1 ? segments[1] : 'operations';
+}
+
+function operationId(method, path) {
+    const words = path.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+// query: { name: 'description' } or { name: { description, required, schema } }
+function queryParameters(query = {}) {
+    return Object.entries(query).map(([name, docs]) => {
+        const { description, required, schema } = typeof docs === 'string' ? { description: docs } : docs;
+        return { name, in: 'query', required: !!required, description, schema: schema || { type: 'string' } };
+    });
+}
+
+// A schema, or { schema, contentType, description } when the default type or description won't do
+function responseObject(status, docs, contentType) {
+    const wrapped = docs && ('schema' in docs || 'contentType' in docs);
+    const { description, schema, contentType: type } = wrapped ? docs : { schema: docs };
+    const mediaType = type || contentType;
+    return {
+        description: description || http.STATUS_CODES[status] || 'Response',
+        content: { [mediaType]: { schema: schema || (mediaType === JSON_TYPE ? {} : { type: 'string' }) } }
+    };
+}
+
+function buildOperation(route, method, variant, options) {
+    const contentType = route.contentType || route.handler.contentType || JSON_TYPE;
+    const permission = route.public ? null : route.permission || 'view';
+    const notes = [
+        route.description,
+        route.aliasOf && `Alias of \`${route.method} ${route.aliasOf}\`, kept for existing scripts; use that instead.`,
+        permission && options.authEnabled && `Requires the \`${permission}\` permission.`
+    ].filter(Boolean);
+
+    const responses = { 200: responseObject(200, route.response, contentType) };
+    Object.entries(route.responses || {}).forEach(([status, docs]) => {
+        responses[status] = responseObject(status, docs, JSON_TYPE);
+    });
+    // Whatever the router answers for thrown errors (see sendError in ./router)
+    responses.default = { description: 'Error', content: { [JSON_TYPE]: { schema: ref('Error') } } };
+
+    const operation = {
+        operationId: operationId(method, variant.path),
+        summary: route.summary,
+        description: notes.length > 0 ? notes.join('\n\n') : undefined,
+        tags: [route.tag || tagFor(route.aliasOf || route.pattern)],
+        deprecated: route.aliasOf ? true : undefined,
+        'x-permission': permission || undefined,
+        parameters: [
+            ...variant.params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...queryParameters(route.query)
+        ],
+        requestBody: route.body ? { required: true, content: { [JSON_TYPE]: { schema: route.body } } } : undefined,
+        responses
+    };
+    if (options.authEnabled && route.public) {
+        operation.security = [];
+    }
+    return JSON.parse(JSON.stringify(operation));
+}
+
+// options: { title, version, description, schemas, authEnabled }
+function buildOpenApi(router, options = {}) {
+    const paths = {};
+    router.routes.forEach(route => {
+        // '*' routes answer every method; GET is the one worth documenting
+        const method = (route.method === '*' ? 'GET' : route.method).toLowerCase();
+        expandPattern(route.pattern).forEach(variant => {
+            paths[variant.path] = paths[variant.path] || {};
+            paths[variant.path][method] = buildOperation(route, method, variant, options);
+        });
+    });
+
+    const document = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: options.title || 'Dashboard API',
+            version: options.version || '0.0.0',
+            description: options.description
+        },
+        servers: [{ url: '/' }],
+        paths,
+        components: {
+            schemas: options.schemas || {},
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                oauthProxy: { type: 'apiKey', in: 'header', name: 'X-Forwarded-User', description: 'Set by the oauth-proxy sidecar' }
+            }
+        }
+    };
+    if (options.authEnabled) {
+        document.security = [{ bearerAuth: [] }, { oauthProxy: [] }];
+    }
+    return JSON.parse(JSON.stringify(document));
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    return type === actual;
+}
+
+function resolveRef(document, reference) {
+    const schema = reference.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+    if (!schema) {
+        throw new Error(`Unresolved schema reference ${reference}`);
+    }
+    return schema;
+}
+
+// JSON Schema keywords the dashboards' schemas use: $ref, type, enum, const, properties,
+// required, additionalProperties, items, anyOf, oneOf, allOf, minimum and format: date-time.
+// Returns a list of '<path>: <problem>' strings, empty when value matches.
+function validateSchema(schema, value, document, at = '$') {
+    if (!schema || Object.keys(schema).length === 0) {
+        return [];
+    }
+    if (schema.$ref) {
+        return validateSchema(resolveRef(document, schema.$ref), value, document, at);
+    }
+
+    if (schema.anyOf || schema.oneOf) {
+        const options = schema.anyOf || schema.oneOf;
+        const results = options.map(option => validateSchema(option, value, document, at));
+        const matching = results.filter(errors => errors.length === 0).length;
+        if (matching === 0) {
+            // The closest alternative says most about what is wrong
+            return results.reduce((best, errors) => (errors.length < best.length ? errors : best));
+        }
+        if (schema.oneOf && matching > 1) {
+            return [`${at}: matches ${matching} of the oneOf schemas`];
+        }
+    }
+    const errors = [];
+    (schema.allOf || []).forEach(part => errors.push(...validateSchema(part, value, document, at)));
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(type, value))) {
+            return [...errors, `${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: expected at least ${schema.minimum}, got ${value}`);
+    }
+    if (typeof value === 'string' && schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        errors.push(`${at}: expected a date-time, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) {
+                errors.push(`${at}: missing required property '${name}'`);
+            }
+        });
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([name, item]) => {
+            if (properties[name]) {
+                errors.push(...validateSchema(properties[name], item, document, `${at}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property '${name}'`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, item, document, `${at}.${name}`));
+            }
+        });
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, document, `${at}[${index}]`)));
+    }
+    return errors;
+}
+
+// The document's path template for a request path, literal segments before parameters
+function findPath(document, pathname) {
+    const templates = Object.keys(document.paths)
+        .map(template => ({
+            template,
+            params: (template.match(/\{/g) || []).length,
+            regex: new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{\w+\\?\}/g, '[^/]+')}/?$`)
+        }))
+        .sort((a, b) => a.params - b.params);
+    const found = templates.find(({ regex }) => regex.test(pathname));
+    return found ? found.template : null;
+}
+
+// Checks one response against the document: { method, path, status, body } where body is the
+// parsed JSON (or the raw text for other content types). Returns { operationId, errors }.
+function validateResponse(document, { method, path, status, body }) {
+    const pathname = path.split('?')[0];
+    const template = findPath(document, pathname);
+    if (!template) {
+        return { operationId: null, errors: [`${method} ${pathname}: not in the OpenAPI document`] };
+    }
+    const operation = document.paths[template][method.toLowerCase() === 'head' ? 'get' : method.toLowerCase()];
+    if (!operation) {
+        return { operationId: null, errors: [`${method} ${template}: not in the OpenAPI document`] };
+    }
+
+    const response = operation.responses[status] || operation.responses[`${String(status)[0]}XX`] || operation.responses.default;
+    if (!response) {
+        return { operationId: operation.operationId, errors: [`${method} ${template}: status ${status} is not documented`] };
+    }
+    const json = response.content && response.content[JSON_TYPE];
+    if (!json) {
+        return { operationId: operation.operationId, errors: [] };
+    }
+    let parsed = body;
+    if (typeof body === 'string') {
+        try {
+            parsed = JSON.parse(body);
+        } catch (error) {
+            return { operationId: operation.operationId, errors: [`${method} ${template}: body is not JSON (${error.message})`] };
+        }
+    }
+    return { operationId: operation.operationId, errors: validateSchema(json.schema, parsed, document) };
+}
+
+module.exports = {
+    buildOpenApi,
+    validateResponse,
+    validateSchema,
+    expandPattern,
+    ref,
+    OPENAPI_VERSION
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ROLES, PERMISSIONS } = require('./auth');
+
+// none: plaintext, full: fixed mask, partial: first/last N characters,
+// hash: sha256 fingerprint, reveal: masked until an authorised user asks for it (audited)
+const REDACTION_MODES = ['none', 'full', 'partial', 'hash', 'reveal'];
+
+const MASK = '********';
+
+// Used when no policy file is configured: everyone sees partial values, admins may reveal them
+const DEFAULT_POLICY = {
+    default: { mode: 'partial', showFirst: 2, showLast: 2 },
+    roles: {
+        admin: { mode: 'reveal' }
+    },
+    secrets: {}
+};
+
+function normalizeRule(rule, where) {
+    const normalized = typeof rule === 'string' ? { mode: rule } : { ...rule };
+    if (!REDACTION_MODES.includes(normalized.mode)) {
+        throw new Error(`Invalid redaction mode '${normalized.mode}' for ${where}. Valid modes: ${REDACTION_MODES.join(', ')}`);
+    }
+    normalized.showFirst = normalized.showFirst !== undefined ? normalized.showFirst : 2;
+    normalized.showLast = normalized.showLast !== undefined ? normalized.showLast : 2;
+    // What a revealable value looks like before it is revealed
+    if (normalized.mode === 'reveal') {
+        normalized.mask = normalized.mask || 'full';
+        if (!['full', 'partial', 'hash'].includes(normalized.mask)) {
+            throw new Error(`Invalid reveal mask '${normalized.mask}' for ${where}. Use full, partial or hash`);
+        }
+    }
+    return normalized;
+}
+
+function normalizeRoleRules(roles, where) {
+    return Object.fromEntries(Object.entries(roles || {}).map(([role, rule]) => {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role '${role}' in ${where}. Valid roles: ${ROLES.join(', ')}`);
+        }
+        return [role, normalizeRule(rule, `${where}.${role}`)];
+    }));
+}
+
+class RedactionPolicy {
+    constructor(policy = DEFAULT_POLICY) {
+        this.defaultRule = normalizeRule(policy.default || DEFAULT_POLICY.default, 'default');
+        this.roleRules = normalizeRoleRules(policy.roles, 'roles');
+
+        // { 'api-key': { default: 'hash', roles: { admin: 'reveal' } } }
+        this.secretRules = Object.fromEntries(Object.entries(policy.secrets || {}).map(([name, rules]) => [name, {
+            default: rules.default ? normalizeRule(rules.default, `secrets.${name}.default`) : null,
+            roles: normalizeRoleRules(rules.roles, `secrets.${name}.roles`)
+        }]));
+    }
+
+    // REDACTION_POLICY_FILE (JSON); an explicit policy object wins
+    static fromEnv(policy, env = process.env) {
+        if (policy) {
+            return new RedactionPolicy(policy);
+        }
+        if (!env.REDACTION_POLICY_FILE) {
+            return new RedactionPolicy();
+        }
+        try {
+            return new RedactionPolicy(JSON.parse(fs.readFileSync(env.REDACTION_POLICY_FILE, 'utf8')));
+        } catch (error) {
+            throw new Error(`Unable to load redaction policy ${env.REDACTION_POLICY_FILE}: ${error.message}`);
+        }
+    }
+
+    // Most specific rule wins: secret + role, secret default, role, policy default
+    ruleFor(secretName, user) {
+        const role = user && user.role;
+        const secretRules = this.secretRules[secretName];
+        const rule = (secretRules && (secretRules.roles[role] || secretRules.default)) ||
+            this.roleRules[role] ||
+            this.defaultRule;
+
+        // Plaintext is never shown to someone without the read-secrets permission, whatever the policy says
+        const canRead = !!user && user.permissions.includes(PERMISSIONS.READ_SECRETS);
+        if (!canRead && (rule.mode === 'none' || rule.mode === 'reveal')) {
+            return { mode: 'full' };
+        }
+        return rule;
+    }
+
+    canReveal(secretName, user) {
+        const mode = this.ruleFor(secretName, user).mode;
+        return mode === 'reveal' || mode === 'none';
+    }
+
+    mask(value, rule) {
+        switch (rule.mode) {
+            case 'none':
+                return value;
+            case 'partial': {
+                // Keep at least twice as many characters hidden as shown
+                const shown = rule.showFirst + rule.showLast;
+                if (value.length < shown * 3) {
+                    return MASK;
+                }
+                return value.substring(0, rule.showFirst) + MASK + value.substring(value.length - rule.showLast);
+            }
+            case 'hash':
+                return 'sha256:' + crypto.createHash('sha256').update(value).digest('hex').substring(0, 12);
+            case 'reveal':
+                return this.mask(value, { ...rule, mode: rule.mask });
+            case 'full':
+            default:
+                return MASK;
+        }
+    }
+
+    // Redact one value; null/undefined and non-strings pass through untouched
+    redact(secretName, value, user) {
+        if (typeof value !== 'string' || value === '') {
+            return value;
+        }
+        return this.mask(value, this.ruleFor(secretName, user));
+    }
+
+    // Redact a { name: value } map. Keys starting with '_' carry metadata (e.g. _api-key_vault) and are kept.
+    redactSecrets(secrets, user) {
+        if (!secrets || typeof secrets !== 'object') {
+            return secrets;
+        }
+        return Object.fromEntries(Object.entries(secrets).map(([name, value]) => [
+            name,
+            name.startsWith('_') ? value : this.redact(name, value, user)
+        ]));
+    }
+
+    // Per-secret { mode, revealable } so pages can offer a reveal button
+    describe(secretNames, user) {
+        return Object.fromEntries(secretNames.map(name => [name, {
+            mode: this.ruleFor(name, user).mode,
+            revealable: this.canReveal(name, user)
+        }]));
+    }
+}
+
+module.exports = {
+    RedactionPolicy,
+    REDACTION_MODES,
+    DEFAULT_POLICY,
+    MASK
+};
@@ -0,0 +1,48 @@
+// The request being served, for code far from the route handler. The framework runs every
+// request inside runWithRequest(), so a secret read deep in a provider or a cache load can
+// still tell who asked for it. Work started outside a request (timers, watchers, startup) has
+// no request.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function runWithRequest(req, fn) {
+    return storage.run(req, fn);
+}
+
+function currentRequest() {
+    return storage.getStore() || null;
+}
+
+// Who is behind the current request: its ID, address, user agent and authenticated user.
+// { background: true } outside a request
+function currentCaller() {
+    const req = currentRequest();
+    if (!req) {
+        return { background: true };
+    }
+    const caller = {
+        requestId: req.id,
+        remoteAddress: req.socket ? req.socket.remoteAddress : undefined,
+        userAgent: req.headers['user-agent']
+    };
+    // Set by the auth middleware, which runs after the request ID is assigned
+    if (req.user) {
+        caller.user = req.user.name;
+        caller.role = req.user.role;
+    }
+    return caller;
+}
+
+// An audit entry stamped with the time and the caller; fields in entry win
+function withCaller(entry) {
+    return { timestamp: new Date().toISOString(), ...currentCaller(), ...entry };
+}
+
+module.exports = {
+    runWithRequest,
+    currentRequest,
+    currentCaller,
+    withCaller
+};
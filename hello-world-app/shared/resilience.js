@@ -0,0 +1,354 @@
+// Retries and a circuit breaker per vault for Key Vault calls. Transient failures (throttling,
+// 5xx, network errors) are retried with exponential backoff and jitter, honoring Retry-After;
+// a vault that keeps failing is left alone for a while instead of being hammered. Callers then
+// get a KeyVaultUnavailableError (status 503) they can answer with stale data or a Retry-After.
+
+const { EventEmitter } = require('events');
+const { logger: defaultLogger } = require('./logger');
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'REQUEST_SEND_ERROR'];
+
+const DEFAULT_OPTIONS = {
+    maxRetries: 3,
+    baseDelayMs: 200,
+    // Key Vault asks throttled clients to back off from about a second
+    throttledBaseDelayMs: 1000,
+    maxDelayMs: 10000,
+    // A longer Retry-After is not waited out in the request; the breaker opens instead
+    maxRetryAfterMs: 30000,
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+};
+
+// Why a failure is worth retrying ('throttled', 'server-error', 'timeout', 'network'), or null when it isn't
+function classifyError(error) {
+    if (!error) {
+        return null;
+    }
+    const status = error.statusCode;
+    if (status === 429) {
+        return 'throttled';
+    }
+    if (status === 408 || error.code === 'ETIMEDOUT') {
+        return 'timeout';
+    }
+    if (status === 500 || status === 502 || status === 503 || status === 504) {
+        return 'server-error';
+    }
+    if (!status && NETWORK_ERROR_CODES.includes(error.code)) {
+        return 'network';
+    }
+    return null;
+}
+
+// Milliseconds the server asked us to wait (Retry-After in seconds or as a date, or the
+// x-ms-retry-after-ms header), null when it didn't say
+function retryAfterMs(error) {
+    const headers = error && error.response && error.response.headers;
+    if (!headers || typeof headers.get !== 'function') {
+        return null;
+    }
+    const milliseconds = parseInt(headers.get('retry-after-ms') || headers.get('x-ms-retry-after-ms'), 10);
+    if (milliseconds >= 0) {
+        return milliseconds;
+    }
+    const value = headers.get('retry-after');
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: anywhere between 0 and the exponential ceiling, so clients don't retry in lockstep
+function backoffDelay(attempt, options, reason, random = Math.random) {
+    const base = reason === 'throttled' ? options.throttledBaseDelayMs : options.baseDelayMs;
+    return Math.round(random() * Math.min(options.maxDelayMs, base * 2 ** attempt));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Calls fn until it succeeds, fails with an error classifyError() doesn't retry, or runs out of retries.
+// options: DEFAULT_OPTIONS plus onRetry({ attempt, reason, delayMs, error }) and sleep(ms)
+async function retryWithBackoff(fn, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const wait = options.sleep || sleep;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const reason = classifyError(error);
+            if (!reason || attempt >= settings.maxRetries) {
+                throw error;
+            }
+            const requested = retryAfterMs(error);
+            if (requested !== null && requested > settings.maxRetryAfterMs) {
+                throw error;
+            }
+            const delayMs = requested !== null ? requested : backoffDelay(attempt, settings, reason);
+            if (options.onRetry) {
+                options.onRetry({ attempt: attempt + 1, reason, delayMs, error });
+            }
+            await wait(delayMs);
+        }
+    }
+}
+
+// What callers see once retries are exhausted or the circuit is open
+class KeyVaultUnavailableError extends Error {
+    constructor(message, { vault, reason, retryAfterMs: retryAfter, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'KeyVaultUnavailableError';
+        this.code = reason === 'circuit-open' ? 'CircuitOpen' : 'KeyVaultUnavailable';
+        // Picked up by the router: 503 with a Retry-After header
+        this.status = 503;
+        this.vault = vault;
+        this.reason = reason;
+        this.retryAfterMs = retryAfter || null;
+    }
+}
+
+// closed: calls go through. open: calls fail at once until resetTimeoutMs (or the server's
+// Retry-After) has passed. half-open: one trial call decides whether to close or open again.
+// Only transient failures count; a 404 or 403 means the vault is up and answering.
+class CircuitBreaker {
+    // options: { name, failureThreshold, resetTimeoutMs, onStateChange({ from, to, breaker }), now }
+    constructor(options = {}) {
+        this.name = options.name || 'default';
+        this.failureThreshold = options.failureThreshold || DEFAULT_OPTIONS.failureThreshold;
+        this.resetTimeoutMs = options.resetTimeoutMs || DEFAULT_OPTIONS.resetTimeoutMs;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.now = options.now || Date.now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openUntil = 0;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    async call(fn) {
+        this.beforeCall();
+        const trial = this.state === 'half-open';
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (classifyError(error)) {
+                this.recordFailure(error);
+            } else {
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    beforeCall() {
+        if (this.state === 'open') {
+            if (this.now() < this.openUntil) {
+                throw this.openError();
+            }
+            this.transition('half-open');
+        }
+        if (this.state === 'half-open') {
+            // Everyone else waits for the trial call
+            if (this.trialInFlight) {
+                throw this.openError();
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this.transition('closed');
+        }
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastFailure = { reason: classifyError(error), message: error.message, time: new Date(this.now()).toISOString() };
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            // A throttled vault says how long it wants to be left alone
+            this.openUntil = this.now() + Math.max(this.resetTimeoutMs, retryAfterMs(error) || 0);
+            if (this.state !== 'open') {
+                this.transition('open');
+            }
+        }
+    }
+
+    transition(to) {
+        const from = this.state;
+        this.state = to;
+        this.onStateChange({ from, to, breaker: this });
+    }
+
+    openError() {
+        const retryAfter = Math.max(0, this.openUntil - this.now());
+        return new KeyVaultUnavailableError(
+            `Key Vault '${this.name}' is temporarily unavailable after repeated failures; retry in ${Math.ceil(retryAfter / 1000)}s`,
+            { vault: this.name, reason: 'circuit-open', retryAfterMs: retryAfter }
+        );
+    }
+
+    describe() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openUntil: this.state === 'closed' ? null : new Date(this.openUntil).toISOString(),
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+// SecretClient methods that return a promise; list* methods return paged iterators
+const PROMISE_METHODS = /^(get|set|update|backup|restore|purge)/;
+
+// Retry settings and one circuit breaker per vault, shared by every Key Vault client of a dashboard.
+// Emits 'retry' { vault, operation, reason, delayMs, attempt }, 'state-change' { vault, from, to }
+// and 'rejected' { vault, operation } for metrics.
+class KeyVaultResilience extends EventEmitter {
+    // options: DEFAULT_OPTIONS, logger, sleep
+    constructor(options = {}) {
+        super();
+        this.logger = options.logger || defaultLogger;
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined && !Number.isNaN(options[key])) {
+                this.options[key] = options[key];
+            }
+        });
+        this.sleep = options.sleep || sleep;
+        this.breakers = new Map();
+    }
+
+    // KEYVAULT_RETRY_MAX, KEYVAULT_RETRY_BASE_DELAY_MS, KEYVAULT_RETRY_MAX_DELAY_MS,
+    // KEYVAULT_BREAKER_FAILURE_THRESHOLD and KEYVAULT_BREAKER_RESET_MS; explicit options win
+    static fromEnv(options = {}, env = process.env) {
+        const number = name => (env[name] !== undefined ? parseInt(env[name], 10) : undefined);
+        return new KeyVaultResilience({
+            maxRetries: number('KEYVAULT_RETRY_MAX'),
+            baseDelayMs: number('KEYVAULT_RETRY_BASE_DELAY_MS'),
+            maxDelayMs: number('KEYVAULT_RETRY_MAX_DELAY_MS'),
+            failureThreshold: number('KEYVAULT_BREAKER_FAILURE_THRESHOLD'),
+            resetTimeoutMs: number('KEYVAULT_BREAKER_RESET_MS'),
+            ...options
+        });
+    }
+
+    breakerFor(vault) {
+        if (!this.breakers.has(vault)) {
+            this.breakers.set(vault, new CircuitBreaker({
+                name: vault,
+                failureThreshold: this.options.failureThreshold,
+                resetTimeoutMs: this.options.resetTimeoutMs,
+                onStateChange: ({ from, to, breaker }) => {
+                    const level = to === 'closed' ? 'info' : 'warn';
+                    this.logger.log(level, 'Key Vault circuit breaker state changed', {
+                        vault, from, to, lastFailure: breaker.lastFailure
+                    });
+                    this.emit('state-change', { vault, from, to });
+                }
+            }));
+        }
+        return this.breakers.get(vault);
+    }
+
+    // Runs one Key Vault operation for vault with retries inside the breaker
+    async call(vault, operation, fn) {
+        const breaker = this.breakerFor(vault);
+        try {
+            return await breaker.call(() => retryWithBackoff(fn, {
+                ...this.options,
+                sleep: this.sleep,
+                onRetry: ({ attempt, reason, delayMs, error }) => {
+                    this.logger.warn('Retrying Key Vault request', {
+                        vault, operation, attempt, reason, delayMs, error: error.message
+                    });
+                    this.emit('retry', { vault, operation, reason, delayMs, attempt });
+                }
+            }));
+        } catch (error) {
+            if (error instanceof KeyVaultUnavailableError) {
+                this.emit('rejected', { vault, operation });
+                throw error;
+            }
+            const reason = classifyError(error);
+            if (!reason) {
+                throw error;
+            }
+            const problem = reason === 'throttled' ? 'is throttling requests' : 'is unavailable';
+            throw new KeyVaultUnavailableError(`Key Vault '${vault}' ${problem}: ${error.message}`, {
+                vault, reason, retryAfterMs: retryAfterMs(error), cause: error
+            });
+        }
+    }
+
+    // A SecretClient whose calls go through call(). List results are read in full inside the
+    // retry, so a page failing halfway restarts the listing instead of ending the loop early.
+    wrap(client, vault) {
+        const resilience = this;
+        return new Proxy(client, {
+            get(target, property) {
+                const value = target[property];
+                if (typeof value !== 'function' || typeof property !== 'string') {
+                    return value;
+                }
+                if (property.startsWith('list')) {
+                    return (...args) => ({
+                        async *[Symbol.asyncIterator]() {
+                            yield* await resilience.call(vault, property, async () => {
+                                const items = [];
+                                for await (const item of value.apply(target, args)) {
+                                    items.push(item);
+                                }
+                                return items;
+                            });
+                        }
+                    });
+                }
+                if (PROMISE_METHODS.test(property)) {
+                    return (...args) => resilience.call(vault, property, () => value.apply(target, args));
+                }
+                return value.bind(target);
+            }
+        });
+    }
+
+    // { vault: { state, failures, openUntil, lastFailure } } for health checks and pages
+    describe() {
+        const circuits = {};
+        this.breakers.forEach((breaker, vault) => {
+            circuits[vault] = breaker.describe();
+        });
+        return circuits;
+    }
+}
+
+// Whether an error means "Key Vault can't answer right now" rather than "the answer is no"
+function isKeyVaultUnavailable(error) {
+    return error instanceof KeyVaultUnavailableError || (!!error && error.cause instanceof KeyVaultUnavailableError);
+}
+
+module.exports = {
+    KeyVaultResilience,
+    CircuitBreaker,
+    KeyVaultUnavailableError,
+    retryWithBackoff,
+    classifyError,
+    retryAfterMs,
+    backoffDelay,
+    isKeyVaultUnavailable,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,264 @@
+// Small HTTP router shared by every dashboard: method-aware routes with
+// :params, a middleware chain, JSON body parsing and uniform error responses.
+
+const { logger } = require('./logger');
+
+// Throw from a handler or middleware to answer with a specific status code
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// '/api/version/:secret/:version?' -> RegExp with named groups; a trailing '*' matches the rest of the path
+function compilePath(pattern) {
+    const keys = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment === '*') {
+                keys.push('wildcard');
+                return '(?:/(.*))?';
+            }
+            const param = segment.match(/^:(\w+)(\?)?$/);
+            if (param) {
+                keys.push(param[1]);
+                return param[2] ? '(?:/([^/]*))?' : '/([^/]+)';
+            }
+            return segment ? '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '';
+        })
+        .join('');
+
+    return { regex: new RegExp(`^${source || '/'}/?$`), keys };
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendHTML(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+// Parse application/json request bodies into req.body (bodies over limitBytes are rejected with 413)
+function jsonBody(options = {}) {
+    const limitBytes = options.limitBytes || 1024 * 1024;
+
+    return (req, res, next) => {
+        if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+            req.body = {};
+            return next();
+        }
+
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > limitBytes) {
+                    reject(new HttpError(413, `Request body exceeds ${limitBytes} bytes`));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('error', reject);
+            req.on('end', () => {
+                const raw = Buffer.concat(chunks).toString('utf8');
+                const contentType = req.headers['content-type'] || '';
+
+                if (!raw) {
+                    req.body = {};
+                } else if (contentType.includes('application/json')) {
+                    try {
+                        req.body = JSON.parse(raw);
+                    } catch (error) {
+                        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+                        return;
+                    }
+                } else {
+                    req.body = raw;
+                }
+                resolve(next());
+            });
+        });
+    };
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.middleware = [];
+    }
+
+    // Middleware is (req, res, next) and runs, in order, before every route
+    use(fn) {
+        this.middleware.push(fn);
+        return this;
+    }
+
+    // Registering the same method and path again replaces the earlier route,
+    // which is how dashboards override the framework's defaults (e.g. GET /).
+    // options is optional and kept on the route for middleware, e.g. { permission: 'rotate-secrets' }
+    add(method, pattern, options, handler) {
+        if (typeof options === 'function') {
+            handler = options;
+            options = {};
+        }
+        const { regex, keys } = compilePath(pattern);
+        const route = { ...options, method: method.toUpperCase(), pattern, regex, keys, handler };
+        const existing = this.routes.findIndex(r => r.method === route.method && r.pattern === pattern);
+
+        if (existing >= 0) {
+            this.routes[existing] = route;
+        } else {
+            this.routes.push(route);
+        }
+        return this;
+    }
+
+    get(pattern, options, handler) { return this.add('GET', pattern, options, handler); }
+    post(pattern, options, handler) { return this.add('POST', pattern, options, handler); }
+    put(pattern, options, handler) { return this.add('PUT', pattern, options, handler); }
+    patch(pattern, options, handler) { return this.add('PATCH', pattern, options, handler); }
+    delete(pattern, options, handler) { return this.add('DELETE', pattern, options, handler); }
+    all(pattern, options, handler) { return this.add('*', pattern, options, handler); }
+
+    // Another path for a route registered before (e.g. an older name scripts still call), with
+    // the same handler and options; the API document lists it as deprecated
+    alias(pattern, target, method = 'GET') {
+        const route = this.routes.find(r => r.method === method && r.pattern === target);
+        if (!route) {
+            throw new Error(`Cannot alias ${pattern}: no ${method} ${target} route`);
+        }
+        const { regex, keys, handler, ...options } = route;
+        return this.add(method, pattern, { ...options, aliasOf: target }, handler);
+    }
+
+    // Returns { route, params } for the first match, or { allowed } listing the methods the path does support
+    match(method, pathname) {
+        const allowed = [];
+
+        for (const route of this.routes) {
+            const found = route.regex.exec(pathname);
+            if (!found) {
+                continue;
+            }
+            // HEAD is answered by GET routes, like most servers do
+            if (route.method === '*' || route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    if (found[index + 1] !== undefined) {
+                        params[key] = decodeURIComponent(found[index + 1]);
+                    }
+                });
+                return { route, params };
+            }
+            allowed.push(route.method);
+        }
+
+        return { route: null, allowed };
+    }
+
+    runMiddleware(req, res, index, done) {
+        if (res.writableEnded) {
+            return Promise.resolve();
+        }
+        // Synchronous throws become rejections so they reach sendError wherever next() was called from
+        try {
+            if (index >= this.middleware.length) {
+                return Promise.resolve(done());
+            }
+            return Promise.resolve(this.middleware[index](req, res, () => this.runMiddleware(req, res, index + 1, done)));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // Sets req.pathname, query and searchParams and returns the match. Anyone can send a URL
+    // that doesn't parse or decode, so that is a 400, not an error of ours
+    parseRequest(req) {
+        req.pathname = req.url.split('?')[0];
+        try {
+            const parsedUrl = new URL(req.url, 'http://localhost');
+            req.pathname = parsedUrl.pathname;
+            req.query = Object.fromEntries(parsedUrl.searchParams);
+            req.searchParams = parsedUrl.searchParams;
+            return this.match(req.method, req.pathname);
+        } catch (error) {
+            if (error instanceof URIError || error instanceof TypeError) {
+                throw new HttpError(400, `Malformed request URL: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    async handle(req, res) {
+        try {
+            // Match first so middleware can see the route (req.route), its options and params
+            const { route, params, allowed } = this.parseRequest(req);
+            req.route = route;
+            req.params = params || {};
+
+            await this.runMiddleware(req, res, 0, async () => {
+                if (!route) {
+                    if (allowed.length > 0) {
+                        res.setHeader('Allow', [...new Set(allowed)].join(', '));
+                        throw new HttpError(405, `Method ${req.method} not allowed for ${req.pathname}`);
+                    }
+                    throw new HttpError(404, 'Not Found');
+                }
+
+                const result = await route.handler(req, res);
+
+                // Handlers may write the response themselves or just return a JSON-able value
+                if (!res.writableEnded && result !== undefined) {
+                    sendJSON(res, 200, result);
+                }
+            });
+        } catch (error) {
+            this.sendError(req, res, error);
+        }
+    }
+
+    sendError(req, res, error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            (req.log || logger).error('Error handling request', { method: req.method, path: req.pathname, error });
+        }
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        // e.g. a throttled Key Vault (KeyVaultUnavailableError) says when to try again
+        if (status === 503 && error.retryAfterMs) {
+            res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+        }
+
+        const body = {
+            success: false,
+            error: error.message,
+            status,
+            path: req.pathname,
+            timestamp: new Date().toISOString()
+        };
+        if (error.details !== undefined) {
+            body.details = error.details;
+        }
+        sendJSON(res, status, body);
+    }
+}
+
+module.exports = {
+    Router,
+    HttpError,
+    jsonBody,
+    sendJSON,
+    sendHTML,
+    compilePath
+};
@@ -0,0 +1,97 @@
+// Audit events for secret reads and writes, recorded where the values are fetched.
+// auditSecretProvider() wraps a provider's get and getVersion (CSI files, environment
+// variables). auditKeyVaultClient() wraps a Key Vault client's getSecret and setSecret, which
+// covers the azure-api provider and the dashboards that use the client directly (versions,
+// rotation, multi-vault). Each event goes to record() with its outcome; the framework adds
+// the caller (see ./request-context).
+
+const { HEALTH_PROBE_SECRET } = require('./secret-providers');
+
+const ACTIONS = {
+    READ: 'READ',
+    READ_VERSION: 'READ_VERSION',
+    WRITE: 'WRITE'
+};
+
+// Records the event after the operation settles, and passes its result or error through.
+// versionOf picks the version that was read or written out of the result, when there is one.
+async function audited(record, event, operation, versionOf = () => undefined) {
+    let result;
+    try {
+        result = await operation();
+    } catch (error) {
+        record({ ...event, outcome: 'failure', error: error.message });
+        throw error;
+    }
+    record({ ...event, version: event.version || versionOf(result), outcome: 'success' });
+    return result;
+}
+
+function readAction(version) {
+    return version && version !== 'latest' ? ACTIONS.READ_VERSION : ACTIONS.READ;
+}
+
+function keyVaultVersion(secret) {
+    return secret && secret.properties ? secret.properties.version : undefined;
+}
+
+// Providers whose reads go through an audited Key Vault client are returned as they are,
+// so nothing is recorded twice
+function auditSecretProvider(provider, record) {
+    if (provider.auditedByClient) {
+        return provider;
+    }
+    return new Proxy(provider, {
+        get(target, property) {
+            const value = target[property];
+            if (property === 'get') {
+                return secretName => audited(record, { action: ACTIONS.READ, secretName, provider: target.name },
+                    () => value.call(target, secretName));
+            }
+            if (property === 'getVersion') {
+                return (secretName, version) => audited(record, {
+                    action: readAction(version),
+                    secretName,
+                    provider: target.name,
+                    version: version || undefined
+                }, () => value.call(target, secretName, version));
+            }
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+// vault: the vault's name, as in VAULT_CONFIG ('default' for KEYVAULT_URL)
+function auditKeyVaultClient(client, { vault, record }) {
+    return new Proxy(client, {
+        get(target, property) {
+            const value = target[property];
+            if (property === 'getSecret') {
+                return (secretName, options = {}) => {
+                    // The deep health check reads a secret that doesn't exist; that is not an access
+                    if (secretName === HEALTH_PROBE_SECRET) {
+                        return value.call(target, secretName, options);
+                    }
+                    return audited(record, {
+                        action: readAction(options.version),
+                        secretName,
+                        provider: 'azure-api',
+                        vault,
+                        version: options.version
+                    }, () => value.call(target, secretName, options), keyVaultVersion);
+                };
+            }
+            if (property === 'setSecret') {
+                return (secretName, secretValue, options) => audited(record, { action: ACTIONS.WRITE, secretName, provider: 'azure-api', vault },
+                    () => value.call(target, secretName, secretValue, options), keyVaultVersion);
+            }
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+module.exports = {
+    auditSecretProvider,
+    auditKeyVaultClient,
+    ACTIONS
+};
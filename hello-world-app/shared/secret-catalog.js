@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shipped next to this module (and flattened into the same ConfigMap by deploy.sh)
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'secret-catalog.json');
+
+// hello-world-secret -> HELLO_WORLD_SECRET
+function defaultEnvVarName(secretName) {
+    return secretName.replace(/[^A-Za-z0-9]/g, '_').toUpperCase();
+}
+
+// The list of secrets every dashboard works with. Each entry maps one logical
+// name to the object name in Key Vault, the env var ESO syncs it into and the
+// file the CSI driver mounts it as, plus validation rules and free-form metadata.
+class SecretCatalog {
+    constructor(entries, source = 'inline') {
+        this.source = source;
+        this.entries = entries.map((entry, index) => this.normalizeEntry(entry, index));
+        this.byName = {};
+
+        this.entries.forEach(entry => {
+            if (this.byName[entry.name]) {
+                throw new Error(`Secret catalog ${this.source}: duplicate secret name '${entry.name}'`);
+            }
+            this.byName[entry.name] = entry;
+        });
+    }
+
+    normalizeEntry(entry, index) {
+        if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+            throw new Error(`Secret catalog ${this.source}: entry ${index} is missing a 'name'`);
+        }
+
+        const rules = { ...(entry.rules || {}) };
+        if (typeof rules.pattern === 'string') {
+            try {
+                rules.pattern = new RegExp(rules.pattern);
+            } catch (error) {
+                throw new Error(`Secret catalog ${this.source}: invalid pattern for '${entry.name}': ${error.message}`);
+            }
+        }
+
+        const cacheTtlSeconds = entry.cacheTtlSeconds !== undefined ? entry.cacheTtlSeconds : null;
+        if (cacheTtlSeconds !== null && !(typeof cacheTtlSeconds === 'number' && cacheTtlSeconds > 0)) {
+            throw new Error(`Secret catalog ${this.source}: cacheTtlSeconds for '${entry.name}' must be a positive number`);
+        }
+
+        return {
+            name: entry.name,
+            keyVaultName: entry.keyVaultName || entry.name,
+            envVar: entry.envVar || defaultEnvVarName(entry.name),
+            csiFile: entry.csiFile || entry.name,
+            cacheTtlSeconds,
+            rules,
+            metadata: entry.metadata || {}
+        };
+    }
+
+    names() {
+        return this.entries.map(entry => entry.name);
+    }
+
+    get(secretName) {
+        return this.byName[secretName] || null;
+    }
+
+    has(secretName) {
+        return !!this.byName[secretName];
+    }
+
+    findByKeyVaultName(keyVaultName) {
+        return this.entries.find(entry => entry.keyVaultName === keyVaultName) || null;
+    }
+
+    // Name lookups fall back to the logical name so ad-hoc secrets outside the catalog still work
+    keyVaultName(secretName) {
+        const entry = this.get(secretName);
+        return entry ? entry.keyVaultName : secretName;
+    }
+
+    envVar(secretName) {
+        const entry = this.get(secretName);
+        return entry ? entry.envVar : defaultEnvVarName(secretName);
+    }
+
+    csiFile(secretName) {
+        const entry = this.get(secretName);
+        return entry ? entry.csiFile : secretName;
+    }
+
+    // How long the secret cache keeps this secret; null means the cache's default
+    cacheTtlMs(secretName) {
+        const entry = this.get(secretName);
+        return entry && entry.cacheTtlSeconds ? entry.cacheTtlSeconds * 1000 : null;
+    }
+
+    rules(secretName) {
+        const entry = this.get(secretName);
+        return entry ? entry.rules : {};
+    }
+
+    metadata(secretName) {
+        const entry = this.get(secretName);
+        return entry ? entry.metadata : {};
+    }
+
+    // { logicalName: rules } for every catalogued secret
+    rulesByName() {
+        return this.entries.reduce((acc, entry) => {
+            acc[entry.name] = entry.rules;
+            return acc;
+        }, {});
+    }
+
+    // { keyVaultName: rules } for dashboards that start from a vault listing
+    rulesByKeyVaultName() {
+        return this.entries.reduce((acc, entry) => {
+            acc[entry.keyVaultName] = entry.rules;
+            return acc;
+        }, {});
+    }
+
+    toJSON() {
+        return {
+            source: this.source,
+            secrets: this.entries.map(entry => ({
+                ...entry,
+                rules: { ...entry.rules, pattern: entry.rules.pattern ? entry.rules.pattern.source : undefined }
+            }))
+        };
+    }
+}
+
+// Load the catalog from SECRET_CATALOG_PATH (or an explicit path) and fail loudly if it is malformed
+function loadSecretCatalog(catalogPath) {
+    const resolvedPath = catalogPath || process.env.SECRET_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+
+    let raw;
+    try {
+        raw = fs.readFileSync(resolvedPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Unable to read secret catalog ${resolvedPath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Secret catalog ${resolvedPath} is not valid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed.secrets;
+    if (!Array.isArray(entries)) {
+        throw new Error(`Secret catalog ${resolvedPath} must be an array or an object with a 'secrets' array`);
+    }
+
+    return new SecretCatalog(entries, resolvedPath);
+}
+
+module.exports = {
+    SecretCatalog,
+    loadSecretCatalog,
+    defaultEnvVarName,
+    DEFAULT_CATALOG_PATH
+};
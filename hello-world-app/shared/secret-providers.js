@@ -0,0 +1,498 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultEnvVarName } = require('./secret-catalog');
+const { logger: defaultLogger } = require('./logger');
+const { isKeyVaultEmulator } = require('./keyvault-client');
+const { isKeyVaultUnavailable } = require('./resilience');
+
+// A secret that should not exist, read by the deep health check
+const HEALTH_PROBE_SECRET = 'health-check-probe';
+
+// Base class for secret sources. Every strategy implements the same five
+// operations so the framework never needs to know where a secret comes from.
+class SecretProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Names of the secrets this provider can serve
+    async list() {
+        throw new Error(`Secret provider '${this.name}' does not support listing secrets`);
+    }
+
+    // Current value of a secret
+    async get(secretName) {
+        throw new Error(`Secret provider '${this.name}' does not support reading secrets`);
+    }
+
+    // Value of a specific version of a secret
+    async getVersion(secretName, version) {
+        if (!version || version === 'latest') {
+            return this.get(secretName);
+        }
+        throw new Error(`Secret provider '${this.name}' does not support secret versions`);
+    }
+
+    // Non-sensitive properties of a secret (version, timestamps, source location...)
+    async getMetadata(secretName) {
+        return { name: secretName, provider: this.name };
+    }
+
+    // Call onChange(secretName) whenever one of secretNames changes (null when the provider
+    // cannot tell which one); returns a function that stops watching.
+    // options.pollInterval: how often a provider that polls looks for changes
+    watch(secretNames, onChange, options = {}) {
+        return () => {};
+    }
+
+    // Checks for /readyz and /api/health/deep as { name: { check, readiness } };
+    // see shared/health.js for what a check returns
+    healthChecks(secretNames) {
+        return {};
+    }
+}
+
+// Secrets Store CSI Driver: one file per secret in the mount directory
+class CSISecretProvider extends SecretProvider {
+    constructor(options = {}) {
+        super('csi');
+        this.logger = options.logger || defaultLogger;
+        this.mountPath = options.mountPath || '/etc/secrets';
+        this.fileNameFor = options.fileNameFor || (secretName => secretName);
+        // Warn in the health report when the mount content is older than this (0 = never)
+        this.maxAgeSeconds = options.maxAgeSeconds || 0;
+    }
+
+    async list() {
+        if (!fs.existsSync(this.mountPath)) {
+            return [];
+        }
+
+        // Skip the ..data / ..<timestamp> entries the kubelet uses for atomic updates
+        return fs.readdirSync(this.mountPath)
+            .filter(file => !file.startsWith('.'))
+            .filter(file => fs.statSync(path.join(this.mountPath, file)).isFile());
+    }
+
+    async get(secretName) {
+        try {
+            const secretPath = path.join(this.mountPath, this.fileNameFor(secretName));
+
+            if (fs.existsSync(secretPath)) {
+                return fs.readFileSync(secretPath, 'utf8').trim();
+            } else {
+                throw new Error(`Secret file not found: ${secretPath}`);
+            }
+        } catch (error) {
+            this.logger.error('Error reading secret from CSI', { secret: secretName, error: error.message });
+            throw error;
+        }
+    }
+
+    async getMetadata(secretName) {
+        const secretPath = path.join(this.mountPath, this.fileNameFor(secretName));
+        const metadata = { name: secretName, provider: this.name, path: secretPath, exists: fs.existsSync(secretPath) };
+
+        if (metadata.exists) {
+            const stats = fs.statSync(secretPath);
+            metadata.size = stats.size;
+            metadata.updatedOn = stats.mtime.toISOString();
+        }
+
+        return metadata;
+    }
+
+    // fs.watch on the mount directory, plus a modification time check every options.pollInterval
+    // for volumes where watch events get lost
+    watch(secretNames, onChange, options = {}) {
+        const stops = [this.watchMount(secretNames, onChange)];
+
+        if (options.pollInterval) {
+            const poll = this.pollModificationTimes(secretNames, onChange);
+            poll();
+            const timer = setInterval(poll, options.pollInterval);
+            stops.push(() => clearInterval(timer));
+        }
+        return () => stops.forEach(stop => stop());
+    }
+
+    watchMount(secretNames, onChange) {
+        if (!fs.existsSync(this.mountPath)) {
+            return () => {};
+        }
+
+        const fileToSecret = {};
+        secretNames.forEach(secretName => {
+            fileToSecret[this.fileNameFor(secretName)] = secretName;
+        });
+
+        const watcher = fs.watch(this.mountPath, { recursive: false }, (eventType, filename) => {
+            if (!filename) {
+                return;
+            }
+            // A ..data swap means every file in the mount may have changed
+            if (filename.startsWith('.')) {
+                onChange(null);
+            } else if (secretNames.length === 0) {
+                onChange(filename);
+            } else if (fileToSecret[filename]) {
+                onChange(fileToSecret[filename]);
+            }
+        });
+
+        return () => watcher.close();
+    }
+
+    // Each call compares the files' modification times with the previous call's.
+    // stat() follows the ..data links, so a swap shows up as newer files
+    pollModificationTimes(secretNames, onChange) {
+        const mtimes = {};
+
+        return () => {
+            secretNames.forEach(secretName => {
+                let mtime;
+                try {
+                    mtime = fs.statSync(path.join(this.mountPath, this.fileNameFor(secretName))).mtimeMs;
+                } catch (error) {
+                    // Not mounted (yet); a file that appears later counts as a change
+                    mtime = null;
+                }
+                if (secretName in mtimes && mtimes[secretName] !== mtime) {
+                    onChange(secretName);
+                }
+                mtimes[secretName] = mtime;
+            });
+        };
+    }
+
+    healthChecks(secretNames) {
+        return {
+            'csi-mount': { readiness: true, check: () => this.checkMount(secretNames) }
+        };
+    }
+
+    // The mount exists and holds every expected file; freshness comes from the ..data
+    // symlink, which the driver swaps whenever it writes new content
+    checkMount(secretNames) {
+        if (!fs.existsSync(this.mountPath)) {
+            return { status: 'fail', message: `Mount path not found: ${this.mountPath}`, mountPath: this.mountPath };
+        }
+
+        const missing = secretNames.filter(secretName => !fs.existsSync(path.join(this.mountPath, this.fileNameFor(secretName))));
+        const dataLink = path.join(this.mountPath, '..data');
+        let updatedAt;
+        if (fs.existsSync(dataLink)) {
+            updatedAt = fs.lstatSync(dataLink).mtime;
+        } else {
+            const times = fs.readdirSync(this.mountPath).map(file => fs.statSync(path.join(this.mountPath, file)).mtime.getTime());
+            updatedAt = times.length > 0 ? new Date(Math.max(...times)) : null;
+        }
+        const ageSeconds = updatedAt ? Math.round((Date.now() - updatedAt.getTime()) / 1000) : null;
+
+        const result = {
+            status: 'pass',
+            mountPath: this.mountPath,
+            files: secretNames.length - missing.length,
+            missing,
+            lastUpdated: updatedAt ? updatedAt.toISOString() : null,
+            ageSeconds
+        };
+        if (missing.length > 0) {
+            return { ...result, status: 'fail', message: `Missing secret files: ${missing.join(', ')}` };
+        }
+        if (this.maxAgeSeconds && ageSeconds > this.maxAgeSeconds) {
+            return { ...result, status: 'warn', message: `Mount content is ${ageSeconds}s old (limit ${this.maxAgeSeconds}s)` };
+        }
+        return result;
+    }
+}
+
+// Direct Azure Key Vault access through a SecretClient owned by the webapp
+class AzureKeyVaultSecretProvider extends SecretProvider {
+    constructor(options = {}) {
+        super('azure-api');
+        this.logger = options.logger || defaultLogger;
+        // Resolved lazily because dashboards (re)create their client after the framework constructor runs
+        this.getClient = options.getClient || (() => options.client || null);
+        this.getVaultUrl = options.getVaultUrl || (() => options.vaultUrl || '');
+        this.getCredential = options.getCredential || (() => options.credential || null);
+        this.objectNameFor = options.objectNameFor || (secretName => secretName);
+        this.pollInterval = options.pollInterval || 30000;
+        // The webapp's Key Vault clients record every read (see ./secret-audit)
+        this.auditedByClient = true;
+    }
+
+    requireClient() {
+        if (!this.getVaultUrl()) {
+            throw new Error('KEYVAULT_URL environment variable is required for Azure API authentication');
+        }
+
+        const client = this.getClient();
+        if (!client) {
+            throw new Error('Azure Key Vault client not initialized. Check the Azure credential environment variables (AZURE_CREDENTIAL_CHAIN, AZURE_TENANT_ID, AZURE_CLIENT_ID...).');
+        }
+        return client;
+    }
+
+    // Translate SDK errors into messages that make sense on the dashboards
+    translateError(secretName, error) {
+        this.logger.error('Error fetching secret from Azure Key Vault', { secret: secretName, error: error.message });
+
+        // Throttling and outages keep their 503 and Retry-After so callers can degrade
+        if (isKeyVaultUnavailable(error)) {
+            return error;
+        } else if (error.code === 'SecretNotFound') {
+            return new Error(`Secret '${secretName}' not found in Key Vault`);
+        } else if (error.code === 'Unauthorized') {
+            return new Error(`Unauthorized to access Key Vault. Check authentication credentials.`);
+        } else if (error.code === 'Forbidden') {
+            return new Error(`Access forbidden to Key Vault. Check permissions.`);
+        } else {
+            return new Error(`Azure Key Vault error: ${error.message}`);
+        }
+    }
+
+    async list() {
+        const client = this.requireClient();
+        const names = [];
+        for await (const properties of client.listPropertiesOfSecrets()) {
+            if (properties.enabled !== false) {
+                names.push(properties.name);
+            }
+        }
+        return names;
+    }
+
+    async get(secretName) {
+        const client = this.requireClient();
+        try {
+            const secret = await client.getSecret(this.objectNameFor(secretName));
+            return secret.value;
+        } catch (error) {
+            throw this.translateError(secretName, error);
+        }
+    }
+
+    async getVersion(secretName, version) {
+        if (!version || version === 'latest') {
+            return this.get(secretName);
+        }
+
+        const client = this.requireClient();
+        try {
+            const secret = await client.getSecret(this.objectNameFor(secretName), { version });
+            return secret.value;
+        } catch (error) {
+            throw this.translateError(secretName, error);
+        }
+    }
+
+    async getMetadata(secretName) {
+        const client = this.requireClient();
+        try {
+            const { properties } = await client.getSecret(this.objectNameFor(secretName));
+            return {
+                name: secretName,
+                provider: this.name,
+                version: properties.version,
+                enabled: properties.enabled,
+                createdOn: properties.createdOn ? properties.createdOn.toISOString() : null,
+                updatedOn: properties.updatedOn ? properties.updatedOn.toISOString() : null,
+                expiresOn: properties.expiresOn ? properties.expiresOn.toISOString() : null,
+                contentType: properties.contentType || null,
+                tags: properties.tags || {}
+            };
+        } catch (error) {
+            throw this.translateError(secretName, error);
+        }
+    }
+
+    // Key Vault has no push notifications, so poll. Each poll is one listing of the secrets'
+    // properties: no values are downloaded and nothing is read, so polls stay out of the audit log
+    watch(secretNames, onChange, options = {}) {
+        const watched = new Map(secretNames.map(secretName => [this.objectNameFor(secretName), secretName]));
+        const knownVersions = {};
+
+        const poll = async () => {
+            try {
+                for await (const properties of this.requireClient().listPropertiesOfSecrets()) {
+                    const secretName = watched.get(properties.name);
+                    if (!secretName) {
+                        continue;
+                    }
+                    // Listings don't always name the version; updatedOn moves with every new one
+                    const version = `${properties.version || ''}@${properties.updatedOn ? properties.updatedOn.getTime() : ''}`;
+                    if (knownVersions[secretName] && knownVersions[secretName] !== version) {
+                        onChange(secretName);
+                    }
+                    knownVersions[secretName] = version;
+                }
+            } catch (error) {
+                // Try again on the next poll
+                this.logger.warn('Unable to check Key Vault for secret changes', { error: error.message });
+            }
+        };
+
+        poll();
+        const timer = setInterval(poll, options.pollInterval || this.pollInterval);
+        return () => clearInterval(timer);
+    }
+
+    healthChecks() {
+        return {
+            'keyvault-client': {
+                readiness: true,
+                check: () => {
+                    this.requireClient();
+                    return { status: 'pass', vaultUrl: this.getVaultUrl() };
+                }
+            },
+            'credential': { check: () => checkCredential(this.getCredential(), this.getVaultUrl()) },
+            'keyvault': { check: () => checkKeyVaultReachable(this.requireClient()) }
+        };
+    }
+}
+
+// Acquire a Key Vault token to prove the credential works; the emulator accepts any token
+async function checkCredential(credential, vaultUrl) {
+    if (isKeyVaultEmulator(vaultUrl)) {
+        return { status: 'pass', emulator: true };
+    }
+    if (!credential) {
+        return { status: 'fail', message: 'No credential configured' };
+    }
+    const token = await credential.getToken('https://vault.azure.net/.default');
+    return {
+        status: 'pass',
+        type: credential.constructor.name,
+        // A CredentialChain also reports which of its sources issued the token
+        ...(typeof credential.describe === 'function' ? credential.describe() : {}),
+        expiresOn: token && token.expiresOnTimestamp ? new Date(token.expiresOnTimestamp).toISOString() : null
+    };
+}
+
+// Read a secret that should not exist: a 404 proves the vault is reachable and accepted
+// our token, without reading any secret value
+async function checkKeyVaultReachable(client) {
+    const startedAt = Date.now();
+    const result = { vaultUrl: client.vaultUrl };
+    try {
+        await client.getSecret(HEALTH_PROBE_SECRET);
+    } catch (error) {
+        const latencyMs = Date.now() - startedAt;
+        if (error.statusCode === 404) {
+            return { ...result, status: 'pass', latencyMs };
+        }
+        if (error.statusCode === 401 || error.statusCode === 403) {
+            return { ...result, status: 'fail', latencyMs, message: `Key Vault rejected the request (${error.statusCode}): ${error.message}` };
+        }
+        return { ...result, status: 'fail', latencyMs, message: `Key Vault unreachable: ${error.message}` };
+    }
+    return { ...result, status: 'pass', latencyMs: Date.now() - startedAt };
+}
+
+// Kubernetes Secret synced into environment variables (ESO, secret sync)
+class EnvironmentSecretProvider extends SecretProvider {
+    constructor(options = {}) {
+        super('environment');
+        this.secretNames = options.secretNames || [];
+        this.env = options.env || process.env;
+        this.missingValue = options.missingValue !== undefined ? options.missingValue : 'Secret not found';
+        this.envVarName = options.envVarFor || defaultEnvVarName;
+    }
+
+    async list() {
+        return this.secretNames.slice();
+    }
+
+    async get(secretName) {
+        return this.env[this.envVarName(secretName)] || this.missingValue;
+    }
+
+    async getMetadata(secretName) {
+        const envVar = this.envVarName(secretName);
+        return { name: secretName, provider: this.name, envVar, present: !!this.env[envVar] };
+    }
+
+    // The operator syncs secrets into the Deployment's env; a missing variable means the sync failed
+    healthChecks(secretNames) {
+        return {
+            'env-vars': {
+                readiness: true,
+                check: () => {
+                    const envVars = secretNames.map(secretName => this.envVarName(secretName));
+                    const missing = envVars.filter(envVar => !this.env[envVar]);
+                    const result = { status: 'pass', present: envVars.length - missing.length, missing };
+                    if (missing.length === envVars.length && envVars.length > 0) {
+                        return { ...result, status: 'fail', message: 'None of the secret environment variables are set' };
+                    }
+                    if (missing.length > 0) {
+                        return { ...result, status: 'warn', message: `Missing environment variables: ${missing.join(', ')}` };
+                    }
+                    return result;
+                }
+            }
+        };
+    }
+}
+
+// Registry of provider factories keyed by secretStrategy name.
+// A factory receives the webapp instance and returns a SecretProvider.
+const providerFactories = {};
+
+function registerSecretProvider(strategy, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Secret provider factory for '${strategy}' must be a function`);
+    }
+    providerFactories[strategy] = factory;
+}
+
+function hasSecretProvider(strategy) {
+    return Object.prototype.hasOwnProperty.call(providerFactories, strategy);
+}
+
+function getRegisteredProviders() {
+    return Object.keys(providerFactories);
+}
+
+function createSecretProvider(strategy, webapp) {
+    if (!hasSecretProvider(strategy)) {
+        throw new Error(`Unknown secret strategy '${strategy}'. Registered strategies: ${getRegisteredProviders().join(', ')}`);
+    }
+    return providerFactories[strategy](webapp);
+}
+
+// Built-in strategies map logical names through the webapp's secret catalog
+registerSecretProvider('csi', webapp => new CSISecretProvider({
+    logger: webapp.logger,
+    mountPath: webapp.SECRETS_MOUNT_PATH,
+    fileNameFor: secretName => webapp.secretCatalog.csiFile(secretName),
+    maxAgeSeconds: webapp.appConfig.get('health.csiMaxAgeSeconds')
+}));
+
+registerSecretProvider('azure-api', webapp => new AzureKeyVaultSecretProvider({
+    logger: webapp.logger,
+    getClient: () => webapp.keyVaultClient,
+    getVaultUrl: () => webapp.KEYVAULT_URL,
+    getCredential: () => webapp.credential,
+    objectNameFor: secretName => webapp.secretCatalog.keyVaultName(secretName)
+}));
+
+registerSecretProvider('environment', webapp => new EnvironmentSecretProvider({
+    secretNames: webapp.secretCatalog.names(),
+    envVarFor: secretName => webapp.secretCatalog.envVar(secretName)
+}));
+
+module.exports = {
+    SecretProvider,
+    CSISecretProvider,
+    AzureKeyVaultSecretProvider,
+    EnvironmentSecretProvider,
+    registerSecretProvider,
+    checkCredential,
+    checkKeyVaultReachable,
+    HEALTH_PROBE_SECRET,
+    hasSecretProvider,
+    getRegisteredProviders,
+    createSecretProvider
+};
@@ -1,410 +1,1177 @@
 const http = require('http');
-const fs = require('fs');
-const path = require('path');
-const url = require('url');
-const { SecretClient } = require('@azure/keyvault-secrets');
-const { ClientSecretCredential } = require('@azure/identity');
+const crypto = require('crypto');
+const { createSecretClient } = require('./keyvault-client');
+const {
+    CSISecretProvider,
+    AzureKeyVaultSecretProvider,
+    registerSecretProvider,
+    hasSecretProvider,
+    getRegisteredProviders,
+    createSecretProvider
+} = require('./secret-providers');
+const { loadSecretCatalog } = require('./secret-catalog');
+const { AppConfig } = require('./config');
+const { Router, HttpError, jsonBody, sendJSON, sendHTML } = require('./router');
+const { buildOpenApi, ref } = require('./openapi');
+const { SCHEMAS } = require('./api-schemas');
+const { explorerPage } = require('./api-explorer');
+const { Authenticator, PERMISSIONS } = require('./auth');
+const { RedactionPolicy } = require('./redaction');
+const { CredentialChain } = require('./credentials');
+const { KeyVaultResilience, isKeyVaultUnavailable } = require('./resilience');
+const { Cache } = require('./cache');
+const { DiskCache } = require('./disk-cache');
+const { MetricsRegistry } = require('./metrics');
+const { HealthChecker } = require('./health');
+const { Lifecycle } = require('./lifecycle');
+const { EventBus, EVENT_TYPES, formatEvent } = require('./events');
+const { logger } = require('./logger');
+const { html } = require('./html');
+const { layout, card, fields } = require('./components');
+const { createNonce, contentSecurityPolicy, withNonce, currentNonce } = require('./csp');
+const { runWithRequest, withCaller } = require('./request-context');
+const { auditSecretProvider, auditKeyVaultClient } = require('./secret-audit');
+
+// /api/health wherever a dashboard registers it, e.g. with its own extra fields or at /health too
+const HEALTH_DOCS = {
+    summary: 'Health summary from the readiness checks',
+    response: ref('Health'),
+    responses: { 503: ref('Health') }
+};
+
+// Fills the live secrets panel from /api/secrets and refetches when the server reports a change
+const SECRETS_PANEL_SCRIPT = `
+        async function fetchSecrets() {
+            try {
+                const response = await fetch('/api/secrets');
+                const data = await response.json();
+
+                if (data.error) {
+                    document.getElementById('error-container').innerHTML =
+                        '<div class="error"><strong>Error:</strong> ' + escapeHtml(data.error) + '</div>';
+                    document.getElementById('error-container').hidden = false;
+                    document.getElementById('secrets-list').textContent = 'Failed to load secrets';
+                } else {
+                    // Stale values are still shown, with a note that Key Vault couldn't be reached
+                    if (data.stale) {
+                        const source = data.degraded.source === 'disk' ? 'restored from the on-disk cache' : 'cached in memory';
+                        document.getElementById('error-container').innerHTML =
+                            '<div class="error"><strong>Key Vault unavailable:</strong> showing stale values ' + source +
+                            ', last read ' + escapeHtml(new Date(data.degraded.valuesFrom).toLocaleString()) + '</div>';
+                    }
+                    document.getElementById('error-container').hidden = !data.stale;
+
+                    let html = '';
+
+                    // Handle versioning dashboard format (data.versions) vs regular format (data.secrets)
+                    const dataToProcess = data.versions || data.secrets || {};
+                    const redaction = data.redaction || {};
+
+                    // Values arrive redacted; secrets the policy lets this user reveal get a button
+                    const revealButton = key => (redaction[key] && redaction[key].revealable)
+                        ? '<button class="reveal-btn" data-action="revealSecret" data-args="' + escapeHtml(JSON.stringify([key])) + '">Reveal</button>'
+                        : '';
+
+                    Object.keys(dataToProcess).forEach(key => {
+                        const value = dataToProcess[key];
+
+                        // If it's an array (versions), show version count and latest value
+                        if (Array.isArray(value) && value.length > 0) {
+                            const latestVersion = value[0]; // First item is newest
+                            html += '<div class="secret-item">' +
+                                '<div class="secret-name">' + escapeHtml(key) + ' <span class="secret-detail">(' + value.length + ' versions)</span></div>' +
+                                '<div class="secret-value">' + escapeHtml(latestVersion.value || 'N/A') + '</div>' +
+                                '<div class="secret-detail">Latest: ' + escapeHtml(latestVersion.createdOn ? new Date(latestVersion.createdOn).toLocaleString() : 'N/A') + '</div>' +
+                                revealButton(key) +
+                            '</div>';
+                        } else if (typeof value === 'string') {
+                            // Regular secret format
+                            html += '<div class="secret-item">' +
+                                '<div class="secret-name">' + escapeHtml(key) + '</div>' +
+                                '<div class="secret-value">' + escapeHtml(value) + '</div>' +
+                                revealButton(key) +
+                            '</div>';
+                        }
+                    });
+                    document.getElementById('secrets-list').innerHTML = html;
+                }
+            } catch (error) {
+                document.getElementById('error-container').innerHTML =
+                    '<div class="error"><strong>Network Error:</strong> ' + escapeHtml(error.message) + '</div>';
+                document.getElementById('error-container').hidden = false;
+            }
+        }
+
+        // Reveals are audited server-side; the next refresh masks the value again
+        async function revealSecret(name) {
+            const button = this;
+            const response = await fetch('/api/secrets/' + encodeURIComponent(name) + '/reveal', { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                alert('Error: ' + data.error);
+                return;
+            }
+            button.parentNode.querySelector('.secret-value').textContent = data.value;
+            button.remove();
+        }
+
+        // Load secrets on page load
+        fetchSecrets();
+
+        // Refetch when the server reports a change; browsers without EventSource poll every 30 seconds
+        const LIVE_EVENTS = ['secret-changed', 'rotation-detected', 'reload-completed'];
+        let refreshTimer = null;
+        function scheduleRefresh() {
+            // Events tend to arrive in bursts (a reload changes several secrets at once)
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(fetchSecrets, 250);
+        }
+
+        function setLiveStatus(connected) {
+            const status = document.getElementById('live-status');
+            status.textContent = connected ? '● Live' : '○ Reconnecting...';
+            status.className = 'live-status' + (connected ? ' connected' : '');
+        }
+
+        if (window.EventSource) {
+            const events = new EventSource('/api/events?types=' + LIVE_EVENTS.join(','));
+            LIVE_EVENTS.forEach(type => events.addEventListener(type, scheduleRefresh));
+            events.onopen = () => setLiveStatus(true);
+            events.onerror = () => setLiveStatus(false);
+        } else {
+            setInterval(fetchSecrets, 30000);
+        }
+`;
 
 class HelloWorldWebapp {
     constructor(config) {
-        this.PORT = process.env.PORT || 3000;
         this.APP_NAME = config.appName || 'Hello World App';
         this.METHOD = config.method || 'Unknown Method';
         this.OPERATOR = config.operator || '';
-        this.SECRETS_MOUNT_PATH = config.secretsMountPath || '/etc/secrets';
-        // Check config first, then environment variable, then empty string
-        this.KEYVAULT_URL = config.keyvaultUrl || process.env.KEYVAULT_URL || '';
+        // Structured logger for this dashboard; request handlers get req.log with the request ID bound
+        this.logger = config.logger || logger.child({ app: this.APP_NAME });
+
+        // Settings from CONFIG_FILE with environment variables on top (see ./config), validated
+        // before anything else starts. Modules created below read them through this env
+        this.appConfig = config.appConfig || AppConfig.fromEnv({ logger: this.logger });
+        const env = this.appConfig.toEnv();
+        if (this.appConfig.sourceOf('logging.level') === 'file') {
+            this.logger.setLevel(this.appConfig.get('logging.level'));
+        }
+
+        this.PORT = this.appConfig.get('server.port');
+        this.SECRETS_MOUNT_PATH = config.secretsMountPath || this.appConfig.get('secrets.mountPath');
+        this.KEYVAULT_URL = config.keyvaultUrl || this.appConfig.get('keyVault.url') || '';
+        
+        // Secrets every dashboard works with (SECRET_CATALOG_PATH or shared/secret-catalog.json)
+        this.secretCatalog = config.secretCatalog ||
+            loadSecretCatalog(config.secretCatalogPath || this.appConfig.get('secrets.catalogPath') || undefined);
         
-        // Caching
-        this.cachedSecrets = {};
-        this.lastCacheTime = 0;
-        this.CACHE_DURATION = 30000; // 30 seconds
+        // Caches listed by /api/cache; dashboards add theirs with createCache()
+        this.caches = new Map();
+        // Secret values: SECRET_CACHE_TTL_MS (default 30s) or the catalog's cacheTtlSeconds per secret.
+        // After a failed read the last good value is served for up to SECRET_CACHE_MAX_STALE_MS.
+        this.secretCache = this.createCache('secrets', {
+            ttlMs: this.appConfig.get('secretCache.ttlMs'),
+            ttlFor: secretName => this.secretCatalog.cacheTtlMs(secretName),
+            maxStaleMs: this.appConfig.get('secretCache.maxStaleMs') || undefined
+        });
+        // Secrets whose last read failed with nothing cached to fall back on { name: message }
+        this.secretErrors = {};
         
         // Secret retrieval strategy
         this.secretStrategy = config.secretStrategy || 'environment';
         
+        // Builds the SDK client for each vault; tests pass a fake with the same methods
+        this.createSecretClient = config.createSecretClient || createSecretClient;
+        // Retries and per-vault circuit breakers for every Key Vault client (KEYVAULT_RETRY_*, KEYVAULT_BREAKER_*)
+        this.resilience = config.resilience || KeyVaultResilience.fromEnv({ logger: this.logger }, env);
+        // Set while getSecrets() serves stale values because the provider is failing
+        this.degraded = null;
+        
         // Initialize Azure Key Vault client if using azure-api strategy
         if (this.secretStrategy === 'azure-api') {
             this.initializeAzureKeyVaultClient();
         }
-    }
-
-    // Get secrets based on strategy
-    async getSecrets() {
-        const now = Date.now();
         
-        // Return cached secrets if still valid
-        if (now - this.lastCacheTime < this.CACHE_DURATION && Object.keys(this.cachedSecrets).length > 0) {
-            return this.cachedSecrets;
-        }
+        // A provider instance in config wins over the strategy registry. Every read is audited
+        this.secretProvider = this.auditedProvider(config.secretProvider || this.resolveSecretProvider(this.secretStrategy));
         
-        const secrets = {};
+        // Authentication and roles (AUTH_* environment variables); disabled unless AUTH_ENABLED=true
+        this.auth = config.auth instanceof Authenticator ? config.auth : Authenticator.fromEnv(config.auth, env);
         
-        try {
-            switch (this.secretStrategy) {
-                case 'csi':
-                    secrets['hello-world-secret'] = this.getSecretFromCSI('hello-world-secret');
-                    secrets['database-password'] = this.getSecretFromCSI('database-password');
-                    secrets['api-key'] = this.getSecretFromCSI('api-key');
-                    break;
-                case 'azure-api':
-                    secrets['hello-world-secret'] = await this.getSecretFromAzureKeyVault('hello-world-secret');
-                    secrets['database-password'] = await this.getSecretFromAzureKeyVault('database-password');
-                    secrets['api-key'] = await this.getSecretFromAzureKeyVault('api-key');
-                    break;
-                case 'environment':
-                default:
-                    secrets['hello-world-secret'] = process.env.HELLO_WORLD_SECRET || 'Secret not found';
-                    secrets['database-password'] = process.env.DATABASE_PASSWORD || 'Secret not found';
-                    secrets['api-key'] = process.env.API_KEY || 'Secret not found';
-                    break;
+        // Origins allowed to call the APIs from a browser; '*' only while auth is disabled
+        this.corsAllowedOrigins = config.corsAllowedOrigins || this.configuredCorsOrigins();
+        
+        // How secret values appear in responses, per secret and role (REDACTION_POLICY_FILE)
+        this.redaction = config.redaction instanceof RedactionPolicy
+            ? config.redaction
+            : RedactionPolicy.fromEnv(config.redactionPolicy, env);
+        
+        // Prometheus metrics served on /metrics; dashboards register their own in their constructors
+        this.metrics = config.metrics || new MetricsRegistry();
+        this.lastFetchTimes = {};
+        this.registerBaseMetrics();
+        
+        // Dependency checks behind /readyz and /api/health/deep (HEALTH_* environment variables)
+        this.health = config.health || HealthChecker.fromEnv({ logger: this.logger }, env);
+        this.startedAt = Date.now();
+        
+        // Servers, timers and watchers, drained on SIGTERM (SHUTDOWN_* environment variables).
+        // Dashboards use this.lifecycle.setInterval / addWatcher so nothing outlives shutdown
+        this.lifecycle = config.lifecycle || Lifecycle.fromEnv({ logger: this.logger }, env);
+        
+        // Live updates pushed to pages over /api/events; fingerprints detect changed values
+        this.events = config.events || new EventBus({ logger: this.logger });
+        // Every secret read from the provider, background refreshes included
+        this.secretCache.on('load', ({ key, background }) => this.events.publish('cache-refreshed', {
+            secrets: [key],
+            provider: this.secretProvider.name || this.secretStrategy,
+            background
+        }));
+        this.secretFingerprints = {};
+        this.eventStreams = new Set();
+        // Streams never finish on their own, so end them before the server drains
+        this.lifecycle.addCleanup(() => this.eventStreams.forEach(res => res.end()));
+
+        // Encrypted copy of the secret cache on disk (SECRET_DISK_CACHE_*), so a restart during
+        // a provider outage starts from the last known values; off unless a path is set
+        this.diskCache = config.diskCache !== undefined
+            ? config.diskCache
+            : DiskCache.fromEnv({ logger: this.logger, context: this.APP_NAME }, env);
+        if (this.diskCache) {
+            this.restoreFromDisk();
+        }
+
+        // Reloadable settings apply when the file changes; the rest wait for a restart
+        this.appConfig.on('change', ({ changed }) => this.applyConfigChanges(changed));
+        this.appConfig.watch(this.lifecycle);
+    }
+
+    // CORS_ALLOWED_ORIGINS as a list, or null when unset
+    configuredCorsOrigins() {
+        const origins = this.appConfig.get('server.corsAllowedOrigins');
+        return origins.length > 0 ? origins : null;
+    }
+
+    // Applies reloaded settings (keys from ./config marked reloadable). Dashboards with their own
+    // reloadable settings override this and call super
+    applyConfigChanges(changed) {
+        if (changed.includes('logging.level')) {
+            this.logger.setLevel(this.appConfig.get('logging.level'));
+        }
+        if (changed.includes('server.corsAllowedOrigins')) {
+            this.corsAllowedOrigins = this.configuredCorsOrigins();
+        }
+        // New TTLs apply from each entry's next load
+        if (changed.includes('secretCache.ttlMs')) {
+            this.secretCache.ttlMs = this.appConfig.get('secretCache.ttlMs');
+        }
+        if (changed.includes('secretCache.maxStaleMs')) {
+            this.secretCache.maxStaleMs = this.appConfig.get('secretCache.maxStaleMs') || Infinity;
+        }
+    }
+
+    // Seeds the secret cache from the disk cache, degraded until the provider answers, and
+    // keeps the file up to date with every value read from the provider
+    restoreFromDisk() {
+        const restored = this.diskCache.restoreInto(this.secretCache);
+        restored.forEach(secretName => this.logger.addSecretValue(secretName, this.secretCache.peek(secretName).value));
+        this.secretCache.on('load', () => this.diskCache.scheduleWrite(this.secretCache));
+        this.lifecycle.onShutdown('disk-cache', () => this.diskCache.flush(this.secretCache));
+
+        if (restored.length > 0) {
+            this.updateDegraded(restored);
+            // Read the provider right away rather than on the first request; getSecrets logs its own failures
+            this.lifecycle.setTimeout(() => this.getSecrets().catch(() => {}), 0);
+        }
+    }
+
+    registerBaseMetrics() {
+        this.metrics.gauge('webapp_info', 'Dashboard identity, always 1', { labelNames: ['app', 'method', 'strategy'] })
+            .set({ app: this.APP_NAME, method: this.METHOD, strategy: this.secretStrategy }, 1);
+
+        this.metrics.counter('http_requests_total', 'HTTP requests by route pattern, method and status', {
+            labelNames: ['route', 'method', 'status']
+        });
+        this.metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route pattern', {
+            labelNames: ['route', 'method']
+        });
+
+        // Mirrored from each cache's stats on scrape
+        const cacheCounter = (name, help, stat) => this.metrics.counter(name, help, {
+            labelNames: ['cache'],
+            collect: counter => this.caches.forEach(cache => counter.set({ cache: cache.name }, cache.counters[stat]))
+        });
+        cacheCounter('secret_cache_hits_total', 'Lookups answered from a cache', 'hits');
+        cacheCounter('secret_cache_misses_total', 'Lookups that had to load (missing or expired entry)', 'misses');
+        cacheCounter('secret_cache_coalesced_total', 'Lookups that joined a load already in flight', 'coalesced');
+        cacheCounter('secret_cache_background_refreshes_total', 'Refreshes started before an entry expired', 'backgroundRefreshes');
+        cacheCounter('secret_cache_stale_served_total', 'Failed loads answered with the last good value', 'staleServed');
+        this.metrics.gauge('secret_cache_entries', 'Entries per cache', {
+            labelNames: ['cache'],
+            collect: gauge => this.caches.forEach(cache => gauge.set({ cache: cache.name }, cache.entries.size))
+        });
+
+        this.metrics.histogram('secret_fetch_duration_seconds', 'Time to read one secret from its provider', {
+            labelNames: ['secret', 'provider']
+        });
+        this.metrics.counter('secret_fetch_errors_total', 'Failed secret reads by secret and provider', {
+            labelNames: ['secret', 'provider']
+        });
+        this.metrics.gauge('secret_last_fetch_age_seconds', 'Seconds since each secret was last read successfully', {
+            labelNames: ['secret'],
+            collect: gauge => {
+                const now = Date.now();
+                Object.entries(this.lastFetchTimes).forEach(([secret, time]) => gauge.set({ secret }, (now - time) / 1000));
             }
-            
-            // Cache the secrets
-            this.cachedSecrets = secrets;
-            this.lastCacheTime = now;
-            
-            return secrets;
+        });
+        this.metrics.counter('keyvault_retries_total', 'Key Vault requests retried, by vault and reason (throttled, server-error, timeout, network)', {
+            labelNames: ['vault', 'reason']
+        });
+        this.metrics.counter('keyvault_circuit_rejections_total', 'Key Vault calls refused while the vault\'s circuit breaker was open', {
+            labelNames: ['vault']
+        });
+        this.metrics.gauge('keyvault_circuit_state', 'Circuit breaker state per vault: 0 closed, 1 half-open, 2 open', {
+            labelNames: ['vault'],
+            collect: gauge => {
+                const states = { 'closed': 0, 'half-open': 1, 'open': 2 };
+                Object.entries(this.resilience.describe()).forEach(([vault, circuit]) => gauge.set({ vault }, states[circuit.state]));
+            }
+        });
+        this.resilience.on('retry', ({ vault, reason }) => this.metrics.get('keyvault_retries_total').inc({ vault, reason }));
+        this.resilience.on('rejected', ({ vault }) => this.metrics.get('keyvault_circuit_rejections_total').inc({ vault }));
+        this.metrics.gauge('secrets_degraded', '1 while getSecrets() serves stale values because the provider is failing', {
+            collect: gauge => gauge.set({}, this.degraded ? 1 : 0)
+        });
+        this.metrics.gauge('secret_disk_cache_last_write_timestamp_seconds', 'When the on-disk secret cache was last written', {
+            collect: gauge => {
+                if (this.diskCache && this.diskCache.lastWrite) {
+                    gauge.set({}, Date.parse(this.diskCache.lastWrite.at) / 1000);
+                }
+            }
+        });
+        this.metrics.gauge('event_stream_clients', 'Open /api/events connections', {
+            collect: gauge => gauge.set({}, this.eventStreams.size)
+        });
+    }
+
+    // Every provider read goes through here: it is timed for the fetch metrics (failures are
+    // counted and rethrown) and the value is registered so the logger scrubs it from every line
+    async fetchSecret(secretName, providerName, fetch) {
+        const labels = { secret: secretName, provider: providerName };
+        const startedAt = process.hrtime.bigint();
+        try {
+            const result = await fetch();
+            this.lastFetchTimes[secretName] = Date.now();
+            // Providers return the value; the SDK returns a KeyVaultSecret with .value
+            const value = result && typeof result === 'object' ? result.value : result;
+            this.logger.addSecretValue(secretName, value);
+            this.detectSecretChange(secretName, providerName, value);
+            return result;
         } catch (error) {
-            console.error('Error fetching secrets:', error);
+            this.metrics.get('secret_fetch_errors_total').inc(labels);
             throw error;
+        } finally {
+            this.metrics.get('secret_fetch_duration_seconds').observeSince(labels, startedAt);
         }
     }
 
-    // CSI Driver secret retrieval
-    getSecretFromCSI(secretName) {
-        try {
-            const secretPath = path.join(this.SECRETS_MOUNT_PATH, secretName);
-            
-            if (fs.existsSync(secretPath)) {
-                const secretValue = fs.readFileSync(secretPath, 'utf8').trim();
-                return secretValue;
+    // Logical secret names from the catalog
+    getSecretNames() {
+        return this.secretCatalog.names();
+    }
+
+    // Publishes secret-changed when a value differs from the previous read of the same secret and provider.
+    // Only a hash is kept, and the event carries no value.
+    detectSecretChange(secretName, providerName, value) {
+        if (typeof value !== 'string') {
+            return;
+        }
+        const key = `${providerName}/${secretName}`;
+        const fingerprint = crypto.createHash('sha256').update(value).digest('hex');
+        const previous = this.secretFingerprints[key];
+        this.secretFingerprints[key] = fingerprint;
+        if (previous && previous !== fingerprint) {
+            this.events.publish('secret-changed', { secret: secretName, provider: providerName });
+        }
+    }
+
+    // Resolve the provider for a strategy from the registry.
+    // Unknown strategies fall back to environment variables, as before the registry existed.
+    resolveSecretProvider(strategy) {
+        if (!hasSecretProvider(strategy)) {
+            this.logger.error(`Unknown secret strategy '${strategy}', falling back to 'environment'`, { registeredStrategies: getRegisteredProviders() });
+            strategy = 'environment';
+        }
+        return createSecretProvider(strategy, this);
+    }
+
+    auditedProvider(provider) {
+        return auditSecretProvider(provider, event => this.recordSecretAccess(event));
+    }
+
+    // A cache registered for /api/cache and the cache metrics; options as for Cache (./cache)
+    createCache(name, options = {}) {
+        const cache = new Cache({ logger: this.logger, ...options, name });
+        this.caches.set(name, cache);
+        return cache;
+    }
+
+    // Every catalog secret from the configured provider, through the secret cache. Secrets are
+    // read in parallel; one that fails with nothing cached is left out (see secretErrors) and
+    // only a failure of every secret is thrown. options.refresh skips the cached values.
+    async getSecrets(options = {}) {
+        const providerName = this.secretProvider.name || this.secretStrategy;
+        const names = this.getSecretNames();
+        const results = await Promise.allSettled(names.map(secretName => this.secretCache.get(secretName,
+            () => this.fetchSecret(secretName, providerName, () => this.secretProvider.get(secretName)),
+            { refresh: options.refresh })));
+
+        const secrets = {};
+        const errors = {};
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                secrets[names[index]] = result.value;
             } else {
-                throw new Error(`Secret file not found: ${secretPath}`);
+                errors[names[index]] = result.reason;
             }
-        } catch (error) {
-            console.error(`Error reading secret '${secretName}' from CSI:`, error.message);
+        });
+        this.secretErrors = Object.fromEntries(Object.entries(errors).map(([name, error]) => [name, error.message]));
+        this.updateDegraded(names);
+
+        if (names.length > 0 && Object.keys(secrets).length === 0) {
+            const error = errors[names[0]];
+            this.logger.error('Error fetching secrets', { error });
             throw error;
         }
+        if (Object.keys(errors).length > 0) {
+            this.logger.warn('Some secrets could not be read', { errors: this.secretErrors });
+        }
+        return secrets;
+    }
+
+    findCache(name) {
+        const cache = this.caches.get(name);
+        if (!cache) {
+            throw new HttpError(404, `Unknown cache '${name}'`, { caches: [...this.caches.keys()] });
+        }
+        return cache;
+    }
+
+    // Age in ms of the oldest cached value among names (0 when none is cached)
+    secretCacheAge(names) {
+        return names.reduce((oldest, secretName) => {
+            const entry = this.secretCache.peek(secretName);
+            return entry ? Math.max(oldest, entry.ageMs) : oldest;
+        }, 0);
+    }
+
+    // Tracks whether stale values are being served, for /api/secrets, the health check and metrics.
+    // source is 'disk' while any of them was restored from the disk cache, otherwise 'memory'
+    updateDegraded(names) {
+        const stale = names
+            .map(secretName => ({ secretName, entry: this.secretCache.peek(secretName) }))
+            .filter(({ entry }) => entry && entry.stale);
+        if (stale.length > 0) {
+            // Restored values have no error until the provider was tried
+            const reason = stale.map(({ entry }) => entry.lastError).find(Boolean) || 'Not read from the provider since the restart';
+            if (!this.degraded) {
+                this.degraded = { since: new Date().toISOString() };
+                this.logger.warn('Secret provider failing, serving stale secrets', { secrets: stale.map(s => s.secretName), error: reason });
+            }
+            this.degraded.reason = reason;
+            this.degraded.source = stale.some(({ entry }) => entry.restored) ? 'disk' : 'memory';
+            this.degraded.secrets = stale.map(({ secretName }) => secretName);
+            // When the oldest value served was read from the provider
+            this.degraded.valuesFrom = new Date(Date.now() - Math.max(...stale.map(({ entry }) => entry.ageMs))).toISOString();
+        } else if (this.degraded) {
+            this.logger.info('Secret provider available again, serving fresh secrets', { degradedSince: this.degraded.since });
+            this.degraded = null;
+        }
+    }
+
+    // Every value that leaves the server goes through one of these two
+    redactSecret(secretName, value, user) {
+        return this.redaction.redact(secretName, value, user);
+    }
+
+    redactSecrets(secrets, user) {
+        return this.redaction.redactSecrets(secrets, user);
+    }
+
+    // { name: { mode, revealable } } so pages know which values they may offer to reveal
+    describeRedaction(secrets, user) {
+        return this.redaction.describe(Object.keys(secrets).filter(name => !name.startsWith('_')), user);
+    }
+
+    // Value returned by the reveal endpoint; dashboards with other sources (e.g. versions) override this
+    async getRevealValue(secretName, req) {
+        const secrets = await this.getSecrets();
+        return secrets[secretName];
+    }
+
+    // Security-relevant events such as reveals; the audit dashboard also keeps them in its access log
+    recordAudit(entry) {
+        this.logger.info('audit event', { audit: entry });
+    }
+
+    // A secret read or written by a provider or a Key Vault client (see ./secret-audit), with
+    // the request and user behind it. Dashboards that read mounted files themselves call it too
+    recordSecretAccess(event) {
+        this.recordAudit(withCaller({ source: 'provider', ...event }));
+    }
+
+    // CSI Driver secret retrieval
+    getSecretFromCSI(secretName) {
+        const provider = this.secretProvider instanceof CSISecretProvider
+            ? this.secretProvider
+            : this.auditedProvider(createSecretProvider('csi', this));
+        return provider.get(secretName);
+    }
+
+    // The Azure credential chain (AZURE_CREDENTIAL_CHAIN), created once and shared by every Key Vault client;
+    // null when no source in the chain is configured
+    getCredential() {
+        if (this.credential === undefined) {
+            const clientSecret = this.appConfig.get('azure.clientSecret');
+            if (clientSecret) {
+                this.logger.addSecretValue('azure-client-secret', clientSecret);
+            }
+            try {
+                const chain = CredentialChain.fromEnv({ logger: this.logger }, this.appConfig.toEnv());
+                if (chain.configured().length === 0) {
+                    throw new Error(`No Azure credential configured. ${chain.describeMissing()}`);
+                }
+                this.credential = chain;
+            } catch (error) {
+                this.logger.error('Failed to set up Azure credentials', { error: error.message });
+                this.credential = null;
+            }
+        }
+        return this.credential;
     }
 
-    // Initialize Azure Key Vault client
+    // SecretClient for one vault with retries and the vault's circuit breaker (see ./resilience).
+    // The SDK's own retries are off so a throttled request isn't retried twice over.
+    createKeyVaultClient(vaultUrl, vaultName = 'default') {
+        const credential = this.getCredential();
+        const client = this.createSecretClient(vaultUrl, credential, { retryOptions: { maxRetries: 0 } });
+        this.resilience.breakerFor(vaultName);
+        // Audited outside the retries, so a read that took three attempts is one event
+        return auditKeyVaultClient(this.resilience.wrap(client, vaultName), {
+            vault: vaultName,
+            record: event => this.recordSecretAccess(event)
+        });
+    }
+
+    // Key Vault client for KEYVAULT_URL; leaves keyVaultClient null when the URL or credentials are missing
     initializeAzureKeyVaultClient() {
+        this.keyVaultClient = null;
+        if (!this.KEYVAULT_URL) {
+            this.logger.error('Failed to initialize Azure Key Vault client', { error: 'KEYVAULT_URL is not set' });
+            return null;
+        }
+        const credential = this.getCredential();
+        if (!credential) {
+            return null;
+        }
         try {
-            
-            // Use Service Principal authentication via ClientSecretCredential
-            // Requires AZURE_TENANT_ID, AZURE_CLIENT_ID, and AZURE_CLIENT_SECRET environment variables
-            const tenantId = process.env.AZURE_TENANT_ID;
-            const clientId = process.env.AZURE_CLIENT_ID;
-            const clientSecret = process.env.AZURE_CLIENT_SECRET;
-            
-            if (!tenantId || !clientId || !clientSecret) {
-                throw new Error('Missing required environment variables: AZURE_TENANT_ID, AZURE_CLIENT_ID, or AZURE_CLIENT_SECRET');
-            }
-            
-            const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
-            this.keyVaultClient = new SecretClient(this.KEYVAULT_URL, credential);
-            
+            this.keyVaultClient = this.createKeyVaultClient(this.KEYVAULT_URL);
+            this.logger.info('Azure Key Vault client initialized', {
+                keyVaultUrl: this.KEYVAULT_URL,
+                credentials: credential.configured().map(entry => entry.name)
+            });
         } catch (error) {
-            console.error('Failed to initialize Azure Key Vault client:', error);
-            this.keyVaultClient = null;
+            this.logger.error('Failed to initialize Azure Key Vault client', { error });
         }
+        return this.keyVaultClient;
+    }
+
+    // "Workload identity (...)" once a token was issued, otherwise the configured sources in order
+    describeCredential() {
+        const credential = this.credential;
+        if (!credential) {
+            return 'Not configured';
+        }
+        const { activeDescription } = credential.describe();
+        return activeDescription || `Credential chain: ${credential.configured().map(entry => entry.name).join(' → ')}`;
     }
 
     // Azure Key Vault secret retrieval
     async getSecretFromAzureKeyVault(secretName) {
-        if (!this.KEYVAULT_URL || this.KEYVAULT_URL === '') {
-            throw new Error('KEYVAULT_URL environment variable is required for Azure API authentication');
-        }
-        
+        const provider = this.secretProvider instanceof AzureKeyVaultSecretProvider
+            ? this.secretProvider
+            : createSecretProvider('azure-api', this);
+        return provider.get(secretName);
+    }
+
+    // Every enabled secret in KEYVAULT_URL's vault as { name, value, properties }, catalogued or
+    // not. A secret that can't be read is skipped; Key Vault being unavailable is thrown so
+    // callers keep their previous results instead of an empty list
+    async getAllSecretsWithProperties() {
+        const secrets = [];
         if (!this.keyVaultClient) {
-            throw new Error('Azure Key Vault client not initialized. Check AZURE_TENANT_ID, AZURE_CLIENT_ID, and AZURE_CLIENT_SECRET environment variables.');
+            return secrets;
         }
-        
         try {
-            
-            const secret = await this.keyVaultClient.getSecret(secretName);
-            return secret.value;
+            for await (const secretProperties of this.keyVaultClient.listPropertiesOfSecrets()) {
+                if (secretProperties.enabled !== false) {
+                    try {
+                        const secret = await this.keyVaultClient.getSecret(secretProperties.name);
+                        secrets.push({
+                            name: secretProperties.name,
+                            value: secret.value,
+                            properties: secret.properties
+                        });
+                    } catch (err) {
+                        if (isKeyVaultUnavailable(err)) {
+                            throw err;
+                        }
+                        this.logger.warn('Failed to get secret', { secret: secretProperties.name, error: err.message });
+                    }
+                }
+            }
         } catch (error) {
-            console.error(`Error fetching secret '${secretName}' from Azure Key Vault:`, error.message);
-            
-            // Provide more specific error messages
-            if (error.code === 'SecretNotFound') {
-                throw new Error(`Secret '${secretName}' not found in Key Vault`);
-            } else if (error.code === 'Unauthorized') {
-                throw new Error(`Unauthorized to access Key Vault. Check authentication credentials.`);
-            } else if (error.code === 'Forbidden') {
-                throw new Error(`Access forbidden to Key Vault. Check permissions.`);
-            } else {
-                throw new Error(`Azure Key Vault error: ${error.message}`);
+            if (isKeyVaultUnavailable(error)) {
+                throw error;
             }
+            this.logger.error('Error listing secrets', { error });
         }
+        return secrets;
     }
 
-    // Generate HTML interface
+    // Default page: the header and the live secrets panel
     getHTML() {
-        const badgeHtml = this.OPERATOR ? `<span class="redhat-badge">${this.OPERATOR}</span>` : '';
-        const methodDetails = this.getMethodDetails();
-        
-        return `<!DOCTYPE html>
-<html>
-<head>
-    <title>${this.APP_NAME}</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
-        .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .header { text-align: center; color: #333; margin-bottom: 30px; }
-        .method { background: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        .secret-item { background: #f8f9fa; padding: 10px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #4caf50; }
-        .secret-name { font-weight: bold; color: #2e7d32; }
-        .secret-value { font-family: monospace; background: #263238; color: #4caf50; padding: 5px; border-radius: 3px; margin-top: 5px; }
-        .error { background: #ffebee; color: #c62828; padding: 15px; border-radius: 5px; border-left: 4px solid #f44336; }
-        .refresh-btn { background: #4caf50; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; margin: 10px 0; }
-        .refresh-btn:hover { background: #388e3c; }
-        .redhat-badge { background: #ee0000; color: white; padding: 5px 10px; border-radius: 3px; font-size: 12px; font-weight: bold; }
-    </style>
-</head>
-<body>
-    <div class="container">
+        return this.renderPage();
+    }
+
+    // Dashboards compose their pages from components (./components) placed in slots:
+    // 'before' and 'after' go around the live secrets panel, 'main' replaces the panel and its
+    // script. styles, scripts and data are passed through to layout()
+    renderPage(page = {}) {
+        const secretsPanel = page.main === undefined;
+        // The secrets panel says so itself once it has loaded
+        const degradedBanner = !secretsPanel && this.degraded && this.renderDegradedBanner();
+        return layout({
+            title: this.APP_NAME,
+            wide: page.wide,
+            styles: page.styles,
+            data: page.data,
+            header: page.header || this.renderHeader(),
+            main: [degradedBanner, page.before, secretsPanel ? this.renderSecretsPanel() : page.main, page.after],
+            footer: page.footer,
+            nonce: currentNonce(),
+            scripts: [...(secretsPanel ? [SECRETS_PANEL_SCRIPT] : []), ...(page.scripts || [])]
+        });
+    }
+
+    renderHeader() {
+        return html`
         <div class="header">
             <h1>${this.APP_NAME}</h1>
-            <h2>${this.METHOD} ${badgeHtml}</h2>
+            <h2>${this.METHOD} ${this.OPERATOR && html`<span class="redhat-badge">${this.OPERATOR}</span>`}</h2>
             <p>This application consumes secrets from Azure Key Vault via ${this.METHOD}</p>
         </div>
-        
+
         <div class="method">
             <h3>🔑 Secret Access Method</h3>
-            ${methodDetails}
-        </div>
-        
+            ${this.getMethodDetails()}
+        </div>`;
+    }
+
+    renderDegradedBanner() {
+        const { source, valuesFrom, reason } = this.degraded;
+        return card({ title: '⚠️ Serving stale secrets', variant: 'warning' }, html`
+            <p>The secret provider can't be reached (${reason}). Values ${source === 'disk' ? 'restored from the on-disk cache' : 'cached in memory'}
+            are shown, the oldest read at ${new Date(valuesFrom).toLocaleString()}.</p>`);
+    }
+
+    renderSecretsPanel() {
+        return html`
         <div id="secrets-container">
             <h3>[*] Live Secrets</h3>
             <div id="secrets-list">Loading secrets...</div>
-            <button class="refresh-btn" onclick="refreshSecrets()">[REFRESH] Refresh Secrets</button>
+            <button class="refresh-btn" data-action="fetchSecrets">[REFRESH] Refresh Secrets</button>
+            <span id="live-status" class="live-status"></span>
         </div>
-        
-        <div id="error-container" style="display: none;"></div>
-    </div>
-    
-    <script>
-        async function fetchSecrets() {
-            try {
-                const response = await fetch('/api/secrets');
-                const data = await response.json();
-                
-                if (data.error) {
-                    document.getElementById('error-container').innerHTML = 
-                        '<div class="error"><strong>Error:</strong> ' + data.error + '</div>';
-                    document.getElementById('error-container').style.display = 'block';
-                    document.getElementById('secrets-list').innerHTML = 'Failed to load secrets';
-                } else {
-                    document.getElementById('error-container').style.display = 'none';
-                    
-                    let html = '';
-                    
-                    // Handle versioning dashboard format (data.versions) vs regular format (data.secrets)
-                    const dataToProcess = data.versions || data.secrets || {};
-                    
-                    Object.keys(dataToProcess).forEach(key => {
-                        const value = dataToProcess[key];
-                        
-                        // If it's an array (versions), show version count and latest value
-                        if (Array.isArray(value) && value.length > 0) {
-                            const latestVersion = value[0]; // First item is newest
-                            html += '<div class="secret-item">' +
-                                '<div class="secret-name">' + key + ' <span style="color: #666; font-size: 0.8em;">(' + value.length + ' versions)</span></div>' +
-                                '<div class="secret-value">' + (latestVersion.value || 'N/A') + '</div>' +
-                                '<div style="font-size: 0.8em; color: #666; margin-top: 5px;">Latest: ' + (latestVersion.createdOn ? new Date(latestVersion.createdOn).toLocaleString() : 'N/A') + '</div>' +
-                            '</div>';
-                        } else if (typeof value === 'string') {
-                            // Regular secret format
-                            html += '<div class="secret-item">' +
-                                '<div class="secret-name">' + key + '</div>' +
-                                '<div class="secret-value">' + value + '</div>' +
-                            '</div>';
-                        }
-                    });
-                    document.getElementById('secrets-list').innerHTML = html;
-                }
-            } catch (error) {
-                document.getElementById('error-container').innerHTML = 
-                    '<div class="error"><strong>Network Error:</strong> ' + error.message + '</div>';
-                document.getElementById('error-container').style.display = 'block';
-            }
-        }
-        
-        function refreshSecrets() {
-            fetchSecrets();
-        }
-        
-        // Load secrets on page load
-        fetchSecrets();
-        
-        // Auto-refresh every 30 seconds
-        setInterval(fetchSecrets, 30000);
-    </script>
-</body>
-</html>`;
-    }
 
-    // Generate base HTML without the secrets container (for custom dashboards)
-    getBaseHTML() {
-        const badgeHtml = this.OPERATOR ? `<span class="redhat-badge">${this.OPERATOR}</span>` : '';
-        const methodDetails = this.getMethodDetails();
-        
-        return `<!DOCTYPE html>
-<html>
-<head>
-    <title>${this.APP_NAME}</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
-        .container { max-width: 800px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        .header { text-align: center; color: #333; margin-bottom: 30px; }
-        .method { background: #e8f5e8; padding: 15px; border-radius: 5px; margin: 20px 0; }
-        .secret-item { background: #f8f9fa; padding: 10px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #4caf50; }
-        .secret-name { font-weight: bold; color: #2e7d32; }
-        .secret-value { font-family: monospace; background: #263238; color: #4caf50; padding: 5px; border-radius: 3px; margin-top: 5px; }
-        .error { background: #ffebee; color: #c62828; padding: 15px; border-radius: 5px; border-left: 4px solid #f44336; }
-        .refresh-btn { background: #4caf50; color: white; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; margin: 10px 0; }
-        .refresh-btn:hover { background: #388e3c; }
-        .redhat-badge { background: #ee0000; color: white; padding: 5px 10px; border-radius: 3px; font-size: 12px; font-weight: bold; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>${this.APP_NAME}</h1>
-            <h2>${this.METHOD} ${badgeHtml}</h2>
-            <p>This application consumes secrets from Azure Key Vault via ${this.METHOD}</p>
-        </div>
-        
-        <div class="method">
-            <h3>🔑 Secret Access Method</h3>
-            ${methodDetails}
-        </div>
-        
-        <div id="error-container" style="display: none;"></div>
-    </div>
-    
-    <script>
-        // Custom dashboards can override this function
-        function refreshSecrets() {
-            // Override in custom dashboard
-        }
-        
-        // Custom dashboards can override this function
-        function fetchSecrets() {
-            // Override in custom dashboard
-        }
-    </script>
-</body>
-</html>`;
+        <div id="error-container" hidden></div>`;
     }
 
     getMethodDetails() {
         switch (this.secretStrategy) {
             case 'csi':
-                return `
-                    <p><strong>Method:</strong> Secrets Store CSI Driver</p>
-                    <p><strong>Mount Path:</strong> ${this.SECRETS_MOUNT_PATH}</p>
-                    <p><strong>Authentication:</strong> Service Principal via nodePublishSecretRef</p>
-                    <p><strong>Cache Duration:</strong> 30 seconds</p>
-                `;
+                return fields([
+                    ['Method', 'Secrets Store CSI Driver'],
+                    ['Mount Path', this.SECRETS_MOUNT_PATH],
+                    ['Authentication', 'Service Principal via nodePublishSecretRef'],
+                    ['Cache Duration', `${this.secretCache.ttlMs / 1000} seconds`]
+                ]);
             case 'azure-api':
-                return `
-                    <p><strong>Method:</strong> Direct Azure Key Vault API</p>
-                    <p><strong>Key Vault URL:</strong> ${this.KEYVAULT_URL}</p>
-                    <p><strong>Authentication:</strong> ClientSecretCredential (Service Principal)</p>
-                    <p><strong>Cache Duration:</strong> 30 seconds</p>
-                    <p><strong>SDK:</strong> @azure/keyvault-secrets</p>
-                `;
+                return fields([
+                    ['Method', 'Direct Azure Key Vault API'],
+                    ['Key Vault URL', this.KEYVAULT_URL],
+                    ['Authentication', this.describeCredential()],
+                    ['Cache Duration', `${this.secretCache.ttlMs / 1000} seconds`],
+                    ['SDK', '@azure/keyvault-secrets']
+                ]);
             case 'environment':
             default:
-                return `
-                    <p><strong>Method:</strong> ${this.METHOD}</p>
-                    <p><strong>Operator:</strong> ${this.OPERATOR || 'Kubernetes-native'}</p>
-                    <p><strong>Authentication:</strong> Service Principal via Kubernetes Secret</p>
-                    <p><strong>Sync Interval:</strong> 30 seconds</p>
-                    <p><strong>Consumption:</strong> Environment variables from synced Kubernetes Secret</p>
-                `;
+                return fields([
+                    ['Method', this.METHOD],
+                    ['Operator', this.OPERATOR || 'Kubernetes-native'],
+                    ['Authentication', 'Service Principal via Kubernetes Secret'],
+                    ['Sync Interval', '30 seconds'],
+                    ['Consumption', 'Environment variables from synced Kubernetes Secret']
+                ]);
         }
     }
 
-    // Create HTTP server
-    createServer() {
-        return http.createServer(async (req, res) => {
-            const parsedUrl = url.parse(req.url, true);
-            const pathname = parsedUrl.pathname;
-            
-            // Set CORS headers
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-            if (pathname === '/api/secrets') {
-                try {
-                    const secrets = await this.getSecrets();
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        method: this.METHOD,
-                        operator: this.OPERATOR,
-                        secrets: secrets,
-                        timestamp: new Date().toISOString(),
-                        cacheAge: Date.now() - this.lastCacheTime,
-                        note: this.getNote()
-                    }));
-                } catch (error) {
-                    console.error('API Error:', error);
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: false,
-                        error: error.message,
-                        method: this.METHOD,
-                        timestamp: new Date().toISOString()
-                    }));
-                }
-            } else if (pathname === '/api/health') {
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    status: 'healthy',
-                    app: this.APP_NAME,
-                    namespace: process.env.NAMESPACE || 'unknown',
-                    version: '1.0.0',
-                    timestamp: new Date().toISOString(),
+    // Framework middleware; dashboards can add their own with router.use() in registerRoutes
+    registerMiddleware(router) {
+        // Request IDs: reuse a sane incoming X-Request-ID (e.g. from the router), otherwise generate one
+        router.use((req, res, next) => {
+            const incoming = req.headers['x-request-id'];
+            req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+            req.log = this.logger.child({ requestId: req.id });
+            res.setHeader('X-Request-ID', req.id);
+
+            const startedAt = Date.now();
+            res.on('finish', () => {
+                // Probes and scrapes hit public routes every few seconds; keep them out of info logs
+                const level = req.route && req.route.public ? 'debug' : 'info';
+                req.log.log(level, 'request completed', {
+                    method: req.method,
+                    path: req.pathname,
+                    route: req.route ? req.route.pattern : null,
+                    status: res.statusCode,
+                    durationMs: Date.now() - startedAt,
+                    user: req.user ? req.user.name : undefined
+                });
+            });
+            // The rest of the request runs with it as the current request, for audit events
+            return runWithRequest(req, next);
+        });
+
+        // Counted by route pattern rather than raw path so label cardinality stays bounded
+        router.use((req, res, next) => {
+            const startedAt = process.hrtime.bigint();
+            res.on('finish', () => {
+                const route = req.route ? req.route.pattern : 'unmatched';
+                this.metrics.get('http_requests_total').inc({ route, method: req.method, status: res.statusCode });
+                this.metrics.get('http_request_duration_seconds').observeSince({ route, method: req.method }, startedAt);
+            });
+            return next();
+        });
+        router.use((req, res, next) => {
+            const allowOrigin = this.getAllowedOrigin(req.headers.origin);
+            if (allowOrigin) {
+                res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            }
+            res.setHeader('Vary', 'Origin');
+
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            return next();
+        });
+        router.use(this.auth.middleware());
+        router.use(jsonBody());
+    }
+
+    getAllowedOrigin(origin) {
+        if (!this.corsAllowedOrigins) {
+            return this.auth.enabled ? null : '*';
+        }
+        if (this.corsAllowedOrigins.includes('*')) {
+            return '*';
+        }
+        return origin && this.corsAllowedOrigins.includes(origin) ? origin : null;
+    }
+
+    // Routes every dashboard gets. Subclasses override this, call super.registerRoutes(router)
+    // and register their own; re-registering a method + path replaces the default.
+    registerRoutes(router) {
+        router.get('/api/secrets', {
+            summary: 'Every secret, redacted for the caller',
+            response: ref('Secrets'),
+            responses: { 500: ref('SecretsUnavailable'), 503: ref('SecretsUnavailable') }
+        }, async (req, res) => {
+            try {
+                const secrets = await this.getSecrets();
+                sendJSON(res, 200, {
+                    success: true,
                     method: this.METHOD,
-                    operator: this.OPERATOR
-                }));
-            } else if (pathname === '/') {
-                // Allow child classes to override HTML rendering
-                if (this.handleRequest && typeof this.handleRequest === 'function') {
-                    try {
-                        await this.handleRequest(req, res);
-                    } catch (error) {
-                        console.error('Error in handleRequest:', error);
-                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-                    res.end(this.getHTML());
-                    }
-                } else {
-                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-                    res.end(this.getHTML());
+                    operator: this.OPERATOR,
+                    secrets: this.redactSecrets(secrets, req.user),
+                    redaction: this.describeRedaction(secrets, req.user),
+                    timestamp: new Date().toISOString(),
+                    cacheAge: this.secretCacheAge(Object.keys(secrets)),
+                    // Values are from the last successful read while the provider is failing
+                    stale: !!this.degraded,
+                    degraded: this.degraded || undefined,
+                    errors: Object.keys(this.secretErrors).length > 0 ? this.secretErrors : undefined,
+                    note: this.getNote()
+                });
+            } catch (error) {
+                req.log.error('Error fetching secrets for /api/secrets', { error });
+                if (error.retryAfterMs) {
+                    res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
                 }
-            } else {
-                // Allow child classes to handle custom routes
-                if (this.handleRequest && typeof this.handleRequest === 'function') {
-                    try {
-                        await this.handleRequest(req, res);
-                    } catch (error) {
-                        console.error('Error in handleRequest:', error);
-                        res.writeHead(404, { 'Content-Type': 'text/plain' });
-                        res.end('Not Found');
-                    }
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'text/plain' });
-                    res.end('Not Found');
+                sendJSON(res, isKeyVaultUnavailable(error) ? 503 : 500, {
+                    success: false,
+                    error: error.message,
+                    method: this.METHOD,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Plaintext for one secret, when the caller's policy allows it; every reveal is audited
+        router.post('/api/secrets/:name/reveal', {
+            permission: PERMISSIONS.READ_SECRETS,
+            summary: 'Plaintext value of one secret, when the redaction policy allows it',
+            response: ref('RevealedSecret')
+        }, async (req, res) => {
+            const secretName = req.params.name;
+            if (!this.redaction.canReveal(secretName, req.user)) {
+                throw new HttpError(403, `Redaction policy does not allow revealing '${secretName}'`);
+            }
+
+            const value = await this.getRevealValue(secretName, req);
+            if (typeof value !== 'string') {
+                throw new HttpError(404, `Secret '${secretName}' not found`);
+            }
+
+            const revealedAt = new Date().toISOString();
+            this.recordAudit(withCaller({
+                timestamp: revealedAt,
+                action: 'REVEAL',
+                secretName,
+                version: req.query.version || null
+            }));
+
+            res.setHeader('Cache-Control', 'no-store');
+            return { secretName, value, revealedAt };
+        });
+
+        router.get('/api/health', { public: true, ...HEALTH_DOCS }, this.healthRoute());
+
+        // Liveness: the process is serving requests. Dependencies are left to /readyz so a
+        // Key Vault outage takes pods out of the Service instead of restarting them
+        router.get('/livez', { public: true, summary: 'Liveness probe', response: ref('Liveness') }, () => ({
+            status: 'ok',
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+        }));
+
+        // Readiness: the cached readiness checks. Public, so only each check's status is shown
+        router.get('/readyz', {
+            public: true,
+            summary: 'Readiness probe: the status of each readiness check',
+            response: ref('Readiness'),
+            responses: { 503: ref('Readiness') }
+        }, async (req, res) => {
+            // Fails first thing on SIGTERM so traffic moves away while requests drain
+            if (this.lifecycle.shuttingDown) {
+                sendJSON(res, 503, { status: 'fail', shuttingDown: true });
+                return;
+            }
+            const report = await this.health.run('readiness');
+            sendJSON(res, report.status === 'fail' ? 503 : 200, {
+                status: report.status,
+                checkedAt: report.checkedAt,
+                checks: Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, check.status]))
+            });
+        });
+
+        // Every check with its details; ?refresh=true skips the cache
+        router.get('/api/health/deep', {
+            summary: 'Every health check with its details',
+            query: { refresh: { description: 'true runs the checks instead of using the cached results', schema: { enum: ['true', 'false'] } } },
+            response: ref('HealthReport'),
+            responses: { 503: ref('HealthReport') }
+        }, async (req, res) => {
+            const report = await this.health.run('deep', { refresh: req.query.refresh === 'true' });
+            sendJSON(res, report.status === 'fail' ? 503 : 200, { app: this.APP_NAME, ...report });
+        });
+
+        // Server-Sent Events (see shared/events.js). ?types=a,b limits the event types;
+        // Last-Event-ID replays what a reconnecting client missed
+        router.get('/api/events', {
+            summary: 'Server-Sent Events stream of secret and health changes',
+            query: { types: `Comma-separated event types: ${EVENT_TYPES.join(', ')}` },
+            contentType: 'text/event-stream'
+        }, (req, res) => {
+            const types = req.query.types ? req.query.types.split(',').map(type => type.trim()) : null;
+            const unknown = (types || []).filter(type => !EVENT_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new HttpError(400, `Unknown event type(s): ${unknown.join(', ')}`, { validTypes: EVENT_TYPES });
+            }
+            if (this.lifecycle.shuttingDown) {
+                throw new HttpError(503, 'Shutting down');
+            }
+            const wanted = event => !types || types.includes(event.type);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                // Keeps buffering proxies from holding events back
+                'X-Accel-Buffering': 'no'
+            });
+            res.write('retry: 3000\n\n');
+
+            const lastEventId = parseInt(req.headers['last-event-id'], 10);
+            if (lastEventId) {
+                this.events.since(lastEventId).filter(wanted).forEach(event => res.write(formatEvent(event)));
+            }
+
+            const unsubscribe = this.events.subscribe(event => {
+                if (wanted(event)) {
+                    res.write(formatEvent(event));
                 }
+            });
+            // Comment lines keep idle streams open through the OpenShift router's 30s timeout
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+            this.eventStreams.add(res);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+                this.eventStreams.delete(res);
+            });
+        });
+
+        // Prometheus scrape endpoint; public like the health checks since it carries no secret values
+        router.get('/metrics', { public: true, summary: 'Prometheus metrics', contentType: 'text/plain' }, async (req, res) => {
+            const body = await this.metrics.render();
+            res.writeHead(200, { 'Content-Type': MetricsRegistry.CONTENT_TYPE });
+            res.end(body);
+        });
+
+        // Cache statistics: counters and entry ages, never the cached values
+        router.get('/api/cache', { summary: 'Statistics of every cache', response: ref('Caches') }, () => ({
+            caches: [...this.caches.values()].map(cache => cache.stats()),
+            disk: this.diskCache ? this.diskCache.describe() : undefined
+        }));
+        router.get('/api/cache/:name', { summary: 'Statistics of one cache', response: ref('CacheStats') }, req => this.findCache(req.params.name).stats());
+        // Expires every entry (or ?key=) so the next lookup reloads it; the values stay as the stale fallback
+        router.post('/api/cache/:name/invalidate', {
+            permission: PERMISSIONS.OPERATE,
+            summary: 'Expire a cache, or one key of it, so the next lookup reloads',
+            query: { key: 'Only expire this key' },
+            response: ref('CacheInvalidated')
+        }, req => {
+            const cache = this.findCache(req.params.name);
+            cache.invalidate(req.query.key);
+            req.log.info('Cache invalidated', { cache: cache.name, key: req.query.key, user: req.user.name });
+            return { success: true, cache: cache.name, key: req.query.key || null };
+        });
+
+        // Runtime log level, e.g. PUT {"level":"debug"} while investigating and back to "info" afterwards
+        router.get('/api/admin/log-level', {
+            permission: PERMISSIONS.CONFIGURE,
+            summary: 'Current log level',
+            response: ref('LogLevel')
+        }, () => ({ level: this.logger.level }));
+        router.put('/api/admin/log-level', {
+            permission: PERMISSIONS.CONFIGURE,
+            summary: 'Change the log level until the next restart',
+            body: ref('LogLevel'),
+            response: ref('LogLevel')
+        }, req => {
+            const level = req.body && req.body.level;
+            const previous = this.logger.level;
+            try {
+                this.logger.setLevel(level);
+            } catch (error) {
+                throw new HttpError(400, error.message);
             }
+            req.log.warn('Log level changed', { from: previous, to: level, user: req.user.name });
+            return { level: this.logger.level };
         });
+
+        // Effective configuration (see shared/config.js): each setting's value, where it came from
+        // and whether it reloads; secrets redacted
+        router.get('/api/config', {
+            permission: PERMISSIONS.CONFIGURE,
+            summary: 'Effective configuration',
+            response: ref('Configuration')
+        }, () => this.appConfig.describe());
+        // Re-reads the file now instead of waiting for the watcher; an invalid file changes nothing
+        router.post('/api/config/reload', {
+            permission: PERMISSIONS.CONFIGURE,
+            summary: 'Reload the configuration file now',
+            response: ref('ConfigReloaded')
+        }, req => {
+            try {
+                const result = this.appConfig.reload();
+                req.log.info('Configuration reload requested', { user: req.user.name, ...result });
+                return { success: true, ...result };
+            } catch (error) {
+                throw new HttpError(422, error.message, { errors: error.errors });
+            }
+        });
+
+        // Who the caller is and what their role allows
+        router.get('/api/whoami', { summary: 'The caller and their role', response: ref('WhoAmI') }, req => ({
+            authEnabled: this.auth.enabled,
+            user: req.user
+        }));
+
+        // The routes above and the dashboard's own, with their parameters and response schemas
+        router.get('/api/openapi.json', { summary: 'OpenAPI document of this API' }, () => this.openApiDocument());
+        router.get('/api/docs', { summary: 'API explorer page' }, this.htmlRoute(() => this.renderPage(explorerPage())));
+
+        router.get('/', { summary: 'Dashboard page' }, this.htmlRoute(() => this.getHTML()));
+    }
+
+    // Schemas the routes refer to with ref(); dashboards add theirs to super.apiSchemas()
+    apiSchemas() {
+        return { ...SCHEMAS };
+    }
+
+    openApiDocument() {
+        return buildOpenApi(this.getRouter(), {
+            title: this.APP_NAME,
+            version: this.appConfig.get('server.appVersion'),
+            description: `${this.METHOD}. Values in responses are redacted for the caller; see the redaction map in /api/secrets.`,
+            schemas: this.apiSchemas(),
+            authEnabled: this.auth.enabled
+        });
+    }
+
+    // Wrap a page renderer; if a dashboard fails to render, serve the basic secrets page instead.
+    // Pages rendered here carry the nonce of the Content-Security-Policy sent with them
+    htmlRoute(render) {
+        const route = async (req, res) => {
+            const nonce = createNonce();
+            const html = await withNonce(nonce, async () => {
+                try {
+                    return await render(req, res);
+                } catch (error) {
+                    req.log.error('Error rendering dashboard, serving the basic page', { error });
+                    return this.getHTML();
+                }
+            });
+            res.setHeader('Content-Security-Policy', contentSecurityPolicy(nonce));
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            // Pages are SafeHtml from the layout; plain strings are sent as they are
+            sendHTML(res, 200, String(html));
+        };
+        // For the API document
+        route.contentType = 'text/html';
+        return route;
+    }
+
+    // Checks from the secret provider; dashboards override this, call super and register their own
+    registerHealthChecks(health) {
+        const checks = typeof this.secretProvider.healthChecks === 'function'
+            ? this.secretProvider.healthChecks(this.getSecretNames())
+            : {};
+        Object.entries(checks).forEach(([name, { check, readiness }]) => health.register(name, check, { readiness }));
+
+        // Deep only: pulling pods out of rotation would not make a throttled vault recover sooner
+        if (this.resilience.breakers.size > 0) {
+            health.register('keyvault-circuits', () => this.checkCircuits());
+        }
+        if (this.appConfig.file) {
+            health.register('config', () => this.checkConfig());
+        }
+        // Deep only as well: serving values from the disk cache is what keeps the pod useful
+        if (this.diskCache) {
+            health.register('disk-cache', () => this.checkDiskCache());
+        }
+    }
+
+    // warn when the last reload of the file failed or changes are waiting for a restart
+    checkConfig() {
+        const { file, lastReload, pendingRestart } = this.appConfig.describe();
+        const failed = lastReload && lastReload.error;
+        return {
+            status: failed || pendingRestart.length > 0 ? 'warn' : 'pass',
+            message: failed ? `Reload of ${file} failed, running with the previous configuration`
+                : pendingRestart.length > 0 ? `Restart to apply: ${pendingRestart.join(', ')}` : undefined,
+            file,
+            lastReload,
+            pendingRestart
+        };
+    }
+
+    // warn while values restored from disk are served or the file can't be written
+    checkDiskCache() {
+        const details = this.diskCache.describe();
+        const fromDisk = this.degraded && this.degraded.source === 'disk';
+        return {
+            status: fromDisk || details.lastError ? 'warn' : 'pass',
+            message: fromDisk ? `Serving values restored from ${details.path}` : details.lastError || undefined,
+            ...details,
+            degraded: this.degraded || undefined
+        };
+    }
+
+    // warn while any vault's breaker is open or half-open
+    checkCircuits() {
+        const circuits = this.resilience.describe();
+        const unavailable = Object.keys(circuits).filter(vault => circuits[vault].state !== 'closed');
+        return {
+            status: unavailable.length > 0 || this.degraded ? 'warn' : 'pass',
+            message: unavailable.length > 0 ? `Circuit open for ${unavailable.join(', ')}` : undefined,
+            circuits,
+            degraded: this.degraded || undefined
+        };
+    }
+
+    // /api/health answer: the cached readiness result plus whatever the dashboard adds (e.g. { tls: true }).
+    // 'degraded' (still 200) while stale secrets are served
+    healthRoute(extra = {}) {
+        return async (req, res) => {
+            const report = await this.health.run('readiness');
+            const healthy = report.status !== 'fail' && !this.lifecycle.shuttingDown;
+            const status = this.lifecycle.shuttingDown ? 'shutting-down'
+                : !healthy ? 'unhealthy'
+                    : this.degraded ? 'degraded' : 'healthy';
+            sendJSON(res, healthy ? 200 : 503, {
+                status,
+                // Public endpoint: when and where from, not which secrets
+                degraded: this.degraded ? { since: this.degraded.since, source: this.degraded.source, valuesFrom: this.degraded.valuesFrom } : undefined,
+                app: this.APP_NAME,
+                namespace: this.appConfig.get('server.namespace'),
+                version: this.appConfig.get('server.appVersion'),
+                timestamp: new Date().toISOString(),
+                method: this.METHOD,
+                operator: this.OPERATOR,
+                ...extra
+            });
+        };
+    }
+
+    // Build the router and health checks once, after subclass constructors have finished
+    getRouter() {
+        if (!this.router) {
+            this.registerHealthChecks(this.health);
+            const router = new Router();
+            this.registerMiddleware(router);
+            this.registerRoutes(router);
+            this.router = router;
+        }
+        return this.router;
+    }
+
+    // Request listener for http.createServer / https.createServer
+    requestListener() {
+        const router = this.getRouter();
+        return (req, res) => router.handle(req, res);
+    }
+
+    // Create HTTP server
+    createServer() {
+        return http.createServer(this.requestListener());
     }
 
     getNote() {
@@ -419,16 +1186,32 @@ class HelloWorldWebapp {
         }
     }
 
+    // Listen on PORT with the server handed to the lifecycle manager, so SIGTERM drains it
+    listen(server, onListening) {
+        this.lifecycle.addServer(server);
+        this.lifecycle.installSignalHandlers();
+        server.listen(this.PORT, '0.0.0.0', onListening);
+        return server;
+    }
+
     start() {
-        const server = this.createServer();
-        server.listen(this.PORT, '0.0.0.0', () => {
-            console.log(`${this.APP_NAME} running on port ${this.PORT}`);
-            console.log(`Method: ${this.METHOD}`);
-            if (this.secretStrategy === 'csi') {
-                console.log(`Secrets mount path: ${this.SECRETS_MOUNT_PATH}`);
-            }
+        return this.listen(this.createServer(), () => {
+            this.logger.info(`${this.APP_NAME} running on port ${this.PORT}`, {
+                port: this.PORT,
+                method: this.METHOD,
+                strategy: this.secretStrategy,
+                secretsMountPath: this.secretStrategy === 'csi' ? this.SECRETS_MOUNT_PATH : undefined
+            });
         });
     }
 }
 
+// Let teams plug in their own secret sources without subclassing:
+// HelloWorldWebapp.registerSecretProvider('vault', webapp => new MyProvider(...))
+HelloWorldWebapp.registerSecretProvider = registerSecretProvider;
+
+// Documentation of /api/health, for dashboards that register it again with their own fields:
+// router.get('/api/health', { public: true, ...HelloWorldWebapp.HEALTH_DOCS }, this.healthRoute({ tls: true }))
+HelloWorldWebapp.HEALTH_DOCS = HEALTH_DOCS;
+
 module.exports = HelloWorldWebapp;
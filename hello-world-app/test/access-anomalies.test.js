@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { AccessAnomalyDetector, parseQuietHours } = require('../shared/access-anomalies');
+const { MemoryAuditStore } = require('../shared/audit-store');
+const { AppConfig } = require('../shared/config');
+const { createTestLogger } = require('./helpers/dashboards');
+const { pick } = require('./helpers/utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A Monday, midnight UTC
+const START = Date.parse('2026-10-05T00:00:00.000Z');
+
+function access(secretName, time, fields = {}) {
+    return { timestamp: new Date(time).toISOString(), action: 'READ', secretName, user: 'ada', ...fields };
+}
+
+function createDetector(options = {}) {
+    return new AccessAnomalyDetector({ now: () => START + 30 * DAY_MS, ...options });
+}
+
+// Two reads of a secret every working hour (09:00-17:00), every day, for `days` days
+function learnRoutine(detector, secretName, days, firstDay = 0) {
+    for (let day = firstDay; day < firstDay + days; day++) {
+        for (let hour = 9; hour < 17; hour++) {
+            const time = START + day * DAY_MS + hour * HOUR_MS;
+            detector.observe(access(secretName, time));
+            detector.observe(access(secretName, time + 20 * 60 * 1000));
+        }
+    }
+}
+
+test('quiet-hours ranges are parsed, across midnight and for days of the week', () => {
+    assert.deepEqual(parseQuietHours(['22:00-06:00', 'Sat 00:00-24:00', 'Fri-Mon 19:00-07:00']), [
+        { text: '22:00-06:00', days: [0, 1, 2, 3, 4, 5, 6], start: 22 * 60, end: 6 * 60 },
+        { text: 'Sat 00:00-24:00', days: [6], start: 0, end: 24 * 60 },
+        { text: 'Fri-Mon 19:00-07:00', days: [5, 6, 0, 1], start: 19 * 60, end: 7 * 60 }
+    ]);
+    assert.throws(() => parseQuietHours(['nights']), /'nights' is not a quiet-hours range/);
+    assert.throws(() => parseQuietHours(['Sun 10:00-10:00']), /not a valid time range/);
+    assert.throws(() => parseQuietHours(['Xyz 10:00-11:00']), /unknown day 'Xyz'/);
+});
+
+test('a spike is reported once per hour, and only after the learning period', () => {
+    const detector = createDetector({ learningDays: 7, spikeMinCount: 5 });
+    const findings = [];
+    detector.on('finding', finding => findings.push(finding));
+
+    learnRoutine(detector, 'db-password', 1);
+    // While learning, a batch of reads at night isn't a spike
+    for (let minute = 0; minute < 20; minute++) {
+        detector.observe(access('db-password', START + DAY_MS + 3 * HOUR_MS + minute * 60 * 1000));
+    }
+    learnRoutine(detector, 'db-password', 20, 1);
+    assert.deepEqual(findings, []);
+
+    const spikeHour = START + 21 * DAY_MS + 10 * HOUR_MS;
+    for (let minute = 0; minute < 12; minute++) {
+        detector.observe(access('db-password', spikeHour + minute * 60 * 1000, { seq: 1000 + minute }));
+    }
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].kind, 'spike');
+    assert.equal(findings[0].secret, 'db-password');
+    assert.equal(findings[0].seq, 1000 + findings[0].details.count - 1);
+    assert.ok(findings[0].details.count >= findings[0].details.threshold);
+    assert.ok(findings[0].details.expected > 1 && findings[0].details.expected < 3);
+
+    // The next hour starts over
+    for (let minute = 0; minute < 12; minute++) {
+        detector.observe(access('db-password', spikeHour + HOUR_MS + minute * 60 * 1000));
+    }
+    assert.equal(detector.query({ kind: 'spike' }).total, 2);
+});
+
+test('a new caller is reported after the learning period only, once per secret', () => {
+    const detector = createDetector({ learningDays: 7 });
+    learnRoutine(detector, 'api-key', 3);
+    detector.observe(access('api-key', START + 3 * DAY_MS + 9 * HOUR_MS, { user: 'grace' }));
+    assert.equal(detector.query().total, 0);
+
+    learnRoutine(detector, 'api-key', 7, 3);
+    const time = START + 10 * DAY_MS + 11 * HOUR_MS;
+    const [finding] = detector.observe(access('api-key', time, { user: undefined, remoteAddress: '::ffff:10.1.2.3', requestId: 'req-1' }));
+    assert.deepEqual([finding.kind, finding.caller, finding.secret, finding.requestId], ['new-caller', '10.1.2.3', 'api-key', 'req-1']);
+    assert.equal(finding.details.knownCallers, 2);
+    assert.deepEqual(detector.observe(access('api-key', time + 1000, { user: undefined, remoteAddress: '10.1.2.3' })), []);
+});
+
+test('reads without a caller only feed the baselines', () => {
+    const detector = createDetector({ learningDays: 0, quietHours: ['00:00-24:00'], burstSecrets: 2 });
+    const findings = ['a', 'b', 'c'].flatMap(name => detector.observe(access(name, START, { user: undefined, background: true })));
+    assert.deepEqual(findings, []);
+    assert.equal(detector.describe().secrets, 3);
+});
+
+test('access during quiet hours is reported in the configured time zone', () => {
+    // 22:00-06:00 in New York; 03:30 UTC on a Tuesday is 23:30 on Monday there
+    const detector = createDetector({ timezone: 'America/New_York', quietHours: ['Mon-Fri 22:00-06:00'] });
+    const night = Date.parse('2026-10-06T03:30:00.000Z');
+
+    const [finding] = detector.observe(access('api-key', night));
+    assert.equal(finding.kind, 'quiet-hours');
+    assert.equal(finding.caller, 'ada');
+    assert.deepEqual(finding.details, { quietHours: ['Mon-Fri 22:00-06:00'], timezone: 'America/New_York' });
+    // Once per caller and secret per hour
+    assert.deepEqual(detector.observe(access('api-key', night + 60 * 1000)), []);
+    assert.equal(detector.observe(access('api-key', night + 60 * 1000, { user: 'grace' })).length, 1);
+
+    // 14:00 in New York, and Saturday night (the Friday range ends at 06:00 Saturday)
+    assert.deepEqual(detector.observe(access('api-key', Date.parse('2026-10-06T18:00:00.000Z'))), []);
+    assert.equal(detector.observe(access('api-key', Date.parse('2026-10-10T09:00:00.000Z'))).length, 1);
+    assert.deepEqual(detector.observe(access('api-key', Date.parse('2026-10-11T03:00:00.000Z'))), []);
+
+    detector.setQuietHours([]);
+    assert.deepEqual(detector.observe(access('api-key', Date.parse('2026-10-13T03:00:00.000Z'))), []);
+});
+
+test('a burst of distinct secrets is reported once per window', () => {
+    const detector = createDetector({ burstSecrets: 4, burstWindowMs: 60 * 1000 });
+    const time = START + 12 * HOUR_MS;
+    const findings = [];
+    for (let index = 0; index < 6; index++) {
+        findings.push(...detector.observe(access(`secret-${index}`, time + index * 1000)));
+        // Reading the same secret again isn't a burst
+        detector.observe(access('secret-0', time + index * 1000, { user: 'grace' }));
+    }
+    assert.equal(findings.length, 1);
+    assert.deepEqual([findings[0].kind, findings[0].secret, findings[0].caller], ['burst', null, 'ada']);
+    assert.deepEqual(findings[0].details.secrets, ['secret-0', 'secret-1', 'secret-2', 'secret-3']);
+
+    // A window later it is reported again
+    for (let index = 0; index < 4; index++) {
+        findings.push(...detector.observe(access(`other-${index}`, time + 2 * 60 * 1000 + index * 1000)));
+    }
+    assert.equal(findings.length, 2);
+});
+
+test('findings are kept most recent first and filtered by kind, secret and time', () => {
+    const detector = createDetector({ quietHours: ['00:00-24:00'], maxFindings: 3 });
+    ['a', 'b', 'c', 'd'].forEach((name, index) => detector.observe(access(name, START + index * HOUR_MS)));
+
+    const { findings, total } = detector.query();
+    assert.equal(total, 3);
+    assert.deepEqual(findings.map(finding => finding.secret), ['d', 'c', 'b']);
+    assert.deepEqual(detector.query({ secret: 'c' }).findings.map(finding => finding.id), [3]);
+    assert.equal(detector.query({ since: new Date(START + 3 * HOUR_MS).toISOString() }).total, 1);
+    assert.equal(detector.query({ kind: 'burst' }).total, 0);
+    assert.equal(detector.query({ limit: 1 }).findings.length, 1);
+});
+
+test('baselines are learned again from the audit log at startup, without findings', async () => {
+    const now = START + 21 * DAY_MS;
+    const store = new MemoryAuditStore({ now: () => now });
+    const learned = createDetector({ now: () => now, quietHours: ['00:00-24:00'], learningDays: 3 });
+    const findings = [];
+    learned.on('finding', finding => findings.push(finding));
+    learnRoutine({ observe: entry => store.append(entry) }, 'db-password', 21);
+
+    assert.equal(await learned.replay(store), 21 * 16);
+    assert.deepEqual(findings, []);
+    assert.equal(learned.describe().learning, false);
+
+    const baseline = learned.baselineOf('db-password');
+    assert.equal(baseline.timezone, 'UTC');
+    assert.equal(baseline.byHourOfDay[10], 2);
+    assert.equal(baseline.byHourOfDay[3], 0);
+    assert.equal(baseline.byHourOfWeek[1][9], 2);
+    assert.equal(learned.baselineOf('unknown'), null);
+});
+
+test('anomaly settings are checked with the rest of the configuration', () => {
+    const load = env => AppConfig.fromEnv({ logger: createTestLogger() }, env);
+    assert.throws(() => load({ ANOMALY_QUIET_HOURS: '22:00-06:00,late' }),
+        /anomaly\.quietHours \(ANOMALY_QUIET_HOURS\): 'late' is not a quiet-hours range/);
+    assert.throws(() => load({ ANOMALY_TIMEZONE: 'Mars/Olympus' }), /anomaly\.timezone \(ANOMALY_TIMEZONE\): unknown time zone 'Mars\/Olympus'/);
+
+    assert.throws(() => load({ ANOMALY_SPIKE_FACTOR: '0.5' }), /anomaly\.spikeFactor \(ANOMALY_SPIKE_FACTOR\): must be at least 1, got 0\.5/);
+    assert.throws(() => load({ ANOMALY_SPIKE_FACTOR: 'twice' }), /must be a number, got "twice"/);
+
+    const config = load({ ANOMALY_QUIET_HOURS: 'Sat 00:00-24:00, Sun 00:00-24:00', ANOMALY_TIMEZONE: 'Europe/Paris', ANOMALY_SPIKE_FACTOR: '1.5' });
+    assert.deepEqual(config.get('anomaly.quietHours'), ['Sat 00:00-24:00', 'Sun 00:00-24:00']);
+    assert.equal(config.get('anomaly.spikeFactor'), 1.5);
+    const detector = AccessAnomalyDetector.fromEnv({}, config.toEnv());
+    assert.deepEqual(pick(detector.describe(), ['timezone', 'quietHours']), { timezone: 'Europe/Paris', quietHours: ['Sat 00:00-24:00', 'Sun 00:00-24:00'] });
+    assert.equal(detector.options.spikeFactor, 1.5);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { validateResponse, validateSchema, buildOpenApi, ref } = require('../shared/openapi');
+const { Router } = require('../shared/router');
+const { SCHEMAS } = require('../shared/api-schemas');
+const { FakeSecretClient, DAY_MS } = require('./helpers/fake-secret-client');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp, settle } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const { CERTIFICATE, PRIVATE_KEY, VALID_FROM } = require('./fixtures/certificates');
+const HelloWorldWebapp = require('../shared/webapp-framework');
+
+const SECRETS = {
+    'hello-world-secret': 'Hello, contract',
+    'database-password': 'Str0ng&LongPassword',
+    'api-key': 'abcdefghijklmnopqrstuvwxyz0123456789'
+};
+
+// A router with one documented route, the way dashboards declare theirs
+function rotationDocument() {
+    const router = new Router();
+    router.get('/api/rotation/:name', { summary: 'Rotation status', response: ref('Rotation') }, () => ({}));
+    return buildOpenApi(router, {
+        title: 'Test',
+        version: '1.0.0',
+        schemas: {
+            ...SCHEMAS,
+            Rotation: {
+                type: 'object',
+                required: ['secret', 'status', 'lastRotated'],
+                properties: {
+                    secret: { type: 'string' },
+                    status: { enum: ['current', 'overdue'] },
+                    lastRotated: { type: ['string', 'null'], format: 'date-time' },
+                    versions: { type: 'array', items: { type: 'integer' } }
+                }
+            }
+        }
+    });
+}
+
+test('responses that drift from their schema are reported with where and how', () => {
+    const document = rotationDocument();
+    const check = body => validateResponse(document, { method: 'GET', path: '/api/rotation/api-key', status: 200, body });
+
+    assert.deepEqual(check({ secret: 'api-key', status: 'current', lastRotated: null, versions: [1, 2] }).errors, []);
+    assert.deepEqual(check({ secret: 'api-key', status: 'late', lastRotated: 'yesterday', versions: [1, '2'] }).errors, [
+        '$.status: expected one of "current", "overdue", got "late"',
+        '$.lastRotated: expected a date-time, got "yesterday"',
+        '$.versions[1]: expected integer, got string'
+    ]);
+    assert.deepEqual(check({ secret: 'api-key', status: 'current' }).errors, ["$: missing required property 'lastRotated'"]);
+    assert.equal(check({}).operationId, 'getApiRotationName');
+});
+
+test('unknown paths are reported, and error answers are checked against the Error schema', () => {
+    const document = rotationDocument();
+
+    assert.equal(validateResponse(document, { method: 'GET', path: '/api/rotation-info', status: 200, body: {} }).operationId, null);
+    assert.deepEqual(validateResponse(document, { method: 'GET', path: '/api/rotation/api-key', status: 404, body: { message: 'gone' } }).errors, [
+        "$: missing required property 'success'",
+        "$: missing required property 'error'"
+    ]);
+    assert.deepEqual(validateSchema({ type: 'integer', minimum: 0 }, -1, document), ['$: expected at least 0, got -1']);
+});
+
+const DASHBOARDS = [
+    'audit-dashboard', 'certificate-tls', 'cross-namespace', 'expiration-monitor', 'hot-reload', 'multi-vault',
+    'rotation-handler', 'security-dashboard', 'selective-sync', 'validation-checker', 'versioning-dashboard'
+];
+
+// Every documented GET that needs no path parameters, apart from the endless event stream
+function parameterlessGets(document) {
+    return Object.entries(document.paths)
+        .filter(([template, operations]) => !template.includes('{') && operations.get)
+        .filter(([, operations]) => !operations.get.responses['200'].content['text/event-stream'])
+        .map(([template]) => template);
+}
+
+for (const [name, Dashboard] of [['framework', HelloWorldWebapp], ...DASHBOARDS.map(name => [name, loadDashboard(name)])]) {
+    test(`${name}: every parameterless GET answers as documented`, async (t) => {
+        // Inside the fixture certificate's validity, so certificate health checks pass
+        t.mock.timers.enable({ apis: ['Date'], now: VALID_FROM.getTime() + 10 * DAY_MS });
+        const mount = createCsiMount({ ...SECRETS, 'ssl-cert': CERTIFICATE, 'ssl-key': PRIVATE_KEY, 'audit-hmac-key': 'ab'.repeat(32) });
+        const app = createTestApp(t, Dashboard, {
+            vault: new FakeSecretClient({ secrets: SECRETS }),
+            env: {
+                SECRETS_MOUNT_PATH: mount.path,
+                CERT_PATH: path.join(mount.path, 'ssl-cert'),
+                KEY_PATH: path.join(mount.path, 'ssl-key'),
+                AUDIT_HMAC_KEY_FILE: path.join(mount.path, 'audit-hmac-key')
+            },
+            auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { ada: 'admin' } } }
+        });
+        await settle();
+        // The client checks each JSON answer against app.openApiDocument()
+        const client = await startTestClient(t, app, { user: 'ada' });
+
+        const paths = parameterlessGets(app.openApiDocument());
+        assert.ok(paths.includes('/api/openapi.json'));
+        for (const route of paths) {
+            const response = await client.get(route);
+            assert.ok(response.status < 500, `GET ${route} answered ${response.status}: ${response.text.slice(0, 200)}`);
+        }
+    });
+}
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MemoryAuditStore } = require('../shared/audit-store');
+const { AuditChain, ChainVerifier, verifyBundle, entryHash, keyIdOf, GENESIS_HASH } = require('../shared/audit-chain');
+const { main } = require('../shared/audit-verify');
+const { createTestLogger } = require('./helpers/dashboards');
+const { tempDir } = require('./helpers/utils');
+
+const KEY = Buffer.alloc(32, 7);
+const START = Date.parse('2026-10-01T00:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Five entries an hour apart, oldest first
+async function createChain(options = {}) {
+    const store = new MemoryAuditStore();
+    const chain = new AuditChain({ store, key: KEY, logger: createTestLogger(), ...options });
+    for (let i = 0; i < 5; i++) {
+        chain.append({ timestamp: START + i * HOUR_MS, secretName: `secret-${i}`, action: 'READ', source: 'webapp' });
+    }
+    await chain.flush();
+    return { store, chain, entries: () => [...store.entries].reverse() };
+}
+
+function verify(entries, options = {}) {
+    const verifier = new ChainVerifier({ key: KEY, ...options });
+    entries.forEach(entry => verifier.add(entry));
+    return verifier.result();
+}
+
+function kinds(result) {
+    return result.problems.map(problem => [problem.kind, problem.seq]);
+}
+
+test('each entry carries its sequence number, the previous hash and an HMAC', async () => {
+    const { entries } = await createChain();
+    const [first, second] = entries();
+
+    assert.deepEqual([first.seq, first.prevHash, first.timestamp], [1, GENESIS_HASH, '2026-10-01T00:00:00.000Z']);
+    assert.equal(first.hash, entryHash(first));
+    assert.equal(first.keyId, keyIdOf(KEY));
+    assert.equal(first.hmac, crypto.createHmac('sha256', KEY).update(first.hash).digest('hex'));
+    assert.deepEqual([second.seq, second.prevHash], [2, first.hash]);
+});
+
+test('a chain picks up after the last entry in its store', async () => {
+    const { store, chain } = await createChain();
+    const restarted = new AuditChain({ store, key: KEY });
+    await restarted.append({ secretName: 'api-key', action: 'READ' });
+
+    assert.equal(restarted.describe().seq, 6);
+    assert.equal(store.entries[0].prevHash, chain.describe().headHash);
+    assert.deepEqual(kinds(await restarted.verify()), []);
+});
+
+test('without a key entries are hashed and linked but not sealed', async () => {
+    const { entries } = await createChain({ key: null });
+    assert.equal(entries()[0].hmac, undefined);
+
+    const result = verify(entries(), { key: null });
+    assert.deepEqual([result.valid, result.keyed], [true, false]);
+    assert.deepEqual(kinds(verify(entries())), [1, 2, 3, 4, 5].map(seq => ['unsigned', seq]));
+});
+
+test('verification reports what was done to the log', async (t) => {
+    const cases = [
+        ['an edited field', list => { list[1].user = 'eve'; }, [['modified', 2]]],
+        ['an edited and re-hashed entry', list => {
+            list[1].secretName = 'other';
+            list[1].hash = entryHash(list[1]);
+        }, [['signature', 2], ['link', 3]]],
+        ['a deleted entry', list => list.splice(2, 1), [['gap', 4]]],
+        ['swapped entries', list => list.splice(1, 2, list[2], list[1]), [['gap', 3], ['order', 2]]],
+        ['a replaced entry', list => {
+            list[2] = { ...list[2], prevHash: GENESIS_HASH };
+            list[2].hash = entryHash(list[2]);
+            list[2].hmac = crypto.createHmac('sha256', KEY).update(list[2].hash).digest('hex');
+        }, [['link', 3], ['link', 4]]],
+        ['an entry sealed with another key', list => {
+            list[0].keyId = keyIdOf(Buffer.alloc(32, 1));
+        }, [['unknown-key', 1]]],
+        ['an entry added without the chain', list => list.push({ timestamp: '2026-10-02T00:00:00.000Z', action: 'READ' }), [['unchained', null]]]
+    ];
+    for (const [name, tamper, expected] of cases) {
+        await t.test(name, async () => {
+            const { entries } = await createChain();
+            const list = entries().map(entry => ({ ...entry }));
+            tamper(list);
+            const result = verify(list);
+            assert.equal(result.valid, false);
+            assert.deepEqual(kinds(result), expected);
+        });
+    }
+});
+
+test('the oldest entries may be gone; the newest only past retention', async () => {
+    const { entries, chain } = await createChain();
+
+    const pruned = verify(entries().slice(2), { expectedHead: chain.head });
+    assert.deepEqual([pruned.valid, pruned.truncated, pruned.firstSeq], [true, true, 3]);
+
+    const cut = verify(entries().slice(0, 3), { expectedHead: chain.head });
+    assert.deepEqual(kinds(cut), [['missing-tail', 4]]);
+    assert.equal(cut.problems[0].message, '#4 to #5 were written but are not in the log');
+
+    // Every entry is older than the retention cutoff, so all of them may have been pruned
+    const expired = verify([], { expectedHead: chain.head, retainedSince: '2026-10-02T00:00:00.000Z' });
+    assert.equal(expired.valid, true);
+});
+
+test('entries from before the chain existed are counted, not reported', async () => {
+    const store = new MemoryAuditStore();
+    await store.append({ timestamp: START - HOUR_MS, secretName: 'legacy', action: 'READ' });
+    const chain = new AuditChain({ store, key: KEY });
+    await chain.append({ timestamp: START, secretName: 'api-key', action: 'READ' });
+
+    const result = await chain.verify();
+    assert.deepEqual([result.valid, result.unchained, result.firstSeq], [true, 1, 1]);
+});
+
+test('export bundles cover an unbroken run and verify offline', async () => {
+    const { chain } = await createChain();
+    const bundle = await chain.exportBundle(
+        { from: '2026-10-01T01:00:00.000Z', to: '2026-10-01T03:00:00.000Z' },
+        { source: { dashboard: 'audit', namespace: 'hello' } }
+    );
+    assert.deepEqual(bundle.entries.map(entry => entry.seq), [2, 3]);
+    assert.deepEqual([bundle.firstSeq, bundle.lastSeq], [2, 3]);
+
+    const result = verifyBundle(bundle, { key: KEY });
+    assert.deepEqual([result.valid, result.signatureValid, result.source.dashboard], [true, true, 'audit']);
+
+    const keyless = verifyBundle(bundle);
+    assert.deepEqual([keyless.valid, keyless.keyed, keyless.signatureValid], [true, false, null]);
+
+    const relabelled = verifyBundle({ ...bundle, range: { from: '2026-09-01T00:00:00.000Z' } }, { key: KEY });
+    assert.deepEqual(kinds(relabelled), [['bundle-signature', null]]);
+
+    const shortened = verifyBundle({ ...bundle, entries: bundle.entries.slice(0, 1) });
+    assert.deepEqual(kinds(shortened), [['missing-tail', 3]]);
+
+    const otherKey = verifyBundle(bundle, { key: Buffer.alloc(32, 1) });
+    assert.match(otherKey.problems.find(problem => problem.kind === 'bundle-signature').message, /signed with another key/);
+
+    assert.throws(() => verifyBundle({ entries: [] }), /Not an audit export bundle/);
+    await assert.rejects(new AuditChain({ store: new MemoryAuditStore() }).exportBundle(), /AUDIT_HMAC_KEY_FILE/);
+});
+
+test('audit-verify checks a bundle file and exits accordingly', async (t) => {
+    const dir = tempDir(t);
+    const { chain } = await createChain();
+    const bundle = await chain.exportBundle();
+    const keyFile = path.join(dir, 'key');
+    fs.writeFileSync(keyFile, KEY.toString('hex'));
+    const write = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+        return path.join(dir, name);
+    };
+    const run = (...args) => {
+        const output = { out: '', err: '' };
+        const code = main(args, { write: text => { output.out += text; } }, { write: text => { output.err += text; } });
+        return { code, ...output };
+    };
+
+    const intact = run(write('intact.json', bundle), '--key-file', keyFile);
+    assert.equal(intact.code, 0);
+    assert.match(intact.out, /^OK: 5 entries, #1 to #5/);
+    assert.match(intact.out, /checked with key/);
+
+    const tampered = { ...bundle, entries: bundle.entries.map((entry, i) => (i === 1 ? { ...entry, user: 'eve' } : entry)) };
+    const failed = run(write('tampered.json', tampered), '--key-file', keyFile);
+    assert.equal(failed.code, 1);
+    assert.match(failed.out, /^FAILED/);
+    assert.match(failed.out, /modified: #2 does not match its hash/);
+
+    const json = run(path.join(dir, 'intact.json'), '--json');
+    assert.equal(JSON.parse(json.out).keyed, false);
+
+    const missing = run(path.join(dir, 'missing.json'));
+    assert.equal(missing.code, 2);
+    assert.match(missing.err, /ENOENT[\s\S]*Usage:/);
+    assert.equal(run().code, 2);
+});
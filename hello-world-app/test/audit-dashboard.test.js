@@ -0,0 +1,414 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const { pick, tempDir } = require('./helpers/utils');
+const { MemoryAuditStore } = require('../shared/audit-store');
+const { verifyBundle, readKeyFile } = require('../shared/audit-chain');
+
+const AuditDashboardWebapp = loadDashboard('audit-dashboard');
+
+const MINUTE_MS = 60 * 1000;
+
+function createAuditApp(t, options = {}) {
+    const vault = new FakeSecretClient({ secrets: { 'hello-world-secret': 'Hello, audited world' } });
+    return createTestApp(t, AuditDashboardWebapp, { vault, ...options });
+}
+
+function keyFile(t) {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'key');
+    fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'));
+    return file;
+}
+
+function auditEntry(secretName, agoMs, fields = {}) {
+    return { timestamp: new Date(Date.now() - agoMs).toISOString(), action: 'REVEAL', secretName, user: 'ada', ...fields };
+}
+
+test('framework audit events land in the audit store, most recent first', async (t) => {
+    const app = createAuditApp(t, { auditStore: new MemoryAuditStore({ maxEntries: 3 }) });
+
+    for (const name of ['a', 'b', 'c', 'd']) {
+        app.recordAudit(auditEntry(name, 0));
+    }
+    await app.auditChain.flush();
+
+    const { entries, total } = await app.auditStore.query();
+    assert.equal(total, 3);
+    assert.deepEqual(entries.map(entry => entry.secretName), ['d', 'c', 'b']);
+    assert.equal(entries[0].source, 'webapp');
+    assert.equal(entries[0].user, 'ada');
+});
+
+test('access frequency counts each entry in every window it falls in', async (t) => {
+    const app = createAuditApp(t);
+    app.recordAudit(auditEntry('old', 2 * 24 * 60 * MINUTE_MS));
+    app.recordAudit(auditEntry('hours', 3 * 60 * MINUTE_MS));
+    app.recordAudit(auditEntry('minutes', 3 * MINUTE_MS));
+    app.recordAudit(auditEntry('now', 1000));
+    await app.auditChain.flush();
+
+    const { frequency } = await app.readAccessLog();
+
+    assert.equal(frequency['last-minute'].count, 1);
+    assert.equal(frequency['last-5-minutes'].count, 2);
+    assert.equal(frequency['last-hour'].count, 2);
+    assert.equal(frequency['last-day'].count, 3);
+});
+
+test('the trend compares the last hour with the hour before', async (t) => {
+    const app = createAuditApp(t);
+    assert.equal(app.calculateAccessTrends(await app.readAccessLog()), null);
+
+    app.recordAudit(auditEntry('a', 90 * MINUTE_MS));
+    app.recordAudit(auditEntry('a', 10 * MINUTE_MS));
+    app.recordAudit(auditEntry('a', 5 * MINUTE_MS));
+    await app.auditChain.flush();
+
+    const trends = app.calculateAccessTrends(await app.readAccessLog());
+    assert.equal(trends.trend, 'increasing');
+    assert.equal(trends.recentCount, 2);
+});
+
+test('the summary ranks secrets by the reads in the store', async (t) => {
+    const app = createAuditApp(t);
+    app.recordAudit(auditEntry('api-key', 3 * MINUTE_MS, { action: 'READ' }));
+    app.recordAudit(auditEntry('database-password', 2 * MINUTE_MS, { action: 'READ' }));
+    app.recordAudit(auditEntry('database-password', MINUTE_MS));
+    // Neither a write nor a failed read is an access
+    app.recordAudit(auditEntry('database-password', 0, { action: 'WRITE' }));
+    app.recordAudit(auditEntry('api-key', 0, { action: 'READ', outcome: 'failure' }));
+
+    const summary = await app.getAccessSummary();
+
+    assert.equal(summary.totalAccesses, 5);
+    assert.equal(summary.uniqueSecrets, 2);
+    assert.deepEqual(summary.topSecrets.map(secret => [secret.name, secret.accessCount]), [['database-password', 2], ['api-key', 1]]);
+    // Most recently recorded first
+    assert.deepEqual(summary.recentAccesses.map(entry => entry.action), ['READ', 'WRITE', 'REVEAL', 'READ', 'READ']);
+    assert.equal(summary.topSecrets[0].firstAccess, summary.recentAccesses[3].timestamp);
+    assert.equal(summary.topSecrets[0].lastAccess, summary.recentAccesses[2].timestamp);
+    assert.equal(summary.store.type, 'memory');
+});
+
+test('access totals are read once at startup, then each request reads the last day of the log', async (t) => {
+    const auditStore = new MemoryAuditStore();
+    const first = createAuditApp(t, { auditStore });
+    // Not in the catalog, so the page doesn't read it again
+    first.recordAudit(auditEntry('legacy-token', 2 * 24 * 60 * MINUTE_MS));
+    first.recordAudit(auditEntry('legacy-token', 5 * MINUTE_MS));
+    await first.auditChain.flush();
+
+    const restarted = createAuditApp(t, { auditStore });
+    await restarted.accessTotalsReady;
+    const scan = t.mock.method(auditStore, 'scan');
+    const reads = [scan, t.mock.method(auditStore, 'query'), t.mock.method(auditStore, 'count')];
+    const storeReads = () => reads.reduce((calls, method) => calls + method.mock.callCount(), 0);
+    const client = await startTestClient(t, restarted);
+
+    const audit = await client.get('/api/audit');
+    assert.deepEqual(pick(audit.body.topSecrets[0], ['name', 'accessCount']), { name: 'legacy-token', accessCount: 2 });
+    assert.equal(audit.body.totalAccesses, 2);
+    assert.equal(audit.body.accessFrequency['last-day'].count, 1);
+    assert.equal(storeReads(), 1);
+    const from = Date.parse(scan.mock.calls[0].arguments[0].from);
+    assert.ok(Math.abs(from - (Date.now() - 24 * 60 * MINUTE_MS)) < MINUTE_MS);
+
+    // Entries recorded after the restart are counted once, as they are appended
+    restarted.recordAudit(auditEntry('legacy-token', 0));
+    const again = await client.get('/api/audit');
+    assert.equal(again.body.topSecrets[0].accessCount, 3);
+    assert.equal(again.body.totalAccesses, 3);
+    assert.equal(storeReads(), 2);
+
+    assert.equal((await client.get('/')).status, 200);
+    assert.equal(storeReads(), 3);
+});
+
+test('access totals are read again once retention removes entries', async (t) => {
+    const app = createAuditApp(t, { auditStore: new MemoryAuditStore({ retentionMs: 24 * 60 * MINUTE_MS }) });
+    await app.accessTotalsReady;
+    app.recordAudit(auditEntry('old', 2 * 24 * 60 * MINUTE_MS));
+    app.recordAudit(auditEntry('new', MINUTE_MS));
+    assert.equal((await app.getAccessSummary()).totalAccesses, 2);
+
+    await app.pruneAuditStore();
+
+    const summary = await app.getAccessSummary();
+    assert.equal(summary.totalAccesses, 1);
+    assert.deepEqual(summary.topSecrets.map(secret => secret.name), ['new']);
+});
+
+test('a reveal and the reads behind it show up in GET /api/logs with the caller', async (t) => {
+    const app = createAuditApp(t, {
+        auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { ada: 'admin' } } }
+    });
+    const client = await startTestClient(t, app);
+
+    const reveal = await client.post('/api/secrets/hello-world-secret/reveal', undefined, {
+        user: 'ada', headers: { 'User-Agent': 'audit-test', 'X-Request-ID': 'req-42' }
+    });
+    assert.equal(reveal.status, 200);
+    assert.equal(reveal.body.value, 'Hello, audited world');
+
+    const reveals = await client.get('/api/logs?action=reveal', { user: 'ada' });
+    assert.equal(reveals.status, 200);
+    assert.equal(reveals.body.total, 1);
+    assert.deepEqual(pick(reveals.body.entries[0], ['action', 'secretName', 'source', 'user', 'role', 'requestId', 'userAgent']), {
+        action: 'REVEAL', secretName: 'hello-world-secret', source: 'webapp', user: 'ada', role: 'admin', requestId: 'req-42', userAgent: 'audit-test'
+    });
+    assert.ok(reveals.body.entries[0].remoteAddress);
+
+    // The value came from Key Vault, read on behalf of the same request
+    const reads = await client.get('/api/logs?action=read&secret=hello-world-secret', { user: 'ada' });
+    assert.deepEqual(pick(reads.body.entries[0], ['source', 'provider', 'vault', 'outcome', 'user', 'requestId']), {
+        source: 'provider', provider: 'azure-api', vault: 'default', outcome: 'success', user: 'ada', requestId: 'req-42'
+    });
+
+    const audit = await client.get('/api/audit', { user: 'ada' });
+    assert.equal(audit.body.topSecrets[0].name, 'hello-world-secret');
+    assert.equal(audit.body.topSecrets[0].accessCount, 2);
+});
+
+test('GET /api/access/:name records one read', async (t) => {
+    const app = createAuditApp(t);
+    const client = await startTestClient(t, app);
+
+    const access = await client.get('/api/access/hello-world-secret');
+    assert.equal(access.status, 200);
+
+    const logs = await client.get('/api/logs');
+    assert.equal(logs.body.total, 1);
+    assert.deepEqual(pick(logs.body.entries[0], ['action', 'secretName', 'provider', 'outcome']), {
+        action: 'READ', secretName: 'hello-world-secret', provider: 'azure-api', outcome: 'success'
+    });
+    assert.equal((await app.readAccessLog()).accessStats['hello-world-secret'].accessCount, 1);
+});
+
+test('sealed entries are forwarded to the sinks that want them, and GET /api/audit shows their health', async (t) => {
+    const posted = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            posted.push(...JSON.parse(body).entries);
+            res.writeHead(200).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const app = createAuditApp(t, {
+        env: {
+            AUDIT_SINKS: JSON.stringify([
+                { name: 'soc', type: 'webhook', url: `http://127.0.0.1:${server.address().port}/audit`, filter: { secrets: ['hello-*'] } },
+                { name: 'writes', type: 'syslog', host: '127.0.0.1', filter: { actions: ['WRITE'] } }
+            ])
+        }
+    });
+    t.after(() => app.auditSinks.close());
+    const client = await startTestClient(t, app);
+
+    await client.get('/api/access/hello-world-secret');
+    await client.get('/api/access/database-password');
+    await app.auditChain.flush();
+    await app.auditSinks.flush();
+
+    assert.deepEqual(posted.map(entry => pick(entry, ['seq', 'action', 'secretName'])), [{ seq: 1, action: 'READ', secretName: 'hello-world-secret' }]);
+    assert.ok(posted[0].hash);
+
+    const audit = await client.get('/api/audit');
+    assert.deepEqual(audit.body.sinks.map(sink => pick(sink, ['name', 'type', 'status', 'sent'])), [
+        { name: 'soc', type: 'webhook', status: 'ok', sent: 1 },
+        { name: 'writes', type: 'syslog', status: 'idle', sent: 0 }
+    ]);
+});
+
+test('a sink that throws is logged, and the entry is still stored', async (t) => {
+    const app = createAuditApp(t);
+    app.auditSinks.send = () => {
+        throw new Error('socket closed');
+    };
+
+    await app.recordAudit(auditEntry('hello-world-secret', 0));
+
+    const { total } = await app.auditStore.query();
+    assert.equal(total, 1);
+    const failure = app.logger.lines.find(line => line.msg === 'Failed to forward audit entry');
+    assert.deepEqual(pick(failure, ['level', 'secret', 'error']), { level: 'error', secret: 'hello-world-secret', error: 'socket closed' });
+});
+
+test('access during quiet hours shows up in GET /api/audit/anomalies and as an access-anomaly event', async (t) => {
+    const app = createAuditApp(t, { env: { ANOMALY_QUIET_HOURS: '00:00-24:00' } });
+    const client = await startTestClient(t, app);
+
+    await client.get('/api/access/hello-world-secret');
+    const anomalies = await client.get('/api/audit/anomalies?kind=quiet-hours');
+    assert.equal(anomalies.status, 200);
+    assert.equal(anomalies.body.total, 1);
+    assert.deepEqual(pick(anomalies.body.findings[0], ['kind', 'secret', 'seq']), { kind: 'quiet-hours', secret: 'hello-world-secret', seq: 1 });
+    assert.deepEqual(pick(anomalies.body.detector, ['learning', 'timezone', 'quietHours']), { learning: true, timezone: 'UTC', quietHours: ['00:00-24:00'] });
+
+    const events = app.events.history.filter(event => event.type === 'access-anomaly');
+    assert.deepEqual(events.map(event => event.data.kind), ['quiet-hours']);
+    assert.ok(app.logger.lines.some(line => line.msg === 'Access anomaly detected'));
+
+    const audit = await client.get('/api/audit');
+    assert.equal(audit.body.anomalies.total, 1);
+    const page = await client.get('/');
+    assert.match(page.text, /Access Anomalies/);
+
+    const baseline = await client.get('/api/audit/anomalies/baseline/hello-world-secret');
+    assert.equal(baseline.status, 200);
+    assert.equal(baseline.body.byHourOfWeek.length, 7);
+    assert.equal((await client.get('/api/audit/anomalies/baseline/unknown')).status, 404);
+    assert.equal((await client.get('/api/audit/anomalies?kind=odd')).status, 400);
+    assert.equal((await client.get('/api/audit/anomalies?since=yesterday')).status, 400);
+});
+
+test('when the access log can\'t be replayed, anomalies are still found in new entries', async (t) => {
+    const auditStore = new MemoryAuditStore();
+    auditStore.scan = async () => {
+        throw new Error('database is locked');
+    };
+    const app = createAuditApp(t, { auditStore, env: { ANOMALY_QUIET_HOURS: '00:00-24:00' } });
+
+    await app.recordAudit(auditEntry('hello-world-secret', 0));
+    await app.recordAudit(auditEntry('api-key', 0));
+
+    const { findings } = await app.getAnomalies();
+    assert.deepEqual(findings.map(finding => finding.secret), ['api-key', 'hello-world-secret']);
+    assert.equal(app.logger.lines.filter(line => line.msg === 'Unable to replay the audit log for anomaly detection').length, 1);
+});
+
+test('baselines are learned from the access log at startup, so a new caller is reported after a restart', async (t) => {
+    const auditStore = new MemoryAuditStore();
+    for (let day = 10; day > 0; day--) {
+        await auditStore.append(auditEntry('hello-world-secret', day * 24 * 60 * MINUTE_MS, { user: 'ada' }));
+    }
+    const app = createAuditApp(t, { auditStore, env: { ANOMALY_LEARNING_DAYS: '7' } });
+
+    app.recordAudit(auditEntry('hello-world-secret', 0, { user: 'mallory' }));
+    const { findings, detector } = await app.getAnomalies();
+    assert.equal(detector.learning, false);
+    assert.deepEqual(findings.map(finding => [finding.kind, finding.caller]), [['new-caller', 'mallory']]);
+});
+
+test('GET /api/logs filters by time, secret, action and source, a page at a time', async (t) => {
+    const app = createAuditApp(t);
+    const client = await startTestClient(t, app);
+    const days = n => n * 24 * 60 * MINUTE_MS;
+    const oldest = auditEntry('database-password', days(8));
+    app.recordAudit(oldest);
+    app.recordAudit(auditEntry('database-password', days(5), { action: 'READ' }));
+    app.recordAudit(auditEntry('api-key', days(4)));
+    app.recordAudit(auditEntry('database-password', days(3)));
+    app.recordAudit(auditEntry('database-password', days(1)));
+    await app.auditChain.append(auditEntry('database-password', days(2), { source: 'provider' }));
+
+    const lastWeek = `from=${new Date(Date.now() - days(7)).toISOString()}&to=${new Date().toISOString()}`;
+    const reads = await client.get(`/api/logs?secret=database-password&${lastWeek}`);
+    assert.equal(reads.body.total, 4);
+
+    const reveals = await client.get(`/api/logs?secret=database-password&action=reveal&source=webapp&${lastWeek}`);
+    assert.equal(reveals.body.total, 2);
+
+    const first = await client.get('/api/logs?secret=database-password&limit=2');
+    assert.deepEqual([first.body.total, first.body.entries.length, first.body.nextOffset], [5, 2, 2]);
+    const last = await client.get('/api/logs?secret=database-password&limit=2&offset=4');
+    assert.deepEqual([last.body.entries.length, last.body.nextOffset], [1, null]);
+    assert.equal(last.body.entries[0].timestamp, oldest.timestamp);
+
+    const invalid = await client.get('/api/logs?from=last-week');
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /from must be an ISO 8601 date or time/);
+    assert.equal((await client.get('/api/logs?limit=5000')).status, 400);
+});
+
+test('with AUDIT_STORE=jsonl the access log survives a restart', async (t) => {
+    const dir = tempDir(t);
+    const env = { AUDIT_STORE: 'jsonl', AUDIT_STORE_PATH: dir };
+
+    const before = createAuditApp(t, { env });
+    before.recordAudit(auditEntry('database-password', 0));
+    await before.auditChain.flush();
+    await before.auditStore.close();
+
+    const after = createAuditApp(t, { env });
+    const { entries } = await after.auditStore.query({ secretName: 'database-password' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].user, 'ada');
+
+    // The chain carries on where it stopped
+    after.recordAudit(auditEntry('api-key', 0));
+    const verification = await after.verifyAuditLog();
+    assert.deepEqual([verification.valid, verification.firstSeq, verification.lastSeq], [true, 1, 2]);
+});
+
+test('GET /api/audit/verify reports modified and missing entries', async (t) => {
+    const app = createAuditApp(t, { env: { AUDIT_HMAC_KEY_FILE: keyFile(t) } });
+    const client = await startTestClient(t, app);
+    ['a', 'b', 'c', 'd'].forEach(name => app.recordAudit(auditEntry(name, 0)));
+
+    const intact = await client.get('/api/audit/verify');
+    assert.equal(intact.status, 200);
+    assert.deepEqual([intact.body.valid, intact.body.keyed, intact.body.entries, intact.body.lastSeq], [true, true, 4, 4]);
+
+    // Newest first: c is #3, b is #2
+    const [, c, b] = app.auditStore.entries;
+    c.user = 'eve';
+    app.auditStore.entries.splice(app.auditStore.entries.indexOf(b), 1);
+
+    const tampered = await client.get('/api/audit/verify');
+    assert.equal(tampered.body.valid, false);
+    assert.deepEqual(tampered.body.problems.map(problem => [problem.kind, problem.seq]), [['modified', 3], ['gap', 3]]);
+});
+
+test('verifying and exporting the audit log need the operate permission', async (t) => {
+    const app = createAuditApp(t, {
+        env: { AUDIT_HMAC_KEY_FILE: keyFile(t) },
+        auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { olive: 'operator' } } }
+    });
+    const client = await startTestClient(t, app);
+    app.recordAudit(auditEntry('api-key', 0));
+
+    for (const route of ['/api/audit/verify', '/api/audit/export']) {
+        assert.equal((await client.get(route, { user: 'vic' })).status, 403, route);
+        assert.equal((await client.get(route, { user: 'olive' })).status, 200, route);
+    }
+    // The log itself stays readable for viewers
+    assert.equal((await client.get('/api/logs', { user: 'vic' })).status, 200);
+});
+
+test('GET /api/audit/export returns a signed bundle that verifies offline', async (t) => {
+    const file = keyFile(t);
+    const app = createAuditApp(t, { env: { AUDIT_HMAC_KEY_FILE: file } });
+    const client = await startTestClient(t, app);
+    app.recordAudit(auditEntry('database-password', 2 * 60 * MINUTE_MS));
+    app.recordAudit(auditEntry('api-key', 30 * MINUTE_MS));
+    app.recordAudit(auditEntry('api-key', 0));
+
+    const from = new Date(Date.now() - 60 * MINUTE_MS).toISOString();
+    const exported = await client.get(`/api/audit/export?from=${from}`);
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get('content-disposition'), /^attachment; filename="audit-export-\d{8}T\d{9}Z\.json"$/);
+    assert.deepEqual([exported.body.firstSeq, exported.body.lastSeq, exported.body.entries.length], [2, 3, 2]);
+
+    const result = verifyBundle(exported.body, { key: readKeyFile(file) });
+    assert.deepEqual([result.valid, result.signatureValid, result.truncated], [true, true, true]);
+
+    const unsigned = createAuditApp(t);
+    const refused = await (await startTestClient(t, unsigned)).get('/api/audit/export');
+    assert.equal(refused.status, 503);
+    assert.match(refused.body.error, /AUDIT_HMAC_KEY_FILE/);
+});
+
+test('an invalid store setting stops the dashboard at startup', (t) => {
+    assert.throws(() => createAuditApp(t, { env: { AUDIT_STORE: 'postgres' } }), /AUDIT_STORE/);
+    assert.throws(() => createAuditApp(t, { env: { AUDIT_STORE: 'sqlite' } }), /AUDIT_STORE_PATH is required when AUDIT_STORE is sqlite/);
+});
@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const dgram = require('dgram');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { AuditSinks, parseAuditSinks, matchesFilter, formatSyslog, formatCef } = require('../shared/audit-sinks');
+const { AppConfig } = require('../shared/config');
+const { createTestLogger } = require('./helpers/dashboards');
+const { pick, tempDir } = require('./helpers/utils');
+
+const TIMESTAMP = '2026-10-19T08:12:03.117Z';
+const FRAME = { facility: 13, hostname: 'pod-1', appName: 'hello-world-audit', procId: 42, appVersion: '1.2.3' };
+
+function entry(fields = {}) {
+    return { timestamp: TIMESTAMP, seq: 1, action: 'READ', secretName: 'api-key', outcome: 'success', source: 'provider', provider: 'csi', ...fields };
+}
+
+function createSinks(t, sinks, options = {}) {
+    const auditSinks = new AuditSinks({ sinks: parseAuditSinks(sinks), logger: createTestLogger(), hostname: 'pod-1', sleep: async () => {}, ...options });
+    t.after(() => auditSinks.close());
+    return auditSinks;
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - started > timeoutMs) {
+                reject(new Error('Timed out waiting'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+test('sinks are validated and get their defaults', () => {
+    const [syslog, webhook] = parseAuditSinks([
+        { type: 'syslog', host: 'siem.example.com' },
+        { name: 'soc', type: 'webhook', url: 'https://soc.example.com/ingest', filter: { actions: ['WRITE'] } }
+    ]);
+    assert.deepEqual(pick(syslog, ['name', 'port', 'protocol', 'format', 'facility']), { name: 'syslog-1', port: 514, protocol: 'udp', format: 'rfc5424', facility: 13 });
+    assert.deepEqual([webhook.name, webhook.batchSize, webhook.maxRetries, webhook.filter], ['soc', 100, 5, { actions: ['WRITE'] }]);
+
+    const problems = [
+        [{}, /must be a list/],
+        [[{ type: 'kafka' }], /type must be one of syslog, webhook/],
+        [[{ type: 'syslog' }], /'syslog-1' needs a host/],
+        [[{ type: 'syslog', host: 'h', protocol: 'tls' }], /protocol must be one of udp, tcp/],
+        [[{ type: 'syslog', host: 'h', port: 70000 }], /port must be a whole number from 1 to 65535/],
+        [[{ type: 'webhook', url: 'ftp://x' }], /needs an http\(s\) url/],
+        [[{ type: 'webhook', url: 'https://x', filter: { hosts: ['a'] } }], /unknown filter 'hosts'/],
+        [[{ name: 'a', type: 'syslog', host: 'h' }, { name: 'a', type: 'syslog', host: 'h' }], /duplicate sink names: a/]
+    ];
+    for (const [raw, expected] of problems) {
+        assert.throws(() => parseAuditSinks(raw), expected);
+    }
+});
+
+test('AUDIT_SINKS is checked with the rest of the configuration, webhook headers redacted', () => {
+    assert.throws(() => AppConfig.fromEnv({ logger: createTestLogger() }, { AUDIT_SINKS: '[{"type":"syslog"}]' }),
+        /audit\.sinks \(AUDIT_SINKS\): sink 'syslog-1' needs a host/);
+
+    const config = AppConfig.fromEnv({ logger: createTestLogger() }, {
+        AUDIT_SINKS: JSON.stringify([{ type: 'webhook', url: 'https://soc.example.com', headers: { Authorization: 'Splunk abc' } }])
+    });
+    assert.deepEqual(config.describe().settings['audit.sinks'].value[0].headers, { Authorization: '********' });
+});
+
+test('filters match every listed field, with * wildcards', () => {
+    assert.ok(matchesFilter({}, entry()));
+    assert.ok(matchesFilter({ actions: ['WRITE', 'READ'], secrets: ['api-*'] }, entry()));
+    assert.ok(!matchesFilter({ actions: ['WRITE'] }, entry()));
+    assert.ok(!matchesFilter({ secrets: ['database-*'] }, entry()));
+    assert.ok(!matchesFilter({ users: ['ada'] }, entry()));
+    // A reveal has no outcome of its own
+    assert.ok(matchesFilter({ outcomes: ['success'] }, entry({ action: 'REVEAL', outcome: undefined })));
+    assert.ok(matchesFilter({ outcomes: ['failure'] }, entry({ outcome: 'failure' })));
+});
+
+test('RFC 5424 messages carry the entry as structured data', () => {
+    const message = formatSyslog(entry({
+        seq: 7,
+        action: 'WRITE',
+        secretName: 'database-password',
+        provider: 'azure-api',
+        vault: 'default',
+        version: 'v2',
+        user: 'ada',
+        requestId: 'req-1',
+        userAgent: 'curl/8.0 "quoted]"'
+    }), FRAME);
+    assert.equal(message, '<109>1 2026-10-19T08:12:03.117Z pod-1 hello-world-audit 42 WRITE '
+        + '[audit@32473 seq="7" action="WRITE" secretName="database-password" outcome="success" source="provider" '
+        + 'provider="azure-api" vault="default" version="v2" user="ada" requestId="req-1" userAgent="curl/8.0 \\"quoted\\]\\""] '
+        + 'ada WRITE database-password: success');
+
+    // Failures are warnings
+    assert.match(formatSyslog(entry({ outcome: 'failure' }), FRAME), /^<108>1 /);
+});
+
+test('CEF events escape their header and extension values', () => {
+    const message = formatCef(entry({ seq: 8, outcome: 'failure', error: 'a=b|c\\d', background: true, remoteAddress: '::ffff:10.0.0.9' }), FRAME);
+    assert.equal(message, `CEF:0|HelloWorld|secret-dashboards|1.2.3|READ|Secret read|7|rt=${Date.parse(TIMESTAMP)} act=READ outcome=failure `
+        + 'reason=a\\=b|c\\\\d src=10.0.0.9 dvchost=pod-1 msg=background READ api-key: failure (a\\=b|c\\\\d) '
+        + 'cs1Label=secret cs1=api-key cs2Label=provider cs2=csi cs6Label=source cs6=provider cn1Label=seq cn1=8');
+
+    assert.match(formatCef(entry({ action: 'A|B' }), FRAME), /\|A\\\|B\|A\\\|B\|3\|/);
+});
+
+test('syslog over UDP sends one datagram per entry', async (t) => {
+    const server = dgram.createSocket('udp4');
+    const received = [];
+    server.on('message', message => received.push(message.toString()));
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const sinks = createSinks(t, [{ type: 'syslog', host: '127.0.0.1', port: server.address().port, format: 'cef', filter: { actions: ['WRITE'] } }]);
+    sinks.send(entry());
+    sinks.send(entry({ action: 'WRITE', seq: 2 }));
+    await waitFor(() => received.length === 1 && sinks.describe()[0].sent === 1);
+
+    assert.match(received[0], /^<109>1 2026-10-19T08:12:03.117Z pod-1 hello-world-audit \d+ WRITE - CEF:0\|HelloWorld\|/);
+    assert.deepEqual(pick(sinks.describe()[0], ['status', 'sent', 'failed', 'dropped', 'target']), { status: 'ok', sent: 1, failed: 0, dropped: 0, target: `udp://127.0.0.1:${server.address().port}` });
+});
+
+test('syslog over TCP frames each message with its length', async (t) => {
+    let data = '';
+    const server = net.createServer(socket => socket.on('data', chunk => { data += chunk; }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const sinks = createSinks(t, [{ type: 'syslog', host: '127.0.0.1', port: server.address().port, protocol: 'tcp' }]);
+    sinks.send(entry({ secretName: 'schlüssel' }));
+    sinks.send(entry({ seq: 2 }));
+    await waitFor(() => sinks.describe()[0].sent === 2);
+    await sinks.close();
+    await waitFor(() => /api-key: success$/.test(data));
+
+    const first = formatSyslog(entry({ secretName: 'schlüssel' }), { ...FRAME, procId: process.pid });
+    assert.ok(data.startsWith(`${Buffer.byteLength(first)} ${first}`));
+});
+
+test('a TCP sink that cannot connect reports failing and drops what it held', async (t) => {
+    // A port nothing listens on
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const sinks = createSinks(t, [{ type: 'syslog', host: '127.0.0.1', port, protocol: 'tcp' }]);
+    sinks.send(entry());
+    await waitFor(() => sinks.describe()[0].status === 'failing');
+    assert.match(sinks.describe()[0].lastError, /ECONNREFUSED/);
+    assert.equal(sinks.describe()[0].queued, 1);
+
+    await sinks.close();
+    assert.equal(sinks.describe()[0].dropped, 1);
+});
+
+// Answers with the given responses in turn, then 200
+function fakeFetch(...responses) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        const next = responses.shift();
+        if (next instanceof Error) {
+            throw next;
+        }
+        return next || new Response(null, { status: 200 });
+    };
+    return { fetch, calls };
+}
+
+test('webhooks post batches and retry throttling and server errors', async (t) => {
+    const { fetch, calls } = fakeFetch(
+        new Response('busy', { status: 503 }),
+        Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) })
+    );
+    const sinks = createSinks(t, [{ type: 'webhook', url: 'https://soc.example.com/ingest', batchSize: 2, headers: { 'X-Team': 'soc' } }], {
+        fetch,
+        source: { dashboard: 'audit', namespace: 'hello' }
+    });
+
+    sinks.send(entry({ seq: 1 }));
+    assert.equal(calls.length, 0);
+    sinks.send(entry({ seq: 2 }));
+    sinks.send(entry({ seq: 3 }));
+    await sinks.flush();
+
+    assert.deepEqual(calls.map(call => call.body.entries.map(sent => sent.seq)), [[1, 2], [1, 2], [1, 2], [3]]);
+    assert.deepEqual(calls[0].body.source, { dashboard: 'audit', namespace: 'hello' });
+    assert.equal(calls[0].headers['X-Team'], 'soc');
+    assert.deepEqual(pick(sinks.describe()[0], ['status', 'sent', 'failed', 'retries', 'queued']), { status: 'ok', sent: 3, failed: 0, retries: 2, queued: 0 });
+});
+
+test('batches that cannot be delivered go to the dead-letter file', async (t) => {
+    const dir = tempDir(t);
+    const deadLetterPath = path.join(dir, 'dead', 'webhook.jsonl');
+    const { fetch, calls } = fakeFetch(new Response('no', { status: 400, statusText: 'Bad Request' }), ...Array(3).fill(new Response(null, { status: 500 })));
+    const sinks = createSinks(t, [
+        { name: 'soc', type: 'webhook', url: 'https://soc.example.com/ingest', maxRetries: 2, deadLetterPath },
+        { name: 'nowhere', type: 'webhook', url: 'https://other.example.com', maxRetries: 0, filter: { secrets: ['database-password'] } }
+    ], { fetch });
+
+    // Rejected outright, then out of retries
+    sinks.send(entry({ seq: 1 }));
+    await sinks.flush();
+    sinks.send(entry({ seq: 2 }));
+    await sinks.flush();
+
+    const lines = fs.readFileSync(deadLetterPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.sink, line.entry.seq]), [['soc', 1], ['soc', 2]]);
+    assert.match(lines[0].reason, /answered 400 Bad Request/);
+    assert.match(lines[1].reason, /answered 500/);
+    assert.equal(calls.length, 4);
+    assert.deepEqual(pick(sinks.describe()[0], ['status', 'failed', 'deadLettered', 'dropped']), { status: 'failing', failed: 2, deadLettered: 2, dropped: 0 });
+    assert.equal(sinks.describe()[1].status, 'idle');
+});
+
+test('without a dead-letter file, undeliverable entries are counted as dropped', async (t) => {
+    const { fetch } = fakeFetch(new Response(null, { status: 401 }));
+    const sinks = createSinks(t, [{ type: 'webhook', url: 'https://soc.example.com', maxQueue: 2 }], { fetch });
+
+    sinks.send(entry({ seq: 1 }));
+    await sinks.flush();
+    // Past maxQueue the oldest are given up on
+    [2, 3, 4].forEach(seq => sinks.send(entry({ seq })));
+    assert.equal(sinks.describe()[0].queued, 2);
+    await sinks.flush();
+
+    assert.deepEqual(pick(sinks.describe()[0], ['sent', 'failed', 'dropped']), { sent: 2, failed: 1, dropped: 2 });
+});
+
+test('webhooks post JSON to a real endpoint with the token from tokenFile', async (t) => {
+    const dir = tempDir(t);
+    const tokenFile = path.join(dir, 'token');
+    fs.writeFileSync(tokenFile, 'first-token\n');
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ authorization: req.headers.authorization, type: req.headers['content-type'], body: JSON.parse(body) });
+            res.writeHead(202).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const sinks = createSinks(t, [{ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/audit`, tokenFile }]);
+    sinks.send(entry());
+    await sinks.flush();
+    fs.writeFileSync(tokenFile, 'rotated-token');
+    sinks.send(entry({ seq: 2 }));
+    await sinks.close();
+
+    assert.deepEqual(requests.map(request => request.authorization), ['Bearer first-token', 'Bearer rotated-token']);
+    assert.equal(requests[0].type, 'application/json');
+    assert.equal(requests[0].body.entries[0].secretName, 'api-key');
+});
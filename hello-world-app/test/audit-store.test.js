@@ -0,0 +1,227 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS } = require('./helpers/fake-secret-client');
+const { createTestLogger } = require('./helpers/dashboards');
+const { tempDir } = require('./helpers/utils');
+const {
+    MemoryAuditStore, JsonlAuditStore, SqliteAuditStore, createAuditStore, parseAuditQuery
+} = require('../shared/audit-store');
+const { AuditChain } = require('../shared/audit-chain');
+
+const START = Date.parse('2026-10-01T00:00:00.000Z');
+
+// A store with a clock the test moves
+const BACKENDS = {
+    memory: (t, clock, options) => new MemoryAuditStore({ now: clock.now, ...options }),
+    jsonl: (t, clock, options) => new JsonlAuditStore({ dir: tempDir(t), logger: createTestLogger(), now: clock.now, ...options }),
+    sqlite: (t, clock, options) => {
+        const store = new SqliteAuditStore({ path: path.join(tempDir(t), 'audit.db'), logger: createTestLogger(), now: clock.now, ...options });
+        t.after(() => store.close());
+        return store;
+    }
+};
+
+function createClock() {
+    const clock = { time: START, now: () => clock.time };
+    return clock;
+}
+
+// One entry a day for ten days, alternating secrets; the third is a REVEAL
+async function fillTenDays(store, clock) {
+    for (let day = 0; day < 10; day++) {
+        clock.time = START + day * DAY_MS;
+        await store.append({
+            secretName: day % 2 === 0 ? 'database-password' : 'api-key',
+            action: day === 2 ? 'REVEAL' : 'READ',
+            source: 'webapp',
+            day
+        });
+    }
+}
+
+for (const [type, createStore] of Object.entries(BACKENDS)) {
+    test(`${type}: queries filter by time, secret, action and source, most recent first`, async (t) => {
+        const clock = createClock();
+        const store = createStore(t, clock);
+        await fillTenDays(store, clock);
+
+        const all = await store.query();
+        assert.equal(all.total, 10);
+        assert.deepEqual(all.entries.map(entry => entry.day), [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+        assert.equal(all.entries[0].timestamp, '2026-10-10T00:00:00.000Z');
+
+        const week = await store.query({ from: '2026-10-03T00:00:00.000Z', to: '2026-10-10T00:00:00.000Z' });
+        assert.deepEqual(week.entries.map(entry => entry.day), [8, 7, 6, 5, 4, 3, 2]);
+
+        const secret = await store.query({ secretName: 'database-password', action: 'READ', source: 'webapp' });
+        assert.deepEqual(secret.entries.map(entry => entry.day), [8, 6, 4, 0]);
+        assert.equal(await store.count({ action: 'REVEAL' }), 1);
+        assert.equal(await store.count({ source: 'provider' }), 0);
+
+        const page = await store.query({ limit: 3, offset: 3 });
+        assert.deepEqual([page.total, page.entries.map(entry => entry.day)], [10, [6, 5, 4]]);
+        const beyond = await store.query({ limit: 5, offset: 8 });
+        assert.deepEqual([beyond.total, beyond.entries.map(entry => entry.day)], [10, [1, 0]]);
+    });
+
+    test(`${type}: last() is the most recently recorded entry`, async (t) => {
+        const clock = createClock();
+        const store = createStore(t, clock, { rotateIntervalMs: DAY_MS });
+        assert.equal(await store.last(), null);
+
+        await fillTenDays(store, clock);
+        assert.equal((await store.last()).day, 9);
+    });
+
+    test(`${type}: prune() drops what is past retention`, async (t) => {
+        const clock = createClock();
+        const store = createStore(t, clock, { retentionMs: 3 * DAY_MS, rotateIntervalMs: DAY_MS });
+        await fillTenDays(store, clock);
+
+        clock.time = START + 9.5 * DAY_MS;
+        assert.ok(await store.prune() > 0);
+
+        // Three days back from day 9.5 is day 6.5. JSONL files go whole, so day 6 may stay
+        const kept = (await store.query()).entries.map(entry => entry.day);
+        assert.deepEqual(kept.filter(day => day !== 6), [9, 8, 7]);
+    });
+
+    test(`${type}: retention 0 keeps everything`, async (t) => {
+        const clock = createClock();
+        const store = createStore(t, clock, { retentionMs: 0 });
+        await fillTenDays(store, clock);
+
+        clock.time = START + 1000 * DAY_MS;
+        assert.equal(await store.prune(), 0);
+        assert.equal(await store.count(), 10);
+    });
+}
+
+test('jsonl: files rotate by size and by age', async (t) => {
+    const clock = createClock();
+    const dir = tempDir(t);
+    const store = new JsonlAuditStore({ dir, maxFileBytes: 300, rotateIntervalMs: 60 * 60 * 1000, logger: createTestLogger(), now: clock.now });
+
+    // About 100 bytes each, so the fourth goes to a new file
+    for (let i = 0; i < 4; i++) {
+        await store.append({ secretName: 'database-password', action: 'READ', source: 'webapp', i });
+    }
+    assert.equal(store.files().length, 2);
+
+    clock.time += 2 * 60 * 60 * 1000;
+    await store.append({ secretName: 'database-password', action: 'READ', source: 'webapp', i: 4 });
+    const files = store.files();
+    assert.equal(files.length, 3);
+    assert.deepEqual(files.map(file => file.closedAt), ['2026-10-01T00:00:00.000Z', '2026-10-01T02:00:00.000Z', null]);
+    assert.match(files[0].file, /^audit-20261001T000000000Z\.jsonl$/);
+
+    assert.deepEqual((await store.query()).entries.map(entry => entry.i), [4, 3, 2, 1, 0]);
+    // Rotated files closed before from are not read at all
+    assert.equal(await store.count({ from: '2026-10-01T01:00:00.000Z' }), 1);
+});
+
+test('jsonl: a restarted store appends to the same file and skips a torn last line', async (t) => {
+    const clock = createClock();
+    const dir = tempDir(t);
+    const logger = createTestLogger();
+    const first = new JsonlAuditStore({ dir, logger, now: clock.now });
+    await first.append({ secretName: 'api-key', action: 'READ' });
+    await first.close();
+    // A crash halfway through a write
+    fs.appendFileSync(path.join(dir, 'audit.jsonl'), '{"secretName":"api-');
+
+    clock.time += 1000;
+    const second = new JsonlAuditStore({ dir, logger, now: clock.now });
+    assert.equal(second.activeSince, START);
+
+    // The chain head is found past the torn line
+    assert.equal((await second.last()).secretName, 'api-key');
+    await second.append({ secretName: 'database-password', action: 'READ' });
+
+    const { entries } = await second.query();
+    assert.deepEqual(entries.map(entry => entry.secretName), ['database-password', 'api-key']);
+    assert.ok(logger.lines.some(line => line.msg === 'Skipping unreadable audit log line'));
+    assert.equal(fs.readdirSync(dir).length, 1);
+});
+
+test('jsonl: last() reads the end of the newest file only', async (t) => {
+    const clock = createClock();
+    const dir = tempDir(t);
+    const store = new JsonlAuditStore({ dir, rotateIntervalMs: 60 * 1000, logger: createTestLogger(), now: clock.now });
+    // Longer than a read block, with characters that span block boundaries
+    const note = 'é€'.repeat(20000);
+    await store.append({ secretName: 'api-key', action: 'READ', seq: 1, note });
+    const last = await store.last();
+    assert.deepEqual([last.seq, last.note], [1, note]);
+
+    // Only a torn line in the current file: the rotated one has the last whole entry
+    clock.time += 2 * 60 * 1000;
+    await store.append({ secretName: 'api-key', action: 'READ', seq: 2 });
+    fs.writeFileSync(path.join(dir, 'audit.jsonl'), '{"secretName":"api-');
+    assert.equal((await store.last()).seq, 1);
+
+    // The audit chain picks up its head without walking the log
+    const scan = t.mock.method(store, 'scan');
+    const chain = new AuditChain({ store, logger: createTestLogger() });
+    await chain.flush();
+    assert.equal(chain.describe().seq, 1);
+    assert.equal(scan.mock.callCount(), 0);
+});
+
+test('jsonl: write failures are reported by describe()', async (t) => {
+    const dir = tempDir(t);
+    const logger = createTestLogger();
+    const store = new JsonlAuditStore({ dir, logger });
+    fs.rmSync(dir, { recursive: true });
+
+    await store.append({ secretName: 'api-key', action: 'READ' });
+
+    assert.match(store.describe().lastError, /^Unable to write audit entry: ENOENT/);
+    assert.ok(logger.lines.some(line => line.level === 'error' && line.msg === 'Unable to write audit entry'));
+});
+
+test('sqlite: entries outlive the connection', async (t) => {
+    const file = path.join(tempDir(t), 'nested', 'audit.db');
+    const first = new SqliteAuditStore({ path: file });
+    await first.append({ secretName: 'api-key', action: 'REVEAL', user: 'ada', role: 'admin' });
+    await first.close();
+
+    const second = new SqliteAuditStore({ path: file });
+    t.after(() => second.close());
+    const { entries } = await second.query({ action: 'REVEAL' });
+    assert.equal(entries[0].user, 'ada');
+    assert.equal(second.describe().entries, 1);
+});
+
+test('createAuditStore() picks the backend from AUDIT_STORE', (t) => {
+    const dir = tempDir(t);
+    const logger = createTestLogger();
+
+    const memory = createAuditStore({ logger }, { AUDIT_MEMORY_MAX_ENTRIES: '5' });
+    assert.deepEqual(memory.describe(), { type: 'memory', entries: 0, maxEntries: 5, retentionDays: 90 });
+
+    const jsonl = createAuditStore({ logger }, {
+        AUDIT_STORE: 'jsonl', AUDIT_STORE_PATH: dir, AUDIT_MAX_FILE_BYTES: '2048', AUDIT_RETENTION_DAYS: '0'
+    });
+    assert.equal(jsonl.maxFileBytes, 2048);
+    assert.equal(jsonl.retentionMs, 0);
+
+    const sqlite = createAuditStore({ logger }, { AUDIT_STORE: 'sqlite', AUDIT_STORE_PATH: path.join(dir, 'audit.db') });
+    t.after(() => sqlite.close());
+    assert.equal(sqlite.describe().type, 'sqlite');
+
+    assert.throws(() => createAuditStore({ logger }, { AUDIT_STORE: 'jsonl' }), /AUDIT_STORE_PATH is required when AUDIT_STORE is jsonl/);
+    assert.throws(() => createAuditStore({ logger }, { AUDIT_STORE: 'redis' }), /Unknown AUDIT_STORE 'redis'/);
+});
+
+test('query parameters are checked', () => {
+    assert.deepEqual(parseAuditQuery({ from: '2026-10-12', secret: 'api-key', action: 'reveal', limit: '10' }), {
+        from: '2026-10-12T00:00:00.000Z', secretName: 'api-key', action: 'REVEAL', limit: 10, offset: 0
+    });
+    assert.deepEqual(parseAuditQuery({}), { limit: 100, offset: 0 });
+    assert.throws(() => parseAuditQuery({ to: 'yesterday' }), /to must be an ISO 8601 date or time, got 'yesterday'/);
+    assert.throws(() => parseAuditQuery({ limit: '0' }), /limit must be a whole number from 1 to 1000/);
+    assert.throws(() => parseAuditQuery({ offset: '-1' }), /offset must be a whole number of at least 0/);
+});
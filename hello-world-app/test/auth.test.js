@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Authenticator } = require('../shared/auth');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const { tempDir } = require('./helpers/utils');
+const HelloWorldWebapp = require('../shared/webapp-framework');
+
+// An Ed25519 signing key and the JWKS file a mounted secret would hold
+function createSigner(t) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const dir = tempDir(t);
+    const jwksFile = path.join(dir, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'EdDSA' }] }));
+
+    const sign = claims => {
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const signingInput = `${encode({ alg: 'EdDSA', kid: 'test' })}.${encode(claims)}`;
+        return `${signingInput}.${crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url')}`;
+    };
+    return { jwksFile, sign };
+}
+
+function bearer(token) {
+    return { headers: { authorization: `Bearer ${token}` }, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+test('tokens must carry a numeric expiry that has not passed', (t) => {
+    const { jwksFile, sign } = createSigner(t);
+    const authenticator = new Authenticator({ enabled: true, jwksFile });
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(authenticator.authenticate(bearer(sign({ sub: 'ada', exp: now + 300 }))).name, 'ada');
+    for (const exp of [undefined, String(now + 300), null]) {
+        assert.throws(() => authenticator.authenticate(bearer(sign({ sub: 'ada', exp }))),
+            { status: 401, message: 'Token has no expiry' }, `exp: ${exp}`);
+    }
+    assert.throws(() => authenticator.authenticate(bearer(sign({ sub: 'ada', exp: now - 300 }))),
+        { status: 401, message: 'Token has expired' });
+});
+
+test('public routes answer whatever credentials come with the request', async (t) => {
+    const { jwksFile, sign } = createSigner(t);
+    const app = createTestApp(t, HelloWorldWebapp, {
+        vault: new FakeSecretClient({ secrets: { 'hello-world-secret': 'Hello' } }),
+        // Loopback isn't a trusted proxy here, so forwarded identity headers are refused
+        auth: { enabled: true, jwksFile, trustProxyHeaders: true, trustedProxies: ['10.0.0.1'] }
+    });
+    const client = await startTestClient(t, app, { user: 'mallory' });
+    const expired = { Authorization: `Bearer ${sign({ sub: 'ada', exp: 1 })}` };
+
+    for (const route of ['/livez', '/metrics', '/api/health']) {
+        assert.notEqual((await client.get(route)).status, 401, route);
+        assert.notEqual((await client.get(route, { user: null, headers: expired })).status, 401, route);
+        assert.notEqual((await client.get(route, { user: null, headers: { Authorization: 'Bearer not-a-token' } })).status, 401, route);
+    }
+    assert.equal((await client.get('/api/secrets')).status, 401);
+    assert.equal((await client.get('/api/secrets', { user: null, headers: expired })).status, 401);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { DAY_MS } = require('./helpers/fake-secret-client');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const { CERTIFICATE, PRIVATE_KEY, OTHER_PRIVATE_KEY, VALID_FROM, VALID_TO } = require('./fixtures/certificates');
+
+const CertificateTLSWebapp = loadDashboard('certificate-tls');
+
+function createCertificateApp(t, files = { 'ssl-cert': CERTIFICATE, 'ssl-key': PRIVATE_KEY }) {
+    const mount = createCsiMount({ 'hello-world-secret': 'Hello over TLS', ...files });
+    const app = createTestApp(t, CertificateTLSWebapp, {
+        env: {
+            SECRETS_MOUNT_PATH: mount.path,
+            CERT_PATH: path.join(mount.path, 'ssl-cert'),
+            KEY_PATH: path.join(mount.path, 'ssl-key')
+        }
+    });
+    return { app, mount };
+}
+
+// The fixture certificate's validity is fixed, so "now" is moved around it instead
+function setNow(t, date) {
+    t.mock.timers.enable({ apis: ['Date'], now: date.getTime() });
+}
+
+test('the mounted certificate is parsed', (t) => {
+    const { app } = createCertificateApp(t);
+    setNow(t, new Date(VALID_FROM.getTime() + 10 * DAY_MS));
+
+    assert.equal(app.loadCertificates(), true);
+    const info = app.getCertificateInfo();
+
+    assert.equal(info.tlsEnabled, true);
+    assert.match(info.subject, /CN=hello-world\.test/);
+    assert.equal(info.issuer, info.subject);
+    assert.equal(info.serialNumber, '2E15D1BC6D76D09D7CB4CD118C3D0B5AC4480F6C');
+    assert.equal(new Date(info.validTo).getTime(), VALID_TO.getTime());
+    assert.equal(info.ageDays, 10);
+    assert.equal(info.daysUntilExpiration, 355);
+    assert.equal(info.warningStatus, 'valid');
+    assert.deepEqual(app.getCertificateSummary(info), {
+        isHealthy: true, status: 'valid', hasValidCert: true, expirationStatus: 'valid'
+    });
+});
+
+test('expiry is valid, warning, critical or expired by the days left', (t) => {
+    const { app } = createCertificateApp(t);
+    app.loadCertificates();
+    const statusAt = daysLeft => {
+        setNow(t, new Date(VALID_TO.getTime() - daysLeft * DAY_MS));
+        const info = app.getCertificateInfo();
+        t.mock.timers.reset();
+        return [info.daysUntilExpiration, info.warningStatus, info.isExpiringSoon, info.isExpired];
+    };
+
+    assert.deepEqual(statusAt(31), [31, 'valid', false, false]);
+    assert.deepEqual(statusAt(30), [30, 'warning', true, false]);
+    assert.deepEqual(statusAt(8), [8, 'warning', true, false]);
+    assert.deepEqual(statusAt(7), [7, 'critical', true, false]);
+    assert.deepEqual(statusAt(0), [0, 'critical', true, false]);
+    assert.deepEqual(statusAt(-1), [-1, 'expired', false, true]);
+});
+
+test('missing files leave TLS off', (t) => {
+    const { app } = createCertificateApp(t, {});
+
+    assert.equal(app.loadCertificates(), false);
+    const info = app.getCertificateInfo();
+    assert.equal(info.certExists, false);
+    assert.equal(info.tlsEnabled, false);
+    assert.equal(info.subject, undefined);
+    assert.equal(app.getCertificateSummary(info).status, 'error');
+    assert.deepEqual(app.checkCertificate(), { status: 'fail', message: `Certificate not found at: ${app.certPath}` });
+});
+
+test('the health check reads the mount, so rotated files are checked before a restart', (t) => {
+    const { app, mount } = createCertificateApp(t);
+    app.loadCertificates();
+    setNow(t, new Date(VALID_FROM.getTime() + 100 * DAY_MS));
+    assert.equal(app.checkCertificate().status, 'pass');
+
+    mount.set({ 'ssl-key': OTHER_PRIVATE_KEY });
+    const mismatch = app.checkCertificate();
+    assert.equal(mismatch.status, 'fail');
+    assert.equal(mismatch.message, 'Private key does not match the certificate');
+
+    // The same certificate in a new file is enough for the loaded copy to be out of date
+    mount.set({ 'ssl-key': PRIVATE_KEY, 'ssl-cert': `${CERTIFICATE}\n` });
+    const check = app.checkCertificate();
+    assert.equal(check.status, 'warn');
+    assert.equal(check.reloadPending, true);
+});
+
+test('the health check fails outside the validity period and warns 30 days before', (t) => {
+    const { app } = createCertificateApp(t);
+    const checkAt = date => {
+        setNow(t, date);
+        const { status, message } = app.checkCertificate();
+        t.mock.timers.reset();
+        return [status, message];
+    };
+
+    assert.deepEqual(checkAt(new Date(VALID_FROM.getTime() - DAY_MS)), ['fail', 'Certificate is not valid yet']);
+    assert.deepEqual(checkAt(new Date(VALID_TO.getTime() - 12.5 * DAY_MS)), ['warn', 'Certificate expires in 12 days']);
+    assert.deepEqual(checkAt(new Date(VALID_TO.getTime() + DAY_MS)), ['fail', 'Certificate has expired']);
+});
+
+test('GET /api/certificate describes the certificate without the key', async (t) => {
+    const { app } = createCertificateApp(t);
+    app.loadCertificates();
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/certificate');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.keyLoaded, true);
+    assert.ok(!response.text.includes('PRIVATE KEY'));
+    assert.ok(!response.text.includes(PRIVATE_KEY.split('\n')[1]));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { AppConfig, ConfigError } = require('../shared/config');
+const { Lifecycle } = require('../shared/lifecycle');
+const { createTestLogger } = require('./helpers/dashboards');
+const { tempDir } = require('./helpers/utils');
+
+function configFile(t, contents) {
+    const file = path.join(tempDir(t), 'config.yaml');
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('the environment wins over the file, and the file over the defaults', (t) => {
+    const file = configFile(t, 'server:\n  port: 8080\n  namespace: from-file\nlogging:\n  level: warn\n');
+    const config = AppConfig.fromEnv({ logger: createTestLogger() }, { CONFIG_FILE: file, PORT: '9090', LOG_LEVEL: '' });
+
+    assert.equal(config.get('server.port'), 9090);
+    assert.equal(config.sourceOf('server.port'), 'env');
+    assert.equal(config.get('server.namespace'), 'from-file');
+    assert.equal(config.sourceOf('server.namespace'), 'file');
+    // An empty variable counts as unset
+    assert.equal(config.get('logging.level'), 'warn');
+    assert.equal(config.sourceOf('logging.level'), 'file');
+    assert.equal(config.get('secretCache.ttlMs'), 30000);
+    assert.equal(config.sourceOf('secretCache.ttlMs'), 'default');
+
+    const env = config.toEnv();
+    assert.equal(env.PORT, '9090');
+    assert.equal(env.NAMESPACE, 'from-file');
+});
+
+test('every invalid setting is reported in one ConfigError', (t) => {
+    const file = configFile(t, 'server:\n  port: 70000\nunknown:\n  setting: 1\n');
+    assert.throws(() => AppConfig.fromEnv({ logger: createTestLogger() }, { CONFIG_FILE: file, LOG_LEVEL: 'loud' }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.errors.map(({ key, source }) => [key, source]).sort(), [
+            ['logging.level', 'env'],
+            ['server.port', 'file'],
+            ['unknown.setting', 'file']
+        ]);
+        assert.match(error.message, /logging\.level \(LOG_LEVEL\): /);
+        assert.match(error.message, /server\.port \(file\): /);
+        return true;
+    });
+});
+
+test('a reload applies reloadable settings and leaves the others pending a restart', (t) => {
+    const file = configFile(t, 'server:\n  port: 8080\nlogging:\n  level: info\n');
+    const config = AppConfig.fromEnv({ logger: createTestLogger() }, { CONFIG_FILE: file });
+    const changes = [];
+    config.on('change', change => changes.push(change.changed));
+
+    fs.writeFileSync(file, 'server:\n  port: 8081\nlogging:\n  level: debug\n');
+    assert.deepEqual(config.reload(), { changed: ['logging.level'], pendingRestart: ['server.port'] });
+
+    assert.equal(config.get('logging.level'), 'debug');
+    assert.equal(config.get('server.port'), 8080);
+    assert.deepEqual(changes, [['logging.level']]);
+    assert.deepEqual(config.describe().pendingRestart, ['server.port']);
+
+    // An invalid file keeps the current configuration
+    fs.writeFileSync(file, 'logging:\n  level: loud\n');
+    assert.throws(() => config.reload(), ConfigError);
+    assert.equal(config.get('logging.level'), 'debug');
+    assert.equal(config.describe().lastReload.errors[0].key, 'logging.level');
+});
+
+test('a config file that can no longer be read is a failed reload, not a crash', async (t) => {
+    const file = configFile(t, 'logging:\n  level: info\n');
+    const logger = createTestLogger();
+    const config = AppConfig.fromEnv({ logger }, { CONFIG_FILE: file });
+    const lifecycle = new Lifecycle({ logger });
+    t.after(() => lifecycle.stopBackgroundWork());
+    config.watch(lifecycle);
+
+    fs.rmSync(file);
+    fs.mkdirSync(file);
+    await waitFor(() => config.lastReload !== null);
+
+    assert.match(config.lastReload.error, /unable to read .*config\.yaml/);
+    assert.equal(config.lastReload.errors[0].key, 'CONFIG_FILE');
+    assert.equal(config.get('logging.level'), 'info');
+    assert.ok(logger.lines.some(line => line.msg === 'Configuration reload failed, keeping the current configuration'));
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { CredentialChain } = require('../shared/credentials');
+const { createTestLogger } = require('./helpers/dashboards');
+
+// Sources whose tokens the test hands out or refuses; calls records every attempt in order
+function fakeSources(names, options = {}) {
+    const calls = [];
+    const failing = new Set(options.failing || []);
+    const sources = Object.fromEntries(names.map(name => [name, {
+        description: `Fake ${name}`,
+        missing: () => (options.unconfigured || []).includes(name) ? ['FAKE_VARIABLE'] : [],
+        create: () => ({
+            getToken: async () => {
+                calls.push(name);
+                if (failing.has(name)) {
+                    throw new Error(`${name} is down`);
+                }
+                return { token: `${name}-token`, expiresOnTimestamp: Date.now() + 60 * 60 * 1000 };
+            }
+        })
+    }]));
+    return { sources, calls, failing };
+}
+
+test('the first source that produces a token is used, and skipped sources say what they miss', async () => {
+    const { sources, calls } = fakeSources(['workload-identity', 'client-certificate', 'client-secret'], {
+        unconfigured: ['workload-identity'],
+        failing: ['client-certificate']
+    });
+    const chain = new CredentialChain({ order: ['workload-identity', 'client-certificate', 'client-secret'], sources, logger: createTestLogger() });
+
+    assert.equal((await chain.getToken('scope')).token, 'client-secret-token');
+    assert.deepEqual(calls, ['client-certificate', 'client-secret']);
+
+    const described = chain.describe();
+    assert.equal(described.active, 'client-secret');
+    assert.equal(described.activeDescription, 'Fake client-secret');
+    assert.ok(described.lastSuccess);
+    assert.deepEqual(described.chain, [
+        { name: 'workload-identity', configured: false, missing: ['FAKE_VARIABLE'], lastError: undefined },
+        { name: 'client-certificate', configured: true, missing: undefined, lastError: 'client-certificate is down' },
+        { name: 'client-secret', configured: true, missing: undefined, lastError: undefined }
+    ]);
+});
+
+test('the active source is tried first, and the others get their turn again when it fails', async () => {
+    const { sources, calls, failing } = fakeSources(['client-certificate', 'client-secret'], { failing: ['client-certificate'] });
+    const logger = createTestLogger();
+    const chain = new CredentialChain({ order: ['client-certificate', 'client-secret'], sources, logger });
+
+    await chain.getToken('scope');
+    failing.delete('client-certificate');
+    calls.length = 0;
+    // Still the active one, though the first in the chain works again
+    assert.equal((await chain.getToken('scope')).token, 'client-secret-token');
+    assert.deepEqual(calls, ['client-secret']);
+
+    failing.add('client-secret');
+    calls.length = 0;
+    assert.equal((await chain.getToken('scope')).token, 'client-certificate-token');
+    assert.deepEqual(calls, ['client-secret', 'client-certificate']);
+    assert.equal(chain.describe().active, 'client-certificate');
+    assert.deepEqual(logger.lines.filter(line => line.msg === 'Azure credential selected').map(line => [line.credential, line.previous]), [
+        ['client-secret', null],
+        ['client-certificate', 'client-secret']
+    ]);
+});
+
+test('a chain where nothing works says why for every source', async () => {
+    const { sources } = fakeSources(['client-certificate', 'client-secret'], { failing: ['client-certificate', 'client-secret'] });
+    const chain = new CredentialChain({ order: ['client-certificate', 'client-secret'], sources, logger: createTestLogger() });
+    await assert.rejects(chain.getToken('scope'),
+        { message: 'No Azure credential succeeded: client-certificate: client-certificate is down; client-secret: client-secret is down' });
+    assert.equal(chain.describe().active, null);
+
+    const unconfigured = new CredentialChain({ order: ['client-secret'], env: { AZURE_TENANT_ID: 'tenant' }, logger: createTestLogger() });
+    await assert.rejects(unconfigured.getToken('scope'),
+        { message: 'No Azure credential configured. client-secret needs AZURE_CLIENT_ID, AZURE_CLIENT_SECRET' });
+});
+
+test('AZURE_CREDENTIAL_CHAIN sets the order and rejects unknown sources', () => {
+    const env = { AZURE_TENANT_ID: 'tenant', AZURE_CLIENT_ID: 'client', AZURE_CLIENT_SECRET: 'secret' };
+    const chain = CredentialChain.fromEnv({ logger: createTestLogger() }, { ...env, AZURE_CREDENTIAL_CHAIN: 'managed-identity, client-secret' });
+    assert.deepEqual(chain.describe().chain.map(entry => [entry.name, entry.configured]), [['managed-identity', true], ['client-secret', true]]);
+
+    // Managed identity is left out unless listed
+    assert.deepEqual(CredentialChain.fromEnv({ logger: createTestLogger() }, env).describe().chain.map(entry => entry.name),
+        ['workload-identity', 'client-certificate', 'client-secret']);
+
+    assert.throws(() => CredentialChain.fromEnv({}, { AZURE_CREDENTIAL_CHAIN: 'client-secret,password' }), /Unknown credential 'password'/);
+});
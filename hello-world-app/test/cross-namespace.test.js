@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const CrossNamespaceWebapp = loadDashboard('cross-namespace');
+
+const SHARED_SECRETS_CONFIG = JSON.stringify({
+    'shared-db-password': {
+        namespace: 'shared-services', secretName: 'database-credentials', key: 'password',
+        accessible: true, value: 'SharedDbPassw0rd!'
+    },
+    'prod-api-key': {
+        namespace: 'production', secretName: 'api-credentials', key: 'key',
+        accessible: false, value: 'Forbidden by RBAC'
+    }
+});
+
+function createNamespaceApp(t, env = {}) {
+    const mount = createCsiMount({ 'hello-world-secret': 'Hello from development', 'api-key': 'local-api-key' });
+    const app = createTestApp(t, CrossNamespaceWebapp, {
+        env: { SECRETS_MOUNT_PATH: mount.path, NAMESPACE: 'development', SHARED_NAMESPACES: 'shared-services,production', ...env }
+    });
+    return { app, mount };
+}
+
+test('local secrets are the files in this namespace\'s mount', (t) => {
+    const { app, mount } = createNamespaceApp(t);
+
+    assert.deepEqual(app.getLocalSecrets(), { 'api-key': 'local-api-key', 'hello-world-secret': 'Hello from development' });
+
+    mount.update({ 'hello-world-secret': 'Hello again' });
+    assert.deepEqual(app.getLocalSecrets(), { 'hello-world-secret': 'Hello again' });
+});
+
+test('SHARED_SECRETS_CONFIG describes the secrets shared from other namespaces', (t) => {
+    const { app } = createNamespaceApp(t, { SHARED_SECRETS_CONFIG });
+
+    assert.equal(app.currentNamespace, 'development');
+    assert.deepEqual(app.sharedNamespaces, ['shared-services', 'production']);
+    assert.deepEqual(Object.keys(app.sharedSecrets), ['shared-db-password', 'prod-api-key']);
+});
+
+test('entries without namespace, secretName and key are rejected at startup', (t) => {
+    assert.throws(
+        () => createNamespaceApp(t, { SHARED_SECRETS_CONFIG: JSON.stringify({ broken: { namespace: 'shared-services' } }) }),
+        /entries need string namespace, secretName and key: broken/
+    );
+});
+
+test('GET /api/shared-secrets redacts what this namespace can read', async (t) => {
+    const { app } = createNamespaceApp(t, { SHARED_SECRETS_CONFIG });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/shared-secrets');
+
+    assert.equal(response.status, 200);
+    assert.notEqual(response.body.sharedSecrets['shared-db-password'].value, 'SharedDbPassw0rd!');
+    assert.ok(!response.text.includes('SharedDbPassw0rd!'));
+    // Nothing to hide in the placeholder of an inaccessible secret
+    assert.equal(response.body.sharedSecrets['prod-api-key'].value, 'Forbidden by RBAC');
+
+    const config = await client.get('/api/config');
+    assert.ok(!config.text.includes('SharedDbPassw0rd!'));
+});
+
+test('GET /api/local-secrets redacts the mounted values', async (t) => {
+    const { app } = createNamespaceApp(t);
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/local-secrets');
+
+    assert.deepEqual(Object.keys(response.body).sort(), ['api-key', 'hello-world-secret']);
+    assert.ok(!response.text.includes('local-api-key'));
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DiskCache } = require('../shared/disk-cache');
+const { Cache } = require('../shared/cache');
+const { createTestLogger } = require('./helpers/dashboards');
+const { tempDir } = require('./helpers/utils');
+
+const START = Date.parse('2026-10-01T00:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+function keyFile(dir, name = 'key') {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'));
+    return file;
+}
+
+// A disk cache and an in-memory cache sharing a clock the test moves
+function createCaches(dir, options = {}) {
+    const clock = { now: START };
+    const now = () => clock.now;
+    const diskCache = new DiskCache({ path: path.join(dir, 'cache', 'secrets.json'), keyFile: path.join(dir, 'key'), logger: createTestLogger(), now, ...options });
+    const cache = new Cache({ ttlMs: HOUR_MS, now });
+    return { clock, diskCache, cache };
+}
+
+test('values written by one instance are restored stale by the next', (t) => {
+    const dir = tempDir(t);
+    keyFile(dir);
+    const { clock, diskCache, cache } = createCaches(dir);
+    cache.set('api-key', 'sk-123');
+    diskCache.write(cache);
+
+    clock.now += 10 * 60 * 1000;
+    const restored = new Cache({ ttlMs: HOUR_MS, now: () => clock.now });
+    assert.deepEqual(diskCache.restoreInto(restored), ['api-key']);
+    assert.equal(restored.peek('api-key').value, 'sk-123');
+    assert.equal(restored.peek('api-key').stale, true);
+    assert.equal(restored.peek('api-key').restored, true);
+
+    // Only ciphertext on disk
+    assert.doesNotMatch(fs.readFileSync(diskCache.path, 'utf8'), /sk-123/);
+});
+
+test('a modified file or a different key restores nothing', (t) => {
+    const dir = tempDir(t);
+    keyFile(dir);
+    const { diskCache, cache } = createCaches(dir);
+    cache.set('api-key', 'sk-123');
+    diskCache.write(cache);
+    const written = fs.readFileSync(diskCache.path, 'utf8');
+
+    const file = JSON.parse(written);
+    const data = Buffer.from(file.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(diskCache.path, JSON.stringify({ ...file, data: data.toString('base64') }));
+    assert.deepEqual(diskCache.read(), {});
+    assert.match(diskCache.lastError, /^Unable to decrypt/);
+
+    fs.writeFileSync(diskCache.path, written);
+    assert.deepEqual(Object.keys(diskCache.read()), ['api-key']);
+    keyFile(dir);
+    assert.deepEqual(diskCache.read(), {});
+    assert.match(diskCache.lastError, /^Unable to decrypt/);
+    assert.ok(diskCache.logger.lines.some(line => line.msg.startsWith('Ignoring the on-disk secret cache, it could not be decrypted')));
+});
+
+test("another dashboard's file restores nothing, even under the same key", (t) => {
+    const dir = tempDir(t);
+    keyFile(dir);
+    const { diskCache, cache } = createCaches(dir, { context: 'Secret Rotation Dashboard' });
+    cache.set('api-key', 'sk-123');
+    diskCache.write(cache);
+
+    const other = createCaches(dir, { context: 'Audit Dashboard' }).diskCache;
+    assert.deepEqual(other.read(), {});
+    assert.match(other.lastError, /^Unable to decrypt/);
+    // Nor can the context be swapped in the file itself, it is authenticated with the data
+    const file = JSON.parse(fs.readFileSync(diskCache.path, 'utf8'));
+    fs.writeFileSync(diskCache.path, JSON.stringify({ ...file, context: 'Audit Dashboard' }));
+    assert.deepEqual(other.read(), {});
+});
+
+test('values past the maximum staleness are neither restored nor written back', (t) => {
+    const dir = tempDir(t);
+    keyFile(dir);
+    const { clock, diskCache, cache } = createCaches(dir, { maxStaleMs: 2 * HOUR_MS });
+    cache.set('old', 'from-before');
+    clock.now += HOUR_MS;
+    cache.set('recent', 'from-now');
+    diskCache.write(cache);
+
+    clock.now += 90 * 60 * 1000;
+    const restored = new Cache({ ttlMs: HOUR_MS, now: () => clock.now });
+    assert.deepEqual(diskCache.restoreInto(restored), ['recent']);
+    assert.equal(restored.peek('old'), null);
+    assert.ok(diskCache.logger.lines.some(line => line.msg === 'On-disk secret cache values are past the maximum staleness, not using them'
+        && line.secrets.includes('old')));
+
+    // The expired value is still in memory, but no longer goes to disk
+    diskCache.write(cache);
+    assert.equal(diskCache.lastWrite.secrets, 1);
+    clock.now = START;
+    assert.deepEqual(Object.keys(diskCache.read()), ['recent']);
+});
+
+test('the file is readable by its owner only', (t) => {
+    const dir = tempDir(t);
+    keyFile(dir);
+    const { diskCache, cache } = createCaches(dir);
+    cache.set('api-key', 'sk-123');
+    diskCache.write(cache);
+
+    assert.equal(fs.statSync(diskCache.path).mode & 0o777, 0o600);
+    assert.equal(fs.statSync(path.dirname(diskCache.path)).mode & 0o077, 0);
+    // The temporary file went with the rename
+    assert.deepEqual(fs.readdirSync(path.dirname(diskCache.path)), ['secrets.json']);
+});
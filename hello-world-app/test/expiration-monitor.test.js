@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient, DAY_MS } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const ExpirationMonitorWebapp = loadDashboard('expiration-monitor');
+
+// Half days keep the floored day counts away from the thresholds while the test runs
+function vaultWithExpiries() {
+    return new FakeSecretClient({
+        secrets: {
+            'expires-in-3-days': { value: 'a', createdOn: -100, expiresOn: 3.5 },
+            'expires-in-20-days': { value: 'b', createdOn: -100, expiresOn: 20.5 },
+            'expires-in-60-days': { value: 'c', createdOn: -100, expiresOn: 60.5 },
+            'expires-in-200-days': { value: 'd', createdOn: -100, expiresOn: 200.5 },
+            'expired': { value: 'e', createdOn: -100, expiresOn: -1.5 },
+            'never-expires-recent': { value: 'f', createdOn: -10 },
+            'never-expires-stale': { value: 'g', createdOn: -400 },
+            'disabled': { value: 'h', createdOn: -100, expiresOn: 1.5, enabled: false }
+        }
+    });
+}
+
+test('secrets are classified by the days left before they expire', async (t) => {
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault: vaultWithExpiries() });
+
+    const byName = Object.fromEntries((await app.checkSecretExpiration()).map(secret => [secret.name, secret]));
+
+    assert.equal(byName['expires-in-3-days'].status, 'critical');
+    assert.equal(byName['expires-in-3-days'].daysUntilExpiration, 3);
+    assert.equal(byName['expired'].status, 'critical');
+    assert.equal(byName['expires-in-20-days'].status, 'warning');
+    assert.equal(byName['expires-in-60-days'].status, 'info');
+    assert.equal(byName['expires-in-60-days'].needsAttention, false);
+    assert.equal(byName['expires-in-200-days'].status, 'valid');
+    assert.equal(byName['never-expires-recent'].status, 'valid');
+    assert.equal(byName['never-expires-recent'].expiresOn, 'Never');
+    assert.equal(byName['never-expires-recent'].needsAttention, false);
+    assert.equal(byName['disabled'], undefined);
+});
+
+test('a secret without expiry untouched for a year should get one', async (t) => {
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault: vaultWithExpiries() });
+
+    const stale = (await app.checkSecretExpiration()).find(secret => secret.name === 'never-expires-stale');
+
+    assert.equal(stale.status, 'valid');
+    assert.equal(stale.needsAttention, true);
+    assert.equal(stale.recommendation, 'Consider setting expiration date');
+    assert.equal(stale.lastUpdatedDays, 400);
+});
+
+test('secrets needing attention come first, soonest expiry first', async (t) => {
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault: vaultWithExpiries() });
+
+    const names = (await app.checkSecretExpiration()).map(secret => secret.name);
+
+    assert.deepEqual(names, [
+        'expired',
+        'expires-in-3-days',
+        'expires-in-20-days',
+        'never-expires-stale',
+        'expires-in-60-days',
+        'expires-in-200-days',
+        'never-expires-recent'
+    ]);
+});
+
+test('getting closer to expiry publishes expiry-threshold-crossed', async (t) => {
+    const vault = vaultWithExpiries();
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault });
+    await app.checkSecretExpiration();
+    const published = [];
+    app.events.subscribe(event => published.push(event));
+
+    const moveExpiry = (name, days) => vault.updateSecretProperties(name, vault.latest(name).properties.version, {
+        expiresOn: new Date(Date.now() + days * DAY_MS)
+    });
+    await moveExpiry('expires-in-20-days', 2.5);
+    // Further away is not a crossing
+    await moveExpiry('expires-in-60-days', 365);
+    app.expirationCache.invalidate();
+    await app.checkSecretExpiration();
+
+    assert.deepEqual(published.filter(event => event.type === 'expiry-threshold-crossed').map(event => event.data), [
+        { secret: 'expires-in-20-days', from: 'warning', to: 'critical', daysUntilExpiry: 2 }
+    ]);
+});
+
+test('the last results are kept while Key Vault is throttling', async (t) => {
+    const vault = vaultWithExpiries();
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault });
+    const before = await app.checkSecretExpiration();
+
+    vault.throttle({ method: 'listPropertiesOfSecrets', times: 10 });
+    app.expirationCache.invalidate();
+
+    assert.deepEqual(await app.checkSecretExpiration(), before);
+    assert.ok(app.expirationCache.peek('secrets').stale);
+});
+
+test('GET /api/expiration reports every secret and when they were checked', async (t) => {
+    const app = createTestApp(t, ExpirationMonitorWebapp, { vault: vaultWithExpiries() });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/expiration');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.secrets.length, 7);
+    assert.ok(response.body.lastCheck);
+
+    const metrics = await client.get('/metrics');
+    assert.match(metrics.text, /secret_expiry_days\{secret="expires-in-3-days"\} 3/);
+    assert.doesNotMatch(metrics.text, /secret_expiry_days\{secret="never-expires-recent"\}/);
+});
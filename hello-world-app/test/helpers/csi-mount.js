@@ -0,0 +1,85 @@
+// Secrets Store CSI mounts in a temp dir, laid out like the kubelet's atomic writer: the files
+// live in a timestamped ..<date> directory, ..data links to it and every secret is a link
+// through ..data. update() writes a new directory and swaps ..data, the way a rotation lands.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let generation = 0;
+
+function timestampDirName() {
+    generation++;
+    const stamp = new Date().toISOString().replace(/[-:T]/g, '_').replace(/\..*$/, '');
+    return `..${stamp}.${String(generation).padStart(9, '0')}`;
+}
+
+class CsiMount {
+    constructor(files = {}) {
+        this.root = fs.mkdtempSync(path.join(os.tmpdir(), 'csi-mount-'));
+        this.path = path.join(this.root, 'secrets');
+        fs.mkdirSync(this.path);
+        this.dataDir = null;
+        this.update(files);
+    }
+
+    // Replaces the whole content, like the driver writing a new revision; secrets left out disappear
+    update(files) {
+        const previous = this.dataDir;
+        const names = Object.keys(files);
+        this.dataDir = timestampDirName();
+        fs.mkdirSync(path.join(this.path, this.dataDir));
+        names.forEach(name => fs.writeFileSync(path.join(this.path, this.dataDir, name), files[name]));
+
+        // rename() over the old link is what makes the swap atomic for readers
+        const tmpLink = path.join(this.path, '..data_tmp');
+        fs.symlinkSync(this.dataDir, tmpLink);
+        fs.renameSync(tmpLink, path.join(this.path, '..data'));
+
+        names.forEach(name => {
+            const link = path.join(this.path, name);
+            if (!fs.existsSync(link)) {
+                fs.symlinkSync(path.join('..data', name), link);
+            }
+        });
+        this.visibleNames().filter(name => !names.includes(name)).forEach(name => fs.unlinkSync(path.join(this.path, name)));
+
+        if (previous) {
+            fs.rmSync(path.join(this.path, previous), { recursive: true, force: true });
+        }
+        return this;
+    }
+
+    // Changes some secrets and keeps the rest
+    set(files) {
+        return this.update({ ...this.read(), ...files });
+    }
+
+    // { name: content } as a reader of the mount sees it
+    read() {
+        return Object.fromEntries(this.visibleNames().map(name => [name, fs.readFileSync(path.join(this.path, name), 'utf8')]));
+    }
+
+    visibleNames() {
+        return fs.readdirSync(this.path).filter(name => !name.startsWith('.'));
+    }
+
+    cleanup() {
+        fs.rmSync(this.root, { recursive: true, force: true });
+    }
+}
+
+// Removed again when the test process exits, whatever the tests did
+const mounts = new Set();
+process.once('exit', () => mounts.forEach(mount => mount.cleanup()));
+
+function createCsiMount(files) {
+    const mount = new CsiMount(files);
+    mounts.add(mount);
+    return mount;
+}
+
+module.exports = {
+    createCsiMount,
+    CsiMount
+};
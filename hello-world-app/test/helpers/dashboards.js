@@ -0,0 +1,100 @@
+// Loads dashboards the way they are deployed and builds them with test doubles.
+//
+// deploy.sh ships a dashboard as its src/server.js next to every shared/*.js and *.json, which is
+// what the './webapp-framework' requires expect. loadDashboard() builds that layout in a temp
+// dir with links to shared/, so a dashboard and its tests use the same copy of each module.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AppConfig } = require('../../shared/config');
+const { KeyVaultResilience } = require('../../shared/resilience');
+const { SecretCatalog } = require('../../shared/secret-catalog');
+const { createLogger } = require('../../shared/logger');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SHARED_DIR = path.join(ROOT, 'shared');
+
+let buildDir = null;
+const loaded = new Map();
+
+function flattenedBuild() {
+    if (!buildDir) {
+        buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboards-'));
+        process.once('exit', () => fs.rmSync(buildDir, { recursive: true, force: true }));
+    }
+    return buildDir;
+}
+
+// The class a dashboard's server.js exports, e.g. loadDashboard('rotation-handler')
+function loadDashboard(name) {
+    if (!loaded.has(name)) {
+        const dir = path.join(flattenedBuild(), name);
+        fs.mkdirSync(dir);
+        fs.readdirSync(SHARED_DIR)
+            .filter(file => /\.(js|json)$/.test(file))
+            .forEach(file => fs.symlinkSync(path.join(SHARED_DIR, file), path.join(dir, file)));
+        fs.copyFileSync(path.join(ROOT, name, 'src', 'server.js'), path.join(dir, 'server.js'));
+        loaded.set(name, require(path.join(dir, 'server.js')));
+    }
+    return loaded.get(name);
+}
+
+// A logger that keeps its lines (parsed) in logger.lines instead of writing to stdout
+function createTestLogger() {
+    const lines = [];
+    const logger = createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)) });
+    logger.lines = lines;
+    return logger;
+}
+
+// Settings a dashboard reads at startup, without anything from process.env
+const BASE_ENV = {
+    // Dummy client secret so the credential chain is configured; the fake vault never asks for a token
+    AZURE_TENANT_ID: 'test-tenant',
+    AZURE_CLIENT_ID: 'test-client',
+    AZURE_CLIENT_SECRET: 'test-client-secret',
+    AZURE_CREDENTIAL_CHAIN: 'client-secret',
+    HEALTH_CACHE_TTL_MS: '0',
+    SHUTDOWN_DRAIN_DELAY_MS: '0'
+};
+
+// A dashboard built for a test and stopped after it (timers, watchers). options:
+//   vault     FakeSecretClient every Key Vault client is replaced with (KEYVAULT_URL points at it)
+//   env       settings as environment variables, e.g. { SECRETS_MOUNT_PATH: mount.path }
+//   catalog   secret catalog entries instead of shared/secret-catalog.json
+// Anything else is passed to the constructor as config, e.g. redactionPolicy or auth.
+function createTestApp(t, Dashboard, options = {}) {
+    const { vault, env = {}, catalog, ...config } = options;
+    const logger = createTestLogger();
+    const appEnv = { ...BASE_ENV, ...(vault ? { KEYVAULT_URL: vault.vaultUrl } : {}), ...env };
+
+    const app = new Dashboard({
+        appName: `Test ${Dashboard.name}`,
+        method: 'Test',
+        secretStrategy: vault ? 'azure-api' : 'csi',
+        logger,
+        appConfig: AppConfig.fromEnv({ logger }, appEnv),
+        // Retries without the waiting
+        resilience: new KeyVaultResilience({ logger, sleep: async () => {}, maxRetries: 2 }),
+        createSecretClient: vault ? () => vault : undefined,
+        secretCatalog: catalog ? new SecretCatalog(catalog, 'test') : undefined,
+        diskCache: null,
+        ...config
+    });
+    t.after(() => app.lifecycle.stopBackgroundWork());
+    return app;
+}
+
+// Lets work a constructor started without awaiting (first checks, initial loads) finish.
+// The fakes answer without I/O, so one turn of the event loop is enough.
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+    loadDashboard,
+    createTestApp,
+    createTestLogger,
+    settle
+};
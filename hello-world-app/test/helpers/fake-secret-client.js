@@ -0,0 +1,174 @@
+// In-memory stand-in for @azure/keyvault-secrets' SecretClient: the methods the dashboards
+// call, with versions, properties, injected errors and throttling. Hand it to a dashboard
+// with { createSecretClient: () => client } (see ./dashboards).
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shaped like the SDK's RestError: statusCode, code and response headers for Retry-After
+function restError(statusCode, code, message, headers = {}) {
+    const error = new Error(message);
+    error.name = 'RestError';
+    error.statusCode = statusCode;
+    error.code = code;
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+    error.response = { status: statusCode, headers: { get: name => lowerCased[name.toLowerCase()] } };
+    return error;
+}
+
+function notFound(name, version) {
+    const what = version ? `${name}/${version}` : name;
+    return restError(404, 'SecretNotFound', `A secret with (name/id) ${what} was not found in this key vault.`);
+}
+
+// Date, or days from now when a number (negative for the past)
+function toDate(value) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    return typeof value === 'number' ? new Date(Date.now() + value * DAY_MS) : new Date(value);
+}
+
+class FakeSecretClient {
+    // secrets: { name: value } or { name: [version, ...] } oldest first, where a version is a value
+    // or { value, enabled, createdOn, updatedOn, expiresOn, notBefore, contentType, tags }
+    constructor(options = {}) {
+        this.vaultUrl = options.vaultUrl || 'http://fake-vault.test';
+        this.secrets = new Map();
+        // Every call as { method, args }, for asserting what a dashboard asked for
+        this.calls = [];
+        // Injected failures, taken in order by the calls they match
+        this.failures = [];
+
+        Object.entries(options.secrets || {}).forEach(([name, versions]) => {
+            (Array.isArray(versions) ? versions : [versions]).forEach(version => this.addVersion(name, version));
+        });
+    }
+
+    // Adds a version without going through setSecret (no call recorded, no failures applied)
+    addVersion(name, version) {
+        const spec = typeof version === 'object' && version !== null ? version : { value: version };
+        const createdOn = toDate(spec.createdOn) || new Date();
+        const id = spec.version || crypto.randomBytes(16).toString('hex');
+        const properties = {
+            vaultUrl: this.vaultUrl,
+            id: `${this.vaultUrl}/secrets/${name}/${id}`,
+            name,
+            version: id,
+            enabled: spec.enabled !== false,
+            createdOn,
+            updatedOn: toDate(spec.updatedOn) || createdOn,
+            expiresOn: toDate(spec.expiresOn),
+            notBefore: toDate(spec.notBefore),
+            contentType: spec.contentType,
+            tags: spec.tags || {},
+            recoveryLevel: 'Recoverable+Purgeable',
+            recoverableDays: 90
+        };
+        if (!this.secrets.has(name)) {
+            this.secrets.set(name, []);
+        }
+        this.secrets.get(name).push({ value: spec.value, properties });
+        return this.toSecret(name, this.secrets.get(name).slice(-1)[0]);
+    }
+
+    // The next `times` calls to method ('*' for any) fail with error
+    failWith(error, { method = '*', times = 1 } = {}) {
+        this.failures.push({ method, error, remaining: times });
+        return this;
+    }
+
+    // 429 Too Many Requests with Retry-After, like a vault over its request quota
+    throttle({ method = '*', times = 1, retryAfterSeconds = 1 } = {}) {
+        return this.failWith(restError(429, 'Throttled', 'Too many requests. Retry after some time.', {
+            'Retry-After': retryAfterSeconds
+        }), { method, times });
+    }
+
+    // Records the call and throws an injected failure when one matches
+    record(method, args) {
+        this.calls.push({ method, args });
+        const failure = this.failures.find(entry => entry.remaining > 0 && (entry.method === '*' || entry.method === method));
+        if (failure) {
+            failure.remaining--;
+            throw failure.error;
+        }
+    }
+
+    callsTo(method) {
+        return this.calls.filter(call => call.method === method);
+    }
+
+    toSecret(name, entry) {
+        return { name, value: entry.value, properties: { ...entry.properties } };
+    }
+
+    latest(name) {
+        const versions = this.secrets.get(name);
+        return versions ? versions[versions.length - 1] : null;
+    }
+
+    async getSecret(name, options = {}) {
+        this.record('getSecret', [name, options]);
+        const versions = this.secrets.get(name) || [];
+        const entry = options.version
+            ? versions.find(candidate => candidate.properties.version === options.version)
+            : versions[versions.length - 1];
+        if (!entry) {
+            throw notFound(name, options.version);
+        }
+        // Key Vault refuses to return the value of a disabled version
+        if (!entry.properties.enabled) {
+            throw restError(403, 'Forbidden', `Operation get is not allowed on a disabled secret.`);
+        }
+        return this.toSecret(name, entry);
+    }
+
+    async setSecret(name, value, options = {}) {
+        this.record('setSecret', [name, value, options]);
+        return this.addVersion(name, { ...options, value });
+    }
+
+    async updateSecretProperties(name, version, properties = {}) {
+        this.record('updateSecretProperties', [name, version, properties]);
+        const entry = (this.secrets.get(name) || []).find(candidate => candidate.properties.version === version);
+        if (!entry) {
+            throw notFound(name, version);
+        }
+        Object.assign(entry.properties, properties, { updatedOn: new Date() });
+        return { ...entry.properties };
+    }
+
+    // Latest version of every secret, as SecretProperties
+    listPropertiesOfSecrets() {
+        const client = this;
+        return {
+            async *[Symbol.asyncIterator]() {
+                client.record('listPropertiesOfSecrets', []);
+                for (const name of client.secrets.keys()) {
+                    yield { ...client.latest(name).properties };
+                }
+            }
+        };
+    }
+
+    // Every version of one secret, oldest first (Key Vault itself promises no order)
+    listPropertiesOfSecretVersions(name) {
+        const client = this;
+        return {
+            async *[Symbol.asyncIterator]() {
+                client.record('listPropertiesOfSecretVersions', [name]);
+                for (const entry of client.secrets.get(name) || []) {
+                    yield { ...entry.properties };
+                }
+            }
+        };
+    }
+}
+
+module.exports = {
+    FakeSecretClient,
+    restError,
+    DAY_MS
+};
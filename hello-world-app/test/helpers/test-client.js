@@ -0,0 +1,112 @@
+// HTTP client for a dashboard's router: serves app.requestListener() on a loopback port and
+// checks every JSON answer against the dashboard's own OpenAPI document (/api/openapi.json),
+// so a handler that drifts from its documented schema fails the test that called it.
+
+const http = require('http');
+const assert = require('assert/strict');
+const { validateResponse } = require('../../shared/openapi');
+
+class TestClient {
+    // options.user: identity sent as oauth-proxy headers on every request (see request())
+    // options.checkContract: false to skip the OpenAPI check, e.g. for deliberately broken handlers
+    constructor(app, options = {}) {
+        this.app = app;
+        this.user = options.user || null;
+        this.checkContract = options.checkContract !== false;
+        this.server = http.createServer(app.requestListener());
+        this.baseUrl = null;
+        this.document = null;
+    }
+
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this);
+            });
+        });
+    }
+
+    // options: headers, body (sent as JSON), user ('name' or { name, groups, email }; null for
+    // nobody) and checkContract. Resolves { status, headers, text, body } where body is the parsed
+    // JSON, or the text for anything else
+    async request(method, path, options = {}) {
+        const headers = { ...options.headers };
+        const user = options.user !== undefined ? options.user : this.user;
+        if (user) {
+            const identity = typeof user === 'string' ? { name: user } : user;
+            headers['X-Forwarded-User'] = identity.name;
+            if (identity.email) {
+                headers['X-Forwarded-Email'] = identity.email;
+            }
+            if (identity.groups) {
+                headers['X-Forwarded-Groups'] = identity.groups.join(',');
+            }
+        }
+        let body;
+        if (options.body !== undefined) {
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+            body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+        }
+
+        const response = await fetch(this.baseUrl + path, { method, headers, body });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        const result = { status: response.status, headers: response.headers, text, body: isJson ? JSON.parse(text) : text };
+
+        const checkContract = options.checkContract !== undefined ? options.checkContract : this.checkContract;
+        if (isJson && checkContract) {
+            this.assertContract(method, path, result);
+        }
+        return result;
+    }
+
+    assertContract(method, path, response) {
+        this.document = this.document || this.app.openApiDocument();
+        const { operationId, errors } = validateResponse(this.document, {
+            method, path, status: response.status, body: response.body
+        });
+        // Unknown paths (404s, wildcard fallbacks) have nothing to be checked against
+        if (operationId === null) {
+            return;
+        }
+        assert.deepEqual(errors, [], `${method} ${path} answered ${response.status} with JSON that breaks the ${operationId} contract`);
+    }
+
+    get(path, options) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, body, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    }
+
+    put(path, body, options = {}) {
+        return this.request('PUT', path, { ...options, body });
+    }
+
+    delete(path, options) {
+        return this.request('DELETE', path, options);
+    }
+
+    // fetch keeps connections alive, so they are dropped rather than waited for
+    close() {
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+}
+
+// A listening client that is closed when the test ends
+async function startTestClient(t, app, options) {
+    const client = await new TestClient(app, options).listen();
+    t.after(() => client.close());
+    return client;
+}
+
+module.exports = {
+    TestClient,
+    startTestClient
+};
@@ -0,0 +1,22 @@
+// Small helpers shared by the test files
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The named fields only, for comparing part of an entry or a response
+function pick(object, keys) {
+    return Object.fromEntries(keys.map(key => [key, object[key]]));
+}
+
+// A fresh directory under the system temp dir, removed when the test ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-world-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+module.exports = {
+    pick,
+    tempDir
+};
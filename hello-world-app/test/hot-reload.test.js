@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp, settle } = require('./helpers/dashboards');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { startTestClient } = require('./helpers/test-client');
+const { SecretProvider } = require('../shared/secret-providers');
+
+const HotReloadWebapp = loadDashboard('hot-reload');
+
+const SECRETS = {
+    'hello-world-secret': 'Hello v1',
+    'database-password': 'Passw0rd-v1!',
+    'api-key': 'api-key-v1'
+};
+
+function createReloadApp(t, options = {}) {
+    const mount = createCsiMount(SECRETS);
+    const app = createTestApp(t, HotReloadWebapp, { env: { SECRETS_MOUNT_PATH: mount.path }, ...options });
+    return { app, mount };
+}
+
+// Resolves with the next reload-completed event, or fails after timeoutMs
+function nextReload(app, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            unsubscribe();
+            reject(new Error(`No reload within ${timeoutMs}ms`));
+        }, timeoutMs);
+        const unsubscribe = app.events.subscribe(event => {
+            if (event.type === 'reload-completed') {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(event.data);
+            }
+        });
+    });
+}
+
+// Records the watch the dashboard asks for; tests trigger changes through it
+class WatchedProvider extends SecretProvider {
+    constructor() {
+        super('watched');
+        this.watches = [];
+        this.stopped = 0;
+    }
+
+    async get(secretName) {
+        return `${secretName}-v${this.watches.length}`;
+    }
+
+    watch(secretNames, onChange, options) {
+        this.watches.push({ secretNames, onChange, options });
+        return () => { this.stopped++; };
+    }
+}
+
+test('changes come from the secret provider, polled every RELOAD_INTERVAL', async (t) => {
+    const provider = new WatchedProvider();
+    const app = createTestApp(t, HotReloadWebapp, { secretProvider: provider, env: { RELOAD_INTERVAL: '250' } });
+
+    assert.equal(provider.watches.length, 1);
+    const [{ secretNames, onChange, options }] = provider.watches;
+    assert.deepEqual(secretNames, app.getSecretNames());
+    assert.deepEqual(options, { pollInterval: 250 });
+    assert.equal(app.getReloadInfo().watchersActive, 1);
+
+    const reloaded = nextReload(app);
+    onChange('api-key');
+    assert.equal((await reloaded).success, true);
+    assert.equal(app.reloadCount, 1);
+
+    app.lifecycle.stopBackgroundWork();
+    assert.equal(provider.stopped, 1);
+});
+
+test('Key Vault polls list properties only, so they record no audit events', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const vault = new FakeSecretClient({ secrets: SECRETS });
+    const app = createTestApp(t, HotReloadWebapp, { vault, env: { RELOAD_INTERVAL: '1000' } });
+    const audited = t.mock.method(app, 'recordSecretAccess');
+    await settle();
+    const reads = () => vault.calls.filter(call => call.method === 'getSecret').length;
+    const readsBefore = reads();
+
+    for (let poll = 0; poll < 5; poll++) {
+        t.mock.timers.tick(1000);
+        await settle();
+    }
+    assert.equal(audited.mock.callCount(), 0);
+    assert.equal(reads(), readsBefore);
+    assert.equal(vault.calls.filter(call => call.method === 'listPropertiesOfSecrets').length, 6);
+
+    // A new version is noticed on the next poll, and only the reload reads values
+    const reloaded = nextReload(app);
+    await vault.setSecret('api-key', 'api-key-v2');
+    t.mock.timers.tick(1000);
+    assert.equal((await reloaded).success, true);
+    assert.equal((await app.getSecrets())['api-key'], 'api-key-v2');
+    assert.ok(audited.mock.callCount() > 0);
+});
+
+test('a ..data swap reloads the secrets without a restart', async (t) => {
+    const { app, mount } = createReloadApp(t);
+    assert.equal((await app.getSecrets())['hello-world-secret'], 'Hello v1');
+
+    const reloaded = nextReload(app);
+    mount.set({ 'hello-world-secret': 'Hello v2' });
+    const event = await reloaded;
+
+    assert.equal(event.success, true);
+    assert.ok(app.reloadCount >= 1);
+    assert.equal((await app.getSecrets())['hello-world-secret'], 'Hello v2');
+});
+
+test('GET /api/reload-now needs the operate permission', async (t) => {
+    const { app } = createReloadApp(t, {
+        auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { olive: 'operator' } } }
+    });
+    app.lifecycle.stopBackgroundWork();
+    const client = await startTestClient(t, app);
+
+    assert.equal((await client.get('/api/reload-now', { user: 'vic' })).status, 403);
+    assert.equal(app.reloadCount, 0);
+
+    const response = await client.get('/api/reload-now', { user: 'olive' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.reloadInfo.reloadCount, 1);
+});
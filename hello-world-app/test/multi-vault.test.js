@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const MultiVaultWebapp = loadDashboard('multi-vault');
+
+// One FakeSecretClient per vault URL, created on first use
+function fakeVaults(secretsByUrl = {}) {
+    const clients = {};
+    return {
+        clients,
+        createSecretClient: url => {
+            clients[url] = clients[url] || new FakeSecretClient({ vaultUrl: url, secrets: secretsByUrl[url] });
+            return clients[url];
+        }
+    };
+}
+
+function createMultiVaultApp(t, env, secretsByUrl) {
+    const vaults = fakeVaults(secretsByUrl);
+    const app = createTestApp(t, MultiVaultWebapp, { env, createSecretClient: vaults.createSecretClient });
+    return { app, clients: vaults.clients };
+}
+
+const EAST = 'http://east.vault.test';
+const WEST = 'http://west.vault.test';
+
+test('VAULT_CONFIG names the vaults, and KEYVAULT_URL is added as default', (t) => {
+    const { app, clients } = createMultiVaultApp(t, {
+        VAULT_CONFIG: `east:${EAST}, west:${WEST}`,
+        KEYVAULT_URL: 'http://default.vault.test'
+    });
+
+    assert.deepEqual(app.vaults, [
+        { name: 'east', url: EAST },
+        { name: 'west', url: WEST },
+        { name: 'default', url: 'http://default.vault.test' }
+    ]);
+    assert.deepEqual(Object.keys(clients), [EAST, WEST, 'http://default.vault.test']);
+});
+
+test('KEYVAULT_URL is not added twice', (t) => {
+    const { app } = createMultiVaultApp(t, { VAULT_CONFIG: `east:${EAST},west:${WEST}`, KEYVAULT_URL: WEST });
+    assert.deepEqual(app.vaults.map(vault => vault.name), ['east', 'west']);
+});
+
+test('vaults without a name are numbered, or primary when alone', (t) => {
+    assert.deepEqual(createMultiVaultApp(t, { VAULT_CONFIG: `${EAST},${WEST}` }).app.vaults.map(vault => vault.name), ['vault-1', 'vault-2']);
+    assert.deepEqual(createMultiVaultApp(t, { VAULT_CONFIG: EAST }).app.vaults.map(vault => vault.name), ['primary']);
+    assert.deepEqual(createMultiVaultApp(t, { KEYVAULT_URL: WEST }).app.vaults, [{ name: 'primary', url: WEST }]);
+});
+
+test('an invalid VAULT_CONFIG stops the dashboard from starting', (t) => {
+    assert.throws(() => createMultiVaultApp(t, { VAULT_CONFIG: `east:${EAST},east:${WEST}` }), /duplicate vault names: east/);
+    assert.throws(() => createMultiVaultApp(t, { VAULT_CONFIG: 'east:ftp://east.vault.test' }), /must be an http\(s\) URL/);
+});
+
+test('each secret comes from the first vault that has it', async (t) => {
+    const { app } = createMultiVaultApp(t, { VAULT_CONFIG: `east:${EAST},west:${WEST}` }, {
+        [EAST]: { 'hello-world-secret': 'hello from east' },
+        [WEST]: { 'hello-world-secret': 'hello from west', 'api-key': 'west-api-key' }
+    });
+
+    const secrets = await app.getSecrets();
+
+    assert.equal(secrets['hello-world-secret'], 'hello from east');
+    assert.equal(secrets['_hello-world-secret_vault'], 'east');
+    assert.equal(secrets['api-key'], 'west-api-key');
+    assert.equal(secrets['_api-key_vault'], 'west');
+    assert.equal(secrets['database-password'], 'Not found');
+});
+
+test('an unavailable vault falls through to the next one', async (t) => {
+    const { app, clients } = createMultiVaultApp(t, { VAULT_CONFIG: `east:${EAST},west:${WEST}` }, {
+        [EAST]: { 'hello-world-secret': 'hello from east', 'api-key': 'east-api-key' },
+        [WEST]: { 'hello-world-secret': 'hello from west' }
+    });
+    clients[EAST].throttle({ times: 100 });
+
+    const secrets = await app.getSecrets();
+
+    assert.equal(secrets['hello-world-secret'], 'hello from west');
+    assert.equal(secrets['_hello-world-secret_vault'], 'west');
+    // West doesn't have them and east can't say, so they are errors rather than missing
+    assert.match(secrets['api-key'], /^Error: Key Vault 'east' is throttling requests/);
+    assert.match(secrets['database-password'], /^Error: /);
+});
+
+test('GET /api/secret/:name answers from every vault or the one asked for', async (t) => {
+    const { app } = createMultiVaultApp(t, { VAULT_CONFIG: `east:${EAST},west:${WEST}` }, {
+        [EAST]: { 'api-key': 'east-api-key-value' }
+    });
+    const client = await startTestClient(t, app);
+
+    const all = await client.get('/api/secret/api-key');
+    assert.equal(all.status, 200);
+    assert.equal(all.body.east.found, true);
+    assert.notEqual(all.body.east.value, 'east-api-key-value');
+    assert.equal(all.body.west.found, false);
+
+    const west = await client.get('/api/secret/api-key?vault=west');
+    assert.equal(west.body.vault, 'west');
+    assert.equal(west.body.found, false);
+
+    const vaults = await client.get('/api/vaults');
+    assert.deepEqual(vaults.body.vaults.map(vault => [vault.name, vault.circuit.state]), [['east', 'closed'], ['west', 'closed']]);
+});
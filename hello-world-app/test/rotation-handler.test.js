@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient, restError } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp, settle } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const RotationHandlerWebapp = loadDashboard('rotation-handler');
+
+function vaultWithCatalogSecrets() {
+    return new FakeSecretClient({
+        secrets: {
+            'hello-world-secret': [{ value: 'Hello v1', createdOn: -30, version: 'hello-v1' }],
+            'database-password': [
+                { value: 'OldPassw0rd!', createdOn: -60, version: 'db-v1' },
+                { value: 'CurrentPassw0rd!', createdOn: -10, version: 'db-v2' }
+            ],
+            'api-key': [{ value: 'abcdefghijklmnopqrstuvwxyz123456', createdOn: -5, version: 'api-v1' }]
+        }
+    });
+}
+
+test('the first check records the current version of every secret', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, { vault });
+    const published = [];
+    app.events.subscribe(event => published.push(event));
+    await settle();
+
+    const info = app.getRotationInfo();
+    assert.equal(info.enabled, true);
+    assert.ok(info.lastCheck);
+    assert.deepEqual(Object.fromEntries(Object.entries(info.currentVersions).map(([name, current]) => [name, current.version])), {
+        'hello-world-secret': 'hello-v1',
+        'database-password': 'db-v2',
+        'api-key': 'api-v1'
+    });
+    assert.ok(info.recentRotations.every(rotation => rotation.oldVersion === 'unknown'));
+    assert.deepEqual(published.filter(event => event.type === 'rotation-detected'), []);
+    assert.deepEqual(app.metrics.get('secret_rotation_events_total').lines(), []);
+});
+
+test('a new version in Key Vault is detected once and expires the cached value', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, { vault });
+    await settle();
+    await app.getSecrets();
+    const published = [];
+    app.events.subscribe(event => published.push(event));
+
+    vault.addVersion('database-password', { value: 'RotatedPassw0rd!', version: 'db-v3' });
+    const rotations = await app.checkAllSecretsForRotation();
+
+    assert.equal(rotations.length, 1);
+    assert.equal(rotations[0].secretName, 'database-password');
+    assert.equal(rotations[0].oldVersion, 'db-v2');
+    assert.equal(rotations[0].newVersion, 'db-v3');
+    assert.equal(rotations[0].versionCount, 3);
+    assert.deepEqual(published.find(event => event.type === 'rotation-detected').data, {
+        secret: 'database-password', oldVersion: 'db-v2', newVersion: 'db-v3', trigger: 'detected'
+    });
+    assert.ok(app.secretCache.peek('database-password').expiresInMs <= 0);
+    assert.equal((await app.getSecrets())['database-password'], 'RotatedPassw0rd!');
+
+    assert.deepEqual(await app.checkAllSecretsForRotation(), []);
+    assert.equal(app.getRotationInfo().rotationsBySecret['database-password'], 2);
+    assert.deepEqual(app.metrics.get('secret_rotation_events_total').lines(), [
+        'secret_rotation_events_total{secret="database-password",trigger="detected"} 1'
+    ]);
+});
+
+test('versions are listed newest first', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, { vault });
+    await settle();
+
+    const versions = await app.getSecretVersions('database-password');
+    assert.deepEqual(versions.map(version => version.version), ['db-v2', 'db-v1']);
+});
+
+test('listing failures are retried, then reported as no versions', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, { vault });
+    await settle();
+
+    vault.throttle({ method: 'listPropertiesOfSecretVersions', times: 1 });
+    assert.equal((await app.getSecretVersions('api-key')).length, 1);
+
+    vault.failWith(restError(403, 'Forbidden', 'The user does not have secrets list permission'), {
+        method: 'listPropertiesOfSecretVersions'
+    });
+    assert.equal(await app.getSecretVersions('api-key'), null);
+    assert.ok(app.logger.lines.some(line => line.msg === 'Error fetching secret versions' && line.secret === 'api-key'));
+});
+
+test('POST /api/rotate/:secret writes a version in the catalog rotation format', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, { vault });
+    await settle();
+    const client = await startTestClient(t, app);
+
+    const response = await client.post('/api/rotate/database-password');
+
+    assert.equal(response.status, 200);
+    const { rotation } = response.body;
+    assert.equal(rotation.success, true);
+    assert.equal(rotation.oldVersion, 'db-v2');
+    assert.equal(vault.callsTo('setSecret').length, 1);
+    const written = vault.latest('database-password');
+    assert.equal(written.properties.version, rotation.newVersion);
+    assert.match(written.value, /^SecureDB_\d+_[A-Z0-9]+$/);
+    // Nothing new for monitoring to report: the rotation is already in the history
+    assert.deepEqual(await app.checkAllSecretsForRotation(), []);
+    assert.equal(response.body.rotationInfo.recentRotations[0].rotatedBy, 'manual');
+});
+
+test('rotating needs the rotate-secrets permission', async (t) => {
+    const vault = vaultWithCatalogSecrets();
+    const app = createTestApp(t, RotationHandlerWebapp, {
+        vault,
+        auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { olive: 'operator', ada: 'admin' } } }
+    });
+    await settle();
+    const client = await startTestClient(t, app);
+
+    assert.equal((await client.post('/api/rotate/api-key', undefined, { user: null })).status, 401);
+    assert.equal((await client.post('/api/rotate/api-key', undefined, { user: 'olive' })).status, 403);
+    assert.equal(vault.callsTo('setSecret').length, 0);
+
+    const response = await client.post('/api/rotate/api-key', undefined, { user: 'ada' });
+    assert.equal(response.status, 200);
+    assert.match(vault.latest('api-key').value, /^sk-\d+-[A-Z0-9]+$/);
+});
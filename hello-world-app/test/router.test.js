@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const http = require('http');
+const { Router, HttpError } = require('../shared/router');
+
+async function startRouter(t, router) {
+    const server = http.createServer((req, res) => router.handle(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return server.address().port;
+}
+
+// The path is sent as it is; fetch() would normalize it first
+function rawGet(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+        }).on('error', reject);
+    });
+}
+
+function createRouter() {
+    const router = new Router();
+    router.get('/api/cache/:name', req => ({ name: req.params.name, query: req.query }));
+    router.post('/api/rotate/:secret', () => ({ rotated: true }));
+    router.get('/api/fail', () => {
+        throw new HttpError(409, 'Already rotating');
+    });
+    return router;
+}
+
+test('params are decoded and the query is parsed', async (t) => {
+    const port = await startRouter(t, createRouter());
+
+    const response = await rawGet(port, '/api/cache/db%20password?verbose=1');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { name: 'db password', query: { verbose: '1' } });
+});
+
+test('malformed URLs and percent-encoding are answered 400', async (t) => {
+    const port = await startRouter(t, createRouter());
+
+    for (const path of ['/api/cache/%E0%A4%A', '//']) {
+        const response = await rawGet(port, path);
+        assert.equal(response.status, 400, path);
+        assert.match(response.body.error, /^Malformed request URL/);
+    }
+    // Still serving
+    assert.equal((await rawGet(port, '/api/cache/api-key')).status, 200);
+});
+
+test('unknown paths are 404, wrong methods 405 with Allow, and HttpError keeps its status', async (t) => {
+    const port = await startRouter(t, createRouter());
+
+    assert.equal((await rawGet(port, '/api/nothing')).status, 404);
+    const wrongMethod = await rawGet(port, '/api/rotate/api-key');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.allow, 'POST');
+    const failed = await rawGet(port, '/api/fail');
+    assert.deepEqual([failed.status, failed.body.error], [409, 'Already rotating']);
+});
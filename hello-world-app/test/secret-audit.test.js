@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient, restError } = require('./helpers/fake-secret-client');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const { pick } = require('./helpers/utils');
+const { auditSecretProvider } = require('../shared/secret-audit');
+const { runWithRequest, currentCaller, withCaller } = require('../shared/request-context');
+const { EnvironmentSecretProvider, AzureKeyVaultSecretProvider, checkKeyVaultReachable } = require('../shared/secret-providers');
+const HelloWorldWebapp = require('../shared/webapp-framework');
+
+const CATALOG = [{ name: 'api-key' }, { name: 'database-password' }];
+
+// What the app passed to recordAudit(), oldest first
+function auditEvents(app) {
+    return app.logger.lines.filter(line => line.msg === 'audit event').map(line => line.audit);
+}
+
+test('Key Vault reads, version reads and writes are recorded once each, with the outcome', async (t) => {
+    const vault = new FakeSecretClient({ secrets: { 'api-key': ['first', 'second'] } });
+    const app = createTestApp(t, HelloWorldWebapp, { vault, catalog: CATALOG });
+    const [firstVersion, secondVersion] = vault.secrets.get('api-key').map(entry => entry.properties.version);
+    const fields = ['action', 'secretName', 'provider', 'vault', 'version', 'outcome', 'source', 'background'];
+
+    // Throttled once, so it takes two attempts
+    vault.throttle({ method: 'getSecret' });
+    await app.keyVaultClient.getSecret('api-key');
+    await app.keyVaultClient.getSecret('api-key', { version: firstVersion });
+    const written = await app.keyVaultClient.setSecret('api-key', 'third');
+    await assert.rejects(app.keyVaultClient.getSecret('missing'));
+    await checkKeyVaultReachable(app.keyVaultClient);
+
+    const events = auditEvents(app);
+    assert.deepEqual(events.map(event => pick(event, fields)), [
+        { action: 'READ', secretName: 'api-key', provider: 'azure-api', vault: 'default', version: secondVersion, outcome: 'success', source: 'provider', background: true },
+        { action: 'READ_VERSION', secretName: 'api-key', provider: 'azure-api', vault: 'default', version: firstVersion, outcome: 'success', source: 'provider', background: true },
+        { action: 'WRITE', secretName: 'api-key', provider: 'azure-api', vault: 'default', version: written.properties.version, outcome: 'success', source: 'provider', background: true },
+        { action: 'READ', secretName: 'missing', provider: 'azure-api', vault: 'default', version: undefined, outcome: 'failure', source: 'provider', background: true }
+    ]);
+    assert.match(events[3].error, /not found/i);
+    assert.ok(events.every(event => !('value' in event)));
+});
+
+test('reads through the provider are recorded once, not again by the client', async (t) => {
+    const vault = new FakeSecretClient({ secrets: { 'api-key': 'k', 'database-password': 'p' } });
+    const app = createTestApp(t, HelloWorldWebapp, { vault, catalog: CATALOG });
+    assert.ok(app.secretProvider instanceof AzureKeyVaultSecretProvider);
+
+    await app.getSecrets();
+
+    assert.deepEqual(auditEvents(app).map(event => event.secretName).sort(), ['api-key', 'database-password']);
+});
+
+test('CSI file reads are recorded', async (t) => {
+    const mount = createCsiMount({ 'api-key': 'from-the-mount' });
+    const app = createTestApp(t, HelloWorldWebapp, { env: { SECRETS_MOUNT_PATH: mount.path }, catalog: CATALOG });
+
+    assert.equal(await app.secretProvider.get('api-key'), 'from-the-mount');
+    await assert.rejects(app.secretProvider.getVersion('database-password', 'latest'));
+    await assert.rejects(app.secretProvider.getVersion('api-key', 'abc123'), /does not support secret versions/);
+
+    assert.deepEqual(auditEvents(app).map(event => pick(event, ['action', 'secretName', 'provider', 'outcome'])), [
+        { action: 'READ', secretName: 'api-key', provider: 'csi', outcome: 'success' },
+        { action: 'READ', secretName: 'database-password', provider: 'csi', outcome: 'failure' },
+        { action: 'READ_VERSION', secretName: 'api-key', provider: 'csi', outcome: 'failure' }
+    ]);
+});
+
+test('environment reads are recorded', async () => {
+    const events = [];
+    const provider = auditSecretProvider(new EnvironmentSecretProvider({ env: { API_KEY: 'from-env' } }), event => events.push(event));
+
+    assert.equal(await provider.get('api-key'), 'from-env');
+    assert.ok(provider instanceof EnvironmentSecretProvider);
+    assert.deepEqual(events, [{ action: 'READ', secretName: 'api-key', provider: 'environment', version: undefined, outcome: 'success' }]);
+});
+
+test('reads made for a request carry its ID, address, user agent and user', async (t) => {
+    const vault = new FakeSecretClient({ secrets: { 'api-key': 'k', 'database-password': 'p' } });
+    const app = createTestApp(t, HelloWorldWebapp, {
+        vault,
+        catalog: CATALOG,
+        auth: { enabled: true, trustProxyHeaders: true, roleMapping: { users: { ada: 'admin' } } }
+    });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/secrets', { user: 'ada', headers: { 'X-Request-ID': 'req-7', 'User-Agent': 'audit-test/1.0' } });
+    assert.equal(response.status, 200);
+
+    const events = auditEvents(app);
+    assert.equal(events.length, 2);
+    for (const event of events) {
+        assert.deepEqual(pick(event, ['requestId', 'userAgent', 'user', 'role', 'background']), {
+            requestId: 'req-7', userAgent: 'audit-test/1.0', user: 'ada', role: 'admin', background: undefined
+        });
+        assert.match(event.remoteAddress, /127\.0\.0\.1/);
+    }
+});
+
+test('the caller is whoever started the current request', async () => {
+    const req = { id: 'req-1', socket: { remoteAddress: '10.0.0.9' }, headers: { 'user-agent': 'curl/8.0' } };
+    assert.deepEqual(currentCaller(), { background: true });
+
+    await runWithRequest(req, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        // Set by the auth middleware after the request started
+        req.user = { name: 'ada', role: 'viewer' };
+        assert.deepEqual(currentCaller(), { requestId: 'req-1', remoteAddress: '10.0.0.9', userAgent: 'curl/8.0', user: 'ada', role: 'viewer' });
+        assert.equal(withCaller({ action: 'REVEAL', user: 'set-explicitly' }).user, 'set-explicitly');
+    });
+    assert.deepEqual(currentCaller(), { background: true });
+});
+
+test('a failed read is recorded with its error and rethrown', async () => {
+    const events = [];
+    const provider = auditSecretProvider({
+        name: 'broken',
+        get: async () => { throw restError(500, 'InternalServerError', 'boom'); }
+    }, event => events.push(event));
+
+    await assert.rejects(provider.get('api-key'), /boom/);
+    assert.deepEqual(pick(events[0], ['outcome', 'error']), { outcome: 'failure', error: 'boom' });
+});
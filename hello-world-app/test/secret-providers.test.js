@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const { FakeSecretClient, restError } = require('./helpers/fake-secret-client');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { createTestLogger } = require('./helpers/dashboards');
+const { CSISecretProvider, AzureKeyVaultSecretProvider } = require('../shared/secret-providers');
+const { KeyVaultResilience } = require('../shared/resilience');
+
+test('the CSI provider reads through ..data and sees a swap at once', async () => {
+    const mount = createCsiMount({ 'hello-world-secret': 'Hello v1\n', 'api-key': 'key-v1' });
+    const provider = new CSISecretProvider({ mountPath: mount.path, logger: createTestLogger() });
+
+    assert.deepEqual((await provider.list()).sort(), ['api-key', 'hello-world-secret']);
+    assert.equal(await provider.get('hello-world-secret'), 'Hello v1');
+
+    mount.set({ 'hello-world-secret': 'Hello v2' });
+    assert.equal(await provider.get('hello-world-secret'), 'Hello v2');
+
+    mount.update({ 'hello-world-secret': 'Hello v3' });
+    assert.deepEqual(await provider.list(), ['hello-world-secret']);
+    await assert.rejects(provider.get('api-key'), /Secret file not found/);
+});
+
+test('the CSI mount check reports missing files', async () => {
+    const mount = createCsiMount({ 'hello-world-secret': 'Hello' });
+    const provider = new CSISecretProvider({ mountPath: mount.path, logger: createTestLogger() });
+
+    assert.equal(provider.checkMount(['hello-world-secret']).status, 'pass');
+    const missing = provider.checkMount(['hello-world-secret', 'api-key']);
+    assert.equal(missing.status, 'fail');
+    assert.deepEqual(missing.missing, ['api-key']);
+
+    mount.cleanup();
+    assert.equal(provider.checkMount(['hello-world-secret']).status, 'fail');
+});
+
+test('the CSI provider polls modification times when watch events are missed', async (t) => {
+    const mount = createCsiMount({ 'hello-world-secret': 'Hello v1', 'api-key': 'key-v1' });
+    // A watcher that never fires
+    t.mock.method(fs, 'watch', () => ({ close() {} }));
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const provider = new CSISecretProvider({ mountPath: mount.path, logger: createTestLogger() });
+    const changes = [];
+
+    const stop = provider.watch(['hello-world-secret', 'api-key', 'database-password'], name => changes.push(name), { pollInterval: 1000 });
+    t.mock.timers.tick(1000);
+    assert.deepEqual(changes, []);
+
+    // New files need a later modification time than the ones they replace
+    await new Promise(resolve => setTimeout(resolve, 20));
+    mount.set({ 'api-key': 'key-v2', 'database-password': 'Passw0rd!' });
+    t.mock.timers.tick(1000);
+    // A swap writes every file again; the new one counts too
+    assert.deepEqual(changes, ['hello-world-secret', 'api-key', 'database-password']);
+
+    stop();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    mount.set({ 'api-key': 'key-v3' });
+    t.mock.timers.tick(1000);
+    assert.equal(changes.length, 3);
+});
+
+// With the client wrapped in retries and the circuit breaker, as the webapp does
+function keyVaultProvider(vault) {
+    const logger = createTestLogger();
+    const resilience = new KeyVaultResilience({ logger, sleep: async () => {}, maxRetries: 1 });
+    return new AzureKeyVaultSecretProvider({ client: resilience.wrap(vault, vault.vaultUrl), vaultUrl: vault.vaultUrl, logger });
+}
+
+test('the Key Vault provider reads values, versions and metadata', async () => {
+    const vault = new FakeSecretClient({
+        secrets: { 'api-key': [{ value: 'old', version: 'v1' }, { value: 'new', version: 'v2', tags: { owner: 'team' } }] }
+    });
+    const provider = keyVaultProvider(vault);
+
+    assert.equal(await provider.get('api-key'), 'new');
+    assert.equal(await provider.getVersion('api-key', 'v1'), 'old');
+    const metadata = await provider.getMetadata('api-key');
+    assert.equal(metadata.version, 'v2');
+    assert.deepEqual(metadata.tags, { owner: 'team' });
+    assert.deepEqual(await provider.list(), ['api-key']);
+});
+
+test('Key Vault errors become dashboard messages, but throttling keeps its status', async () => {
+    const vault = new FakeSecretClient({ secrets: { 'api-key': 'value' } });
+    const provider = keyVaultProvider(vault);
+
+    await assert.rejects(provider.get('missing'), { message: "Secret 'missing' not found in Key Vault" });
+
+    vault.failWith(restError(403, 'Forbidden', 'Caller is not authorized'));
+    await assert.rejects(provider.get('api-key'), { message: 'Access forbidden to Key Vault. Check permissions.' });
+
+    vault.throttle({ method: 'getSecret', times: 2, retryAfterSeconds: 7 });
+    await assert.rejects(provider.get('api-key'), { name: 'KeyVaultUnavailableError', status: 503, retryAfterMs: 7000 });
+
+    assert.equal(await provider.get('api-key'), 'value');
+});
+
+test('without KEYVAULT_URL the Key Vault provider says what to set', async () => {
+    const provider = new AzureKeyVaultSecretProvider({ logger: createTestLogger() });
+
+    await assert.rejects(provider.get('api-key'), /KEYVAULT_URL environment variable is required/);
+});
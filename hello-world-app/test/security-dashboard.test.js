@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const SecurityDashboardWebapp = loadDashboard('security-dashboard');
+
+// Rules from shared/secret-catalog.json: database-password needs 12+ characters of every class
+// and rotation within 90 days, api-key 32+ alphanumerics, hello-world-secret has no real rules
+function vaultWithFindings() {
+    return new FakeSecretClient({
+        secrets: {
+            'database-password': { value: 'weakpass', createdOn: -120 },
+            'api-key': { value: 'abcdefghijklmnopqrstuvwxyzABCDEF0123', createdOn: -10 },
+            'hello-world-secret': { value: 'Hello', createdOn: -30, expiresOn: -1 },
+            'uncatalogued': { value: 'x', createdOn: -1 }
+        }
+    });
+}
+
+test('password strength scores length, character classes and patterns', (t) => {
+    const app = createTestApp(t, SecurityDashboardWebapp, { vault: new FakeSecretClient() });
+
+    assert.deepEqual(app.calculatePasswordStrength(''), { score: 0, feedback: 'No password' });
+    assert.deepEqual(app.calculatePasswordStrength('aaa'), { score: 20, feedback: 'Consider longer password, Very weak' });
+    assert.deepEqual(app.calculatePasswordStrength('password1234'), { score: 65, feedback: 'Moderate' });
+    assert.deepEqual(app.calculatePasswordStrength('Xq7!mZ2#pL9$'), { score: 100, feedback: 'Very strong' });
+});
+
+test('compliance scores are the share of secrets without violations of each policy', (t) => {
+    const app = createTestApp(t, SecurityDashboardWebapp, { vault: new FakeSecretClient() });
+    const analysis = (isCompliant, violations, rotationOverdue = false) => ({ isCompliant, violations, rotationOverdue });
+
+    assert.deepEqual(app.calculateComplianceScore([]), { overallScore: 100, breakdown: {} });
+    assert.deepEqual(app.calculateComplianceScore([
+        analysis(true, []),
+        analysis(false, ['Missing uppercase letters', 'Password too short: minimum 12 characters required']),
+        analysis(false, ['Secret rotation overdue: 120 days since last update (max: 90 days)'], true),
+        analysis(false, ['Secret has expired'])
+    ]), {
+        overallScore: 25,
+        breakdown: { passwordPolicy: 75, rotationPolicy: 75, accessPolicy: 85 }
+    });
+});
+
+test('a scan checks every secret in the vault against its catalog rules', async (t) => {
+    const app = createTestApp(t, SecurityDashboardWebapp, { vault: vaultWithFindings() });
+
+    const { metrics, results } = await app.performSecurityScan();
+    const byName = Object.fromEntries(results.secrets.map(secret => [secret.name, secret]));
+
+    assert.deepEqual(byName['database-password'].violations, [
+        'Password too short: minimum 12 characters required',
+        'Missing uppercase letters',
+        'Missing numbers',
+        'Missing special characters',
+        'Secret rotation overdue: 120 days since last update (max: 90 days)'
+    ]);
+    assert.equal(byName['database-password'].rotationOverdue, true);
+    assert.equal(byName['database-password'].age, 120);
+    assert.equal(byName['api-key'].isCompliant, true);
+    assert.equal(byName['hello-world-secret'].isExpired, true);
+    assert.deepEqual(byName['hello-world-secret'].violations, ['Secret has expired']);
+    assert.equal(byName['uncatalogued'].isCompliant, true);
+
+    assert.equal(metrics.totalSecrets, 4);
+    assert.equal(metrics.compliantSecrets, 2);
+    assert.equal(metrics.nonCompliantSecrets, 2);
+    assert.equal(metrics.expiredSecrets, 1);
+    assert.equal(metrics.rotationOverdue, 1);
+    assert.equal(metrics.complianceScore, 50);
+    assert.deepEqual(results.recommendations.map(rec => [rec.category, rec.affectedSecrets]), [
+        ['expired-secrets', ['hello-world-secret']],
+        ['rotation-overdue', ['database-password']],
+        ['weak-passwords', ['uncatalogued']],
+        ['compliance-violations', ['database-password', 'hello-world-secret']]
+    ]);
+});
+
+test('a recent scan is answered again without reading the vault', async (t) => {
+    const vault = vaultWithFindings();
+    const app = createTestApp(t, SecurityDashboardWebapp, { vault });
+    const client = await startTestClient(t, app);
+
+    const first = await client.get('/api/security-scan');
+    const second = await client.get('/api/security-scan');
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(vault.callsTo('listPropertiesOfSecrets').length, 1);
+    assert.equal((await client.get('/api/security-metrics')).body.complianceScore, 50);
+});
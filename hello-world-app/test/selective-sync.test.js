@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const SelectiveSyncWebapp = loadDashboard('selective-sync');
+
+const NAMES = ['prod-db-password', 'prod-api-key', 'dev-db-password', 'dev-api-key', 'shared-tls-cert'];
+
+function matching(t, env) {
+    const app = createTestApp(t, SelectiveSyncWebapp, { env });
+    return NAMES.filter(name => app.matchesFilter(name));
+}
+
+test('without filters every secret is synced', (t) => {
+    assert.deepEqual(matching(t, {}), NAMES);
+});
+
+test('include patterns take wildcards and otherwise match substrings', (t) => {
+    assert.deepEqual(matching(t, { SECRET_FILTER_INCLUDE: 'prod-*' }), ['prod-db-password', 'prod-api-key']);
+    assert.deepEqual(matching(t, { SECRET_FILTER_INCLUDE: '*-api-*' }), ['prod-api-key', 'dev-api-key']);
+    assert.deepEqual(matching(t, { SECRET_FILTER_INCLUDE: 'db,tls' }), ['prod-db-password', 'dev-db-password', 'shared-tls-cert']);
+});
+
+test('an include match wins over exclude, prefix and suffix', (t) => {
+    assert.deepEqual(matching(t, {
+        SECRET_FILTER_INCLUDE: 'shared-*',
+        SECRET_FILTER_EXCLUDE: 'shared-*',
+        SECRET_FILTER_PREFIX: 'prod-'
+    }), ['shared-tls-cert']);
+});
+
+test('exclude, prefix and suffix all have to pass', (t) => {
+    assert.deepEqual(matching(t, { SECRET_FILTER_EXCLUDE: 'dev-*,tls' }), ['prod-db-password', 'prod-api-key']);
+    assert.deepEqual(matching(t, { SECRET_FILTER_PREFIX: 'dev-' }), ['dev-db-password', 'dev-api-key']);
+    assert.deepEqual(matching(t, { SECRET_FILTER_SUFFIX: '-password' }), ['prod-db-password', 'dev-db-password']);
+    assert.deepEqual(matching(t, { SECRET_FILTER_PREFIX: 'prod-', SECRET_FILTER_SUFFIX: '-key', SECRET_FILTER_EXCLUDE: 'db' }), ['prod-api-key']);
+});
+
+test('the mount is read through its ..data links and the filter applied', (t) => {
+    const mount = createCsiMount({ 'prod-db-password': 'ProdPass1!', 'prod-api-key': 'prod-key', 'dev-api-key': 'dev-key' });
+    const app = createTestApp(t, SelectiveSyncWebapp, {
+        env: { SECRETS_MOUNT_PATH: mount.path, SECRET_FILTER_PREFIX: 'prod-' }
+    });
+
+    const secretInfo = app.getAllAvailableSecrets();
+
+    // ..data and the timestamped directory behind it are not secrets
+    assert.deepEqual(secretInfo.all.sort(), ['dev-api-key', 'prod-api-key', 'prod-db-password']);
+    assert.deepEqual(secretInfo.filtered.sort(), ['prod-api-key', 'prod-db-password']);
+    assert.deepEqual(app.syncedSecrets, { 'prod-db-password': 'ProdPass1!', 'prod-api-key': 'prod-key' });
+
+    mount.set({ 'prod-api-key': 'rotated-prod-key' });
+    app.getAllAvailableSecrets();
+    assert.equal(app.syncedSecrets['prod-api-key'], 'rotated-prod-key');
+});
+
+test('filters follow the config file without a restart', async (t) => {
+    const mount = createCsiMount({});
+    const configFile = path.join(mount.root, 'config.yaml');
+    fs.writeFileSync(configFile, 'selectiveSync:\n  include: [prod-*]\n');
+    const app = createTestApp(t, SelectiveSyncWebapp, { env: { CONFIG_FILE: configFile, SECRETS_MOUNT_PATH: mount.path } });
+    const client = await startTestClient(t, app);
+    assert.deepEqual((await client.get('/api/filters')).body, { include: ['prod-*'], exclude: [], prefix: '', suffix: '' });
+
+    fs.writeFileSync(configFile, 'selectiveSync:\n  include: []\n  suffix: -key\n');
+    app.appConfig.reload();
+
+    assert.deepEqual((await client.get('/api/filters')).body, { include: [], exclude: [], prefix: '', suffix: '-key' });
+    assert.equal(app.matchesFilter('prod-db-password'), false);
+    assert.equal(app.matchesFilter('dev-api-key'), true);
+});
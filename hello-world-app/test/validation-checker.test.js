@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const ValidationCheckerWebapp = loadDashboard('validation-checker');
+
+function createValidationApp(t, secrets) {
+    const vault = new FakeSecretClient({ secrets });
+    return { app: createTestApp(t, ValidationCheckerWebapp, { vault }), vault };
+}
+
+test('values are checked against the catalog rules', (t) => {
+    const { app } = createValidationApp(t, {});
+
+    const weak = app.validateSecretFormat('database-password', 'short pw');
+    assert.equal(weak.valid, false);
+    assert.deepEqual(weak.issues, [
+        'Too short: minimum 12 characters, got 8',
+        'Missing uppercase letters',
+        'Missing numbers',
+        'Missing special characters'
+    ]);
+    assert.deepEqual(weak.warnings, ['Contains spaces (may cause issues in some systems)']);
+
+    assert.equal(app.validateSecretFormat('database-password', 'Str0ng&LongPassword').valid, true);
+    assert.deepEqual(app.validateSecretFormat('api-key', 'sk-1234567890-ABCDEFGHIJKLMNOPQRSTUV').issues, [
+        'Does not match required pattern: /^[A-Za-z0-9]+$/'
+    ]);
+    // Secrets outside the catalog have no rules to break
+    assert.equal(app.validateSecretFormat('uncatalogued', '').valid, true);
+});
+
+test('recommendations name the first thing to fix', (t) => {
+    const { app } = createValidationApp(t, {});
+    const recommend = (name, value) => app.getRecommendation({
+        name, accessible: true, validationResult: app.validateSecretFormat(name, value)
+    });
+
+    assert.equal(recommend('database-password', 'short pw'), 'Increase length to at least 12 characters');
+    assert.equal(recommend('database-password', 'nouppercase1234!'), 'Add uppercase letters (A-Z)');
+    assert.equal(recommend('database-password', 'NoSpecialChars1234'), 'Add special characters (!@#$%^&*)');
+    assert.equal(recommend('api-key', 'sk-1234567890-ABCDEFGHIJKLMNOPQRSTUV'), 'Review validation rules and update secret format');
+    assert.equal(recommend('database-password', 'Str0ng&LongPassword'), 'Secret is compliant');
+    assert.equal(app.getRecommendation({ name: 'api-key', accessible: false }), 'Fix access permissions or check Key Vault configuration');
+});
+
+test('every catalogued secret is read from Key Vault and summarised', async (t) => {
+    const { app } = createValidationApp(t, {
+        'hello-world-secret': 'Hello',
+        'database-password': 'short pw'
+    });
+
+    const results = await app.validateAllSecrets();
+
+    assert.deepEqual(Object.keys(results), ['hello-world-secret', 'database-password', 'api-key']);
+    assert.equal(results['hello-world-secret'].formatValid, true);
+    assert.equal(results['database-password'].accessible, true);
+    assert.equal(results['database-password'].formatValid, false);
+    assert.equal(results['api-key'].accessible, false);
+    assert.match(results['api-key'].error, /api-key/);
+
+    const summary = app.getHealthSummary(results);
+    assert.equal(summary.total, 3);
+    assert.equal(summary.accessible, 2);
+    assert.equal(summary.healthy, 1);
+    assert.equal(summary.healthPercentage, 33);
+    assert.equal(summary.withIssues, 1);
+    assert.equal(summary.withWarnings, 1);
+    assert.equal(summary.commonIssues.length, 4);
+});
+
+test('validation-failed is published when a secret starts failing, not while it stays failing', async (t) => {
+    const { app, vault } = createValidationApp(t, {
+        'hello-world-secret': 'Hello',
+        'database-password': 'Str0ng&LongPassword',
+        'api-key': 'abcdefghijklmnopqrstuvwxyz0123456789'
+    });
+    const failed = [];
+    app.events.subscribe(event => event.type === 'validation-failed' && failed.push(event.data));
+
+    await app.validateAllSecrets();
+    assert.deepEqual(failed, []);
+
+    vault.addVersion('database-password', 'weak');
+    app.secretCache.invalidate();
+    app.validationCache.invalidate();
+    await app.validateAllSecrets();
+    app.secretCache.invalidate();
+    app.validationCache.invalidate();
+    await app.validateAllSecrets();
+
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].secret, 'database-password');
+    assert.equal(failed[0].accessible, true);
+    assert.ok(failed[0].issues.includes('Too short: minimum 12 characters, got 4'));
+});
+
+test('GET /api/validate/:secret checks one secret', async (t) => {
+    const { app } = createValidationApp(t, { 'database-password': 'short pw' });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/validate/database-password');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.name, 'database-password');
+    assert.equal(response.body.formatValid, false);
+    // The value itself never leaves the server
+    assert.ok(!response.text.includes('short pw'));
+
+    assert.equal((await client.get('/api/validate')).status, 200);
+});
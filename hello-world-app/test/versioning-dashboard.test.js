@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { loadDashboard, createTestApp } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+
+const VersioningDashboardWebapp = loadDashboard('versioning-dashboard');
+
+function vaultWithHistory() {
+    return new FakeSecretClient({
+        secrets: {
+            'database-password': [
+                { value: 'FirstPassw0rd!', createdOn: -90, version: 'v1' },
+                { value: 'LeakedPassw0rd!', createdOn: -60, version: 'v2', enabled: false },
+                { value: 'FirstPassw0rd!', createdOn: -30, version: 'v3', tags: { reason: 'rollback' } },
+                { value: 'CurrentPassw0rd!', createdOn: -1, version: 'v4' }
+            ]
+        }
+    });
+}
+
+test('versions are listed newest first with their values', async (t) => {
+    const app = createTestApp(t, VersioningDashboardWebapp, { vault: vaultWithHistory() });
+
+    const versions = await app.getAllVersions('database-password');
+
+    assert.deepEqual(versions.map(version => [version.version, version.value, version.enabled]), [
+        ['v4', 'CurrentPassw0rd!', true],
+        ['v3', 'FirstPassw0rd!', true],
+        // Key Vault refuses values of disabled versions; the metadata is still listed
+        ['v2', null, false],
+        ['v1', 'FirstPassw0rd!', true]
+    ]);
+    assert.match(versions[2].valueError, /disabled/);
+    assert.deepEqual(versions[1].tags, { reason: 'rollback' });
+});
+
+test('version lists are cached, and the last good one is served while Key Vault throttles', async (t) => {
+    const vault = vaultWithHistory();
+    const app = createTestApp(t, VersioningDashboardWebapp, { vault });
+
+    await app.getAllVersions('database-password');
+    await app.getAllVersions('database-password');
+    assert.equal(vault.callsTo('listPropertiesOfSecretVersions').length, 1);
+
+    vault.addVersion('database-password', 'NewestPassw0rd!');
+    assert.equal((await app.getAllVersions('database-password', false)).length, 5);
+
+    vault.throttle({ method: 'getSecret', times: 100 });
+    app.versionCache.invalidate('database-password');
+    assert.equal((await app.getAllVersions('database-password')).length, 5);
+    assert.ok(app.versionCache.peek('database-password').stale);
+});
+
+test('comparing versions matches their plaintext values', async (t) => {
+    const app = createTestApp(t, VersioningDashboardWebapp, { vault: vaultWithHistory() });
+
+    const rollback = await app.compareVersions('database-password', 'v1', 'v3');
+    assert.equal(rollback.valuesMatch, true);
+    assert.equal(rollback.bothEnabled, true);
+
+    const rotated = await app.compareVersions('database-password', 'v3', 'v4');
+    assert.equal(rotated.valuesMatch, false);
+
+    assert.match((await app.compareVersions('database-password', 'v1', 'v2')).error, /disabled/);
+    assert.match((await app.compareVersions('database-password', 'v1', 'nope')).error, /database-password\/nope was not found/);
+});
+
+test('GET /api/compare redacts the values it compared', async (t) => {
+    const app = createTestApp(t, VersioningDashboardWebapp, { vault: vaultWithHistory() });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/compare?secret=database-password&v1=v1&v2=v3');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.valuesMatch, true);
+    assert.ok(!response.text.includes('FirstPassw0rd!'));
+
+    const missing = await client.get('/api/compare?secret=database-password&v1=v1');
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Secret name, v1, and v2 parameters required');
+});
+
+test('GET /api/versions lists one secret with the caller\'s redaction', async (t) => {
+    const app = createTestApp(t, VersioningDashboardWebapp, {
+        vault: vaultWithHistory(),
+        redactionPolicy: { default: 'none' }
+    });
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/api/versions?secret=database-password');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.map(version => version.value), ['CurrentPassw0rd!', 'FirstPassw0rd!', null, 'FirstPassw0rd!']);
+    assert.equal((await client.get('/api/versions')).status, 400);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const { html, raw, safeUrl, jsonForScript } = require('../shared/html');
+const { layout, table, badge, button } = require('../shared/components');
+const { FakeSecretClient } = require('./helpers/fake-secret-client');
+const { createCsiMount } = require('./helpers/csi-mount');
+const { loadDashboard, createTestApp, settle } = require('./helpers/dashboards');
+const { startTestClient } = require('./helpers/test-client');
+const HelloWorldWebapp = require('../shared/webapp-framework');
+
+// Secret names and values are data from Key Vault or the mount; none of it may become markup.
+// The name has no '/' so it also works as a mounted file name.
+const EVIL_NAME = '<img src=x onerror=alert(1)>';
+const EVIL_VALUE = '</script><script>alert("xss")</script><img src=x onerror=alert(2)>';
+
+function assertNoInjectedMarkup(text) {
+    assert.ok(!text.includes('<img src=x'), 'secret data rendered as an element');
+    assert.ok(!text.includes('<script>alert'), 'secret data rendered as a script');
+}
+
+test('secret names and values are escaped in text and quoted attributes', () => {
+    const output = String(html`<div title="${EVIL_VALUE}" data-secret='${EVIL_NAME}'>${EVIL_NAME}: ${EVIL_VALUE}</div>`);
+
+    assertNoInjectedMarkup(output);
+    assert.ok(output.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(output.includes('&lt;/script&gt;&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;'));
+    assert.ok(!output.includes('"xss"'), 'a double quote would close the attribute');
+});
+
+test('fragments and raw() are kept, everything else is escaped', () => {
+    const output = String(html`<ul>${[EVIL_NAME, html`<li>${EVIL_VALUE}</li>`, raw('<hr>')]}${null}${false}</ul>`);
+
+    assertNoInjectedMarkup(output);
+    assert.ok(output.includes('<li>&lt;/script&gt;'));
+    assert.ok(output.includes('<hr>'));
+});
+
+test('URL attributes only take http(s), mailto and relative URLs', () => {
+    assert.equal(safeUrl('javascript:alert(1)'), '#');
+    assert.equal(safeUrl(' JaVaScRiPt:alert(1)'), '#');
+    assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), '#');
+    assert.equal(safeUrl('https://portal.azure.com/#blade'), 'https://portal.azure.com/#blade');
+    assert.equal(safeUrl('/api/secrets?name=a:b'), '/api/secrets?name=a:b');
+    assert.equal(String(html`<a href="${'javascript:alert(1)'}">x</a>`), '<a href="#">x</a>');
+});
+
+test('places escaping can\'t make safe are refused', () => {
+    assert.throws(() => html`<div title=${EVIL_NAME}>`, /must be quoted/);
+    assert.throws(() => html`<div onclick="${EVIL_NAME}">`, /'onclick' attributes/);
+    assert.throws(() => html`<div style="${EVIL_NAME}">`, /'style' attributes/);
+    assert.throws(() => html`<script>const name = ${EVIL_NAME};</script>`, /inside <script> or <style>/);
+    assert.throws(() => html`<div ${EVIL_NAME}>`, /cannot come from data/);
+});
+
+test('JSON page data can\'t close its <script> element', () => {
+    const json = jsonForScript({ secrets: [EVIL_VALUE, '\u2028'] });
+
+    assert.ok(!json.includes('<'));
+    assert.ok(!json.includes('\u2028'));
+    assert.deepEqual(JSON.parse(json), { secrets: [EVIL_VALUE, '\u2028'] });
+});
+
+test('components escape the data they are given', () => {
+    const output = String(html`
+        ${table({ columns: ['Secret', 'Value'], rows: [[EVIL_NAME, EVIL_VALUE]] })}
+        ${badge(EVIL_NAME, 'danger')}
+        ${button({ label: EVIL_NAME, action: 'reveal', args: [EVIL_NAME, EVIL_VALUE] })}`);
+
+    assertNoInjectedMarkup(output);
+    assert.ok(output.includes('<td>&lt;img src=x onerror=alert(1)&gt;</td>'));
+});
+
+test('every script and style of the layout carries the nonce', () => {
+    const page = String(layout({ title: EVIL_NAME, main: EVIL_VALUE, data: { name: EVIL_VALUE }, scripts: ['run();'], nonce: 'abc123' }));
+
+    assertNoInjectedMarkup(page);
+    // The page data block is JSON, which browsers never run
+    for (const [tag] of page.matchAll(/<(script|style)\b[^>]*>/g)) {
+        assert.ok(tag.includes('nonce="abc123"') || tag.includes('type="application/json"'), `${tag} has no nonce`);
+    }
+});
+
+const CATALOG = [
+    { name: 'hello-world-secret' },
+    { name: EVIL_NAME, rules: { minLength: 100 } }
+];
+
+const CSI_DASHBOARDS = ['selective-sync', 'hot-reload', 'cross-namespace', 'certificate-tls'];
+const KEY_VAULT_DASHBOARDS = [
+    'audit-dashboard', 'expiration-monitor', 'multi-vault', 'rotation-handler',
+    'security-dashboard', 'validation-checker', 'versioning-dashboard'
+];
+
+function createEvilApp(t, Dashboard, csi) {
+    const secrets = { 'hello-world-secret': EVIL_VALUE, [EVIL_NAME]: EVIL_VALUE };
+    // Nothing redacted, so the values reach the page
+    const options = { catalog: CATALOG, redactionPolicy: { default: 'none' } };
+    if (csi) {
+        const mount = createCsiMount(secrets);
+        return createTestApp(t, Dashboard, { ...options, env: { SECRETS_MOUNT_PATH: mount.path } });
+    }
+    return createTestApp(t, Dashboard, { ...options, vault: new FakeSecretClient({ secrets }) });
+}
+
+function assertSafePage(response) {
+    assert.equal(response.status, 200);
+    const policy = response.headers.get('content-security-policy');
+    assert.ok(policy, 'pages are served with a Content-Security-Policy');
+    const nonce = policy.match(/script-src 'nonce-([^']+)'/)[1];
+
+    assertNoInjectedMarkup(response.text);
+    // Every script and style on the page is the layout's own. The page data block is JSON, which
+    // browsers never run
+    for (const [tag] of response.text.matchAll(/<(script|style)\b[^>]*>/g)) {
+        assert.ok(tag.includes(`nonce="${nonce}"`) || tag.includes('type="application/json"'), `${tag} has no nonce`);
+    }
+}
+
+for (const name of [...CSI_DASHBOARDS, ...KEY_VAULT_DASHBOARDS]) {
+    test(`${name}: secret names and values are escaped on the dashboard page`, async (t) => {
+        const app = createEvilApp(t, loadDashboard(name), CSI_DASHBOARDS.includes(name));
+        await settle();
+        const client = await startTestClient(t, app);
+
+        assertSafePage(await client.get('/'));
+    });
+}
+
+test('escaped names and values are still shown', async (t) => {
+    const app = createEvilApp(t, loadDashboard('selective-sync'), true);
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/');
+
+    assertSafePage(response);
+    assert.ok(response.text.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(response.text.includes('&lt;/script&gt;&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;'));
+});
+
+test('page data for scripts can\'t close its <script> element', async (t) => {
+    // Only the catalog has this name, so no mount file needs it
+    const name = '</script><script>alert(3)</script>\u2028';
+    const app = createTestApp(t, loadDashboard('rotation-handler'), {
+        catalog: [{ name }],
+        vault: new FakeSecretClient({ secrets: { [name]: 'value' } })
+    });
+    await settle();
+    const client = await startTestClient(t, app);
+
+    const response = await client.get('/');
+
+    assertSafePage(response);
+    const pageData = response.text.match(/<script type="application\/json" id="page-data">([^<]*)<\/script>/)[1];
+    assert.ok(!pageData.includes('\u2028'));
+    assert.deepEqual(JSON.parse(pageData).secrets, [name]);
+});
+
+test('the CSP nonce changes with every page', async (t) => {
+    const app = createEvilApp(t, HelloWorldWebapp, true);
+    const client = await startTestClient(t, app);
+
+    const policies = [await client.get('/'), await client.get('/')]
+        .map(response => response.headers.get('content-security-policy'));
+
+    assert.notEqual(policies[0], policies[1]);
+    assert.match(policies[0], /default-src 'none'/);
+    assert.match(policies[0], /frame-ancestors 'none'/);
+});